@@ -2,53 +2,369 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./MultiApproval.sol";
+import "./interfaces/ILiquidityPool.sol";
+import "./libraries/ExchangeMath.sol";
+import "./libraries/FeeSplits.sol";
+import "./libraries/Payouts.sol";
+import "./libraries/PriceFeeds.sol";
+import "./libraries/Pricing.sol";
+import "./libraries/Reserves.sol";
+import "./libraries/ScheduledParameters.sol";
+import "./libraries/TokenListings.sol";
+import "./libraries/TradeLimits.sol";
 
 /// @title Exchange Office for ERC20 tokens
 /// @notice Allows users to exchange ETH for ERC20 tokens and vice versa
-/// @dev Implements ReentrancyGuard, Pausable and Ownable for security
-contract ExchangeOffice is ReentrancyGuard, Pausable, Ownable {
-    mapping(IERC20 => uint256) private rates;
+/// @dev Implements ReentrancyGuard, Pausable, Ownable and AccessControl for security. Day-to-day
+/// administration is split across roles, while withdrawals, shutdown and ownership changes go
+/// through MultiApproval. Token transfers go through SafeERC20 in Reserves, so tokens that return nothing
+/// (e.g. USDT) or return false are handled. Tokens can be priced manually or follow a
+/// Chainlink-style price feed, bounded by their manual rates. Only listed tokens can be priced.
+/// Trades are bounded per token by size, per trader by daily volume, and per asset by an outflow
+/// limit that pauses trading when exceeded. Third-party liquidity is pooled by a LiquidityPool,
+/// which can release inventory to its withdrawing providers. Shutdown is a wind-down: trading stops
+/// for good while users claim what they are owed, and owner withdrawals wait out a grace period.
+/// Liquidity is tracked as explicit reserves, so trades only ever draw on ETH and tokens that were
+/// supplied or traded in; anything sent to the office outside of that can be skimmed or synced.
+/// Feature logic that would push the contract past the 24KB size limit lives in linked libraries
+contract ExchangeOffice is ReentrancyGuard, Pausable, AccessControl, MultiApproval {
+    using FeeSplits for FeeSplits.Recipients;
+    using Payouts for Payouts.Book;
+    using Pricing for Pricing.Book;
+    using Reserves for Reserves.Book;
+    using ScheduledParameters for ScheduledParameters.Pair;
+    using TokenListings for TokenListings.Registry;
+    using TradeLimits for TradeLimits.Limits;
+
+    /// @notice Can list and delist tokens and set their rates, fees, price feeds and trade limits
+    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
+    /// @notice Can supply tokens and ETH to the office and sync its reserves
+    bytes32 public constant LIQUIDITY_MANAGER_ROLE = keccak256("LIQUIDITY_MANAGER_ROLE");
+    /// @notice Can pause trading, but not unpause it or move funds
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    /// @notice Can set the treasury and fee recipients and claim fees
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    /// @notice Can trade on behalf of other accounts, such as SignedOrderRelay and LimitOrderBook, by appending
+    /// the account to the calldata of a trade
+    bytes32 public constant ROUTER_ROLE = keccak256("ROUTER_ROLE");
+
+    /// @notice Highest fee that can be configured, in basis points (10%)
+    uint256 public constant MAX_FEE_BPS = Pricing.MAX_FEE_BPS;
+    /// @notice Maximum number of addresses fees can be split across
+    uint256 public constant MAX_FEE_RECIPIENTS = FeeSplits.MAX_RECIPIENTS;
+    /// @notice Longest delay that can be set for rate and fee changes
+    uint256 public constant MAX_PARAMETER_DELAY = 30 days;
+    /// @notice Most tokens returned by one `getListedTokens` page
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    /// @notice Time users have after a shutdown to claim their funds before the owner can sweep the rest
+    uint256 public constant SHUTDOWN_GRACE_PERIOD = 30 days;
+
+    /// @dev Manual rates, fees and price feeds. Rates and fees each keep the change waiting for
+    /// `parameterDelay` to pass. The buy rate is the ask, wei charged per whole token (10**decimals units)
+    /// when users buy; the sell rate is the bid, wei paid per whole token when users sell
+    Pricing.Book private pricing;
+    /// @notice Decimals of each token, recorded when it is listed
+    mapping(IERC20 => uint8) public tokenDecimals;
+    /// @dev Seconds between scheduling a rate or fee change and its activation, as the buy value, with a
+    /// shorter delay waiting for the current one to pass
+    ScheduledParameters.Pair private parameterDelays;
+    TokenListings.Registry private listings;
+    TradeLimits.Limits private tradeLimits;
     bool public isShutdown;
+    /// @notice When the office was shut down (0 while it is running)
+    uint256 public shutdownAt;
+
+    /// @notice ETH collected as fees and not yet claimed, kept apart from trading liquidity
+    uint256 public accruedFees;
+    /// @notice Receives claimed fees when no fee recipients are configured
+    address public treasury;
+    FeeSplits.Recipients private feeRecipients;
+
+    /// @dev ETH owed to accounts whose direct payout failed, claimable with `claim` and kept apart from
+    /// trading liquidity
+    Payouts.Book private payouts;
+
+    /// @notice LiquidityPool whose providers share the office's inventory (zero when there is none)
+    address public liquidityPool;
+
+    /// @dev ETH and token reserves the office trades with
+    Reserves.Book private reserves;
 
     event RateSet(address indexed token, uint256 rate);
+    event RatesSet(address indexed token, uint256 buyRate, uint256 sellRate);
     event TokensBought(address indexed buyer, address indexed token, uint256 amount, uint256 ethAmount);
     event TokensSold(address indexed seller, address indexed token, uint256 amount, uint256 ethAmount);
+    event TokensSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, uint256 ethAmount);
     event TokensSupplied(address indexed token, uint256 amount);
+    event EthSupplied(uint256 amount);
     event EmergencyWithdraw(address indexed token, uint256 amount);
     event EmergencyEthWithdraw(uint256 amount);
     event ShutdownInitiated(address indexed by);
-    
-    // Add this function to allow the contract to receive ETH
-    receive() external payable {}
+    event FeesSet(address indexed token, uint256 buyFeeBps, uint256 sellFeeBps);
+    event FeesCollected(address indexed token, uint256 amount);
+    event FeesClaimed(address indexed recipient, uint256 amount);
+    event TreasurySet(address indexed treasury);
+    event FeeRecipientsSet(address[] recipients, uint256[] sharesBps);
+    event ParameterDelaySet(uint256 delay);
+    event ParameterDelayChangeScheduled(uint256 delay, uint256 effectiveAt);
+    event RateChangeScheduled(address indexed token, uint256 buyRate, uint256 sellRate, uint256 effectiveAt);
+    event RateChangeCancelled(address indexed token);
+    event FeeChangeScheduled(address indexed token, uint256 buyFeeBps, uint256 sellFeeBps, uint256 effectiveAt);
+    event FeeChangeCancelled(address indexed token);
+    event PriceFeedSet(address indexed token, address indexed feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual);
+    event PriceFeedRemoved(address indexed token);
+    event PriceFeedChangeScheduled(address indexed token, address indexed feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual, uint256 effectiveAt);
+    event PriceFeedChangeCancelled(address indexed token);
+    event TokenListed(address indexed token, string symbol, uint8 decimals, uint256 minTradeAmount, uint256 maxTradeAmount);
+    event TokenDelisted(address indexed token);
+    event TradeSizeSet(address indexed token, uint256 minTradeAmount, uint256 maxTradeAmount);
+    event TradeSizeChangeScheduled(address indexed token, uint256 minTradeAmount, uint256 maxTradeAmount, uint256 effectiveAt);
+    event TradeSizeChangeCancelled(address indexed token);
+    event VolumeLimitsSet(uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow);
+    event VolumeLimitsChangeScheduled(uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow, uint256 effectiveAt);
+    event VolumeLimitsChangeCancelled();
+    event OutflowLimitExceeded(address indexed asset, uint256 outflow, uint256 maxOutflow);
+    event PaymentDeferred(address indexed account, uint256 amount);
+    event PaymentClaimed(address indexed account, uint256 amount);
+    event LiquidityPoolSet(address indexed pool);
+    event LiquidityReleased(address indexed token, address indexed to, uint256 amount);
+    event ReserveSkimmed(address indexed token, address indexed to, uint256 amount);
+    event ReserveSynced(address indexed token, uint256 reserve);
+
+    /// @dev The deployer becomes owner (and role admin) and holds every role until they are handed out
+    constructor() {
+        treasury = msg.sender;
+        _grantRole(RATE_MANAGER_ROLE, msg.sender);
+        _grantRole(LIQUIDITY_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
+
+    /// @notice Receives ETH. ETH from a liquidity manager or the liquidity pool is added to the ETH reserve;
+    /// ETH from anyone else is not traded with until it is synced
+    /// @dev The exchange owner is minted pool shares for ETH a liquidity manager adds. Emits `EthSupplied` for
+    /// what is added to the reserve
+    receive() external payable {
+        if (msg.sender == liquidityPool || hasRole(LIQUIDITY_MANAGER_ROLE, msg.sender)) {
+            reserves.eth += msg.value;
+            _mintOwnerShares(address(0), msg.value);
+            emit EthSupplied(msg.value);
+        }
+    }
 
     /// @notice Ensures the contract is not in shutdown state
     modifier notShutdown() {
-        require(!isShutdown, "Contract is shut down");
+        _checkNotShutdown();
         _;
     }
 
-    /// @notice Sets the exchange rate for a token
+    /// @notice Ensures a trade is executed no later than the given timestamp
+    modifier beforeDeadline(uint256 deadline) {
+        _checkDeadline(deadline);
+        _;
+    }
+
+    /// @notice Lists a token so it can be given rates and traded
+    /// @param token The token address
+    /// @param symbol Display symbol
+    /// @param decimals Token decimals, which must match `decimals()` of the token
+    /// @param minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @param maxTradeAmount Largest token amount per trade (0 = no maximum)
+    function listToken(
+        address token,
+        string calldata symbol,
+        uint8 decimals,
+        uint256 minTradeAmount,
+        uint256 maxTradeAmount
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        listings.list(token, symbol, decimals, minTradeAmount, maxTradeAmount);
+        tokenDecimals[IERC20(token)] = decimals;
+    }
+
+    /// @notice Delists a token, which stops trading in it immediately
+    /// @dev Its rates, fees, scheduled changes and price feed are cleared, so relisting starts afresh.
+    /// Balances held in the token stay with the office and can still be withdrawn. While a liquidity pool
+    /// is attached the token's reserve must be withdrawn first, as the pool would otherwise stop valuing
+    /// it and let deposits in at a discount until the token is relisted
     /// @param token The token address
-    /// @param rate The new rate in wei per token unit
-    function setRate(address token, uint256 rate) external onlyOwner {
-        require(rate > 0, "Rate must be greater than 0");
-        require(rate <= type(uint256).max / 1e18, "Rate too high");
-        rates[IERC20(token)] = rate;
-        emit RateSet(token, rate);
+    function delistToken(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        require(liquidityPool == address(0) || reserves.tokens[token] == 0, "Token has pooled reserves");
+        listings.delist(token);
+        pricing.clear(token);
     }
 
-    /// @notice Supplies tokens to the exchange office
+    /// @notice Sets the trade size bounds of a listed token
+    /// @dev Scheduled instead of applied when `parameterDelay` is set
+    /// @param token The token address
+    /// @param minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @param maxTradeAmount Largest token amount per trade (0 = no maximum)
+    function setTradeSize(address token, uint256 minTradeAmount, uint256 maxTradeAmount) external onlyRole(RATE_MANAGER_ROLE) {
+        listings.setTradeSize(token, minTradeAmount, maxTradeAmount, parameterDelay());
+    }
+
+    /// @notice Cancels a scheduled trade size change that has not taken effect yet
+    /// @param token The token address
+    function cancelTradeSizeChange(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        listings.cancelTradeSizeChange(token);
+    }
+
+    /// @notice Sets the per-address daily volume limit and the global outflow limit
+    /// @dev Volumes are the wei amounts reported by TokensBought/TokensSold, counted against the trader a
+    /// router trades for. A trade past an address's daily volume reverts. Outflow is counted per asset that
+    /// leaves the office, tokens for buys and swaps and ETH for sales, valued in wei; a trade that takes an
+    /// asset's outflow in the window past `maxOutflow` still settles, but pauses trading until the owner unpauses.
+    /// The pause comes after the fact, so outflow can exceed `maxOutflow` by up to that one trade, which the
+    /// token's `maxTradeAmount` bounds. Scheduled instead of applied when `parameterDelay` is set
+    /// @param maxDailyVolume Most wei an address can trade per UTC day (0 = no limit)
+    /// @param maxOutflow Most wei of one asset that can leave the office per window (0 = no limit)
+    /// @param outflowWindow Length of the rolling outflow window in seconds
+    function setVolumeLimits(uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow) external onlyRole(RATE_MANAGER_ROLE) {
+        tradeLimits.set(maxDailyVolume, maxOutflow, outflowWindow, parameterDelay());
+    }
+
+    /// @notice Cancels a scheduled volume limits change that has not taken effect yet
+    function cancelVolumeLimitsChange() external onlyRole(RATE_MANAGER_ROLE) {
+        tradeLimits.cancel();
+    }
+
+    /// @notice Sets the same buy and sell rate for a token
+    /// @dev Scheduled instead of applied when `parameterDelay` is set
+    /// @param token The token address
+    /// @param rate The new rate in wei per whole token
+    function setRate(address token, uint256 rate) external onlyRole(RATE_MANAGER_ROLE) {
+        if (_setRates(token, rate, rate)) {
+            emit RateSet(token, rate);
+        }
+    }
+
+    /// @notice Sets separate buy (ask) and sell (bid) rates for a token
+    /// @dev Scheduled instead of applied when `parameterDelay` is set
+    /// @param token The token address
+    /// @param buyRate Wei per whole token charged to buyers
+    /// @param sellRate Wei per whole token paid to sellers, at most buyRate
+    function setRates(address token, uint256 buyRate, uint256 sellRate) external onlyRole(RATE_MANAGER_ROLE) {
+        if (_setRates(token, buyRate, sellRate)) {
+            emit RatesSet(token, buyRate, sellRate);
+        }
+    }
+
+    /// @notice Sets the trading fees for a token
+    /// @dev Scheduled instead of applied when `parameterDelay` is set
+    /// @param token The token address
+    /// @param buyFeeBps Fee added on top of the price when buying, in basis points
+    /// @param sellFeeBps Fee deducted from the proceeds when selling, in basis points
+    function setFees(address token, uint256 buyFeeBps, uint256 sellFeeBps) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.setFees(token, buyFeeBps, sellFeeBps, parameterDelay());
+    }
+
+    /// @notice Sets how long rate, fee, price feed and trade limit changes wait before taking effect
+    /// @dev Requires multisig approval once an approval threshold above 1 is set. A longer delay applies at
+    /// once; a shorter one is scheduled to take effect once the current delay has passed, so lowering the
+    /// delay cannot rush a change through. Changes that are already scheduled keep their activation time
+    /// @param delay The delay in seconds, 0 to apply changes immediately
+    function setParameterDelay(uint256 delay) external onlyApproved {
+        require(delay <= MAX_PARAMETER_DELAY, "Delay too long");
+        uint256 currentDelay = parameterDelay();
+        uint256 effectiveAt = parameterDelays.update(delay, 0, delay < currentDelay ? currentDelay : 0);
+        if (effectiveAt == 0) {
+            emit ParameterDelaySet(delay);
+        } else {
+            emit ParameterDelayChangeScheduled(delay, effectiveAt);
+        }
+    }
+
+    /// @notice Cancels a scheduled rate change that has not taken effect yet
+    /// @param token The token address
+    function cancelRateChange(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.cancelRateChange(token);
+    }
+
+    /// @notice Cancels a scheduled fee change that has not taken effect yet
+    /// @param token The token address
+    function cancelFeeChange(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.cancelFeeChange(token);
+    }
+
+    /// @notice Prices a token from a Chainlink-style feed instead of its manual rates
+    /// @dev The feed must report wei per whole token. Its price becomes the buy rate and the sell rate
+    /// keeps the manual spread. Answers older than `maxStaleness` or further than `maxDeviationBps` from
+    /// the manual buy rate are ignored: the token then trades at its manual rates if `fallbackToManual`
+    /// is set, and is halted until the feed recovers otherwise. Scheduled instead of applied when
+    /// `parameterDelay` is set
+    /// @param token The token address, which must already have manual rates
+    /// @param feed The price feed
+    /// @param maxStaleness Seconds after its last update that an answer is still used
+    /// @param maxDeviationBps Largest accepted distance from the manual buy rate, in basis points, at most
+    /// 2000 (20%)
+    /// @param fallbackToManual Whether to trade at the manual rates when the feed is unusable
+    function setPriceFeed(
+        address token,
+        address feed,
+        uint32 maxStaleness,
+        uint16 maxDeviationBps,
+        bool fallbackToManual
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.setPriceFeed(token, feed, maxStaleness, maxDeviationBps, fallbackToManual, parameterDelay());
+    }
+
+    /// @notice Returns a token to manual pricing
+    /// @dev Scheduled instead of applied when `parameterDelay` is set
+    /// @param token The token address
+    function removePriceFeed(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.removePriceFeed(token, parameterDelay());
+    }
+
+    /// @notice Cancels a scheduled price feed change that has not taken effect yet
+    /// @param token The token address
+    function cancelPriceFeedChange(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        pricing.cancelPriceFeedChange(token);
+    }
+
+    /// @notice Sets the address that receives claimed fees
+    /// @param newTreasury The new treasury address
+    function setTreasury(address newTreasury) external onlyRole(TREASURER_ROLE) {
+        require(newTreasury != address(0), "Treasury cannot be zero address");
+        treasury = newTreasury;
+        emit TreasurySet(newTreasury);
+    }
+
+    /// @notice Splits claimed fees across several recipients instead of the treasury
+    /// @dev Pass empty arrays to send all fees to the treasury again
+    /// @param recipients The fee recipients
+    /// @param sharesBps Share of each recipient in basis points, summing to 10000
+    function setFeeRecipients(address[] calldata recipients, uint256[] calldata sharesBps) external onlyRole(TREASURER_ROLE) {
+        feeRecipients.set(recipients, sharesBps);
+    }
+
+    /// @notice Sends all accrued fees to the fee recipients, or to the treasury if none are set
+    function claimFees() external onlyRole(TREASURER_ROLE) nonReentrant {
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to claim");
+        accruedFees = 0;
+
+        feeRecipients.claim(payouts, treasury, amount);
+    }
+
+    /// @notice Supplies tokens to the exchange office, adding them to the token's reserve
+    /// @dev Callable by liquidity managers and the liquidity pool. Emits the amount actually received,
+    /// which is less than `amount` for fee-on-transfer tokens. The exchange owner is minted pool shares for
+    /// what a liquidity manager supplies
     /// @param token The token address
     /// @param amount Amount of tokens to supply
-    function supplyToken(address token, uint256 amount) external onlyOwner {
-        require(amount > 0, "Amount must be greater than 0"); // Add this check
-        IERC20 tokenContract = IERC20(token);
-        require(amount <= tokenContract.balanceOf(msg.sender), "Insufficient token balance");
-        require(tokenContract.transferFrom(msg.sender, address(this), amount), "Transfer failed");
-        emit TokensSupplied(token, amount);
+    function supplyToken(address token, uint256 amount) external {
+        if (msg.sender != liquidityPool) {
+            _checkRole(LIQUIDITY_MANAGER_ROLE);
+        }
+        _checkAmount(amount);
+        uint256 received = reserves.collect(token, msg.sender, amount);
+        _mintOwnerShares(token, received);
+        emit TokensSupplied(token, received);
     }
 
     /// @notice Buy tokens with ETH
@@ -59,27 +375,39 @@ contract ExchangeOffice is ReentrancyGuard, Pausable, Ownable {
     whenNotPaused
     notShutdown
     {
-        require(amount > 0, "Amount must be greater than 0"); // Add this check
-        IERC20 token = IERC20(_token);
-        uint256 rate = rates[token];
-        require(rate != 0, "Token not supported");
-
-        // Fix the calculation by dividing by 1e18
-        uint256 weiRequired = amount * rate / 1e18;
-        require(msg.value >= weiRequired, "Insufficient ETH sent for purchase");
-        require(amount <= token.balanceOf(address(this)), "Insufficient exchange office token balance");
-
-        require(token.transfer(msg.sender, amount), "Token transfer failed");
+        _buy(IERC20(_token), amount, type(uint256).max);
+    }
 
-        uint256 excess = msg.value - weiRequired;
-        if(excess > 0) {
-            payable(msg.sender).transfer(excess);
-        }
+    /// @notice Buy tokens with ETH, reverting if the price moved above a bound or the deadline passed
+    /// @param _token The token address to buy
+    /// @param amount Amount of tokens to buy
+    /// @param maxWei Most ETH the purchase may cost, fee included
+    /// @param deadline Timestamp after which the transaction reverts
+    function buyExact(address _token, uint256 amount, uint256 maxWei, uint256 deadline) external payable
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    beforeDeadline(deadline)
+    {
+        _buy(IERC20(_token), amount, maxWei);
+    }
 
-        emit TokensBought(msg.sender, _token, amount, weiRequired);
+    /// @notice Buy as many tokens as exactly msg.value pays for, fee included
+    /// @dev The remainder smaller than one token unit's price is kept by the office
+    /// @param _token The token address to buy
+    /// @param minAmountOut Fewest tokens the ETH must buy
+    /// @param deadline Timestamp after which the transaction reverts
+    function buyWithExactEth(address _token, uint256 minAmountOut, uint256 deadline) external payable
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    beforeDeadline(deadline)
+    {
+        _buyWithExactEth(IERC20(_token), minAmountOut);
     }
 
     /// @notice Sell tokens for ETH
+    /// @dev Fee-on-transfer tokens are priced on the amount the office actually receives
     /// @param _token The token address to sell
     /// @param amount Amount of tokens to sell
     function sell(address _token, uint256 amount) external
@@ -87,71 +415,770 @@ contract ExchangeOffice is ReentrancyGuard, Pausable, Ownable {
     whenNotPaused
     notShutdown
     {
-        require(amount > 0, "Amount must be greater than 0"); // Add this check
-        IERC20 token = IERC20(_token);
-        uint256 rate = rates[token];
-        require(rate != 0, "Token not supported");
-        require(token.balanceOf(msg.sender) >= amount, "Insufficient token balance");
+        _sell(IERC20(_token), amount, 0);
+    }
+
+    /// @notice Sell tokens for ETH, reverting if the price moved below a bound or the deadline passed
+    /// @param _token The token address to sell
+    /// @param amount Amount of tokens to sell
+    /// @param minWei Least ETH the sale must pay out, after fees
+    /// @param deadline Timestamp after which the transaction reverts
+    function sellExact(address _token, uint256 amount, uint256 minWei, uint256 deadline) external
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    beforeDeadline(deadline)
+    {
+        _sell(IERC20(_token), amount, minWei);
+    }
+
+    /// @notice Sell tokens for ETH with an EIP-2612 permit instead of a prior `approve`
+    /// @dev The permit is for `amount` tokens to this office and shares the trade's deadline. A permit that
+    /// fails, for example because someone already submitted it, is ignored as long as the allowance is in place
+    /// @param _token The token address to sell, which must implement EIP-2612
+    /// @param amount Amount of tokens to sell
+    /// @param minWei Least ETH the sale must pay out, after fees
+    /// @param deadline Timestamp after which the transaction and the permit expire
+    /// @param v Permit signature `v`
+    /// @param r Permit signature `r`
+    /// @param s Permit signature `s`
+    function sellWithPermit(
+        address _token,
+        uint256 amount,
+        uint256 minWei,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    beforeDeadline(deadline)
+    {
+        try IERC20Permit(_token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _sell(IERC20(_token), amount, minWei);
+    }
+
+    /// @notice Sell just enough tokens to receive exactly `weiOut`, after fees
+    /// @dev Not available for fee-on-transfer tokens, whose received amount would fall short
+    /// @param _token The token address to sell
+    /// @param weiOut ETH to receive
+    /// @param maxAmountIn Most tokens the sale may take
+    /// @param deadline Timestamp after which the transaction reverts
+    function sellForExactEth(address _token, uint256 weiOut, uint256 maxAmountIn, uint256 deadline) external
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    beforeDeadline(deadline)
+    {
+        _sellForExactEth(IERC20(_token), weiOut, maxAmountIn);
+    }
+
+    /// @notice Swap one listed token for another, routed through ETH at the sell rate of `tokenIn`
+    /// and the buy rate of `tokenOut` without paying out any ETH
+    /// @dev Both legs charge their fee, and the ETH value of the sale counts once against the volume limits.
+    /// Fee-on-transfer tokens are priced on the amount the office actually receives
+    /// @param tokenIn The token to sell
+    /// @param tokenOut The token to buy
+    /// @param amountIn Amount of `tokenIn` to sell
+    /// @param minAmountOut Fewest `tokenOut` the swap must buy
+    /// @return amountOut Amount of `tokenOut` bought
+    function swap(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut) external
+    nonReentrant
+    whenNotPaused
+    notShutdown
+    returns (uint256 amountOut)
+    {
+        _checkAmount(amountIn);
+        require(tokenIn != tokenOut, "Cannot swap a token for itself");
+        IERC20 outToken = IERC20(tokenOut);
+        uint256 buyRate = _tradeRate(outToken, true);
+        uint256 sellRate = _tradeRate(IERC20(tokenIn), false);
 
-        // Fix the calculation by dividing by 1e18
-        uint256 weiToReturn = amount * rate / 1e18;
-        require(weiToReturn <= address(this).balance, "Insufficient exchange office ETH balance");
+        uint256 received = _collectTokens(IERC20(tokenIn), amountIn);
+        listings.checkTradeSize(tokenIn, received);
+        (uint256 ethAmount, uint256 sellFee) = _quoteSell(IERC20(tokenIn), sellRate, received);
+        uint256 buyFee;
+        (amountOut, buyFee) = _quoteBuyWithExactEth(outToken, buyRate, ethAmount);
+        require(amountOut > 0, "Swap amount too small");
+        require(amountOut >= minAmountOut, "Token amount below minimum");
+        listings.checkTradeSize(tokenOut, amountOut);
+        require(amountOut <= reserves.tokens[tokenOut], "Insufficient exchange office token balance");
+        // No ETH leaves the office, but the fees are set aside from its liquidity like a sale's
+        require(sellFee + buyFee <= reserves.eth, "Insufficient exchange office ETH balance");
 
-        require(token.transferFrom(msg.sender, address(this), amount), "Token transfer failed");
-        payable(msg.sender).transfer(weiToReturn);
+        // Only `tokenOut` leaves the office; the fees stay in it
+        _recordVolume(ethAmount, tokenOut, ethAmount - buyFee);
 
-        emit TokensSold(msg.sender, _token, amount, weiToReturn);
+        reserves.eth -= sellFee + buyFee;
+        accruedFees += sellFee + buyFee;
+        reserves.release(tokenOut, msg.sender, amountOut);
+
+        if (sellFee > 0) {
+            emit FeesCollected(tokenIn, sellFee);
+        }
+        if (buyFee > 0) {
+            emit FeesCollected(tokenOut, buyFee);
+        }
+        emit TokensSwapped(msg.sender, tokenIn, tokenOut, received, amountOut, ethAmount);
     }
 
-    /// @notice Check if a token is supported
+    /// @notice Check if a token is supported, i.e. listed with rates in effect
     /// @param token The token address to check
     /// @return bool indicating if the token is supported
     function isTokenSupported(address token) external view returns (bool) {
-        return rates[IERC20(token)] > 0;
+        (uint256 buyRate, ) = pricing.manualRates(token);
+        return buyRate > 0;
     }
 
     /// @notice Get the current rate for a token
+    /// @dev Kept for backward compatibility, returns the buy rate
     /// @param token The token address
-    /// @return The current rate in wei per token unit
+    /// @return The current buy rate in wei per whole token
     function getRate(address token) external view returns (uint256) {
-        return rates[IERC20(token)];
+        (uint256 buyRate, ) = pricing.currentRates(token);
+        return buyRate;
+    }
+
+    /// @notice Get the current buy and sell rates for a token
+    /// @dev Follows the token's price feed when it has a usable one; reverts while the token is halted
+    /// @param token The token address
+    /// @return buyRate Wei per whole token charged to buyers
+    /// @return sellRate Wei per whole token paid to sellers
+    function getRates(address token) external view returns (uint256 buyRate, uint256 sellRate) {
+        return pricing.currentRates(token);
+    }
+
+    /// @notice Get the manual rates of a token, used when it has no usable price feed
+    /// @param token The token address
+    /// @return buyRate Wei per whole token charged to buyers
+    /// @return sellRate Wei per whole token paid to sellers
+    function getManualRates(address token) external view returns (uint256 buyRate, uint256 sellRate) {
+        return pricing.manualRates(token);
+    }
+
+    /// @notice Get the current fees for a token
+    /// @param token The token address
+    /// @return buyFeeBps Fee added when buying, in basis points
+    /// @return sellFeeBps Fee deducted when selling, in basis points
+    function getFees(address token) external view returns (uint256 buyFeeBps, uint256 sellFeeBps) {
+        return pricing.currentFees(token);
+    }
+
+    /// @notice Get the rate change scheduled for a token, if it has not taken effect yet
+    /// @param token The token address
+    /// @return buyRate Scheduled buy rate (0 if none is pending)
+    /// @return sellRate Scheduled sell rate (0 if none is pending)
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function getPendingRateChange(address token) external view returns (uint256 buyRate, uint256 sellRate, uint256 effectiveAt) {
+        return pricing.rates[IERC20(token)].pending();
+    }
+
+    /// @notice Seconds between scheduling a rate, fee, price feed or trade limit change and its activation (0 = immediate)
+    function parameterDelay() public view returns (uint256 delay) {
+        (delay, ) = parameterDelays.current();
+    }
+
+    /// @notice Get the shorter parameter delay waiting for the current one to pass, if any
+    /// @return delay The scheduled delay (0 if none is pending)
+    /// @return effectiveAt When it takes effect (0 if none is pending)
+    function getPendingParameterDelay() external view returns (uint256 delay, uint256 effectiveAt) {
+        (delay, , effectiveAt) = parameterDelays.pending();
+    }
+
+    /// @notice Get the price feed configuration of a token
+    /// @param token The token address
+    /// @return feed The price feed (zero address when the token is priced manually)
+    /// @return maxStaleness Seconds after its last update that an answer is still used
+    /// @return maxDeviationBps Largest accepted distance from the manual buy rate, in basis points
+    /// @return fallbackToManual Whether the token trades at its manual rates when the feed is unusable
+    function getPriceFeed(address token) external view returns (
+        address feed,
+        uint256 maxStaleness,
+        uint256 maxDeviationBps,
+        bool fallbackToManual
+    ) {
+        PriceFeeds.Config storage config = PriceFeeds.current(pricing.feeds[IERC20(token)]);
+        return (address(config.feed), config.maxStaleness, config.maxDeviationBps, config.fallbackToManual);
+    }
+
+    /// @notice Get the price feed change scheduled for a token, if it has not taken effect yet
+    /// @param token The token address
+    /// @return feed The scheduled feed (zero address for a scheduled removal, or if none is pending)
+    /// @return maxStaleness Scheduled staleness bound in seconds
+    /// @return maxDeviationBps Scheduled deviation bound in basis points
+    /// @return fallbackToManual Scheduled fallback setting
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function getPendingPriceFeed(address token) external view returns (
+        address feed,
+        uint256 maxStaleness,
+        uint256 maxDeviationBps,
+        bool fallbackToManual,
+        uint256 effectiveAt
+    ) {
+        PriceFeeds.Schedule storage schedule = pricing.feeds[IERC20(token)];
+        if (PriceFeeds.isPending(schedule)) {
+            PriceFeeds.Config storage config = schedule.scheduled;
+            return (address(config.feed), config.maxStaleness, config.maxDeviationBps, config.fallbackToManual, schedule.effectiveAt);
+        }
+    }
+
+    /// @notice Get the rate reported by a token's price feed and whether it is used
+    /// @param token The token address
+    /// @return rate Feed price in wei per whole token (0 if the feed could not be read)
+    /// @return valid Whether the price is fresh and within the deviation bound
+    function getOracleRate(address token) external view returns (uint256 rate, bool valid) {
+        return pricing.oracleRate(token);
+    }
+
+    /// @notice Get the listing of a token
+    /// @param token The token address
+    /// @return listed Whether the token is listed
+    /// @return symbol Display symbol
+    /// @return decimals Token decimals
+    /// @return minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @return maxTradeAmount Largest token amount per trade (0 = no maximum)
+    function getListing(address token) external view returns (
+        bool listed,
+        string memory symbol,
+        uint8 decimals,
+        uint256 minTradeAmount,
+        uint256 maxTradeAmount
+    ) {
+        return listings.get(token);
+    }
+
+    /// @notice Get the volume limits
+    /// @return maxDailyVolume Most wei an address can trade per UTC day (0 = no limit)
+    /// @return maxOutflow Most wei of one asset that can leave the office per window (0 = no limit)
+    /// @return outflowWindow Length of the rolling outflow window in seconds
+    function getVolumeLimits() external view returns (uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow) {
+        TradeLimits.Settings storage settings = TradeLimits.current(tradeLimits);
+        return (settings.maxDailyVolume, settings.maxOutflow, settings.outflowWindow);
+    }
+
+    /// @notice Get the volume limits change that has not taken effect yet
+    /// @return maxDailyVolume Scheduled daily volume limit (0 if none is pending)
+    /// @return maxOutflow Scheduled outflow limit (0 if none is pending)
+    /// @return outflowWindow Scheduled outflow window (0 if none is pending)
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function getPendingVolumeLimits() external view returns (uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow, uint256 effectiveAt) {
+        if (TradeLimits.isPending(tradeLimits)) {
+            TradeLimits.Settings storage settings = tradeLimits.scheduled;
+            return (settings.maxDailyVolume, settings.maxOutflow, settings.outflowWindow, tradeLimits.effectiveAt);
+        }
     }
 
-    /// @notice Emergency withdrawal of tokens
+    /// @notice Get the trade size change scheduled for a token, if it has not taken effect yet
+    /// @param token The token address
+    /// @return minTradeAmount Scheduled minimum (0 if none is pending)
+    /// @return maxTradeAmount Scheduled maximum (0 if none is pending)
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function getPendingTradeSize(address token) external view returns (uint256 minTradeAmount, uint256 maxTradeAmount, uint256 effectiveAt) {
+        return listings.listings[token].tradeSize.pending();
+    }
+
+    /// @notice Get the wei an address has traded today
+    /// @param account The trader
+    function dailyVolume(address account) external view returns (uint256) {
+        return tradeLimits.dailyVolume(account);
+    }
+
+    /// @notice Get the outflow of an asset counted against the rolling window, in wei
+    /// @param asset The token address, or the zero address for ETH
+    function currentOutflow(address asset) external view returns (uint256) {
+        return tradeLimits.currentOutflow(asset);
+    }
+
+    /// @notice Get the number of listed tokens
+    /// @return The listed token count
+    function listedTokenCount() external view returns (uint256) {
+        return listings.tokens.length;
+    }
+
+    /// @notice Get a page of the listed tokens
+    /// @dev Delisting moves the last listed token into the freed position
+    /// @param offset Index of the first token to return
+    /// @param limit Most tokens to return, at most MAX_PAGE_SIZE
+    /// @return tokens The listed tokens from `offset` on
+    function getListedTokens(uint256 offset, uint256 limit) external view returns (address[] memory tokens) {
+        require(limit <= MAX_PAGE_SIZE, "Page too large");
+        return listings.page(offset, limit);
+    }
+
+    /// @notice Get the fee change scheduled for a token, if it has not taken effect yet
+    /// @param token The token address
+    /// @return buyFeeBps Scheduled buy fee (0 if none is pending)
+    /// @return sellFeeBps Scheduled sell fee (0 if none is pending)
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function getPendingFeeChange(address token) external view returns (uint256 buyFeeBps, uint256 sellFeeBps, uint256 effectiveAt) {
+        return pricing.fees[IERC20(token)].pending();
+    }
+
+    /// @notice Get the configured fee recipients and their shares
+    /// @return recipients The fee recipients (empty when fees go to the treasury)
+    /// @return sharesBps Share of each recipient in basis points
+    function getFeeRecipients() external view returns (address[] memory recipients, uint256[] memory sharesBps) {
+        return (feeRecipients.accounts, feeRecipients.sharesBps);
+    }
+
+    /// @notice Quote the ETH needed to buy an amount of tokens, fee included
+    /// @param token The token address
+    /// @param amount Amount of tokens to buy
+    /// @return weiRequired Total ETH to send
+    /// @return fee Part of weiRequired that is charged as fee
+    function quoteBuy(address token, uint256 amount) external view returns (uint256 weiRequired, uint256 fee) {
+        uint256 rate = _tradeRate(IERC20(token), true);
+        return _quoteBuy(IERC20(token), rate, amount);
+    }
+
+    /// @notice Quote the ETH received for selling an amount of tokens, after fees
+    /// @param token The token address
+    /// @param amount Amount of tokens to sell
+    /// @return weiToReturn ETH paid out to the seller
+    /// @return fee ETH withheld as fee
+    function quoteSell(address token, uint256 amount) external view returns (uint256 weiToReturn, uint256 fee) {
+        uint256 rate = _tradeRate(IERC20(token), false);
+        return _quoteSell(IERC20(token), rate, amount);
+    }
+
+    /// @notice Quote the tokens bought by spending exactly `weiIn`
+    /// @param token The token address
+    /// @param weiIn ETH to spend, fee included
+    /// @return amountOut Tokens received
+    /// @return fee Part of weiIn that is charged as fee
+    function quoteBuyWithExactEth(address token, uint256 weiIn) external view returns (uint256 amountOut, uint256 fee) {
+        uint256 rate = _tradeRate(IERC20(token), true);
+        return _quoteBuyWithExactEth(IERC20(token), rate, weiIn);
+    }
+
+    /// @notice Quote the tokens needed to receive exactly `weiOut`
+    /// @param token The token address
+    /// @param weiOut ETH to receive, after fees
+    /// @return amountIn Tokens to sell
+    /// @return fee ETH withheld as fee
+    function quoteSellForExactEth(address token, uint256 weiOut) external view returns (uint256 amountIn, uint256 fee) {
+        uint256 rate = _tradeRate(IERC20(token), false);
+        return _quoteSellForExactEth(IERC20(token), rate, weiOut);
+    }
+
+    /// @notice Quote the `tokenOut` bought by swapping `amountIn` of `tokenIn`, after both fees
+    /// @param tokenIn The token to sell
+    /// @param tokenOut The token to buy
+    /// @param amountIn Amount of `tokenIn` to sell
+    /// @return amountOut Amount of `tokenOut` bought
+    /// @return ethAmount ETH value of the sale the purchase is paid with, sell fee deducted
+    function quoteSwap(address tokenIn, address tokenOut, uint256 amountIn) external view returns (uint256 amountOut, uint256 ethAmount) {
+        (ethAmount, ) = _quoteSell(IERC20(tokenIn), _tradeRate(IERC20(tokenIn), false), amountIn);
+        (amountOut, ) = _quoteBuyWithExactEth(IERC20(tokenOut), _tradeRate(IERC20(tokenOut), true), ethAmount);
+    }
+
+    /// @notice Get the shutdown state and what the office still owes
+    /// @return shutdown Whether the office is shut down
+    /// @return startedAt When it was shut down (0 while it is running)
+    /// @return sweepableAt When the owner can withdraw the remaining funds (0 while it is running)
+    /// @return pendingEth ETH owed to accounts as pending withdrawals
+    /// @return feesEth ETH owed to the fee recipients as accrued fees
+    /// @return liquidityShares LP shares outstanding in the liquidity pool (0 without a pool)
+    function getShutdownState() external view returns (
+        bool shutdown,
+        uint256 startedAt,
+        uint256 sweepableAt,
+        uint256 pendingEth,
+        uint256 feesEth,
+        uint256 liquidityShares
+    ) {
+        if (isShutdown) {
+            sweepableAt = shutdownAt + SHUTDOWN_GRACE_PERIOD;
+        }
+        if (liquidityPool != address(0)) {
+            liquidityShares = IERC20(liquidityPool).totalSupply();
+        }
+        return (isShutdown, shutdownAt, sweepableAt, payouts.totalPending, accruedFees, liquidityShares);
+    }
+
+    /// @notice Get the ETH owed to an account from payouts that could not be delivered, claimable with `claim`
+    /// @param account The account
+    function pendingWithdrawals(address account) external view returns (uint256) {
+        return payouts.pending[account];
+    }
+
+    /// @notice Get the sum of all pending withdrawals, kept apart from trading liquidity
+    function totalPendingWithdrawals() external view returns (uint256) {
+        return payouts.totalPending;
+    }
+
+    /// @notice Get the reserves trades with `token` draw on
+    /// @param token The token address
+    /// @return tokenReserve Tokens available to buyers
+    /// @return ethReserve Wei available to sellers, fees included
+    function getReserves(address token) external view returns (uint256 tokenReserve, uint256 ethReserve) {
+        return (reserves.tokens[token], reserves.eth);
+    }
+
+    /// @notice Get what the office holds beyond its reserves, which `skim` and `sync` act on
+    /// @param token The token address, or the zero address for ETH
+    function excessBalance(address token) external view returns (uint256) {
+        return reserves.excess(token, _owedEth());
+    }
+
+    /// @notice Most tokens a single buy can take right now, bounded by the reserve and the trade size
+    /// @dev 0 while trading is paused. Volume limits are not taken into account
+    /// @param token The token address
+    function maxBuyable(address token) external view returns (uint256) {
+        if (paused()) {
+            return 0;
+        }
+        return listings.capTradeSize(token, reserves.tokens[token]);
+    }
+
+    /// @notice Most tokens a single sell can take right now, bounded by the ETH reserve at the sell rate
+    /// and the trade size
+    /// @dev 0 while trading is paused. Volume limits are not taken into account. Reverts for a token
+    /// without rates, like `quoteSell`
+    /// @param token The token address
+    function maxSellable(address token) external view returns (uint256) {
+        if (paused()) {
+            return 0;
+        }
+        uint256 sellable = reserves.maxSellable(_tradeRate(IERC20(token), false), _unit(IERC20(token)));
+        return listings.capTradeSize(token, sellable);
+    }
+
+    /// @notice Emergency withdrawal of tokens to the owner
+    /// @dev Requires multisig approval once an approval threshold above 1 is set. After a shutdown,
+    /// only available once the grace period is over. While a liquidity pool is attached, the owner's pool
+    /// shares worth the withdrawal are burned, so liquidity providers keep their part of the reserves
     /// @param token The token address to withdraw
     /// @param amount Amount of tokens to withdraw
-    function withdrawToken(address token, uint256 amount) external onlyOwner {
-        require(amount > 0, "Amount must be greater than 0"); // Add this check
-        IERC20 tokenContract = IERC20(token);
-        require(amount <= tokenContract.balanceOf(address(this)), "Insufficient token balance");
-        require(tokenContract.transfer(owner(), amount), "Transfer failed");
+    function withdrawToken(address token, uint256 amount) external onlyApproved {
+        _checkSweepable();
+        _checkAmount(amount);
+        _burnOwnerShares(token, amount);
+        _releaseToken(token, owner(), amount);
         emit EmergencyWithdraw(token, amount);
     }
 
-    /// @notice Emergency withdrawal of ETH
+    /// @notice Emergency withdrawal of ETH to the owner
+    /// @dev Requires multisig approval once an approval threshold above 1 is set. After a shutdown,
+    /// only available once the grace period is over. Pending withdrawals and fees are never withdrawn, and
+    /// the owner's pool shares are burned as for `withdrawToken`
     /// @param amount Amount of ETH to withdraw
-    function withdrawETH(uint256 amount) external onlyOwner {
-        require(amount > 0, "Amount must be greater than 0"); // Add this check
-        require(amount <= address(this).balance, "Insufficient ETH balance");
-        payable(owner()).transfer(amount);
+    function withdrawETH(uint256 amount) external onlyApproved nonReentrant {
+        _checkSweepable();
+        _checkAmount(amount);
+        _burnOwnerShares(address(0), amount);
+        _releaseEth(owner(), amount);
         emit EmergencyEthWithdraw(amount);
     }
 
+    /// @notice Sends what the office holds beyond its reserve of `token` to `to`, e.g. tokens sent to
+    /// it by mistake
+    /// @dev Requires multisig approval once an approval threshold above 1 is set. The reserves, fees and
+    /// pending withdrawals are never touched
+    /// @param token The token address, or the zero address for ETH
+    /// @param to The recipient
+    function skim(address token, address to) external onlyApproved nonReentrant {
+        reserves.skim(token, to, _owedEth());
+    }
+
+    /// @notice Sets the reserve of `token` to what the office holds, so an excess balance is traded with
+    /// @dev The exchange owner is minted pool shares for what the sync adds to the reserve
+    /// @param token The token address, or the zero address for ETH
+    function sync(address token) external onlyRole(LIQUIDITY_MANAGER_ROLE) {
+        _mintOwnerShares(token, reserves.sync(token, _owedEth()));
+    }
+
+    /// @notice Sets the LiquidityPool that can release inventory to its withdrawing providers
+    /// @dev Requires multisig approval once an approval threshold above 1 is set, as the pool moves funds.
+    /// The pool must be one built for this office, and the current pool can only be replaced or detached
+    /// while it has no shares outstanding, so its providers are never left without a claim. Not available
+    /// after a shutdown
+    /// @param pool The pool, or the zero address to detach it
+    function setLiquidityPool(address pool) external onlyApproved {
+        _checkNotShutdown();
+        require(liquidityPool == address(0) || IERC20(liquidityPool).totalSupply() == 0, "Liquidity pool has shares");
+        require(pool == address(0) || address(ILiquidityPool(pool).exchange()) == address(this), "Pool is for another exchange");
+        liquidityPool = pool;
+        emit LiquidityPoolSet(pool);
+    }
+
+    /// @notice Sends inventory to a provider withdrawing from the liquidity pool
+    /// @dev Only callable by the pool, and only from the reserves. Works while paused or shut down,
+    /// so providers can always exit
+    /// @param token The token address, or the zero address for ETH
+    /// @param to The provider
+    /// @param amount Amount of tokens or wei to send
+    function releaseLiquidity(address token, address to, uint256 amount) external nonReentrant {
+        require(msg.sender == liquidityPool, "Caller is not the liquidity pool");
+        if (token == address(0)) {
+            _releaseEth(to, amount);
+        } else {
+            _releaseToken(token, to, amount);
+        }
+        emit LiquidityReleased(token, to, amount);
+    }
+
+    /// @notice Sends the caller the ETH owed to them from payouts that could not be delivered
+    /// @dev Available while paused or shut down, so owed ETH can always be recovered
+    function claim() external nonReentrant {
+        payouts.claim(msg.sender);
+    }
+
     /// @notice Initiates contract shutdown
-    function initiateShutdown() external onlyOwner {
+    /// @dev Requires multisig approval once an approval threshold above 1 is set. Trading stops for good,
+    /// while claims and liquidity pool withdrawals keep working. Owner withdrawals are locked until
+    /// SHUTDOWN_GRACE_PERIOD has passed. Also works while paused, e.g. after the outflow limit tripped
+    function initiateShutdown() external onlyApproved {
+        _checkNotShutdown();
         isShutdown = true;
-        _pause();
+        shutdownAt = block.timestamp;
+        if (!paused()) {
+            _pause();
+        }
         emit ShutdownInitiated(msg.sender);
     }
 
     /// @notice Pauses the contract
-    function pause() external onlyOwner {
+    function pause() external onlyRole(GUARDIAN_ROLE) {
         _pause();
     }
 
     /// @notice Unpauses the contract
+    /// @dev Reserved to the owner, so a guardian cannot undo a pause by another guardian
     function unpause() external onlyOwner {
         require(!isShutdown, "Cannot unpause: contract is shut down");
         _unpause();
     }
-}
\ No newline at end of file
+
+    /// @dev Sends `amount` tokens to the caller for the ETH sent, refunding any excess
+    function _buy(IERC20 token, uint256 amount, uint256 maxWei) internal {
+        _checkAmount(amount);
+        uint256 rate = _tradeRate(token, true);
+
+        (uint256 weiRequired, uint256 fee) = _quoteBuy(token, rate, amount);
+        require(weiRequired <= maxWei, "Price above maximum");
+        require(msg.value >= weiRequired, "Insufficient ETH sent for purchase");
+
+        _executeBuy(token, amount, weiRequired, fee);
+
+        uint256 excess = msg.value - weiRequired;
+        if(excess > 0) {
+            _sendEth(msg.sender, excess);
+        }
+    }
+
+    /// @dev Spends all of msg.value on as many tokens as it buys; the rounding remainder is kept
+    function _buyWithExactEth(IERC20 token, uint256 minAmountOut) internal {
+        _checkAmount(msg.value);
+        uint256 rate = _tradeRate(token, true);
+
+        (uint256 amount, uint256 fee) = _quoteBuyWithExactEth(token, rate, msg.value);
+        require(amount > 0, "ETH amount too small");
+        require(amount >= minAmountOut, "Token amount below minimum");
+
+        _executeBuy(token, amount, msg.value, fee);
+    }
+
+    /// @dev Takes `amount` tokens from the caller and pays out the value of what arrived, minus fees
+    function _sell(IERC20 token, uint256 amount, uint256 minWei) internal {
+        _checkAmount(amount);
+        uint256 rate = _tradeRate(token, false);
+
+        uint256 received = _collectTokens(token, amount);
+        (uint256 weiToReturn, uint256 fee) = _quoteSell(token, rate, received);
+        require(weiToReturn >= minWei, "Price below minimum");
+
+        _executeSell(token, received, weiToReturn, fee);
+    }
+
+    /// @dev Takes just enough tokens from the caller to pay out exactly `weiOut`
+    function _sellForExactEth(IERC20 token, uint256 weiOut, uint256 maxAmountIn) internal {
+        _checkAmount(weiOut);
+        uint256 rate = _tradeRate(token, false);
+
+        (uint256 amount, uint256 fee) = _quoteSellForExactEth(token, rate, weiOut);
+        require(amount <= maxAmountIn, "Token amount above maximum");
+
+        require(_collectTokens(token, amount) == amount, "Fee-on-transfer token not supported");
+        _executeSell(token, amount, weiOut, fee);
+    }
+
+    /// @dev Delivers bought tokens once the price has been settled; `ethAmount` is what the buyer pays
+    function _executeBuy(IERC20 token, uint256 amount, uint256 ethAmount, uint256 fee) internal {
+        listings.checkTradeSize(address(token), amount);
+        require(amount <= reserves.tokens[address(token)], "Insufficient exchange office token balance");
+
+        // The tokens leave the office, worth the price without the fee; the ETH comes in
+        _recordVolume(ethAmount, address(token), ethAmount - fee);
+
+        reserves.eth += ethAmount - fee;
+        accruedFees += fee;
+        reserves.release(address(token), msg.sender, amount);
+
+        if (fee > 0) {
+            emit FeesCollected(address(token), fee);
+        }
+        emit TokensBought(msg.sender, address(token), amount, ethAmount);
+    }
+
+    /// @dev Counts a trade against the daily volume of its trader and the outflow of `asset` (the zero address
+    /// for ETH), and pauses trading once the outflow limit is exceeded
+    function _recordVolume(uint256 ethAmount, address asset, uint256 outflow) internal {
+        if (tradeLimits.record(_trader(), ethAmount, asset, outflow)) {
+            _pause();
+        }
+    }
+
+    /// @dev The account a trade is for: the caller, or for a router the address it appends to the calldata
+    /// as in ERC-2771, so trades routed for someone count against their volume rather than the router's
+    function _trader() internal view returns (address) {
+        if (msg.data.length >= 24 && hasRole(ROUTER_ROLE, msg.sender)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /// @dev Pulls `amount` tokens from the caller and returns how many the office actually received
+    function _collectTokens(IERC20 token, uint256 amount) internal returns (uint256 received) {
+        return reserves.collect(address(token), msg.sender, amount);
+    }
+
+    /// @dev Pays `weiToReturn` for `amount` collected tokens once the price has been settled
+    function _executeSell(IERC20 token, uint256 amount, uint256 weiToReturn, uint256 fee) internal {
+        listings.checkTradeSize(address(token), amount);
+        // The fee is carved out of the liquidity, so the office must cover the full gross amount
+        require(weiToReturn + fee <= reserves.eth, "Insufficient exchange office ETH balance");
+
+        _recordVolume(weiToReturn, address(0), weiToReturn);
+
+        reserves.eth -= weiToReturn + fee;
+        accruedFees += fee;
+        _sendEth(msg.sender, weiToReturn);
+
+        if (fee > 0) {
+            emit FeesCollected(address(token), fee);
+        }
+        emit TokensSold(msg.sender, address(token), amount, weiToReturn);
+    }
+
+    /// @dev Validates the rates of a listed token and stores them, or schedules them when a delay is set.
+    /// Returns whether the rates were applied
+    function _setRates(address token, uint256 buyRate, uint256 sellRate) internal returns (bool applied) {
+        require(listings.listings[token].listed, "Token not listed");
+        return pricing.setRates(token, buyRate, sellRate, parameterDelay());
+    }
+
+    /// @dev Rate a trade executes at, the buy rate when `isBuy` and the sell rate otherwise
+    function _tradeRate(IERC20 token, bool isBuy) internal view returns (uint256 rate) {
+        return pricing.tradeRate(address(token), isBuy);
+    }
+
+    /// @dev Fees in effect: a scheduled change counts as soon as its time has come
+    function _fees(IERC20 token) internal view returns (uint256 buyFeeBps, uint256 sellFeeBps) {
+        return pricing.currentFees(address(token));
+    }
+
+    function _checkAmount(uint256 amount) internal pure {
+        require(amount > 0, "Amount must be greater than 0");
+    }
+
+    function _checkNotShutdown() internal view {
+        require(!isShutdown, "Contract is shut down");
+    }
+
+    /// @dev Owner withdrawals wait out the grace period after a shutdown, so users can claim first
+    function _checkSweepable() internal view {
+        require(!isShutdown || block.timestamp >= shutdownAt + SHUTDOWN_GRACE_PERIOD, "Grace period not over");
+    }
+
+    /// @dev Liquidity managers add to the owner's part of the pool; deposits through the pool mint their own shares
+    function _mintOwnerShares(address token, uint256 amount) internal {
+        if (liquidityPool != address(0) && msg.sender != liquidityPool && amount > 0) {
+            ILiquidityPool(liquidityPool).mintOwnerShares(token, amount);
+        }
+    }
+
+    /// @dev Owner withdrawals only take the owner's part of the pool, until a shutdown's grace period is over
+    function _burnOwnerShares(address token, uint256 amount) internal {
+        if (liquidityPool != address(0) && !isShutdown) {
+            ILiquidityPool(liquidityPool).burnOwnerShares(token, amount);
+        }
+    }
+
+    function _checkDeadline(uint256 deadline) internal view {
+        require(block.timestamp <= deadline, "Transaction expired");
+    }
+
+    /// @dev Token units in one whole token, the amount a rate is quoted for
+    function _unit(IERC20 token) internal view returns (uint256) {
+        return 10 ** tokenDecimals[token];
+    }
+
+    /// @dev Moves the role admin along with ownership, so the owner always manages roles. The operational
+    /// roles the previous owner still holds move too, so they do not outlive its ownership
+    function _transferOwnership(address newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(newOwner);
+        bytes32[5] memory roles = [DEFAULT_ADMIN_ROLE, RATE_MANAGER_ROLE, LIQUIDITY_MANAGER_ROLE, GUARDIAN_ROLE, TREASURER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            // The new owner is granted the admin role even when the previous owner did not hold it
+            if (oldOwner != address(0) && hasRole(roles[i], oldOwner)) {
+                _revokeRole(roles[i], oldOwner);
+            } else if (i > 0) {
+                continue;
+            }
+            if (newOwner != address(0)) {
+                _grantRole(roles[i], newOwner);
+            }
+        }
+    }
+
+    /// @dev Pays `amount`, recording it in `pendingWithdrawals` for `claim` if the recipient rejects it
+    function _sendEth(address to, uint256 amount) internal {
+        payouts.send(to, amount);
+    }
+
+    /// @dev Sends `amount` tokens out of the token's reserve
+    function _releaseToken(address token, address to, uint256 amount) internal {
+        require(amount <= reserves.tokens[token], "Insufficient token balance");
+        reserves.release(token, to, amount);
+    }
+
+    /// @dev Sends `amount` wei out of the ETH reserve
+    function _releaseEth(address to, uint256 amount) internal {
+        require(amount <= reserves.eth, "Insufficient ETH balance");
+        reserves.eth -= amount;
+        _sendEth(to, amount);
+    }
+
+    /// @dev ETH held by the office outside its reserves that it owes as fees and pending withdrawals
+    function _owedEth() internal view returns (uint256) {
+        return accruedFees + payouts.totalPending;
+    }
+
+    /// @dev Price of `amount` tokens plus the buy fee
+    function _quoteBuy(IERC20 token, uint256 rate, uint256 amount) internal view returns (uint256 weiRequired, uint256 fee) {
+        (uint256 feeBps, ) = _fees(token);
+        return ExchangeMath.quoteBuy(rate, _unit(token), feeBps, amount);
+    }
+
+    /// @dev Value of `amount` tokens minus the sell fee
+    function _quoteSell(IERC20 token, uint256 rate, uint256 amount) internal view returns (uint256 weiToReturn, uint256 fee) {
+        (, uint256 feeBps) = _fees(token);
+        return ExchangeMath.quoteSell(rate, _unit(token), feeBps, amount);
+    }
+
+    /// @dev Most tokens whose price plus fee fits in `weiIn`, and the fee charged on them
+    function _quoteBuyWithExactEth(IERC20 token, uint256 rate, uint256 weiIn) internal view returns (uint256 amount, uint256 fee) {
+        (uint256 feeBps, ) = _fees(token);
+        return ExchangeMath.quoteBuyWithExactEth(rate, _unit(token), feeBps, weiIn);
+    }
+
+    /// @dev Fewest tokens whose value minus fee covers `weiOut`, and the fee charged on them
+    function _quoteSellForExactEth(IERC20 token, uint256 rate, uint256 weiOut) internal view returns (uint256 amount, uint256 fee) {
+        (, uint256 feeBps) = _fees(token);
+        return ExchangeMath.quoteSellForExactEth(rate, _unit(token), feeBps, weiOut);
+    }
+}
@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./ExchangeOffice.sol";
+
+/// @title Limit orders for an ExchangeOffice
+/// @notice Users escrow ETH or tokens into standing orders that anyone (typically a keeper) can
+/// execute once the exchange's rate reaches the order's limit
+/// @dev Orders trade through the exchange's public `buyExact`/`sellExact` like any other user,
+/// so they need no special permissions and are subject to the exchange's fees, pause and liquidity.
+/// Given the exchange's ROUTER_ROLE, they count against the owner's daily volume rather than this contract's.
+/// Once the exchange is shut down no orders can be placed, and anyone can cancel open orders to return
+/// their escrow to the owners
+contract LimitOrderBook is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Most orders returned by one `getOrders` page
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    enum OrderStatus { Open, Filled, Cancelled }
+
+    /// @dev `escrow` is wei for buy orders and token units for sell orders
+    struct Order {
+        address owner;
+        address token;
+        bool isBuy;
+        OrderStatus status;
+        uint256 amount;
+        uint256 limitRate;
+        uint256 escrow;
+    }
+
+    /// @notice The exchange orders are executed on
+    ExchangeOffice public immutable exchange;
+    /// @notice ETH owed to order owners whose direct payout failed, claimable with `claim`
+    mapping(address => uint256) public pendingWithdrawals;
+    Order[] private orders;
+
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed owner,
+        address indexed token,
+        bool isBuy,
+        uint256 amount,
+        uint256 limitRate,
+        uint256 escrow
+    );
+    event OrderCancelled(uint256 indexed orderId);
+    event OrderExecuted(uint256 indexed orderId, address indexed executor, uint256 amount, uint256 ethAmount);
+    event PaymentDeferred(address indexed account, uint256 amount);
+    event PaymentClaimed(address indexed account, uint256 amount);
+
+    /// @param exchange_ The exchange orders are executed on
+    constructor(ExchangeOffice exchange_) {
+        require(address(exchange_) != address(0), "Exchange cannot be zero address");
+        exchange = exchange_;
+    }
+
+    /// @dev Only the exchange sends ETH here, as buy refunds and sell proceeds
+    receive() external payable {
+        require(msg.sender == address(exchange), "Only the exchange can send ETH");
+    }
+
+    /// @notice Escrows msg.value to buy `amount` tokens once the buy rate drops to `maxRate` or below
+    /// @dev msg.value must cover the price and buy fee at execution time; the rest is refunded then
+    /// @param token The token to buy
+    /// @param amount Amount of tokens to buy
+    /// @param maxRate Highest buy rate to execute at, in wei per whole token
+    /// @return orderId The id of the new order
+    function placeBuyOrder(address token, uint256 amount, uint256 maxRate) external payable nonReentrant returns (uint256 orderId) {
+        require(msg.value > 0, "Escrow must be greater than 0");
+        return _place(token, true, amount, maxRate, msg.value);
+    }
+
+    /// @notice Escrows `amount` tokens to sell once the sell rate rises to `minRate` or above
+    /// @dev Fee-on-transfer tokens escrow and later sell the amount actually received
+    /// @param token The token to sell
+    /// @param amount Amount of tokens to sell
+    /// @param minRate Lowest sell rate to execute at, in wei per whole token
+    /// @return orderId The id of the new order
+    function placeSellOrder(address token, uint256 amount, uint256 minRate) external nonReentrant returns (uint256 orderId) {
+        require(amount > 0, "Amount must be greater than 0");
+        IERC20 tokenContract = IERC20(token);
+        uint256 balanceBefore = tokenContract.balanceOf(address(this));
+        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = tokenContract.balanceOf(address(this)) - balanceBefore;
+        return _place(token, false, received, minRate, received);
+    }
+
+    /// @notice Cancels an open order and returns its escrow to the owner
+    /// @dev Only the owner can cancel, or anyone once the exchange is shut down and the order can never fill
+    /// @param orderId The order id
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = _openOrder(orderId);
+        require(order.owner == msg.sender || exchange.isShutdown(), "Caller is not the order owner");
+        order.status = OrderStatus.Cancelled;
+        emit OrderCancelled(orderId);
+
+        if (order.isBuy) {
+            _sendEth(order.owner, order.escrow);
+        } else {
+            IERC20(order.token).safeTransfer(order.owner, order.escrow);
+        }
+    }
+
+    /// @notice Executes an open order whose limit the exchange rate has reached
+    /// @dev Callable by anyone. Bought tokens and any unspent escrow, or sale proceeds, go to the owner
+    /// @param orderId The order id
+    function executeOrder(uint256 orderId) external nonReentrant {
+        Order storage order = _openOrder(orderId);
+        require(_limitReached(order), "Limit not reached");
+        order.status = OrderStatus.Filled;
+
+        IERC20 token = IERC20(order.token);
+        uint256 ethBefore = address(this).balance;
+        uint256 amount;
+        uint256 ethAmount;
+        if (order.isBuy) {
+            uint256 tokensBefore = token.balanceOf(address(this));
+            _tradeFor(order.owner, abi.encodeCall(ExchangeOffice.buyExact, (order.token, order.amount, order.escrow, block.timestamp)), order.escrow);
+            amount = token.balanceOf(address(this)) - tokensBefore;
+            // The exchange refunds whatever the purchase did not cost
+            uint256 refund = address(this).balance + order.escrow - ethBefore;
+            ethAmount = order.escrow - refund;
+            token.safeTransfer(order.owner, amount);
+            _sendEth(order.owner, refund);
+        } else {
+            amount = order.escrow;
+            token.safeIncreaseAllowance(address(exchange), amount);
+            _tradeFor(order.owner, abi.encodeCall(ExchangeOffice.sellExact, (order.token, amount, 0, block.timestamp)), 0);
+            ethAmount = address(this).balance - ethBefore;
+            _sendEth(order.owner, ethAmount);
+        }
+        emit OrderExecuted(orderId, msg.sender, amount, ethAmount);
+    }
+
+    /// @notice Sends the caller the ETH owed to them from payouts that could not be delivered
+    function claim() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "ETH transfer failed");
+        emit PaymentClaimed(msg.sender, amount);
+    }
+
+    /// @notice Whether an order is open and its limit has been reached
+    /// @dev A buy order can still fail when its escrow no longer covers the buy fee, or when the
+    /// exchange is paused or lacks liquidity; keepers should simulate before sending
+    /// @param orderId The order id
+    /// @return True if `executeOrder` would pass the limit check
+    function isExecutable(uint256 orderId) external view returns (bool) {
+        require(orderId < orders.length, "Unknown order");
+        Order storage order = orders[orderId];
+        return order.status == OrderStatus.Open && _limitReached(order);
+    }
+
+    /// @notice Get an order
+    /// @param orderId The order id
+    /// @return The order
+    function getOrder(uint256 orderId) external view returns (Order memory) {
+        require(orderId < orders.length, "Unknown order");
+        return orders[orderId];
+    }
+
+    /// @notice Get the number of orders ever placed
+    /// @return The order count, which is also the next order id
+    function orderCount() external view returns (uint256) {
+        return orders.length;
+    }
+
+    /// @notice Get a page of the order book, in order id order
+    /// @param offset Id of the first order to return
+    /// @param limit Most orders to return, at most MAX_PAGE_SIZE
+    /// @return page The orders; their ids are `offset` to `offset + page.length - 1`
+    function getOrders(uint256 offset, uint256 limit) external view returns (Order[] memory page) {
+        require(limit <= MAX_PAGE_SIZE, "Page too large");
+        if (offset >= orders.length) {
+            return page;
+        }
+        uint256 end = offset + limit > orders.length ? orders.length : offset + limit;
+        page = new Order[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = orders[i];
+        }
+    }
+
+    function _place(address token, bool isBuy, uint256 amount, uint256 limitRate, uint256 escrow) private returns (uint256 orderId) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(limitRate > 0, "Rate must be greater than 0");
+        require(!exchange.isShutdown(), "Contract is shut down");
+        require(exchange.isTokenSupported(token), "Token not supported");
+
+        orderId = orders.length;
+        orders.push(Order({
+            owner: msg.sender,
+            token: token,
+            isBuy: isBuy,
+            status: OrderStatus.Open,
+            amount: amount,
+            limitRate: limitRate,
+            escrow: escrow
+        }));
+        emit OrderPlaced(orderId, msg.sender, token, isBuy, amount, limitRate, escrow);
+    }
+
+    function _openOrder(uint256 orderId) private view returns (Order storage order) {
+        require(orderId < orders.length, "Unknown order");
+        order = orders[orderId];
+        require(order.status == OrderStatus.Open, "Order not open");
+    }
+
+    /// @dev Buy orders wait for the buy rate to fall to their limit, sell orders for the sell rate to rise to it.
+    /// A token whose price feed is unusable counts as not reached
+    function _limitReached(Order storage order) private view returns (bool) {
+        try exchange.getRates(order.token) returns (uint256 buyRate, uint256 sellRate) {
+            return order.isBuy ? buyRate != 0 && buyRate <= order.limitRate : sellRate >= order.limitRate;
+        } catch {
+            return false;
+        }
+    }
+
+    /// @dev Calls the exchange with `trader` appended to the calldata, so that with ROUTER_ROLE the trade
+    /// counts against the trader's daily volume rather than this contract's. Reverts bubble up
+    function _tradeFor(address trader, bytes memory data, uint256 value) private {
+        Address.functionCallWithValue(address(exchange), abi.encodePacked(data, trader), value);
+    }
+
+    /// @dev Pays `amount` with a plain call, deferring it to `claim` if the recipient rejects it
+    function _sendEth(address to, uint256 amount) private {
+        if (amount == 0) {
+            return;
+        }
+        (bool success, ) = payable(to).call{value: amount}("");
+        if (!success) {
+            pendingWithdrawals[to] += amount;
+            emit PaymentDeferred(to, amount);
+        }
+    }
+}
@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ExchangeOffice.sol";
+import "./interfaces/ILiquidityPool.sol";
+
+/// @title Liquidity pool for an ExchangeOffice
+/// @notice Anyone can deposit ETH or listed tokens into the exchange's inventory and receive LP shares,
+/// an ERC20 claim on a pro-rata part of that inventory. Shares are redeemed in kind: a withdrawal
+/// takes the same fraction of the exchange's ETH and of each listed token reserve
+/// @dev Deposits go straight into the exchange's reserves, so the pool holds no funds itself. The whole inventory
+/// is pooled: the spread earned as trades move it accrues to every share, and fees reach the pool
+/// when it is made a fee recipient. Inventory that predates the first deposit is credited to the
+/// exchange owner as shares, so no provider can claim it; what liquidity managers add later mints the owner
+/// more shares, and the owner's emergency withdrawals burn them. Shares are priced against the pool's
+/// `totalAskValue`, what its inventory would cost to buy from the exchange, while deposits are valued at what
+/// the exchange would pay for them: a deposit followed by a withdrawal cannot buy tokens below the exchange's
+/// buy rate or sell them above its sell rate
+contract LiquidityPool is ERC20, ReentrancyGuard, ILiquidityPool {
+    using SafeERC20 for IERC20;
+
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+
+    /// @notice The exchange whose inventory is pooled
+    ExchangeOffice public immutable exchange;
+
+    event Deposited(address indexed provider, address indexed token, uint256 amount, uint256 value, uint256 shares);
+    event Withdrawn(address indexed provider, uint256 shares, uint256 ethAmount);
+    event OwnerSharesMinted(address indexed owner, uint256 shares);
+    event OwnerSharesBurned(address indexed owner, uint256 shares);
+    event FeesReceived(uint256 amount);
+
+    /// @param exchange_ The exchange whose inventory is pooled
+    constructor(ExchangeOffice exchange_) ERC20("Exchange Office LP Share", "EOLP") {
+        require(address(exchange_) != address(0), "Exchange cannot be zero address");
+        exchange = exchange_;
+    }
+
+    /// @notice Passes ETH on to the exchange as liquidity
+    /// @dev This is how fees claimed to the pool as a fee recipient are shared with the providers
+    receive() external payable {
+        _forwardEth(msg.value);
+        emit FeesReceived(msg.value);
+    }
+
+    /// @notice Deposits msg.value into the exchange for shares
+    /// @dev Only while the pool is the exchange's liquidity pool, as its inventory is what the shares claim
+    /// @param minShares Fewest shares to accept
+    /// @return shares Shares minted to the caller
+    function depositEth(uint256 minShares) external payable nonReentrant returns (uint256 shares) {
+        _checkAttached();
+        require(msg.value > 0, "Amount must be greater than 0");
+        // Valued before msg.value reaches the exchange
+        shares = _mintShares(totalAskValue(), msg.value, minShares);
+        _forwardEth(msg.value);
+        emit Deposited(msg.sender, address(0), msg.value, msg.value, shares);
+    }
+
+    /// @notice Deposits `amount` tokens into the exchange for shares, valued at what selling them to the
+    /// exchange would pay, i.e. at the token's sell rate less the sell fee
+    /// @dev The tokens pass through the pool to the exchange's `supplyToken`. Fee-on-transfer tokens are
+    /// valued by the amount the exchange actually receives. Only while the pool is the exchange's liquidity pool
+    /// @param token A listed token with rates
+    /// @param amount Amount of tokens to deposit
+    /// @param minShares Fewest shares to accept
+    /// @return shares Shares minted to the caller
+    function depositToken(address token, uint256 amount, uint256 minShares) external nonReentrant returns (uint256 shares) {
+        _checkAttached();
+        require(amount > 0, "Amount must be greater than 0");
+        (, uint256 sellRate) = exchange.getRates(token);
+        require(sellRate > 0, "Token not supported");
+        // Valued before the transfer, which would count the deposit towards the pool's value
+        uint256 poolValue = totalAskValue();
+
+        IERC20 tokenContract = IERC20(token);
+        uint256 balanceBefore = tokenContract.balanceOf(address(this));
+        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 pulled = tokenContract.balanceOf(address(this)) - balanceBefore;
+        (uint256 reserveBefore, ) = exchange.getReserves(token);
+        tokenContract.safeIncreaseAllowance(address(exchange), pulled);
+        exchange.supplyToken(token, pulled);
+        (uint256 reserveAfter, ) = exchange.getReserves(token);
+        uint256 received = reserveAfter - reserveBefore;
+
+        (uint256 value, ) = exchange.quoteSell(token, received);
+        shares = _mintShares(poolValue, value, minShares);
+        emit Deposited(msg.sender, token, received, value, shares);
+    }
+
+    /// @notice Burns `shares` for the same fraction of the exchange's ETH and listed token reserves
+    /// @dev Available while the exchange is paused or shut down. ETH the caller cannot receive is
+    /// deferred by the exchange to its `pendingWithdrawals`
+    /// @param shares Shares to redeem
+    /// @return ethAmount Wei paid out
+    function withdraw(uint256 shares) external nonReentrant returns (uint256 ethAmount) {
+        require(shares > 0, "Amount must be greater than 0");
+        address[] memory tokens;
+        uint256[] memory amounts;
+        (tokens, amounts, ethAmount) = previewWithdraw(shares);
+        _burn(msg.sender, shares);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (amounts[i] > 0) {
+                exchange.releaseLiquidity(tokens[i], msg.sender, amounts[i]);
+            }
+        }
+        if (ethAmount > 0) {
+            exchange.releaseLiquidity(address(0), msg.sender, ethAmount);
+        }
+        emit Withdrawn(msg.sender, shares, ethAmount);
+    }
+
+    /// @inheritdoc ILiquidityPool
+    /// @dev Called by the exchange once the inventory has been added. The amount is valued at its sell rate,
+    /// against the pool's ask value before the addition. Nothing is minted before the first deposit, which
+    /// credits the owner with the whole inventory anyway
+    function mintOwnerShares(address token, uint256 amount) external returns (uint256 shares) {
+        require(msg.sender == address(exchange), "Caller is not the exchange");
+        uint256 supply = totalSupply();
+        uint256 value = _value(token, amount, false);
+        if (supply == 0 || value == 0) {
+            return 0;
+        }
+        uint256 poolValue = totalAskValue() - _value(token, amount, true);
+        require(poolValue > 0, "Pool has no value");
+        shares = Math.mulDiv(value, supply, poolValue);
+        address owner = exchange.owner();
+        _mint(owner, shares);
+        emit OwnerSharesMinted(owner, shares);
+    }
+
+    /// @inheritdoc ILiquidityPool
+    /// @dev Called by the exchange before it releases the withdrawal. The amount is valued like a purchase
+    /// from the exchange, against the pool's value while it still holds the amount, and the shares are
+    /// rounded up. Reverts for a listed token without rates, whose reserve the pool pays out but cannot
+    /// value, and when the owner holds too few shares, so the withdrawal cannot take the providers' part
+    function burnOwnerShares(address token, uint256 amount) external returns (uint256 shares) {
+        require(msg.sender == address(exchange), "Caller is not the exchange");
+        uint256 supply = totalSupply();
+        if (supply == 0) {
+            // No deposits yet, so the whole inventory is the owner's
+            return 0;
+        }
+        if (token != address(0)) {
+            (uint256 buyRate, ) = _rates(token);
+            require(buyRate > 0, "Token not supported");
+        }
+        shares = Math.mulDiv(_value(token, amount, true), supply, totalAskValue(), Math.Rounding.Up);
+        address owner = exchange.owner();
+        require(shares <= balanceOf(owner), "Withdrawal exceeds owner's shares");
+        _burn(owner, shares);
+        emit OwnerSharesBurned(owner, shares);
+    }
+
+    /// @notice What redeeming `shares` would pay out
+    /// @param shares Shares to redeem
+    /// @return tokens The listed tokens
+    /// @return amounts Amount of each token paid out
+    /// @return ethAmount Wei paid out
+    function previewWithdraw(uint256 shares) public view returns (address[] memory tokens, uint256[] memory amounts, uint256 ethAmount) {
+        uint256 supply = totalSupply();
+        require(shares <= supply, "Shares exceed supply");
+        tokens = _listedTokens();
+        amounts = new uint256[](tokens.length);
+        if (shares == 0) {
+            return (tokens, amounts, 0);
+        }
+        for (uint256 i = 0; i < tokens.length; i++) {
+            (uint256 tokenReserve, ) = exchange.getReserves(tokens[i]);
+            amounts[i] = Math.mulDiv(tokenReserve, shares, supply);
+        }
+        ethAmount = Math.mulDiv(_ethReserve(), shares, supply);
+    }
+
+    /// @notice Value of the pooled inventory in wei: the exchange's ETH reserve plus its listed token
+    /// reserves at their sell rates
+    /// @dev A token whose price feed is unusable and has no fallback is valued at its manual rates
+    function totalValue() public view returns (uint256) {
+        return _poolValue(false);
+    }
+
+    /// @notice What buying the pooled inventory from the exchange would cost in wei: its ETH reserve plus
+    /// its listed token reserves at their buy rates, buy fees included. Shares are priced against it
+    /// @dev A token whose price feed is unusable and has no fallback is valued at its manual rates
+    function totalAskValue() public view returns (uint256) {
+        return _poolValue(true);
+    }
+
+    /// @dev ETH reserve plus the listed token reserves, valued as `_value` does
+    function _poolValue(bool atAsk) internal view returns (uint256 value) {
+        value = _ethReserve();
+        address[] memory tokens = _listedTokens();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            (uint256 tokenReserve, ) = exchange.getReserves(tokens[i]);
+            value += _value(tokens[i], tokenReserve, atAsk);
+        }
+    }
+
+    /// @dev Mints the caller the shares `value` buys in a pool worth `poolValue`
+    function _mintShares(uint256 poolValue, uint256 value, uint256 minShares) internal returns (uint256 shares) {
+        require(!exchange.paused(), "Pausable: paused");
+        uint256 supply = totalSupply();
+        if (supply == 0 && poolValue > 0) {
+            // Inventory nobody holds shares in belongs to the exchange owner
+            address owner = exchange.owner();
+            _mint(owner, poolValue);
+            supply = poolValue;
+            emit OwnerSharesMinted(owner, poolValue);
+        }
+        if (supply == 0) {
+            shares = value;
+        } else {
+            require(poolValue > 0, "Pool has no value");
+            shares = Math.mulDiv(value, supply, poolValue);
+        }
+        require(shares > 0, "Deposit too small");
+        require(shares >= minShares, "Shares below minimum");
+        _mint(msg.sender, shares);
+    }
+
+    /// @dev Wei value of `amount` of `token` (the zero address for ETH): at its buy rate plus the buy fee when
+    /// `atAsk`, and at its sell rate otherwise. 0 for a token without rates
+    function _value(address token, uint256 amount, bool atAsk) internal view returns (uint256) {
+        if (token == address(0)) {
+            return amount;
+        }
+        (uint256 buyRate, uint256 sellRate) = _rates(token);
+        uint256 unit = 10 ** exchange.tokenDecimals(IERC20(token));
+        if (!atAsk) {
+            return Math.mulDiv(amount, sellRate, unit);
+        }
+        (uint256 buyFeeBps, ) = exchange.getFees(token);
+        return Math.mulDiv(amount, buyRate * (BPS_DENOMINATOR + buyFeeBps), unit * BPS_DENOMINATOR, Math.Rounding.Up);
+    }
+
+    /// @dev The token's rates in effect, or its manual rates while its price feed is unusable without a
+    /// fallback, so a halted token does not lock up the pool
+    function _rates(address token) internal view returns (uint256 buyRate, uint256 sellRate) {
+        try exchange.getRates(token) returns (uint256 buyRate_, uint256 sellRate_) {
+            return (buyRate_, sellRate_);
+        } catch {
+            return exchange.getManualRates(token);
+        }
+    }
+
+    function _checkAttached() internal view {
+        require(exchange.liquidityPool() == address(this), "Pool not attached");
+    }
+
+    function _forwardEth(uint256 amount) internal {
+        (bool success, ) = payable(address(exchange)).call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+
+    function _ethReserve() internal view returns (uint256 ethReserve) {
+        (, ethReserve) = exchange.getReserves(address(0));
+    }
+
+    function _listedTokens() internal view returns (address[] memory tokens) {
+        uint256 count = exchange.listedTokenCount();
+        uint256 pageSize = exchange.MAX_PAGE_SIZE();
+        tokens = new address[](count);
+        for (uint256 offset = 0; offset < count; offset += pageSize) {
+            address[] memory page = exchange.getListedTokens(offset, pageSize);
+            for (uint256 i = 0; i < page.length; i++) {
+                tokens[offset + i] = page[i];
+            }
+        }
+    }
+}
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./libraries/Approvals.sol";
+
+/// @title M-of-N approval for high-impact actions
+/// @notice Approvers propose calls to this contract, approve them, and execute them once
+/// `approvalThreshold` current approvers have approved
+/// @dev Functions guarded by `onlyApproved` can be called by the owner directly while the
+/// threshold is at most 1, and only through an executed proposal once it is higher. The bookkeeping
+/// lives in the linked Approvals library
+abstract contract MultiApproval is Ownable {
+    using Approvals for Approvals.Book;
+
+    /// @notice Maximum number of approvers
+    uint256 public constant MAX_APPROVERS = Approvals.MAX_APPROVERS;
+
+    Approvals.Book private book;
+
+    event ApproversSet(address[] approvers, uint256 threshold);
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, bytes data);
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver);
+    event ProposalCancelled(uint256 indexed proposalId);
+    event ProposalExecuted(uint256 indexed proposalId);
+
+    /// @notice Ensures the call comes from an executed proposal, or from the owner while no multisig is required
+    modifier onlyApproved() {
+        _checkApproved();
+        _;
+    }
+
+    /// @notice Sets the approvers and the number of approvals a proposal needs
+    /// @dev Pass an empty list and a threshold of 0 to return control to the owner alone
+    /// @param newApprovers The approvers
+    /// @param threshold Approvals needed to execute a proposal
+    function setApprovers(address[] calldata newApprovers, uint256 threshold) external onlyApproved {
+        book.setApprovers(newApprovers, threshold);
+    }
+
+    /// @notice Proposes a call to this contract, approved by the proposer
+    /// @param data Calldata of the call, e.g. an encoded `withdrawETH(amount)`
+    /// @return proposalId The id of the new proposal
+    function propose(bytes calldata data) external returns (uint256 proposalId) {
+        return book.propose(data);
+    }
+
+    /// @notice Approves a pending proposal
+    /// @param proposalId The proposal id
+    function approve(uint256 proposalId) external {
+        book.approve(proposalId);
+    }
+
+    /// @notice Cancels a pending proposal
+    /// @dev Only its proposer can cancel a proposal
+    /// @param proposalId The proposal id
+    function cancelProposal(uint256 proposalId) external {
+        book.cancel(proposalId);
+    }
+
+    /// @notice Executes a proposal that has enough approvals, reverting with the call's own error if it fails
+    /// @param proposalId The proposal id
+    function execute(uint256 proposalId) external {
+        book.execute(proposalId);
+    }
+
+    /// @notice Transfers ownership; requires multisig approval once a threshold above 1 is set
+    /// @param newOwner The new owner
+    function transferOwnership(address newOwner) public override onlyApproved {
+        require(newOwner != address(0), "Ownable: new owner is the zero address");
+        _transferOwnership(newOwner);
+    }
+
+    /// @notice Leaves the contract without owner; requires multisig approval once a threshold above 1 is set
+    function renounceOwnership() public override onlyApproved {
+        _transferOwnership(address(0));
+    }
+
+    /// @notice Approvals needed to execute a proposal
+    /// @return The threshold
+    function approvalThreshold() external view returns (uint256) {
+        return book.threshold;
+    }
+
+    /// @notice Whether an address is currently an approver
+    /// @param account The address to check
+    /// @return True if `account` is an approver
+    function isApprover(address account) external view returns (bool) {
+        return book.isApprover[account];
+    }
+
+    /// @notice Whether an approver has approved a proposal
+    /// @param proposalId The proposal id
+    /// @param account The approver
+    /// @return True if `account` approved the proposal
+    function hasApproved(uint256 proposalId, address account) external view returns (bool) {
+        return book.hasApproved[proposalId][account];
+    }
+
+    /// @notice Get the current approvers
+    /// @return The approver addresses
+    function getApprovers() external view returns (address[] memory) {
+        return book.approvers;
+    }
+
+    /// @notice Get the number of proposals ever created
+    /// @return The proposal count, which is also the next proposal id
+    function proposalCount() external view returns (uint256) {
+        return book.proposals.length;
+    }
+
+    /// @notice Get a proposal
+    /// @param proposalId The proposal id
+    /// @return proposer Who proposed it
+    /// @return data Calldata of the proposed call
+    /// @return approvals Approvals from current approvers
+    /// @return executed Whether it has been executed
+    /// @return cancelled Whether it has been cancelled
+    function getProposal(uint256 proposalId) external view returns (
+        address proposer,
+        bytes memory data,
+        uint256 approvals,
+        bool executed,
+        bool cancelled
+    ) {
+        return book.getProposal(proposalId);
+    }
+
+    /// @notice Counts the approvals of a proposal from current approvers
+    /// @dev Approvals of removed approvers no longer count
+    /// @param proposalId The proposal id
+    /// @return Number of current approvers that approved
+    function approvalCount(uint256 proposalId) external view returns (uint256) {
+        return book.approvalCount(proposalId);
+    }
+
+    /// @dev Reverts unless the call comes from an executed proposal, or from the owner while no multisig is required
+    function _checkApproved() internal view {
+        if (msg.sender != address(this)) {
+            require(book.threshold <= 1, "Requires multisig approval");
+            _checkOwner();
+        }
+    }
+}
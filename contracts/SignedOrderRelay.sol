@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "./ExchangeOffice.sol";
+
+/// @title Signed orders for an ExchangeOffice
+/// @notice Traders sign EIP-712 buy and sell orders off-chain, and any relayer can submit them, paying the
+/// gas in exchange for the order's relayer fee. Buy orders spend ETH the trader deposited here; sell orders
+/// take tokens the trader approved to this contract, which a relayer can arrange with an EIP-2612 `permit`
+/// @dev Orders trade through the exchange's public `buyExact`/`sellExact` like any other user, so they are
+/// subject to the exchange's fees, pause and liquidity. Given the exchange's ROUTER_ROLE, they count
+/// against the trader's daily volume; without it, against this contract's
+contract SignedOrderRelay is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @dev `limit` bounds the exchange trade: the most wei a buy may cost, fee included, or the least wei a
+    /// sale must pay out. `relayerFee` is paid to the submitter on top of a buy and out of a sale's proceeds
+    struct Order {
+        address trader;
+        address token;
+        bool isBuy;
+        uint256 amount;
+        uint256 limit;
+        uint256 relayerFee;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address trader,address token,bool isBuy,uint256 amount,uint256 limit,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice The exchange orders are executed on
+    ExchangeOffice public immutable exchange;
+    /// @notice ETH held for each account: deposits for buy orders, plus payouts that could not be delivered
+    mapping(address => uint256) public balances;
+    /// @notice Whether a trader's nonce has been used by an executed or cancelled order
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+
+    event Deposited(address indexed account, uint256 amount);
+    event Withdrawn(address indexed account, uint256 amount);
+    event OrderExecuted(
+        address indexed trader,
+        uint256 indexed nonce,
+        address indexed relayer,
+        address token,
+        bool isBuy,
+        uint256 amount,
+        uint256 ethAmount
+    );
+    event OrderCancelled(address indexed trader, uint256 indexed nonce);
+    event PaymentDeferred(address indexed account, uint256 amount);
+
+    /// @param exchange_ The exchange orders are executed on
+    constructor(ExchangeOffice exchange_) EIP712("ExchangeOffice SignedOrderRelay", "1") {
+        require(address(exchange_) != address(0), "Exchange cannot be zero address");
+        exchange = exchange_;
+    }
+
+    /// @dev Only the exchange sends ETH here, as buy refunds and sell proceeds
+    receive() external payable {
+        require(msg.sender == address(exchange), "Only the exchange can send ETH");
+    }
+
+    /// @notice Deposits msg.value for the caller's buy orders
+    /// @dev Refused once the exchange is shut down; withdrawals keep working
+    function deposit() external payable {
+        require(msg.value > 0, "Amount must be greater than 0");
+        require(!exchange.isShutdown(), "Contract is shut down");
+        balances[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    /// @notice Withdraws ETH from the caller's balance
+    /// @param amount Wei to withdraw
+    function withdraw(uint256 amount) external nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        require(balances[msg.sender] >= amount, "Insufficient balance");
+        balances[msg.sender] -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "ETH transfer failed");
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /// @notice Executes an order signed by its trader
+    /// @dev Callable by anyone, who receives the relayer fee. Bought tokens and sale proceeds go to the
+    /// trader; the part of a buy's `limit` the purchase did not cost stays in the trader's balance
+    /// @param order The order
+    /// @param signature The trader's EIP-712 signature of the order
+    function executeOrder(Order calldata order, bytes calldata signature) external nonReentrant {
+        require(ECDSA.recover(hashOrder(order), signature) == order.trader, "Invalid signature");
+        require(!nonceUsed[order.trader][order.nonce], "Nonce already used");
+        nonceUsed[order.trader][order.nonce] = true;
+
+        IERC20 token = IERC20(order.token);
+        uint256 ethBefore = address(this).balance;
+        uint256 amount;
+        uint256 ethAmount;
+        if (order.isBuy) {
+            require(balances[order.trader] >= order.limit + order.relayerFee, "Insufficient balance");
+            balances[order.trader] -= order.limit + order.relayerFee;
+
+            uint256 tokensBefore = token.balanceOf(address(this));
+            _tradeFor(order.trader, abi.encodeCall(ExchangeOffice.buyExact, (order.token, order.amount, order.limit, order.deadline)), order.limit);
+            amount = token.balanceOf(address(this)) - tokensBefore;
+            // The exchange refunds whatever the purchase did not cost
+            uint256 refund = address(this).balance + order.limit - ethBefore;
+            ethAmount = order.limit - refund;
+            balances[order.trader] += refund;
+            token.safeTransfer(order.trader, amount);
+        } else {
+            uint256 tokensBefore = token.balanceOf(address(this));
+            token.safeTransferFrom(order.trader, address(this), order.amount);
+            amount = token.balanceOf(address(this)) - tokensBefore;
+
+            token.safeIncreaseAllowance(address(exchange), amount);
+            _tradeFor(order.trader, abi.encodeCall(ExchangeOffice.sellExact, (order.token, amount, order.limit, order.deadline)), 0);
+            ethAmount = address(this).balance - ethBefore;
+            require(ethAmount >= order.relayerFee, "Proceeds below relayer fee");
+            _sendEth(order.trader, ethAmount - order.relayerFee);
+        }
+        _sendEth(msg.sender, order.relayerFee);
+        emit OrderExecuted(order.trader, order.nonce, msg.sender, order.token, order.isBuy, amount, ethAmount);
+    }
+
+    /// @notice Cancels the caller's orders signed with `nonce`
+    /// @param nonce The nonce to invalidate
+    function cancelOrder(uint256 nonce) external {
+        require(!nonceUsed[msg.sender][nonce], "Nonce already used");
+        nonceUsed[msg.sender][nonce] = true;
+        emit OrderCancelled(msg.sender, nonce);
+    }
+
+    /// @notice The EIP-712 digest a trader signs for `order`
+    /// @param order The order
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ORDER_TYPEHASH,
+            order.trader,
+            order.token,
+            order.isBuy,
+            order.amount,
+            order.limit,
+            order.relayerFee,
+            order.nonce,
+            order.deadline
+        )));
+    }
+
+    /// @notice The EIP-712 domain separator orders are signed under
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /// @dev Calls the exchange with `trader` appended to the calldata, so that with ROUTER_ROLE the trade
+    /// counts against the trader's daily volume rather than this contract's. Reverts bubble up
+    function _tradeFor(address trader, bytes memory data, uint256 value) private {
+        Address.functionCallWithValue(address(exchange), abi.encodePacked(data, trader), value);
+    }
+
+    /// @dev Pays `amount` with a plain call, adding it to the recipient's balance if they reject it
+    function _sendEth(address to, uint256 amount) private {
+        if (amount == 0) {
+            return;
+        }
+        (bool success, ) = payable(to).call{value: amount}("");
+        if (!success) {
+            balances[to] += amount;
+            emit PaymentDeferred(to, amount);
+        }
+    }
+}
@@ -2,44 +2,92 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Snapshot.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 
 /// @title Simple Token Implementation
-/// @notice A basic ERC20 token with pause and mint functionality
-/// @dev Extends OpenZeppelin's ERC20, Ownable, and Pausable contracts
-contract SimpleToken is ERC20, Ownable, Pausable {
+/// @notice A basic ERC20 token with pause, mint, burn and snapshot functionality
+/// @dev Extends OpenZeppelin's ERC20, ERC20Burnable, ERC20Snapshot, ERC20Permit, Ownable, AccessControl and
+/// Pausable contracts. Minting, pausing and snapshots are granted through roles; the owner is the role admin.
+/// Each minter mints within its own allowance, so a contract such as an exchange can be made a minter
+/// without being able to mint up to the cap. Holders can approve with an EIP-2612 signature (`permit`)
+/// instead of an `approve` transaction
+contract SimpleToken is ERC20, ERC20Burnable, ERC20Snapshot, ERC20Permit, Ownable, AccessControl, Pausable {
+    /// @notice Can mint new tokens, within its minter allowance
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    /// @notice Can pause and unpause transfers
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// @notice Can take balance snapshots
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+
     /// @notice Maximum supply cap for the token
     uint256 public constant MAX_SUPPLY = 1_000_000_000 * 10**18; // 1 billion tokens
 
+    /// @notice Tokens each minter may still mint; type(uint256).max is unlimited and never decreases
+    mapping(address => uint256) public minterAllowance;
+
     /// @notice Emitted when tokens are minted
     event TokensMinted(address indexed to, uint256 amount);
+    /// @notice Emitted when a minter's allowance is set
+    event MinterAllowanceSet(address indexed minter, uint256 allowance);
 
     /// @notice Creates a new Simple token
     /// @param initialSupply The initial amount of tokens to mint
-    constructor(uint256 initialSupply) ERC20("Simple", "SIMP") {
+    constructor(uint256 initialSupply) ERC20("Simple", "SIMP") ERC20Permit("Simple") {
         require(initialSupply <= MAX_SUPPLY, "Initial supply exceeds maximum");
         _mint(msg.sender, initialSupply);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(SNAPSHOT_ROLE, msg.sender);
+        _setMinterAllowance(msg.sender, type(uint256).max);
     }
 
-    /// @notice Mints new tokens, respecting the maximum supply cap
+    /// @notice Mints new tokens, respecting the maximum supply cap and the caller's minter allowance
     /// @param to Address to receive the minted tokens
     /// @param amount Amount of tokens to mint
-    function mint(address to, uint256 amount) external onlyOwner {
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         require(to != address(0), "Cannot mint to zero address");
         require(totalSupply() + amount <= MAX_SUPPLY, "Would exceed maximum supply");
+        uint256 allowance = minterAllowance[msg.sender];
+        require(amount <= allowance, "Exceeds minter allowance");
+        if (allowance != type(uint256).max) {
+            minterAllowance[msg.sender] = allowance - amount;
+        }
 
         _mint(to, amount);
         emit TokensMinted(to, amount);
     }
 
+    /// @notice Sets how many tokens `minter` may still mint
+    /// @dev The allowance is kept when the minter role is revoked, but cannot be used without the role
+    /// @param minter The minter
+    /// @param allowance Tokens it may mint, or type(uint256).max for no limit
+    function setMinterAllowance(address minter, uint256 allowance) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setMinterAllowance(minter, allowance);
+    }
+
+    /// @notice Records the current balances and total supply under a new snapshot id
+    /// @return The id to query `balanceOfAt` and `totalSupplyAt` with
+    function snapshot() external onlyRole(SNAPSHOT_ROLE) returns (uint256) {
+        return _snapshot();
+    }
+
+    /// @notice Returns the id of the latest snapshot, or 0 if none was taken
+    function currentSnapshotId() external view returns (uint256) {
+        return _getCurrentSnapshotId();
+    }
+
     /// @notice Pauses all token transfers
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /// @notice Unpauses all token transfers
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -52,7 +100,7 @@ contract SimpleToken is ERC20, Ownable, Pausable {
         address from,
         address to,
         uint256 amount
-    ) internal override whenNotPaused {
+    ) internal override(ERC20, ERC20Snapshot) whenNotPaused {
         super._beforeTokenTransfer(from, to, amount);
     }
 
@@ -62,7 +110,47 @@ contract SimpleToken is ERC20, Ownable, Pausable {
         return 18;
     }
 
+    /// @dev Moves the role admin along with ownership, so the owner always manages roles. The minter, pauser
+    /// and snapshot roles the previous owner still holds move too, the minter role with its allowance
+    function _transferOwnership(address newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(newOwner);
+        if (oldOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, oldOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+        _moveRole(PAUSER_ROLE, oldOwner, newOwner);
+        _moveRole(SNAPSHOT_ROLE, oldOwner, newOwner);
+        if (_moveRole(MINTER_ROLE, oldOwner, newOwner)) {
+            if (newOwner != address(0)) {
+                _setMinterAllowance(newOwner, minterAllowance[oldOwner]);
+            }
+            _setMinterAllowance(oldOwner, 0);
+        }
+    }
+
+    /// @dev Hands `role` from `from` to `to` if `from` holds it; with `to` the zero address it is only revoked
+    function _moveRole(bytes32 role, address from, address to) internal returns (bool moved) {
+        if (from == address(0) || !hasRole(role, from)) {
+            return false;
+        }
+        _revokeRole(role, from);
+        if (to != address(0)) {
+            _grantRole(role, to);
+        }
+        return true;
+    }
+
+    /// @dev Stores a minter's allowance and emits MinterAllowanceSet
+    function _setMinterAllowance(address minter, uint256 allowance) internal {
+        minterAllowance[minter] = allowance;
+        emit MinterAllowanceSet(minter, allowance);
+    }
+
     /// @notice Returns the remaining amount of tokens that can be minted
+    /// @dev The cap applies to the supply in circulation, so burned tokens can be minted again
     /// @return The remaining mintable supply
     function remainingMintableSupply() public view returns (uint256) {
         return MAX_SUPPLY - totalSupply();
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/// @title Chainlink price feed interface
+/// @notice The subset of Chainlink's AggregatorV3Interface read by ExchangeOffice
+interface AggregatorV3Interface {
+    /// @notice Number of decimals in the answers
+    function decimals() external view returns (uint8);
+
+    /// @notice Human-readable description of the feed, e.g. "LINK / ETH"
+    function description() external view returns (string memory);
+
+    /// @notice Data of the most recent round
+    /// @return roundId The round id
+    /// @return answer The price
+    /// @return startedAt When the round started
+    /// @return updatedAt When the answer was last updated
+    /// @return answeredInRound The round in which the answer was computed
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../ExchangeOffice.sol";
+
+/// @title Liquidity pool interface
+/// @notice The part of LiquidityPool called by ExchangeOffice
+interface ILiquidityPool {
+    /// @notice The exchange whose inventory is pooled
+    function exchange() external view returns (ExchangeOffice);
+
+    /// @notice Mints the exchange owner shares for inventory a liquidity manager adds to the exchange, so the
+    /// addition stays the owner's rather than going to every provider
+    /// @param token The token added, or the zero address for ETH
+    /// @param amount Amount of tokens or wei added
+    /// @return shares Shares minted
+    function mintOwnerShares(address token, uint256 amount) external returns (uint256 shares);
+
+    /// @notice Burns the exchange owner's shares for inventory the owner withdraws, so the withdrawal
+    /// only takes from the owner's part of the pool
+    /// @param token The token withdrawn, or the zero address for ETH
+    /// @param amount Amount of tokens or wei withdrawn
+    /// @return shares Shares burned
+    function burnOwnerShares(address token, uint256 amount) external returns (uint256 shares);
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/// @title M-of-N approval book
+/// @notice Approvers, proposals and approvals behind MultiApproval
+/// @dev Deployed separately and linked into the contracts that inherit MultiApproval, whose storage it
+/// works on through `Book`. Runs by delegatecall, so `address(this)` and `msg.sender` are the caller's
+library Approvals {
+    /// @notice Maximum number of approvers
+    uint256 public constant MAX_APPROVERS = 20;
+
+    struct Proposal {
+        address proposer;
+        bytes data;
+        bool executed;
+        bool cancelled;
+    }
+
+    struct Book {
+        uint256 threshold;
+        mapping(address => bool) isApprover;
+        mapping(uint256 => mapping(address => bool)) hasApproved;
+        address[] approvers;
+        Proposal[] proposals;
+    }
+
+    // Mirrored by MultiApproval, which lists them in the contract ABI
+    event ApproversSet(address[] approvers, uint256 threshold);
+    event ProposalCreated(uint256 indexed proposalId, address indexed proposer, bytes data);
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver);
+    event ProposalCancelled(uint256 indexed proposalId);
+    event ProposalExecuted(uint256 indexed proposalId);
+
+    /// @notice Replaces the approvers and the threshold
+    /// @param self The book
+    /// @param newApprovers The approvers
+    /// @param threshold Approvals needed to execute a proposal
+    function setApprovers(Book storage self, address[] calldata newApprovers, uint256 threshold) public {
+        require(newApprovers.length <= MAX_APPROVERS, "Too many approvers");
+        require(threshold <= newApprovers.length, "Threshold above approver count");
+        require(newApprovers.length == 0 || threshold > 0, "Threshold must be greater than 0");
+
+        for (uint256 i = 0; i < self.approvers.length; i++) {
+            self.isApprover[self.approvers[i]] = false;
+        }
+        for (uint256 i = 0; i < newApprovers.length; i++) {
+            require(newApprovers[i] != address(0), "Approver cannot be zero address");
+            require(!self.isApprover[newApprovers[i]], "Duplicate approver");
+            self.isApprover[newApprovers[i]] = true;
+        }
+        self.approvers = newApprovers;
+        self.threshold = threshold;
+        emit ApproversSet(newApprovers, threshold);
+    }
+
+    /// @notice Records a proposal, approved by the caller
+    /// @param self The book
+    /// @param data Calldata of the proposed call
+    /// @return proposalId The id of the new proposal
+    function propose(Book storage self, bytes calldata data) public returns (uint256 proposalId) {
+        _checkApprover(self);
+        proposalId = self.proposals.length;
+        self.proposals.push(Proposal({ proposer: msg.sender, data: data, executed: false, cancelled: false }));
+        emit ProposalCreated(proposalId, msg.sender, data);
+        _approve(self, proposalId);
+    }
+
+    /// @notice Approves a pending proposal on behalf of the caller
+    /// @param self The book
+    /// @param proposalId The proposal id
+    function approve(Book storage self, uint256 proposalId) public {
+        _checkApprover(self);
+        _approve(self, proposalId);
+    }
+
+    /// @notice Cancels a pending proposal of the caller
+    /// @param self The book
+    /// @param proposalId The proposal id
+    function cancel(Book storage self, uint256 proposalId) public {
+        Proposal storage proposal = _pendingProposal(self, proposalId);
+        require(proposal.proposer == msg.sender, "Caller is not the proposer");
+        proposal.cancelled = true;
+        emit ProposalCancelled(proposalId);
+    }
+
+    /// @notice Calls the calling contract with a proposal's data once it has enough approvals
+    /// @dev Reverts with the call's own error if it fails
+    /// @param self The book
+    /// @param proposalId The proposal id
+    function execute(Book storage self, uint256 proposalId) public {
+        _checkApprover(self);
+        Proposal storage proposal = _pendingProposal(self, proposalId);
+        require(approvalCount(self, proposalId) >= self.threshold, "Not enough approvals");
+        proposal.executed = true;
+
+        (bool success, bytes memory result) = address(this).call(proposal.data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ProposalExecuted(proposalId);
+    }
+
+    /// @notice Get a proposal
+    /// @param self The book
+    /// @param proposalId The proposal id
+    /// @return proposer Who proposed it
+    /// @return data Calldata of the proposed call
+    /// @return approvals Approvals from current approvers
+    /// @return executed Whether it has been executed
+    /// @return cancelled Whether it has been cancelled
+    function getProposal(Book storage self, uint256 proposalId) public view returns (
+        address proposer,
+        bytes memory data,
+        uint256 approvals,
+        bool executed,
+        bool cancelled
+    ) {
+        require(proposalId < self.proposals.length, "Unknown proposal");
+        Proposal storage proposal = self.proposals[proposalId];
+        return (proposal.proposer, proposal.data, approvalCount(self, proposalId), proposal.executed, proposal.cancelled);
+    }
+
+    /// @notice Counts the approvals of a proposal from current approvers
+    /// @dev Approvals of removed approvers no longer count
+    /// @param self The book
+    /// @param proposalId The proposal id
+    /// @return count Number of current approvers that approved
+    function approvalCount(Book storage self, uint256 proposalId) public view returns (uint256 count) {
+        for (uint256 i = 0; i < self.approvers.length; i++) {
+            if (self.hasApproved[proposalId][self.approvers[i]]) {
+                count++;
+            }
+        }
+    }
+
+    function _checkApprover(Book storage self) private view {
+        require(self.isApprover[msg.sender], "Caller is not an approver");
+    }
+
+    function _approve(Book storage self, uint256 proposalId) private {
+        _pendingProposal(self, proposalId);
+        require(!self.hasApproved[proposalId][msg.sender], "Already approved");
+        self.hasApproved[proposalId][msg.sender] = true;
+        emit ProposalApproved(proposalId, msg.sender);
+    }
+
+    function _pendingProposal(Book storage self, uint256 proposalId) private view returns (Proposal storage proposal) {
+        require(proposalId < self.proposals.length, "Unknown proposal");
+        proposal = self.proposals[proposalId];
+        require(!proposal.executed && !proposal.cancelled, "Proposal not pending");
+    }
+}
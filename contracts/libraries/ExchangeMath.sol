@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title Trade pricing math
+/// @notice Converts between token amounts and wei at a rate, with fees in basis points
+/// @dev Deployed separately and linked into ExchangeOffice. Rates are wei per whole token and `unit`
+/// is 10**decimals. Rounding always favours the office: prices charged to buyers and fees round up,
+/// amounts paid to sellers round down, so no trade can extract dust from the office
+library ExchangeMath {
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+
+    /// @notice Reverts unless a buy (ask) and sell (bid) rate can be traded at
+    /// @dev The buy rate is bounded so that pricing up to 1e18 whole tokens cannot overflow
+    function checkRates(uint256 buyRate, uint256 sellRate) public pure {
+        require(buyRate > 0 && sellRate > 0, "Rate must be greater than 0");
+        require(buyRate <= type(uint256).max / 1e18, "Rate too high");
+        require(buyRate >= sellRate, "Buy rate below sell rate");
+    }
+
+    /// @notice Price of `amount` tokens plus the buy fee
+    /// @return weiRequired Total wei the buyer pays
+    /// @return fee Part of weiRequired that is fee
+    function quoteBuy(uint256 rate, uint256 unit, uint256 feeBps, uint256 amount) public pure returns (uint256 weiRequired, uint256 fee) {
+        uint256 price = Math.mulDiv(amount, rate, unit, Math.Rounding.Up);
+        fee = Math.mulDiv(price, feeBps, BPS_DENOMINATOR, Math.Rounding.Up);
+        weiRequired = price + fee;
+    }
+
+    /// @notice Value of `amount` tokens minus the sell fee
+    /// @return weiToReturn Wei paid to the seller
+    /// @return fee Wei withheld as fee
+    function quoteSell(uint256 rate, uint256 unit, uint256 feeBps, uint256 amount) public pure returns (uint256 weiToReturn, uint256 fee) {
+        uint256 value = Math.mulDiv(amount, rate, unit);
+        fee = Math.mulDiv(value, feeBps, BPS_DENOMINATOR, Math.Rounding.Up);
+        weiToReturn = value - fee;
+    }
+
+    /// @notice Most tokens whose price plus fee fits in `weiIn`, and the fee charged on them
+    /// @return amount Tokens bought
+    /// @return fee Part of weiIn that is fee
+    function quoteBuyWithExactEth(uint256 rate, uint256 unit, uint256 feeBps, uint256 weiIn) public pure returns (uint256 amount, uint256 fee) {
+        // Largest price P with P + ceil(P * feeBps / 10000) <= weiIn
+        uint256 price = Math.mulDiv(weiIn, BPS_DENOMINATOR, BPS_DENOMINATOR + feeBps);
+        // Largest amount whose rounded-up price is at most P
+        amount = Math.mulDiv(price, unit, rate);
+        (, fee) = quoteBuy(rate, unit, feeBps, amount);
+    }
+
+    /// @notice Fewest tokens whose value minus fee covers `weiOut`, and the fee charged on them
+    /// @return amount Tokens sold
+    /// @return fee Wei withheld as fee
+    function quoteSellForExactEth(uint256 rate, uint256 unit, uint256 feeBps, uint256 weiOut) public pure returns (uint256 amount, uint256 fee) {
+        // Smallest value V with V - ceil(V * feeBps / 10000) >= weiOut
+        uint256 value = Math.mulDiv(weiOut, BPS_DENOMINATOR, BPS_DENOMINATOR - feeBps, Math.Rounding.Up);
+        // Smallest amount whose rounded-down value is at least V
+        amount = Math.mulDiv(value, unit, rate, Math.Rounding.Up);
+        (, fee) = quoteSell(rate, unit, feeBps, amount);
+    }
+}
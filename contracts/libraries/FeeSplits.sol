@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "./Payouts.sol";
+
+/// @title Fee recipient shares
+/// @notice Keeps the addresses claimed fees are split across, divides a claim between them and pays them
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Recipients`.
+/// Payouts is linked into it in turn, so it is deployed first
+library FeeSplits {
+    /// @notice Maximum number of addresses fees can be split across
+    uint256 public constant MAX_RECIPIENTS = 10;
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+
+    struct Recipients {
+        address[] accounts;
+        uint256[] sharesBps;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event FeeRecipientsSet(address[] recipients, uint256[] sharesBps);
+    event FeesClaimed(address indexed recipient, uint256 amount);
+
+    /// @notice Replaces the recipients
+    /// @param self The recipients
+    /// @param accounts The fee recipients, or none to send fees to the treasury
+    /// @param sharesBps Share of each recipient in basis points, summing to 10000
+    function set(Recipients storage self, address[] calldata accounts, uint256[] calldata sharesBps) public {
+        require(accounts.length == sharesBps.length, "Length mismatch");
+        require(accounts.length <= MAX_RECIPIENTS, "Too many recipients");
+        uint256 totalShares;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "Recipient cannot be zero address");
+            require(sharesBps[i] > 0, "Share must be greater than 0");
+            totalShares += sharesBps[i];
+        }
+        require(accounts.length == 0 || totalShares == BPS_DENOMINATOR, "Shares must sum to 10000");
+        self.accounts = accounts;
+        self.sharesBps = sharesBps;
+        emit FeeRecipientsSet(accounts, sharesBps);
+    }
+
+    /// @notice Divides `amount` between the recipients by their shares, or gives all of it to `treasury`
+    /// when none are set
+    /// @dev The last recipient takes the rounding remainder so no dust is left behind
+    /// @param self The recipients
+    /// @param treasury Receives everything when there are no recipients
+    /// @param amount The amount to divide
+    /// @return accounts The recipients, or just the treasury
+    /// @return amounts What each recipient receives
+    function split(Recipients storage self, address treasury, uint256 amount) public view returns (address[] memory accounts, uint256[] memory amounts) {
+        accounts = self.accounts;
+        if (accounts.length == 0) {
+            accounts = new address[](1);
+            accounts[0] = treasury;
+        }
+        amounts = new uint256[](accounts.length);
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            amounts[i] = i == accounts.length - 1
+                ? remaining
+                : amount * self.sharesBps[i] / BPS_DENOMINATOR;
+            remaining -= amounts[i];
+        }
+    }
+
+    /// @notice Pays `amount` out to the recipients by their shares, or all of it to `treasury`
+    /// @dev Payments a recipient rejects are deferred in `payouts` for it to claim
+    /// @param self The recipients
+    /// @param payouts The office's deferred payouts
+    /// @param treasury Receives everything when there are no recipients
+    /// @param amount The fees claimed
+    function claim(Recipients storage self, Payouts.Book storage payouts, address treasury, uint256 amount) public {
+        (address[] memory accounts, uint256[] memory amounts) = split(self, treasury, amount);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            Payouts.send(payouts, accounts[i], amounts[i]);
+            emit FeesClaimed(accounts[i], amounts[i]);
+        }
+    }
+}
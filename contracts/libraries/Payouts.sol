@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/// @title Deferred ETH payouts
+/// @notice Pays out ETH with a plain call, and keeps what a recipient rejects for it to claim later
+/// @dev Deployed separately and linked into ExchangeOffice and FeeSplits, which work on the office's storage
+/// through `Book`.
+/// A plain call lets contract wallets run their receive hooks, while a recipient that reverts cannot
+/// block the trade or claim that pays it
+library Payouts {
+    struct Book {
+        mapping(address => uint256) pending;
+        uint256 totalPending;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event PaymentDeferred(address indexed account, uint256 amount);
+    event PaymentClaimed(address indexed account, uint256 amount);
+
+    /// @notice Sends `amount` wei to `to`, recording it as pending if the recipient rejects it
+    /// @param self The payouts
+    /// @param to The recipient
+    /// @param amount Amount of wei to send
+    function send(Book storage self, address to, uint256 amount) public {
+        (bool success, ) = payable(to).call{value: amount}("");
+        if (!success) {
+            self.pending[to] += amount;
+            self.totalPending += amount;
+            emit PaymentDeferred(to, amount);
+        }
+    }
+
+    /// @notice Sends `account` everything pending for it
+    /// @param self The payouts
+    /// @param account The account claiming, which must accept the ETH this time
+    function claim(Book storage self, address account) public {
+        uint256 amount = self.pending[account];
+        require(amount > 0, "Nothing to claim");
+        self.pending[account] = 0;
+        self.totalPending -= amount;
+
+        (bool success, ) = payable(account).call{value: amount}("");
+        require(success, "ETH transfer failed");
+        emit PaymentClaimed(account, amount);
+    }
+}
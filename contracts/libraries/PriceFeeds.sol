@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+
+/// @title Oracle pricing for listed tokens
+/// @notice Reads Chainlink-style feeds and bounds their answers by staleness and deviation from the manual rate
+/// @dev Deployed separately and linked into ExchangeOffice, which keeps one `Schedule` per token. Like the
+/// rates in ScheduledParameters, a scheduled feed change applies on its own once its time has come
+library PriceFeeds {
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+    /// @dev Widest deviation bound, in basis points, so a feed can never move the price far from the manual rate
+    uint256 public constant MAX_DEVIATION_BPS = 2_000;
+    /// @dev Keeps 10**decimals within uint256 and leaves room for the price math
+    uint8 private constant MAX_FEED_DECIMALS = 36;
+
+    /// @dev Feed pricing a token in ETH, and how far its answers are trusted
+    struct Config {
+        AggregatorV3Interface feed;
+        uint8 decimals;
+        bool fallbackToManual;
+        uint32 maxStaleness;
+        uint16 maxDeviationBps;
+    }
+
+    /// @dev A token's feed configuration and a change scheduled to replace it at `effectiveAt`. A scheduled
+    /// configuration without a feed removes the feed
+    struct Schedule {
+        Config config;
+        Config scheduled;
+        uint256 effectiveAt;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event PriceFeedSet(address indexed token, address indexed feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual);
+    event PriceFeedRemoved(address indexed token);
+    event PriceFeedChangeScheduled(address indexed token, address indexed feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual, uint256 effectiveAt);
+    event PriceFeedChangeCancelled(address indexed token);
+
+    /// @notice Validates a feed configuration and applies it, or schedules it `delay` seconds ahead
+    /// @param self The token's feed schedule
+    /// @param token The token the feed prices
+    /// @param feed The price feed, reporting wei per whole token
+    /// @param maxStaleness Seconds after its last update that an answer is still used
+    /// @param maxDeviationBps Largest accepted distance from the manual buy rate, in basis points, at most
+    /// MAX_DEVIATION_BPS
+    /// @param fallbackToManual Whether to trade at the manual rates when the feed is unusable
+    /// @param delay Seconds until the configuration takes effect, 0 to apply it now
+    function configure(
+        Schedule storage self,
+        address token,
+        address feed,
+        uint32 maxStaleness,
+        uint16 maxDeviationBps,
+        bool fallbackToManual,
+        uint256 delay
+    ) public {
+        require(feed != address(0), "Feed cannot be zero address");
+        require(maxStaleness > 0, "Staleness must be greater than 0");
+        require(maxDeviationBps > 0 && maxDeviationBps <= MAX_DEVIATION_BPS, "Invalid deviation bound");
+        uint8 decimals = AggregatorV3Interface(feed).decimals();
+        require(decimals <= MAX_FEED_DECIMALS, "Feed decimals too high");
+        _update(self, token, Config(AggregatorV3Interface(feed), decimals, fallbackToManual, maxStaleness, maxDeviationBps), delay);
+    }
+
+    /// @notice Clears the feed configuration, returning the token to its manual rates, or schedules
+    /// that `delay` seconds ahead
+    /// @param self The token's feed schedule
+    /// @param token The token the feed prices
+    /// @param delay Seconds until the feed is removed, 0 to remove it now
+    function remove(Schedule storage self, address token, uint256 delay) public {
+        _checkFeed(current(self));
+        Config memory none;
+        _update(self, token, none, delay);
+    }
+
+    /// @notice Cancels a scheduled feed change that has not taken effect yet
+    /// @param self The token's feed schedule
+    /// @param token The token the feed prices
+    function cancel(Schedule storage self, address token) public {
+        require(isPending(self), "No pending price feed change");
+        delete self.scheduled;
+        delete self.effectiveAt;
+        emit PriceFeedChangeCancelled(token);
+    }
+
+    /// @notice Configuration in effect: a scheduled change counts as soon as its time has come
+    /// @param self The token's feed schedule
+    function current(Schedule storage self) internal view returns (Config storage) {
+        return _isActive(self) ? self.scheduled : self.config;
+    }
+
+    /// @notice Whether `scheduled` holds a change that has not taken effect yet
+    /// @param self The token's feed schedule
+    function isPending(Schedule storage self) internal view returns (bool) {
+        return self.effectiveAt > block.timestamp;
+    }
+
+    /// @notice Rates in effect for a token with a feed: the feed price when usable, the manual rates otherwise
+    /// @dev The sell rate keeps the manual spread around the feed price. Reverts when the feed is
+    /// unusable and there is no fallback, which halts the token
+    /// @param self The token's configuration
+    /// @param buyRate Manual buy rate
+    /// @param sellRate Manual sell rate
+    /// @return The buy and sell rates in wei per whole token
+    function rates(Config storage self, uint256 buyRate, uint256 sellRate) public view returns (uint256, uint256) {
+        (uint256 oracleRate, bool valid) = price(self, buyRate);
+        if (valid) {
+            return (oracleRate, Math.mulDiv(oracleRate, sellRate, buyRate));
+        }
+        require(self.fallbackToManual, "Oracle price unavailable");
+        return (buyRate, sellRate);
+    }
+
+    /// @notice Reads the feed and checks the answer against the staleness and deviation bounds
+    /// @dev A feed that reverts is treated like a stale one. Reverts when the token has no feed
+    /// @param self The token's configuration
+    /// @param manualRate Manual buy rate the answer must stay close to
+    /// @return rate Feed price in wei per whole token (0 if the feed could not be read)
+    /// @return valid Whether the price is fresh and within the deviation bound
+    function price(Config storage self, uint256 manualRate) public view returns (uint256 rate, bool valid) {
+        _checkFeed(self);
+        try self.feed.latestRoundData() returns (uint80, int256 answer, uint256, uint256 updatedAt, uint80) {
+            if (answer <= 0) {
+                return (0, false);
+            }
+            rate = Math.mulDiv(uint256(answer), 1e18, 10 ** self.decimals);
+            uint256 deviation = rate > manualRate ? rate - manualRate : manualRate - rate;
+            valid = rate > 0
+                && updatedAt + self.maxStaleness >= block.timestamp
+                && deviation <= Math.mulDiv(manualRate, self.maxDeviationBps, BPS_DENOMINATOR);
+        } catch {
+            return (0, false);
+        }
+    }
+
+    /// @dev Settles a change that has taken effect, then applies `config` or replaces the pending change with it
+    function _update(Schedule storage self, address token, Config memory config, uint256 delay) private {
+        if (_isActive(self)) {
+            self.config = self.scheduled;
+        }
+        if (delay == 0) {
+            delete self.scheduled;
+            delete self.effectiveAt;
+            self.config = config;
+            if (address(config.feed) == address(0)) {
+                emit PriceFeedRemoved(token);
+            } else {
+                emit PriceFeedSet(token, address(config.feed), config.maxStaleness, config.maxDeviationBps, config.fallbackToManual);
+            }
+            return;
+        }
+        self.scheduled = config;
+        self.effectiveAt = block.timestamp + delay;
+        emit PriceFeedChangeScheduled(
+            token, address(config.feed), config.maxStaleness, config.maxDeviationBps, config.fallbackToManual, self.effectiveAt
+        );
+    }
+
+    function _isActive(Schedule storage self) private view returns (bool) {
+        return self.effectiveAt != 0 && block.timestamp >= self.effectiveAt;
+    }
+
+    function _checkFeed(Config storage self) private view {
+        require(address(self.feed) != address(0), "No price feed");
+    }
+}
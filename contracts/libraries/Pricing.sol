@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./ExchangeMath.sol";
+import "./PriceFeeds.sol";
+import "./ScheduledParameters.sol";
+
+/// @title Token pricing
+/// @notice Keeps the manual rates, fees and price feeds of listed tokens, and the rates they trade at
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Book`.
+/// Rate and fee changes go through ScheduledParameters and price feed changes through PriceFeeds, so they can
+/// all be held back by the parameter delay
+library Pricing {
+    using PriceFeeds for PriceFeeds.Config;
+    using PriceFeeds for PriceFeeds.Schedule;
+    using ScheduledParameters for ScheduledParameters.Pair;
+
+    /// @dev Highest buy or sell fee, in basis points
+    uint256 public constant MAX_FEE_BPS = 1_000;
+
+    struct Book {
+        mapping(IERC20 => ScheduledParameters.Pair) rates;
+        mapping(IERC20 => ScheduledParameters.Pair) fees;
+        mapping(IERC20 => PriceFeeds.Schedule) feeds;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event RateChangeScheduled(address indexed token, uint256 buyRate, uint256 sellRate, uint256 effectiveAt);
+    event RateChangeCancelled(address indexed token);
+    event FeesSet(address indexed token, uint256 buyFeeBps, uint256 sellFeeBps);
+    event FeeChangeScheduled(address indexed token, uint256 buyFeeBps, uint256 sellFeeBps, uint256 effectiveAt);
+    event FeeChangeCancelled(address indexed token);
+
+    /// @notice Validates a token's rates and stores them, or schedules them `delay` seconds ahead
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @param buyRate Wei per whole token charged to buyers
+    /// @param sellRate Wei per whole token paid to sellers, at most buyRate
+    /// @param delay Seconds until the rates take effect, 0 to apply them now
+    /// @return applied Whether the rates were applied rather than scheduled
+    function setRates(Book storage self, address token, uint256 buyRate, uint256 sellRate, uint256 delay) public returns (bool applied) {
+        ExchangeMath.checkRates(buyRate, sellRate);
+        uint256 effectiveAt = self.rates[IERC20(token)].update(buyRate, sellRate, delay);
+        if (effectiveAt == 0) {
+            return true;
+        }
+        emit RateChangeScheduled(token, buyRate, sellRate, effectiveAt);
+    }
+
+    /// @notice Validates a token's fees and stores them, or schedules them `delay` seconds ahead
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @param buyFeeBps Fee added on top of the price when buying, in basis points
+    /// @param sellFeeBps Fee deducted from the proceeds when selling, in basis points
+    /// @param delay Seconds until the fees take effect, 0 to apply them now
+    function setFees(Book storage self, address token, uint256 buyFeeBps, uint256 sellFeeBps, uint256 delay) public {
+        require(buyFeeBps <= MAX_FEE_BPS && sellFeeBps <= MAX_FEE_BPS, "Fee too high");
+        uint256 effectiveAt = self.fees[IERC20(token)].update(buyFeeBps, sellFeeBps, delay);
+        if (effectiveAt == 0) {
+            emit FeesSet(token, buyFeeBps, sellFeeBps);
+        } else {
+            emit FeeChangeScheduled(token, buyFeeBps, sellFeeBps, effectiveAt);
+        }
+    }
+
+    /// @notice Cancels a scheduled rate change that has not taken effect yet
+    /// @param self The pricing book
+    /// @param token The token address
+    function cancelRateChange(Book storage self, address token) public {
+        ScheduledParameters.Pair storage pair = self.rates[IERC20(token)];
+        (, , uint256 effectiveAt) = pair.pending();
+        require(effectiveAt != 0, "No pending rate change");
+        delete pair.scheduled;
+        emit RateChangeCancelled(token);
+    }
+
+    /// @notice Cancels a scheduled fee change that has not taken effect yet
+    /// @param self The pricing book
+    /// @param token The token address
+    function cancelFeeChange(Book storage self, address token) public {
+        ScheduledParameters.Pair storage pair = self.fees[IERC20(token)];
+        (, , uint256 effectiveAt) = pair.pending();
+        require(effectiveAt != 0, "No pending fee change");
+        delete pair.scheduled;
+        emit FeeChangeCancelled(token);
+    }
+
+    /// @notice Prices a token that has manual rates from a price feed, now or `delay` seconds ahead
+    /// @dev See PriceFeeds.configure for the parameters
+    /// @param self The pricing book
+    /// @param token The token address
+    function setPriceFeed(
+        Book storage self,
+        address token,
+        address feed,
+        uint32 maxStaleness,
+        uint16 maxDeviationBps,
+        bool fallbackToManual,
+        uint256 delay
+    ) public {
+        (uint256 buyRate, ) = manualRates(self, token);
+        require(buyRate != 0, "Token not supported");
+        self.feeds[IERC20(token)].configure(token, feed, maxStaleness, maxDeviationBps, fallbackToManual, delay);
+    }
+
+    /// @notice Returns a token to manual pricing, now or `delay` seconds ahead
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @param delay Seconds until the feed is removed, 0 to remove it now
+    function removePriceFeed(Book storage self, address token, uint256 delay) public {
+        self.feeds[IERC20(token)].remove(token, delay);
+    }
+
+    /// @notice Cancels a scheduled price feed change that has not taken effect yet
+    /// @param self The pricing book
+    /// @param token The token address
+    function cancelPriceFeedChange(Book storage self, address token) public {
+        self.feeds[IERC20(token)].cancel(token);
+    }
+
+    /// @notice Clears the rates, fees, scheduled changes and price feed of a token
+    /// @param self The pricing book
+    /// @param token The token address
+    function clear(Book storage self, address token) public {
+        delete self.rates[IERC20(token)];
+        delete self.fees[IERC20(token)];
+        delete self.feeds[IERC20(token)];
+    }
+
+    /// @notice Rates in effect: the price feed's when usable, the manual rates otherwise
+    /// @dev Reverts for a halted token, whose feed is unusable and has no fallback
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @return buyRate Wei per whole token charged to buyers (0 for a token without rates)
+    /// @return sellRate Wei per whole token paid to sellers (0 for a token without rates)
+    function currentRates(Book storage self, address token) public view returns (uint256 buyRate, uint256 sellRate) {
+        (buyRate, sellRate) = manualRates(self, token);
+        PriceFeeds.Config storage config = self.feeds[IERC20(token)].current();
+        if (buyRate == 0 || address(config.feed) == address(0)) {
+            return (buyRate, sellRate);
+        }
+        return config.rates(buyRate, sellRate);
+    }
+
+    /// @notice Rate reported by a token's price feed and whether it is used
+    /// @dev Reverts when the token has no feed
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @return rate Feed price in wei per whole token (0 if the feed could not be read)
+    /// @return valid Whether the price is fresh and within the deviation bound
+    function oracleRate(Book storage self, address token) public view returns (uint256 rate, bool valid) {
+        (uint256 manualRate, ) = manualRates(self, token);
+        return self.feeds[IERC20(token)].current().price(manualRate);
+    }
+
+    /// @notice Rate a trade executes at, the buy rate when `isBuy` and the sell rate otherwise
+    /// @dev Reverts for a token without rates or a halted one
+    /// @param self The pricing book
+    /// @param token The token address
+    /// @param isBuy Whether the trade is a buy
+    function tradeRate(Book storage self, address token, bool isBuy) public view returns (uint256 rate) {
+        (uint256 buyRate, uint256 sellRate) = currentRates(self, token);
+        rate = isBuy ? buyRate : sellRate;
+        require(rate != 0, "Token not supported");
+    }
+
+    /// @notice Manual rates in effect: a scheduled change counts as soon as its time has come
+    /// @param self The pricing book
+    /// @param token The token address
+    function manualRates(Book storage self, address token) internal view returns (uint256 buyRate, uint256 sellRate) {
+        return self.rates[IERC20(token)].current();
+    }
+
+    /// @notice Fees in effect: a scheduled change counts as soon as its time has come
+    /// @param self The pricing book
+    /// @param token The token address
+    function currentFees(Book storage self, address token) internal view returns (uint256 buyFeeBps, uint256 sellFeeBps) {
+        return self.fees[IERC20(token)].current();
+    }
+}
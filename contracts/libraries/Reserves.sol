@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title Tracked reserves
+/// @notice Keeps the ETH and token amounts an exchange trades with apart from whatever else it happens to hold
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Book`. Tokens
+/// move in and out of the reserves through `collect` and `release`, which keep the SafeERC20 calls out of the
+/// office; ETH reserves are updated by the office itself. Balances that arrived outside of the reserves (plain
+/// transfers, forced ETH sends) can be skimmed off or synced into them.
+/// The zero address stands for ETH. ETH the office owes outside its reserves, accrued fees and pending
+/// withdrawals, is passed in as `owedEth` and never counted as excess
+library Reserves {
+    using SafeERC20 for IERC20;
+
+    struct Book {
+        uint256 eth;
+        mapping(address => uint256) tokens;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event ReserveSkimmed(address indexed token, address indexed to, uint256 amount);
+    event ReserveSynced(address indexed token, uint256 reserve);
+
+    /// @notice Amount the office holds beyond the reserve of `token`
+    /// @param self The reserves
+    /// @param token The token address, or the zero address for ETH
+    /// @param owedEth ETH owed as fees and pending withdrawals
+    function excess(Book storage self, address token, uint256 owedEth) public view returns (uint256) {
+        (uint256 balance, uint256 reserve) = _balanceAndReserve(self, token, owedEth);
+        return balance > reserve ? balance - reserve : 0;
+    }
+
+    /// @notice Sends the excess balance of `token` to `to`, leaving the reserve untouched
+    /// @param self The reserves
+    /// @param token The token address, or the zero address for ETH
+    /// @param to The recipient
+    /// @param owedEth ETH owed as fees and pending withdrawals
+    /// @return amount Amount sent
+    function skim(Book storage self, address token, address to, uint256 owedEth) public returns (uint256 amount) {
+        require(to != address(0), "Recipient cannot be zero address");
+        amount = excess(self, token, owedEth);
+        require(amount > 0, "Nothing to skim");
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+        emit ReserveSkimmed(token, to, amount);
+    }
+
+    /// @notice Sets the reserve of `token` to what the office actually holds
+    /// @dev Adds an excess balance to the liquidity, or writes off a shortfall left by a token whose
+    /// balance shrank on its own (e.g. a rebasing token)
+    /// @param self The reserves
+    /// @param token The token address, or the zero address for ETH
+    /// @param owedEth ETH owed as fees and pending withdrawals
+    /// @return added Amount the reserve grew by (0 when a shortfall was written off)
+    function sync(Book storage self, address token, uint256 owedEth) public returns (uint256 added) {
+        (uint256 reserve, uint256 previous) = _balanceAndReserve(self, token, owedEth);
+        if (reserve > previous) {
+            added = reserve - previous;
+        }
+        if (token == address(0)) {
+            self.eth = reserve;
+        } else {
+            self.tokens[token] = reserve;
+        }
+        emit ReserveSynced(token, reserve);
+    }
+
+    /// @notice Pulls `amount` tokens from `from` into the reserve of `token`
+    /// @dev Fee-on-transfer tokens add less than `amount`: the reserve grows by what actually arrived
+    /// @param self The reserves
+    /// @param token The token address
+    /// @param from The account the tokens are taken from, which must have approved the office
+    /// @param amount Amount of tokens to take
+    /// @return received Amount the office received
+    function collect(Book storage self, address token, address from, uint256 amount) public returns (uint256 received) {
+        IERC20 tokenContract = IERC20(token);
+        require(amount <= tokenContract.balanceOf(from), "Insufficient token balance");
+        uint256 balanceBefore = tokenContract.balanceOf(address(this));
+        tokenContract.safeTransferFrom(from, address(this), amount);
+        received = tokenContract.balanceOf(address(this)) - balanceBefore;
+        self.tokens[token] += received;
+    }
+
+    /// @notice Sends `amount` tokens out of the reserve of `token`
+    /// @dev Callers check the reserve first, so they can revert with their own reason
+    /// @param self The reserves
+    /// @param token The token address
+    /// @param to The recipient
+    /// @param amount Amount of tokens to send
+    function release(Book storage self, address token, address to, uint256 amount) public {
+        self.tokens[token] -= amount;
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    /// @notice Most tokens a sale can bring in before its payout, fee included, exceeds the ETH reserve
+    /// @param self The reserves
+    /// @param rate Sell rate in wei per whole token
+    /// @param unit 10**decimals of the token
+    function maxSellable(Book storage self, uint256 rate, uint256 unit) public view returns (uint256) {
+        return Math.mulDiv(self.eth, unit, rate);
+    }
+
+    /// @dev Balance of `token` net of what is owed outside the reserves, and its reserve
+    function _balanceAndReserve(Book storage self, address token, uint256 owedEth) private view returns (uint256 balance, uint256 reserve) {
+        if (token == address(0)) {
+            balance = address(this).balance;
+            balance = balance > owedEth ? balance - owedEth : 0;
+            return (balance, self.eth);
+        }
+        return (IERC20(token).balanceOf(address(this)), self.tokens[token]);
+    }
+}
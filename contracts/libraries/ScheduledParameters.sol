@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/// @title Delayed buy/sell parameters
+/// @notice Keeps a pair of buy and sell values, such as a token's rates or fees, together with a change
+/// scheduled for it
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Pair`.
+/// A scheduled change applies on its own once its time has come: `current` reports it from then on,
+/// and the next update writes it to the pair before replacing it
+library ScheduledParameters {
+    /// @dev A buy/sell pair of values that takes effect at `effectiveAt`
+    struct Change {
+        uint256 buyValue;
+        uint256 sellValue;
+        uint256 effectiveAt;
+    }
+
+    struct Pair {
+        uint256 buyValue;
+        uint256 sellValue;
+        Change scheduled;
+    }
+
+    /// @notice Applies new values, or schedules them `delay` seconds ahead
+    /// @dev A change that has taken effect is settled first; a pending one is replaced
+    /// @param self The pair
+    /// @param buyValue The new buy value
+    /// @param sellValue The new sell value
+    /// @param delay Seconds until the values take effect, 0 to apply them now
+    /// @return effectiveAt When the scheduled change takes effect (0 when the values were applied)
+    function update(Pair storage self, uint256 buyValue, uint256 sellValue, uint256 delay) public returns (uint256 effectiveAt) {
+        Change storage change = self.scheduled;
+        if (_isActive(change)) {
+            self.buyValue = change.buyValue;
+            self.sellValue = change.sellValue;
+        }
+        if (delay == 0) {
+            delete self.scheduled;
+            self.buyValue = buyValue;
+            self.sellValue = sellValue;
+            return 0;
+        }
+        effectiveAt = block.timestamp + delay;
+        self.scheduled = Change(buyValue, sellValue, effectiveAt);
+    }
+
+    /// @notice Values in effect: a scheduled change counts as soon as its time has come
+    /// @param self The pair
+    function current(Pair storage self) internal view returns (uint256 buyValue, uint256 sellValue) {
+        Change storage change = self.scheduled;
+        if (_isActive(change)) {
+            return (change.buyValue, change.sellValue);
+        }
+        return (self.buyValue, self.sellValue);
+    }
+
+    /// @notice The change that has not taken effect yet
+    /// @param self The pair
+    /// @return buyValue Scheduled buy value (0 if none is pending)
+    /// @return sellValue Scheduled sell value (0 if none is pending)
+    /// @return effectiveAt When the change takes effect (0 if none is pending)
+    function pending(Pair storage self) internal view returns (uint256 buyValue, uint256 sellValue, uint256 effectiveAt) {
+        Change storage change = self.scheduled;
+        if (change.effectiveAt <= block.timestamp) {
+            return (0, 0, 0);
+        }
+        return (change.buyValue, change.sellValue, change.effectiveAt);
+    }
+
+    function _isActive(Change storage change) private view returns (bool) {
+        return change.effectiveAt != 0 && block.timestamp >= change.effectiveAt;
+    }
+}
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./ScheduledParameters.sol";
+
+/// @title Token listing registry
+/// @notice Keeps the tokens an exchange has listed, their metadata and an enumerable list of them
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Registry`.
+/// Trade size changes go through ScheduledParameters, so they can be held back by the parameter delay
+library TokenListings {
+    using ScheduledParameters for ScheduledParameters.Pair;
+
+    /// @dev Keeps 10**decimals within uint256 and leaves room for the price math
+    uint8 private constant MAX_TOKEN_DECIMALS = 36;
+
+    struct Listing {
+        bool listed;
+        uint8 decimals;
+        string symbol;
+        // Smallest (buyValue) and largest (sellValue) token amount per trade, 0 for no bound
+        ScheduledParameters.Pair tradeSize;
+    }
+
+    struct Registry {
+        mapping(address => Listing) listings;
+        address[] tokens;
+        // Index of each listed token in `tokens`, plus one
+        mapping(address => uint256) positions;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event TokenListed(address indexed token, string symbol, uint8 decimals, uint256 minTradeAmount, uint256 maxTradeAmount);
+    event TokenDelisted(address indexed token);
+    event TradeSizeSet(address indexed token, uint256 minTradeAmount, uint256 maxTradeAmount);
+    event TradeSizeChangeScheduled(address indexed token, uint256 minTradeAmount, uint256 maxTradeAmount, uint256 effectiveAt);
+    event TradeSizeChangeCancelled(address indexed token);
+
+    /// @notice Lists a token after checking its metadata against the token itself
+    /// @param self The registry
+    /// @param token The token address
+    /// @param symbol Display symbol
+    /// @param decimals Token decimals, which must match `decimals()` of the token
+    /// @param minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @param maxTradeAmount Largest token amount per trade (0 = no maximum)
+    function list(
+        Registry storage self,
+        address token,
+        string calldata symbol,
+        uint8 decimals,
+        uint256 minTradeAmount,
+        uint256 maxTradeAmount
+    ) public {
+        require(token != address(0), "Token cannot be zero address");
+        require(!self.listings[token].listed, "Token already listed");
+        require(bytes(symbol).length > 0, "Symbol cannot be empty");
+        require(decimals <= MAX_TOKEN_DECIMALS, "Token decimals too high");
+        require(IERC20Metadata(token).decimals() == decimals, "Token decimals mismatch");
+        require(maxTradeAmount == 0 || maxTradeAmount >= minTradeAmount, "Maximum trade below minimum");
+
+        Listing storage listing = self.listings[token];
+        listing.listed = true;
+        listing.decimals = decimals;
+        listing.symbol = symbol;
+        listing.tradeSize.buyValue = minTradeAmount;
+        listing.tradeSize.sellValue = maxTradeAmount;
+        self.tokens.push(token);
+        self.positions[token] = self.tokens.length;
+        emit TokenListed(token, symbol, decimals, minTradeAmount, maxTradeAmount);
+    }
+
+    /// @notice Removes a token from the registry
+    /// @dev Moves the last listed token into the freed slot, so the listing order is not preserved
+    /// @param self The registry
+    /// @param token The token address
+    function delist(Registry storage self, address token) public {
+        require(self.listings[token].listed, "Token not listed");
+        uint256 index = self.positions[token] - 1;
+        address last = self.tokens[self.tokens.length - 1];
+        self.tokens[index] = last;
+        self.positions[last] = index + 1;
+        self.tokens.pop();
+        delete self.positions[token];
+        delete self.listings[token];
+        emit TokenDelisted(token);
+    }
+
+    /// @notice Replaces the trade size bounds of a listed token, or schedules that `delay` seconds ahead
+    /// @param self The registry
+    /// @param token The token address
+    /// @param minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @param maxTradeAmount Largest token amount per trade (0 = no maximum)
+    /// @param delay Seconds until the bounds take effect, 0 to apply them now
+    function setTradeSize(Registry storage self, address token, uint256 minTradeAmount, uint256 maxTradeAmount, uint256 delay) public {
+        Listing storage listing = self.listings[token];
+        require(listing.listed, "Token not listed");
+        require(maxTradeAmount == 0 || maxTradeAmount >= minTradeAmount, "Maximum trade below minimum");
+        uint256 effectiveAt = listing.tradeSize.update(minTradeAmount, maxTradeAmount, delay);
+        if (effectiveAt == 0) {
+            emit TradeSizeSet(token, minTradeAmount, maxTradeAmount);
+        } else {
+            emit TradeSizeChangeScheduled(token, minTradeAmount, maxTradeAmount, effectiveAt);
+        }
+    }
+
+    /// @notice Cancels a scheduled trade size change that has not taken effect yet
+    /// @param self The registry
+    /// @param token The token address
+    function cancelTradeSizeChange(Registry storage self, address token) public {
+        ScheduledParameters.Pair storage tradeSize = self.listings[token].tradeSize;
+        (, , uint256 effectiveAt) = tradeSize.pending();
+        require(effectiveAt != 0, "No pending trade size change");
+        delete tradeSize.scheduled;
+        emit TradeSizeChangeCancelled(token);
+    }
+
+    /// @notice Get the listing of a token
+    /// @param self The registry
+    /// @param token The token address
+    /// @return listed Whether the token is listed
+    /// @return symbol Display symbol
+    /// @return decimals Token decimals
+    /// @return minTradeAmount Smallest token amount per trade (0 = no minimum)
+    /// @return maxTradeAmount Largest token amount per trade (0 = no maximum)
+    function get(Registry storage self, address token) public view returns (
+        bool listed,
+        string memory symbol,
+        uint8 decimals,
+        uint256 minTradeAmount,
+        uint256 maxTradeAmount
+    ) {
+        Listing storage listing = self.listings[token];
+        (minTradeAmount, maxTradeAmount) = listing.tradeSize.current();
+        return (listing.listed, listing.symbol, listing.decimals, minTradeAmount, maxTradeAmount);
+    }
+
+    /// @notice Get a page of the listed tokens
+    /// @param self The registry
+    /// @param offset Index of the first token to return
+    /// @param limit Most tokens to return
+    /// @return tokens The listed tokens from `offset` on
+    function page(Registry storage self, uint256 offset, uint256 limit) public view returns (address[] memory tokens) {
+        uint256 count = self.tokens.length;
+        if (offset >= count) {
+            return tokens;
+        }
+        uint256 end = offset + limit > count ? count : offset + limit;
+        tokens = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            tokens[i - offset] = self.tokens[i];
+        }
+    }
+
+    /// @notice Checks a trade's token amount against the listing's bounds
+    /// @param self The registry
+    /// @param token The token address
+    /// @param amount Token amount of the trade
+    function checkTradeSize(Registry storage self, address token, uint256 amount) public view {
+        (uint256 minTradeAmount, uint256 maxTradeAmount) = self.listings[token].tradeSize.current();
+        require(amount >= minTradeAmount, "Trade below minimum size");
+        require(maxTradeAmount == 0 || amount <= maxTradeAmount, "Trade above maximum size");
+    }
+
+    /// @notice Largest trade the listing's bounds allow out of `amount` available tokens
+    /// @param self The registry
+    /// @param token The token address
+    /// @param amount Token amount available to the trade
+    /// @return The amount capped at the maximum trade size, or 0 when it is below the minimum
+    function capTradeSize(Registry storage self, address token, uint256 amount) public view returns (uint256) {
+        (uint256 minTradeAmount, uint256 maxTradeAmount) = self.listings[token].tradeSize.current();
+        if (maxTradeAmount > 0 && amount > maxTradeAmount) {
+            amount = maxTradeAmount;
+        }
+        return amount < minTradeAmount ? 0 : amount;
+    }
+}
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/// @title Trading volume limits
+/// @notice Caps the ETH volume each address trades per day and the value of each asset leaving the office
+/// over a rolling window
+/// @dev Deployed separately and linked into ExchangeOffice, whose storage it works on through `Limits`.
+/// Volumes are in wei, as reported by TokensBought/TokensSold. Outflow is tracked per asset (the zero
+/// address for ETH), valued in wei, so a buy only counts against the token that leaves and a sale only
+/// against ETH. Each asset's window is a single amount that is released linearly at `maxOutflow` per
+/// `outflowWindow`, so a full window's worth of outflow has been released one window later. Like the rates in
+/// ScheduledParameters, a scheduled change of the limits applies on its own once its time has come
+library TradeLimits {
+    struct DailyVolume {
+        uint256 day;
+        uint256 volume;
+    }
+
+    struct Outflow {
+        // Outflow still inside the window as of `updatedAt`
+        uint256 amount;
+        uint256 updatedAt;
+    }
+
+    struct Settings {
+        // Most wei an address can trade per UTC day (0 = no limit)
+        uint256 maxDailyVolume;
+        // Most wei of one asset that can leave the office per window before trading pauses (0 = no limit)
+        uint256 maxOutflow;
+        uint256 outflowWindow;
+    }
+
+    struct Limits {
+        Settings settings;
+        // Settings that replace `settings` at `effectiveAt`
+        Settings scheduled;
+        uint256 effectiveAt;
+        mapping(address => Outflow) outflows;
+        mapping(address => DailyVolume) dailyVolumes;
+    }
+
+    // Mirrored by ExchangeOffice, which lists them in the contract ABI
+    event VolumeLimitsSet(uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow);
+    event VolumeLimitsChangeScheduled(uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow, uint256 effectiveAt);
+    event VolumeLimitsChangeCancelled();
+    event OutflowLimitExceeded(address indexed asset, uint256 outflow, uint256 maxOutflow);
+
+    /// @notice Replaces the limits, or schedules that `delay` seconds ahead
+    /// @dev Outflow recorded under the previous limits keeps counting, released at the new rate since it
+    /// was last recorded. A change that has taken effect is settled first; a pending one is replaced
+    /// @param self The limits
+    /// @param maxDailyVolume Most wei an address can trade per UTC day (0 = no limit)
+    /// @param maxOutflow Most wei of one asset that can leave the office per window (0 = no limit)
+    /// @param outflowWindow Length of the outflow window in seconds
+    /// @param delay Seconds until the limits take effect, 0 to apply them now
+    function set(Limits storage self, uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow, uint256 delay) public {
+        require(maxOutflow == 0 || outflowWindow > 0, "Outflow window must be greater than 0");
+        if (_isActive(self)) {
+            self.settings = self.scheduled;
+        }
+        Settings memory settings = Settings(maxDailyVolume, maxOutflow, outflowWindow);
+        if (delay == 0) {
+            delete self.scheduled;
+            delete self.effectiveAt;
+            self.settings = settings;
+            emit VolumeLimitsSet(maxDailyVolume, maxOutflow, outflowWindow);
+            return;
+        }
+        self.scheduled = settings;
+        self.effectiveAt = block.timestamp + delay;
+        emit VolumeLimitsChangeScheduled(maxDailyVolume, maxOutflow, outflowWindow, self.effectiveAt);
+    }
+
+    /// @notice Cancels a scheduled change of the limits that has not taken effect yet
+    /// @param self The limits
+    function cancel(Limits storage self) public {
+        require(isPending(self), "No pending volume limits change");
+        delete self.scheduled;
+        delete self.effectiveAt;
+        emit VolumeLimitsChangeCancelled();
+    }
+
+    /// @notice Limits in effect: a scheduled change counts as soon as its time has come
+    /// @param self The limits
+    function current(Limits storage self) internal view returns (Settings storage) {
+        return _isActive(self) ? self.scheduled : self.settings;
+    }
+
+    /// @notice Whether `scheduled` holds a change that has not taken effect yet
+    /// @param self The limits
+    function isPending(Limits storage self) internal view returns (bool) {
+        return self.effectiveAt > block.timestamp;
+    }
+
+    /// @notice Records a trade by `account` that sends `value` wei worth of `asset` out of the office
+    /// @dev Reverts when the trade would take the account past its daily volume. Exceeding the outflow
+    /// limit does not revert, so the caller can pause trading and keep that state
+    /// @param self The limits
+    /// @param account The trader the volume counts against
+    /// @param volume ETH value of the trade in wei
+    /// @param asset The token that leaves the office, or the zero address for ETH
+    /// @param value Wei value of what leaves
+    /// @return outflowExceeded Whether the asset's outflow in the window is now above `maxOutflow`
+    function record(
+        Limits storage self,
+        address account,
+        uint256 volume,
+        address asset,
+        uint256 value
+    ) public returns (bool outflowExceeded) {
+        Settings storage settings = current(self);
+        if (settings.maxDailyVolume > 0) {
+            DailyVolume storage daily = self.dailyVolumes[account];
+            uint256 today = block.timestamp / 1 days;
+            uint256 total = (daily.day == today ? daily.volume : 0) + volume;
+            require(total <= settings.maxDailyVolume, "Daily volume limit exceeded");
+            daily.day = today;
+            daily.volume = total;
+        }
+        if (settings.maxOutflow > 0) {
+            uint256 outflow = currentOutflow(self, asset) + value;
+            self.outflows[asset] = Outflow(outflow, block.timestamp);
+            if (outflow > settings.maxOutflow) {
+                emit OutflowLimitExceeded(asset, outflow, settings.maxOutflow);
+                return true;
+            }
+        }
+    }
+
+    /// @notice Wei `account` has traded so far today
+    /// @param self The limits
+    /// @param account The trader
+    function dailyVolume(Limits storage self, address account) public view returns (uint256) {
+        DailyVolume storage daily = self.dailyVolumes[account];
+        return daily.day == block.timestamp / 1 days ? daily.volume : 0;
+    }
+
+    /// @notice Outflow of `asset` that is still inside the rolling window
+    /// @param self The limits
+    /// @param asset The token address, or the zero address for ETH
+    function currentOutflow(Limits storage self, address asset) public view returns (uint256) {
+        Settings storage settings = current(self);
+        if (settings.maxOutflow == 0) {
+            return 0;
+        }
+        Outflow storage outflow = self.outflows[asset];
+        uint256 released = Math.mulDiv(settings.maxOutflow, block.timestamp - outflow.updatedAt, settings.outflowWindow);
+        return released >= outflow.amount ? 0 : outflow.amount - released;
+    }
+
+    function _isActive(Limits storage self) private view returns (bool) {
+        return self.effectiveAt != 0 && block.timestamp >= self.effectiveAt;
+    }
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+/// @title Mock smart-contract wallet
+/// @notice Test-only wallet whose receive hook needs more than the 2300 gas stipend of
+/// `transfer`, like Safe or account-abstraction wallets, and can be set to reject ETH
+contract ContractWallet {
+    address public immutable owner;
+    bool public rejectPayments;
+    uint256 public paymentsReceived;
+    uint256 public totalReceived;
+
+    event PaymentReceived(address indexed from, uint256 amount);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /// @dev Writes storage and emits an event, which does not fit in 2300 gas
+    receive() external payable {
+        require(!rejectPayments, "ContractWallet: payments rejected");
+        paymentsReceived += 1;
+        totalReceived += msg.value;
+        emit PaymentReceived(msg.sender, msg.value);
+    }
+
+    /// @notice Makes the wallet revert on incoming ETH
+    /// @param reject Whether payments should be rejected
+    function setRejectPayments(bool reject) external {
+        require(msg.sender == owner, "ContractWallet: not owner");
+        rejectPayments = reject;
+    }
+
+    /// @notice Calls `target` from the wallet, bubbling up any revert
+    /// @param target Contract to call
+    /// @param value ETH to send along
+    /// @param data Calldata
+    function execute(address target, uint256 value, bytes calldata data) external payable returns (bytes memory) {
+        require(msg.sender == owner, "ContractWallet: not owner");
+        (bool success, bytes memory result) = target.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
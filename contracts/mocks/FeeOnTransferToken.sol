@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title Mock fee-on-transfer token
+/// @notice Test-only ERC20 that burns a share of every transfer, so recipients get less than was sent
+contract FeeOnTransferToken is ERC20 {
+    /// @notice Share of each transfer that is burned, in basis points
+    uint256 public immutable transferFeeBps;
+
+    /// @param feeBps Share of each transfer to burn, in basis points
+    constructor(uint256 feeBps) ERC20("Fee On Transfer", "FOT") {
+        require(feeBps <= 10_000, "Fee too high");
+        transferFeeBps = feeBps;
+    }
+
+    /// @notice Mints tokens to any address, without access control
+    /// @param to Address to receive the tokens
+    /// @param amount Amount of tokens to mint
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @dev Burns the fee from the sender and moves the rest
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = amount * transferFeeBps / 10_000;
+        if (fee > 0) {
+            _burn(from, fee);
+        }
+        super._transfer(from, to, amount - fee);
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/// @title Mock Chainlink price feed
+/// @notice Test-only feed whose answer, update time and failure mode can be set freely
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public immutable override decimals;
+    int256 public answer;
+    uint256 public updatedAt;
+    uint80 public roundId;
+    bool public revertReads;
+
+    /// @param decimals_ Number of decimals in the answers
+    /// @param initialAnswer First answer, reported as updated now
+    constructor(uint8 decimals_, int256 initialAnswer) {
+        decimals = decimals_;
+        setAnswer(initialAnswer);
+    }
+
+    /// @notice Reports a new answer, updated at the current block time
+    /// @param newAnswer The new price
+    function setAnswer(int256 newAnswer) public {
+        setAnswerAt(newAnswer, block.timestamp);
+    }
+
+    /// @notice Reports a new answer with an explicit update time, e.g. one in the past
+    /// @param newAnswer The new price
+    /// @param timestamp When the answer was updated
+    function setAnswerAt(int256 newAnswer, uint256 timestamp) public {
+        roundId++;
+        answer = newAnswer;
+        updatedAt = timestamp;
+    }
+
+    /// @notice Makes subsequent `latestRoundData` calls revert
+    /// @param shouldRevert Whether reads should revert
+    function setRevertReads(bool shouldRevert) external {
+        revertReads = shouldRevert;
+    }
+
+    function description() external pure override returns (string memory) {
+        return "Mock / ETH";
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        require(!revertReads, "MockAggregator: reads disabled");
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
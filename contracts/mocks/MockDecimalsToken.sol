@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title Mock token with configurable decimals
+/// @notice Test-only ERC20, e.g. a 6-decimal stablecoin or an 8-decimal wrapped BTC
+contract MockDecimalsToken is ERC20 {
+    uint8 private immutable _decimals;
+
+    /// @param name_ Token name
+    /// @param symbol_ Token symbol
+    /// @param decimals_ Number of decimals
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    /// @notice Mints tokens to any address, without access control
+    /// @param to Address to receive the tokens
+    /// @param amount Amount of tokens to mint
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice Returns the number of decimals set at deployment
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title Mock token that signals failure by returning false
+/// @notice Test-only ERC20 whose transfers return false, without reverting, while `failTransfers` is set
+contract ReturnFalseToken is ERC20 {
+    bool public failTransfers;
+
+    constructor() ERC20("Return False", "RFT") {}
+
+    /// @notice Mints tokens to any address, without access control
+    /// @param to Address to receive the tokens
+    /// @param amount Amount of tokens to mint
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice Makes subsequent transfers fail by returning false
+    /// @param fail Whether transfers should fail
+    function setFailTransfers(bool fail) external {
+        failTransfers = fail;
+    }
+
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        return super.transfer(to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        return super.transferFrom(from, to, amount);
+    }
+}
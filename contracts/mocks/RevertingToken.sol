@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title Mock token that signals failure by reverting
+/// @notice Test-only ERC20 whose transfers revert while `revertTransfers` is set
+contract RevertingToken is ERC20 {
+    bool public revertTransfers;
+
+    constructor() ERC20("Reverting", "REV") {}
+
+    /// @notice Mints tokens to any address, without access control
+    /// @param to Address to receive the tokens
+    /// @param amount Amount of tokens to mint
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @notice Makes subsequent transfers revert
+    /// @param shouldRevert Whether transfers should revert
+    function setRevertTransfers(bool shouldRevert) external {
+        revertTransfers = shouldRevert;
+    }
+
+    /// @dev Runs for transfer and transferFrom alike
+    function _transfer(address from, address to, uint256 amount) internal override {
+        require(!revertTransfers, "RevertingToken: transfers disabled");
+        super._transfer(from, to, amount);
+    }
+}
@@ -1,9 +1,31 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
 require("solidity-coverage");
+require("./tasks/exchange");
+require("./tasks/report");
+
+function compiler(runs) {
+  return {
+    version: "0.8.17",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs
+      },
+      // The IR pipeline keeps ExchangeOffice under the 24KB contract size limit
+      viaIR: true
+    }
+  };
+}
 
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    compilers: [compiler(200)],
+    overrides: {
+      // Optimized for size over call cost, as it sits close to the limit
+      "contracts/ExchangeOffice.sol": compiler(100)
+    }
+  },
   networks: {
     hardhat: {
       chainId: 1337
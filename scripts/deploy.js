@@ -0,0 +1,49 @@
+// Deploys and configures SimpleToken + ExchangeOffice and its periphery contracts from a declarative config.
+//
+// Usage:
+//   npx hardhat run scripts/deploy.js --network <network>
+//
+// Environment:
+//   DEPLOY_CONFIG       path to the config file (default: config/deploy.json)
+//   DEPLOYMENTS_DIR     where manifests are written (default: deployments/)
+const path = require("path");
+const hre = require("hardhat");
+const {
+  deploy,
+  loadConfig,
+  manifestPath,
+  readManifest,
+  writeManifest
+} = require("./lib/deployment");
+
+async function main() {
+  const networkName = hre.network.name;
+  const configPath = process.env.DEPLOY_CONFIG || path.join(__dirname, "..", "config", "deploy.json");
+  const deploymentsDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+  const file = manifestPath(deploymentsDir, networkName);
+
+  const config = loadConfig(configPath);
+  const previous = readManifest(file);
+
+  const manifest = await deploy({
+    ethers: hre.ethers,
+    networkName,
+    config,
+    manifest: previous,
+    log: (message) => console.log(message)
+  });
+
+  // The in-process hardhat network is thrown away on exit, so a manifest would point nowhere.
+  if (networkName === "hardhat") {
+    console.log("Skipping manifest for the in-process hardhat network");
+    return;
+  }
+
+  writeManifest(file, manifest);
+  console.log(`Manifest written to ${file}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
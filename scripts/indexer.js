@@ -0,0 +1,63 @@
+// Indexes ExchangeOffice events into indexes/<network>.json for `npx hardhat exchange:report`.
+//
+// Usage:
+//   npx hardhat run scripts/indexer.js --network <network>
+//
+// Backfills from the exchange's deployment block (or INDEXER_FROM_BLOCK), then follows new
+// blocks until interrupted. An existing index resumes after its last indexed block.
+//
+// Environment:
+//   DEPLOYMENTS_DIR        where manifests are read from (default: deployments/)
+//   INDEX_DIR              where indexes are written (default: indexes/)
+//   EXCHANGE_ADDRESS       exchange to index (default: the manifest's ExchangeOffice)
+//   INDEXER_FROM_BLOCK     first block of a new index (default: the manifest's deployment block, else 0)
+//   INDEXER_CONFIRMATIONS  blocks to stay behind the chain head, against reorgs (default: 0)
+//   INDEXER_BATCH_SIZE     blocks per log query (default: 2000)
+//   INDEXER_FOLLOW         set to "false" to exit after the backfill
+const path = require("path");
+const hre = require("hardhat");
+const { manifestPath, readManifest } = require("./lib/deployment");
+const { indexPath, readIndex, writeIndex, createIndex, syncIndex, startIndexer } = require("./lib/indexer");
+
+async function main() {
+  const deploymentsDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+  const manifest = readManifest(manifestPath(deploymentsDir, hre.network.name));
+  const entry = manifest && manifest.contracts.ExchangeOffice;
+  const address = process.env.EXCHANGE_ADDRESS || (entry && entry.address);
+  if (!address) {
+    throw new Error(`No EXCHANGE_ADDRESS given and no deployment manifest for network "${hre.network.name}"`);
+  }
+  const exchange = await hre.ethers.getContractAt("ExchangeOffice", address);
+
+  const file = indexPath(process.env.INDEX_DIR || path.join(__dirname, "..", "indexes"), hre.network.name);
+  let index = readIndex(file);
+  if (index && index.exchange !== exchange.address) {
+    throw new Error(`${file} indexes ${index.exchange}, not ${exchange.address}: move it or set INDEX_DIR`);
+  }
+  if (!index) {
+    const fromBlock = process.env.INDEXER_FROM_BLOCK || (entry && entry.address === exchange.address && entry.blockNumber) || 0;
+    index = await createIndex(exchange, Number(fromBlock));
+  }
+
+  const options = {
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+    batchSize: Number(process.env.INDEXER_BATCH_SIZE || 2000)
+  };
+  if (process.env.INDEXER_FOLLOW === "false") {
+    const added = await syncIndex(exchange, index, options);
+    writeIndex(file, index);
+    console.log(`Indexed ${added.length} events up to block ${index.lastBlock} into ${file}`);
+    return;
+  }
+
+  const indexer = startIndexer({ exchange, index, file, ...options, log: (message) => console.log(message) });
+  console.log(`Indexing ${exchange.address} from block ${index.lastBlock + 1} into ${file}`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await indexer.stop();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
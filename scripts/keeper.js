@@ -0,0 +1,36 @@
+// Keeper that fills LimitOrderBook orders as the ExchangeOffice rates move.
+//
+// Usage:
+//   npx hardhat run scripts/keeper.js --network <network>
+//
+// Environment:
+//   DEPLOYMENTS_DIR     where manifests are read from (default: deployments/)
+//   KEEPER_INTERVAL     milliseconds between full sweeps (default: 60000)
+const path = require("path");
+const hre = require("hardhat");
+const { manifestPath, readManifest } = require("./lib/deployment");
+const { startKeeper } = require("./lib/keeper");
+
+async function main() {
+  const deploymentsDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+  const manifest = readManifest(manifestPath(deploymentsDir, hre.network.name));
+  if (!manifest || !manifest.contracts.LimitOrderBook) {
+    throw new Error(`No LimitOrderBook in the deployment manifest for network "${hre.network.name}"`);
+  }
+
+  const exchange = await hre.ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+  const orderBook = await hre.ethers.getContractAt("LimitOrderBook", manifest.contracts.LimitOrderBook.address);
+  const interval = Number(process.env.KEEPER_INTERVAL || 60000);
+
+  const keeper = startKeeper({ exchange, orderBook, interval, log: (message) => console.log(message) });
+  console.log(`Watching ${exchange.address} for orders in ${orderBook.address}`);
+  await keeper.sweep();
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await keeper.stop();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
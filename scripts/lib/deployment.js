@@ -0,0 +1,510 @@
+const fs = require("fs");
+const path = require("path");
+const { parseRate, parseTokenAmount, formatTokenAmount } = require("./units");
+
+const ERC20_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)"
+];
+
+// Linked libraries ExchangeOffice is built on; each is deployed ahead of the exchange,
+// after the libraries linked into it.
+const EXCHANGE_OFFICE_LIBRARIES = ["Approvals", "ExchangeMath", "Payouts", "FeeSplits", "PriceFeeds", "ScheduledParameters", "Pricing", "Reserves", "TokenListings", "TradeLimits"];
+// The libraries that other libraries, and ExchangeOffice itself, are linked against. PriceFeeds is only
+// reached through Pricing.
+const LIBRARY_LINKS = {
+  FeeSplits: ["Payouts"],
+  Pricing: ["ExchangeMath", "PriceFeeds", "ScheduledParameters"],
+  TokenListings: ["ScheduledParameters"],
+  ExchangeOffice: EXCHANGE_OFFICE_LIBRARIES.filter((name) => name !== "PriceFeeds")
+};
+// Contracts built on top of the exchange, deployed after it and taking its address as their only argument.
+const PERIPHERY_CONTRACTS = ["LimitOrderBook", "LiquidityPool", "SignedOrderRelay"];
+// Periphery contracts that trade for their users and get ROUTER_ROLE, so those trades count
+// against the users' daily volume.
+const ROUTER_CONTRACTS = ["LimitOrderBook", "SignedOrderRelay"];
+
+// Returns an ExchangeOffice factory linked against `libraries` ({ name: address }),
+// deploying whichever libraries are not given.
+async function getExchangeOfficeFactory(ethers, { signer, libraries = {} } = {}) {
+  const linked = {};
+  for (const name of EXCHANGE_OFFICE_LIBRARIES) {
+    if (libraries[name]) {
+      linked[name] = libraries[name];
+      continue;
+    }
+    const factory = await ethers.getContractFactory(name, { signer, libraries: libraryLinks(name, linked) });
+    const library = await factory.deploy();
+    await library.deployed();
+    linked[name] = library.address;
+  }
+  return ethers.getContractFactory("ExchangeOffice", { signer, libraries: libraryLinks("ExchangeOffice", linked) });
+}
+
+// The addresses, out of the deployed `libraries`, that library or contract `name` is linked against.
+function libraryLinks(name, libraries) {
+  const links = {};
+  for (const link of LIBRARY_LINKS[name] || []) {
+    links[link] = libraries[link];
+  }
+  return links;
+}
+
+// Reads a deployment config from disk.
+// JSON files are parsed directly, JS files are required so they can compute values.
+function loadConfig(configPath) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Deployment config not found: ${resolved}`);
+  }
+  if (resolved.endsWith(".js")) {
+    delete require.cache[resolved];
+    return require(resolved);
+  }
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+// Validates the config shape and fills in defaults.
+function normalizeConfig(config) {
+  const exchange = config.exchange || {};
+  const tokens = config.tokens || [];
+  const keys = new Set();
+
+  if (Number(exchange.maxOutflow || 0) > 0 && !exchange.outflowWindow) {
+    throw new Error("Exchange \"maxOutflow\" needs an \"outflowWindow\"");
+  }
+
+  for (const token of tokens) {
+    if (!token.key) {
+      throw new Error("Every token entry needs a unique \"key\"");
+    }
+    if (keys.has(token.key)) {
+      throw new Error(`Duplicate token key "${token.key}"`);
+    }
+    keys.add(token.key);
+    if (!token.address && !token.contract) {
+      throw new Error(`Token "${token.key}" needs either an "address" or a "contract" to deploy`);
+    }
+    if (token.rate && (token.buyRate || token.sellRate)) {
+      throw new Error(`Token "${token.key}" sets both "rate" and "buyRate"/"sellRate"`);
+    }
+    if (Boolean(token.buyRate) !== Boolean(token.sellRate)) {
+      throw new Error(`Token "${token.key}" needs both "buyRate" and "sellRate"`);
+    }
+    const feed = token.priceFeed;
+    if (feed && (!feed.address || !feed.maxStaleness || !feed.maxDeviationBps)) {
+      throw new Error(`Token "${token.key}" price feed needs "address", "maxStaleness" and "maxDeviationBps"`);
+    }
+  }
+
+  return {
+    exchange: {
+      ethFunding: exchange.ethFunding || "0",
+      treasury: exchange.treasury || null,
+      maxDailyVolume: exchange.maxDailyVolume || "0",
+      maxOutflow: exchange.maxOutflow || "0",
+      outflowWindow: exchange.outflowWindow || 0
+    },
+    tokens: tokens.map((token) => ({
+      key: token.key,
+      address: token.address || null,
+      contract: token.address ? null : token.contract,
+      initialSupply: token.initialSupply || "0",
+      decimals: token.decimals === undefined ? 18 : token.decimals,
+      buyRate: token.rate || token.buyRate || null,
+      sellRate: token.rate || token.sellRate || null,
+      buyFeeBps: token.buyFeeBps || 0,
+      sellFeeBps: token.sellFeeBps || 0,
+      symbol: token.symbol || null,
+      minTradeAmount: token.minTradeAmount || "0",
+      maxTradeAmount: token.maxTradeAmount || "0",
+      priceFeed: token.priceFeed ? {
+        address: token.priceFeed.address,
+        maxStaleness: token.priceFeed.maxStaleness,
+        maxDeviationBps: token.priceFeed.maxDeviationBps,
+        fallbackToManual: token.priceFeed.fallbackToManual !== false
+      } : null,
+      supply: token.supply || "0"
+    }))
+  };
+}
+
+// Stable hash of the normalized config, recorded in the manifest.
+function hashConfig(ethers, config) {
+  return ethers.utils.id(canonicalJson(normalizeConfig(config)));
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function manifestPath(deploymentsDir, networkName) {
+  return path.join(deploymentsDir, `${networkName}.json`);
+}
+
+function readManifest(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+async function hasCode(ethers, address) {
+  if (!address) {
+    return false;
+  }
+  const code = await ethers.provider.getCode(address);
+  return code !== "0x";
+}
+
+// Records a mined transaction in the manifest history.
+async function record(manifest, action, tx, details = {}) {
+  const receipt = await tx.wait();
+  manifest.transactions.push({
+    action,
+    ...details,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber
+  });
+  return receipt;
+}
+
+async function deployContract(ethers, manifest, name, args, log, options = {}) {
+  const factory = await ethers.getContractFactory(name, options);
+  const contract = await factory.deploy(...args);
+  const receipt = await contract.deployTransaction.wait();
+  log(`Deployed ${name} at ${contract.address}`);
+  manifest.transactions.push({
+    action: "deploy",
+    contract: name,
+    address: contract.address,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber
+  });
+  return {
+    contract,
+    entry: {
+      contract: name,
+      address: contract.address,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    }
+  };
+}
+
+// Reuses a periphery contract from the previous manifest while it still points at `exchange`,
+// and deploys a new one otherwise. Returns its manifest entry.
+async function deployPeriphery(ethers, manifest, previousEntry, name, exchange, log) {
+  if (previousEntry && await hasCode(ethers, previousEntry.address) &&
+      await (await ethers.getContractAt(name, previousEntry.address)).exchange() === exchange.address) {
+    log(`Reusing ${name} at ${previousEntry.address}`);
+    return previousEntry;
+  }
+  const deployed = await deployContract(ethers, manifest, name, [exchange.address], log);
+  return deployed.entry;
+}
+
+// Deploys SimpleToken/ExchangeOffice (with its libraries) and its periphery contracts and applies the config.
+// When a previous manifest is passed, contracts that still have code on chain
+// are reused and only settings that differ from the config are sent.
+async function deploy({ ethers, networkName, config, manifest: previous, log = () => {} }) {
+  const normalized = normalizeConfig(config);
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const manifest = {
+    network: networkName,
+    chainId,
+    deployer: deployer.address,
+    configHash: hashConfig(ethers, config),
+    contracts: {
+      libraries: {},
+      ExchangeOffice: null,
+      LimitOrderBook: null,
+      LiquidityPool: null,
+      SignedOrderRelay: null,
+      tokens: {}
+    },
+    transactions: previous && previous.chainId === chainId ? [...previous.transactions] : []
+  };
+  const previousContracts = previous && previous.chainId === chainId ? previous.contracts : { tokens: {} };
+
+  // ExchangeOffice
+  let exchange;
+  const previousExchange = previousContracts.ExchangeOffice;
+  if (previousExchange && await hasCode(ethers, previousExchange.address)) {
+    exchange = await ethers.getContractAt("ExchangeOffice", previousExchange.address);
+    manifest.contracts.libraries = previousContracts.libraries || {};
+    manifest.contracts.ExchangeOffice = previousExchange;
+    log(`Reusing ExchangeOffice at ${exchange.address}`);
+  } else {
+    // A new exchange gets new libraries too, so they always match the compiled code
+    const libraries = {};
+    for (const name of EXCHANGE_OFFICE_LIBRARIES) {
+      const deployedLibrary = await deployContract(ethers, manifest, name, [], log, { libraries: libraryLinks(name, libraries) });
+      manifest.contracts.libraries[name] = deployedLibrary.entry;
+      libraries[name] = deployedLibrary.contract.address;
+    }
+    const deployed = await deployContract(ethers, manifest, "ExchangeOffice", [], log, { libraries: libraryLinks("ExchangeOffice", libraries) });
+    exchange = deployed.contract;
+    manifest.contracts.ExchangeOffice = deployed.entry;
+  }
+
+  // Periphery contracts, each tied to the exchange it works with
+  for (const name of PERIPHERY_CONTRACTS) {
+    manifest.contracts[name] = await deployPeriphery(ethers, manifest, previousContracts[name], name, exchange, log);
+  }
+  if (await exchange.liquidityPool() !== manifest.contracts.LiquidityPool.address) {
+    const tx = await exchange.setLiquidityPool(manifest.contracts.LiquidityPool.address);
+    await record(manifest, "setLiquidityPool", tx, { pool: manifest.contracts.LiquidityPool.address });
+    log(`Set liquidity pool to ${manifest.contracts.LiquidityPool.address}`);
+  }
+  const routerRole = await exchange.ROUTER_ROLE();
+  for (const name of ROUTER_CONTRACTS) {
+    const router = manifest.contracts[name].address;
+    if (!await exchange.hasRole(routerRole, router)) {
+      const tx = await exchange.grantRole(routerRole, router);
+      await record(manifest, "grantRole", tx, { role: "ROUTER_ROLE", account: router });
+      log(`Granted ROUTER_ROLE to ${name}`);
+    }
+  }
+
+  // Tokens
+  for (const tokenConfig of normalized.tokens) {
+    const previousToken = previousContracts.tokens[tokenConfig.key];
+    let tokenAddress;
+
+    if (tokenConfig.address) {
+      tokenAddress = tokenConfig.address;
+      manifest.contracts.tokens[tokenConfig.key] = { address: tokenAddress, external: true };
+    } else if (previousToken && previousToken.contract === tokenConfig.contract &&
+        await hasCode(ethers, previousToken.address)) {
+      tokenAddress = previousToken.address;
+      manifest.contracts.tokens[tokenConfig.key] = previousToken;
+      log(`Reusing ${tokenConfig.key} at ${tokenAddress}`);
+    } else {
+      const initialSupply = parseTokenAmount(tokenConfig.initialSupply, tokenConfig.decimals);
+      const deployed = await deployContract(ethers, manifest, tokenConfig.contract, [initialSupply], log);
+      tokenAddress = deployed.contract.address;
+      manifest.contracts.tokens[tokenConfig.key] = deployed.entry;
+    }
+
+    await configureToken({ ethers, exchange, deployer, tokenConfig, tokenAddress, manifest, log });
+  }
+
+  if (normalized.exchange.treasury) {
+    const treasury = await exchange.treasury();
+    if (treasury.toLowerCase() !== normalized.exchange.treasury.toLowerCase()) {
+      const tx = await exchange.setTreasury(normalized.exchange.treasury);
+      await record(manifest, "setTreasury", tx, { treasury: normalized.exchange.treasury });
+      log(`Set treasury to ${normalized.exchange.treasury}`);
+    }
+  }
+
+  const maxDailyVolume = ethers.utils.parseEther(normalized.exchange.maxDailyVolume);
+  const maxOutflow = ethers.utils.parseEther(normalized.exchange.maxOutflow);
+  const limits = await exchange.getVolumeLimits();
+  const pendingLimits = await exchange.getPendingVolumeLimits();
+  if (!pendingLimits.effectiveAt.isZero() && pendingLimits.maxDailyVolume.eq(maxDailyVolume) &&
+      pendingLimits.maxOutflow.eq(maxOutflow) && pendingLimits.outflowWindow.eq(normalized.exchange.outflowWindow)) {
+    log(`Volume limits are already scheduled for ${pendingLimits.effectiveAt}`);
+  } else if (!limits.maxDailyVolume.eq(maxDailyVolume) || !limits.maxOutflow.eq(maxOutflow) ||
+      !limits.outflowWindow.eq(normalized.exchange.outflowWindow)) {
+    const tx = await exchange.setVolumeLimits(maxDailyVolume, maxOutflow, normalized.exchange.outflowWindow);
+    await record(manifest, "setVolumeLimits", tx, {
+      maxDailyVolume: maxDailyVolume.toString(),
+      maxOutflow: maxOutflow.toString(),
+      outflowWindow: normalized.exchange.outflowWindow
+    });
+    log(`Set volume limits to ${normalized.exchange.maxDailyVolume} ETH per address per day and ` +
+        `${normalized.exchange.maxOutflow} ETH per ${normalized.exchange.outflowWindow}s`);
+  }
+
+  // ETH funding, topped up to the configured reserve
+  const targetEth = ethers.utils.parseEther(normalized.exchange.ethFunding);
+  const { ethReserve: currentEth } = await exchange.getReserves(ethers.constants.AddressZero);
+  if (currentEth.lt(targetEth)) {
+    const value = targetEth.sub(currentEth);
+    const tx = await deployer.sendTransaction({ to: exchange.address, value });
+    await record(manifest, "fundEth", tx, { amount: value.toString() });
+    log(`Funded exchange with ${ethers.utils.formatEther(value)} ETH`);
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  return manifest;
+}
+
+// Applies the listing, rate, fees and token supply for one token, skipping anything already in place.
+async function configureToken({ ethers, exchange, deployer, tokenConfig, tokenAddress, manifest, log }) {
+  const token = await ethers.getContractAt(ERC20_METADATA_ABI, tokenAddress);
+  const decimals = await token.decimals();
+
+  const listing = await exchange.getListing(tokenAddress);
+  const minTradeAmount = parseTokenAmount(tokenConfig.minTradeAmount, decimals);
+  const maxTradeAmount = parseTokenAmount(tokenConfig.maxTradeAmount, decimals);
+  if (!listing.listed) {
+    const symbol = tokenConfig.symbol || await token.symbol();
+    const tx = await exchange.listToken(tokenAddress, symbol, decimals, minTradeAmount, maxTradeAmount);
+    await record(manifest, "listToken", tx, {
+      token: tokenConfig.key,
+      symbol,
+      minTradeAmount: minTradeAmount.toString(),
+      maxTradeAmount: maxTradeAmount.toString()
+    });
+    log(`Listed ${tokenConfig.key} as ${symbol}`);
+  } else {
+    const pendingTradeSize = await exchange.getPendingTradeSize(tokenAddress);
+    if (!pendingTradeSize.effectiveAt.isZero() &&
+        pendingTradeSize.minTradeAmount.eq(minTradeAmount) && pendingTradeSize.maxTradeAmount.eq(maxTradeAmount)) {
+      log(`${tokenConfig.key} trade size is already scheduled for ${pendingTradeSize.effectiveAt}`);
+    } else if (!listing.minTradeAmount.eq(minTradeAmount) || !listing.maxTradeAmount.eq(maxTradeAmount)) {
+      const tx = await exchange.setTradeSize(tokenAddress, minTradeAmount, maxTradeAmount);
+      await record(manifest, "setTradeSize", tx, {
+        token: tokenConfig.key,
+        minTradeAmount: minTradeAmount.toString(),
+        maxTradeAmount: maxTradeAmount.toString()
+      });
+      log(`Set ${tokenConfig.key} trade size to ${tokenConfig.minTradeAmount}-${tokenConfig.maxTradeAmount}`);
+    }
+  }
+
+  if (tokenConfig.buyRate) {
+    const buyRate = parseRate(tokenConfig.buyRate);
+    const sellRate = parseRate(tokenConfig.sellRate);
+    const [currentBuyRate, currentSellRate] = await exchange.getManualRates(tokenAddress);
+    const pending = await exchange.getPendingRateChange(tokenAddress);
+    if (pending.buyRate.eq(buyRate) && pending.sellRate.eq(sellRate)) {
+      log(`${tokenConfig.key} rates are already scheduled for ${pending.effectiveAt}`);
+    } else if (!currentBuyRate.eq(buyRate) || !currentSellRate.eq(sellRate)) {
+      let tx;
+      if (buyRate.eq(sellRate)) {
+        tx = await exchange.setRate(tokenAddress, buyRate);
+        await record(manifest, "setRate", tx, { token: tokenConfig.key, rate: buyRate.toString() });
+      } else {
+        tx = await exchange.setRates(tokenAddress, buyRate, sellRate);
+        await record(manifest, "setRates", tx, {
+          token: tokenConfig.key,
+          buyRate: buyRate.toString(),
+          sellRate: sellRate.toString()
+        });
+      }
+      log(`Set ${tokenConfig.key} rates to buy ${tokenConfig.buyRate} / sell ${tokenConfig.sellRate} ETH`);
+    }
+  }
+
+  await configurePriceFeed({ ethers, exchange, tokenConfig, tokenAddress, manifest, log });
+
+  const [buyFeeBps, sellFeeBps] = await exchange.getFees(tokenAddress);
+  const pendingFees = await exchange.getPendingFeeChange(tokenAddress);
+  if (!pendingFees.effectiveAt.isZero() &&
+      pendingFees.buyFeeBps.eq(tokenConfig.buyFeeBps) && pendingFees.sellFeeBps.eq(tokenConfig.sellFeeBps)) {
+    log(`${tokenConfig.key} fees are already scheduled for ${pendingFees.effectiveAt}`);
+  } else if (!buyFeeBps.eq(tokenConfig.buyFeeBps) || !sellFeeBps.eq(tokenConfig.sellFeeBps)) {
+    const tx = await exchange.setFees(tokenAddress, tokenConfig.buyFeeBps, tokenConfig.sellFeeBps);
+    await record(manifest, "setFees", tx, {
+      token: tokenConfig.key,
+      buyFeeBps: tokenConfig.buyFeeBps,
+      sellFeeBps: tokenConfig.sellFeeBps
+    });
+    log(`Set ${tokenConfig.key} fees to ${tokenConfig.buyFeeBps}/${tokenConfig.sellFeeBps} bps`);
+  }
+
+  // Supply is a target reserve for the exchange, so re-runs only top up the difference.
+  const targetSupply = parseTokenAmount(tokenConfig.supply, decimals);
+  const { tokenReserve: currentSupply } = await exchange.getReserves(tokenAddress);
+  if (currentSupply.lt(targetSupply)) {
+    const amount = targetSupply.sub(currentSupply);
+    const allowance = await token.allowance(deployer.address, exchange.address);
+    if (allowance.lt(amount)) {
+      // USDT-style tokens refuse to change a non-zero allowance to another non-zero value
+      if (!allowance.isZero()) {
+        const resetTx = await token.approve(exchange.address, 0);
+        await record(manifest, "approve", resetTx, { token: tokenConfig.key, amount: "0" });
+      }
+      const approveTx = await token.approve(exchange.address, amount);
+      await record(manifest, "approve", approveTx, { token: tokenConfig.key, amount: amount.toString() });
+    }
+    const tx = await exchange.supplyToken(tokenAddress, amount);
+    await record(manifest, "supplyToken", tx, { token: tokenConfig.key, amount: amount.toString() });
+    log(`Supplied ${formatTokenAmount(amount, decimals)} ${tokenConfig.key}`);
+  }
+}
+
+// Points the token at its configured price feed, or back to manual pricing when none is configured.
+// A pending change that would undo the configuration is cancelled.
+async function configurePriceFeed({ ethers, exchange, tokenConfig, tokenAddress, manifest, log }) {
+  const current = await exchange.getPriceFeed(tokenAddress);
+  const pending = await exchange.getPendingPriceFeed(tokenAddress);
+  const hasFeed = current.feed !== ethers.constants.AddressZero;
+  const wanted = tokenConfig.priceFeed;
+  const isPending = !pending.effectiveAt.isZero();
+  const cancelPending = async () => {
+    const tx = await exchange.cancelPriceFeedChange(tokenAddress);
+    await record(manifest, "cancelPriceFeedChange", tx, { token: tokenConfig.key });
+    log(`Cancelled the pending ${tokenConfig.key} price feed change`);
+  };
+
+  if (!wanted) {
+    if (isPending && pending.feed === ethers.constants.AddressZero) {
+      log(`${tokenConfig.key} price feed removal is already scheduled for ${pending.effectiveAt}`);
+    } else if (hasFeed) {
+      const tx = await exchange.removePriceFeed(tokenAddress);
+      await record(manifest, "removePriceFeed", tx, { token: tokenConfig.key });
+      log(`Removed ${tokenConfig.key} price feed`);
+    } else if (isPending) {
+      await cancelPending();
+    }
+    return;
+  }
+  const matches = (config) => config.feed.toLowerCase() === wanted.address.toLowerCase() &&
+    config.maxStaleness.eq(wanted.maxStaleness) && config.maxDeviationBps.eq(wanted.maxDeviationBps) &&
+    config.fallbackToManual === wanted.fallbackToManual;
+  if (isPending && matches(pending)) {
+    log(`${tokenConfig.key} price feed is already scheduled for ${pending.effectiveAt}`);
+    return;
+  }
+  if (hasFeed && matches(current)) {
+    if (isPending) {
+      await cancelPending();
+    }
+    return;
+  }
+  // The feed is bounded by the manual rates, so it can only be set once they are in effect
+  if (!await exchange.isTokenSupported(tokenAddress)) {
+    log(`${tokenConfig.key} price feed waits for its rates to take effect`);
+    return;
+  }
+  const tx = await exchange.setPriceFeed(
+    tokenAddress, wanted.address, wanted.maxStaleness, wanted.maxDeviationBps, wanted.fallbackToManual);
+  await record(manifest, "setPriceFeed", tx, { token: tokenConfig.key, ...wanted });
+  log(`Set ${tokenConfig.key} price feed to ${wanted.address}`);
+}
+
+module.exports = {
+  EXCHANGE_OFFICE_LIBRARIES,
+  PERIPHERY_CONTRACTS,
+  ROUTER_CONTRACTS,
+  deploy,
+  getExchangeOfficeFactory,
+  loadConfig,
+  normalizeConfig,
+  hashConfig,
+  manifestPath,
+  readManifest,
+  writeManifest
+};
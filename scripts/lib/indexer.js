@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Indexes ExchangeOffice events into a JSON file for reporting.
+//
+// The index holds every indexed event in chain order, with its block timestamp and its
+// arguments as strings (amounts in base units), plus the decimals (the token's own decimals())
+// and listing symbol of each token seen. `lastBlock` is the last block fully indexed, so a sync
+// always resumes right after it and never stores an event twice; `lastTimestamp` is that block's
+// timestamp, up to which the report applies rate changes scheduled behind the parameter delay.
+//
+// Feed prices leave no events, so a `PriceFeedSet` and every trade in a feed-priced token
+// carry the token's rates at the end of their block, read with `getRates`, as `rates`
+// ({ token: { buyRate, sellRate } }). Reading them needs a node that still serves that
+// block's state (an archive node for a long backfill); rates that cannot be read, or that
+// the token is halted at, are left out.
+
+// Trades, fees and liquidity movements, plus everything that changes rates or inventory, so the
+// report can rebuild them from the events alone.
+const INDEXED_EVENTS = [
+  "TokensBought",
+  "TokensSold",
+  "TokensSwapped",
+  "FeesCollected",
+  "FeesClaimed",
+  "RateSet",
+  "RatesSet",
+  "RateChangeScheduled",
+  "RateChangeCancelled",
+  "PriceFeedSet",
+  "PriceFeedRemoved",
+  "PriceFeedChangeScheduled",
+  "PriceFeedChangeCancelled",
+  "TokenDelisted",
+  "TokensSupplied",
+  "EthSupplied",
+  "EmergencyWithdraw",
+  "EmergencyEthWithdraw",
+  "LiquidityReleased",
+  "ReserveSynced",
+  "ShutdownInitiated"
+];
+
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+function indexPath(indexDir, networkName) {
+  return path.join(indexDir, `${networkName}.json`);
+}
+
+function readIndex(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeIndex(file, index) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(index, null, 2)}\n`);
+}
+
+// An empty index of `exchange` whose first sync starts at `startBlock`.
+async function createIndex(exchange, startBlock) {
+  const { chainId } = await exchange.provider.getNetwork();
+  return {
+    exchange: exchange.address,
+    chainId,
+    startBlock,
+    lastBlock: startBlock - 1,
+    lastTimestamp: null,
+    tokens: {},
+    priceFeeds: {},
+    scheduledFeeds: {},
+    events: []
+  };
+}
+
+// Event arguments by name, with BigNumbers as decimal strings.
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = value && value._isBigNumber ? value.toString() : value;
+  });
+  return result;
+}
+
+// The token's own decimals(), or the decimals it was listed with when it has none.
+async function tokenDecimals(exchange, token) {
+  try {
+    return await new ethers.Contract(token, ERC20_ABI, exchange.provider).decimals();
+  } catch (error) {
+    return exchange.tokenDecimals(token);
+  }
+}
+
+// Records the decimals and symbol of every token a new event refers to.
+async function addTokens(exchange, index, events) {
+  for (const event of events) {
+    for (const key of ["token", "tokenIn", "tokenOut"]) {
+      const token = event.args[key];
+      if (!token || token === ethers.constants.AddressZero || index.tokens[token]) {
+        continue;
+      }
+      const [decimals, listing] = await Promise.all([tokenDecimals(exchange, token), exchange.getListing(token)]);
+      index.tokens[token] = { decimals, symbol: listing.symbol || token };
+    }
+  }
+}
+
+// Follows which tokens are priced by a feed and records the rates of the events that need them.
+// Feed changes scheduled behind the parameter delay are kept in `scheduledFeeds` until an event
+// at or after their activation time.
+async function addFeedRates(exchange, index, events) {
+  index.priceFeeds = index.priceFeeds || {};
+  index.scheduledFeeds = index.scheduledFeeds || {};
+  for (const event of events) {
+    const { args } = event;
+    for (const [token, change] of Object.entries(index.scheduledFeeds)) {
+      if (change.effectiveAt <= event.timestamp) {
+        delete index.scheduledFeeds[token];
+        if (change.feed === ethers.constants.AddressZero) {
+          delete index.priceFeeds[token];
+        } else {
+          index.priceFeeds[token] = change.feed;
+        }
+      }
+    }
+    if (event.event === "PriceFeedSet") {
+      index.priceFeeds[args.token] = args.feed;
+      delete index.scheduledFeeds[args.token];
+    } else if (event.event === "PriceFeedRemoved" || event.event === "TokenDelisted") {
+      delete index.priceFeeds[args.token];
+      delete index.scheduledFeeds[args.token];
+    } else if (event.event === "PriceFeedChangeScheduled") {
+      index.scheduledFeeds[args.token] = { feed: args.feed, effectiveAt: Number(args.effectiveAt) };
+    } else if (event.event === "PriceFeedChangeCancelled") {
+      delete index.scheduledFeeds[args.token];
+    }
+    if (!["PriceFeedSet", "TokensBought", "TokensSold", "TokensSwapped"].includes(event.event)) {
+      continue;
+    }
+    const rates = {};
+    for (const token of [args.token, args.tokenIn, args.tokenOut]) {
+      if (!token || !index.priceFeeds[token]) {
+        continue;
+      }
+      try {
+        const { buyRate, sellRate } = await exchange.getRates(token, { blockTag: event.blockNumber });
+        rates[token] = { buyRate: buyRate.toString(), sellRate: sellRate.toString() };
+      } catch (error) {
+        // Halted, or the node no longer has the block's state
+      }
+    }
+    if (Object.keys(rates).length > 0) {
+      event.rates = rates;
+    }
+  }
+}
+
+// Indexes the blocks after `index.lastBlock` up to `toBlock` (default: the latest block less
+// `confirmations`), `batchSize` blocks per query. Returns the events it added.
+async function syncIndex(exchange, index, { toBlock = null, confirmations = 0, batchSize = 2000 } = {}) {
+  if (toBlock === null) {
+    toBlock = await exchange.provider.getBlockNumber() - confirmations;
+  }
+  const topics = INDEXED_EVENTS.map((name) => exchange.interface.getEventTopic(name));
+  const added = [];
+  const timestamps = {};
+
+  for (let from = index.lastBlock + 1; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await exchange.provider.getLogs({ address: exchange.address, topics: [topics], fromBlock: from, toBlock: to });
+    const events = [];
+    for (const log of logs) {
+      const parsed = exchange.interface.parseLog(log);
+      if (timestamps[log.blockNumber] === undefined) {
+        timestamps[log.blockNumber] = (await exchange.provider.getBlock(log.blockNumber)).timestamp;
+      }
+      events.push({
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps[log.blockNumber],
+        args: serializeArgs(parsed.eventFragment, parsed.args)
+      });
+    }
+    await addTokens(exchange, index, events);
+    await addFeedRates(exchange, index, events);
+    index.events.push(...events);
+    index.lastBlock = to;
+    index.lastTimestamp = timestamps[to] !== undefined ? timestamps[to] : (await exchange.provider.getBlock(to)).timestamp;
+    added.push(...events);
+  }
+  return added;
+}
+
+// Backfills the index, then keeps it up to date on every new block, writing it to `file`
+// after each sync. Syncs run one at a time; `stop()` unsubscribes and resolves once the
+// current sync is done.
+function startIndexer({ exchange, index, file, confirmations = 0, batchSize = 2000, log = () => {} }) {
+  let running = Promise.resolve();
+  const sync = () => {
+    running = running
+        .then(async () => {
+          const before = index.lastBlock;
+          const added = await syncIndex(exchange, index, { confirmations, batchSize });
+          if (index.lastBlock !== before) {
+            writeIndex(file, index);
+          }
+          if (added.length > 0) {
+            log(`Indexed ${added.length} events up to block ${index.lastBlock}`);
+          }
+        })
+        .catch((error) => log(`Sync failed: ${error.message}`));
+    return running;
+  };
+
+  exchange.provider.on("block", sync);
+  sync();
+
+  return {
+    sync,
+    stop() {
+      exchange.provider.off("block", sync);
+      return running;
+    }
+  };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  indexPath,
+  readIndex,
+  writeIndex,
+  createIndex,
+  syncIndex,
+  startIndexer
+};
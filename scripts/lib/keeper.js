@@ -0,0 +1,81 @@
+const { extractRevertReason } = require("../../sdk/errors");
+
+// Fills limit orders once the exchange rate reaches their limit.
+//
+// Open orders are read page by page from the order book and checked with isExecutable.
+// Each one is simulated before it is sent, so orders that would still revert (an escrow
+// that no longer covers the buy fee, a paused exchange, ...) are skipped instead of paid for.
+
+const OPEN = 0;
+
+// Ids of open orders whose limit has been reached, optionally only for one token.
+async function findExecutableOrders(orderBook, { token = null, pageSize = 100 } = {}) {
+  const count = (await orderBook.orderCount()).toNumber();
+  const ids = [];
+  for (let offset = 0; offset < count; offset += pageSize) {
+    const page = await orderBook.getOrders(offset, pageSize);
+    for (let i = 0; i < page.length; i++) {
+      const order = page[i];
+      if (order.status !== OPEN || (token && order.token.toLowerCase() !== token.toLowerCase())) {
+        continue;
+      }
+      if (await orderBook.isExecutable(offset + i)) {
+        ids.push(offset + i);
+      }
+    }
+  }
+  return ids;
+}
+
+// Executes the executable orders and returns the ones it filled.
+async function fillOrders(orderBook, { token = null, log = () => {} } = {}) {
+  const filled = [];
+  for (const orderId of await findExecutableOrders(orderBook, { token })) {
+    try {
+      await orderBook.callStatic.executeOrder(orderId);
+    } catch (error) {
+      log(`Skipping order ${orderId}: ${extractRevertReason(error) || error.message}`);
+      continue;
+    }
+    const receipt = await (await orderBook.executeOrder(orderId)).wait();
+    log(`Filled order ${orderId}: ${receipt.transactionHash}`);
+    filled.push({ orderId, txHash: receipt.transactionHash });
+  }
+  return filled;
+}
+
+// Fills orders whenever the exchange emits RateSet/RatesSet for a token, and every `interval`
+// milliseconds for changes that emit nothing (scheduled rates taking effect, price feeds).
+// Sweeps run one at a time; `stop()` unsubscribes and resolves once the current sweep is done.
+function startKeeper({ exchange, orderBook, interval = null, log = () => {} }) {
+  let running = Promise.resolve();
+  const sweep = (token = null) => {
+    running = running
+        .then(() => fillOrders(orderBook, { token, log }))
+        .catch((error) => log(`Sweep failed: ${error.message}`));
+    return running;
+  };
+
+  const onRateChange = (token) => sweep(token);
+  exchange.on("RateSet", onRateChange);
+  exchange.on("RatesSet", onRateChange);
+  const timer = interval ? setInterval(() => sweep(), interval) : null;
+
+  return {
+    sweep,
+    stop() {
+      exchange.off("RateSet", onRateChange);
+      exchange.off("RatesSet", onRateChange);
+      if (timer) {
+        clearInterval(timer);
+      }
+      return running;
+    }
+  };
+}
+
+module.exports = {
+  findExecutableOrders,
+  fillOrders,
+  startKeeper
+};
@@ -0,0 +1,314 @@
+const { ethers } = require("ethers");
+const { formatTokenAmount, formatRate } = require("./units");
+
+// Trade history report built from an event index (see ./indexer.js).
+//
+// Token amounts are formatted with each token's decimals and ETH amounts in ether. Inventory is
+// the exchange's token and ETH reserves rebuilt from the indexed events, so it is relative to the
+// index's start block. Tokens and ETH sent to the exchange with a plain transfer only show up once
+// they are synced. Fees are paid in ETH and set aside from the ETH reserve as they are collected,
+// so the ETH inventory drops by every `FeesCollected` and claiming them leaves it as it is.
+//
+// The rate history lists where each token's rates come from: "manual" for rates set outright (or
+// back in use after a price feed is removed, including by a scheduled removal), "scheduled" for a change made behind the parameter
+// delay, listed at the time it takes effect under the block it was scheduled in, and "feed" for a
+// feed-priced token's rates whenever the indexer saw them change.
+
+const { Zero } = ethers.constants;
+const ETH = ethers.constants.AddressZero;
+
+// Tables of a report that can be written as CSV.
+const REPORT_TABLES = ["volume", "flows", "fees", "inventory", "rates"];
+
+function emptyVolume() {
+  return { trades: 0, bought: Zero, boughtEth: Zero, sold: Zero, soldEth: Zero, swappedIn: Zero, swappedOut: Zero };
+}
+
+// Signed changes of the exchange's inventory caused by an event, given the balances so far. ETH is
+// the zero address.
+function inventoryChanges({ event, args }, balances) {
+  switch (event) {
+    case "TokensSupplied":
+      return [[args.token, args.amount]];
+    case "EthSupplied":
+      return [[ETH, args.amount]];
+    case "TokensSold":
+      return [[args.token, args.amount], [ETH, `-${args.ethAmount}`]];
+    case "TokensBought":
+      // The price including the fee; the fee leaves the reserve with its own event
+      return [[args.token, `-${args.amount}`], [ETH, args.ethAmount]];
+    case "TokensSwapped":
+      return [[args.tokenIn, args.amountIn], [args.tokenOut, `-${args.amountOut}`]];
+    case "FeesCollected":
+      return [[ETH, `-${args.amount}`]];
+    case "EmergencyWithdraw":
+    case "LiquidityReleased":
+      return [[args.token, `-${args.amount}`]];
+    case "EmergencyEthWithdraw":
+      return [[ETH, `-${args.amount}`]];
+    case "ReserveSynced":
+      // Sets the reserve outright
+      return [[args.token, ethers.BigNumber.from(args.reserve).sub(balances[args.token] || Zero)]];
+    default:
+      return [];
+  }
+}
+
+// Per-token volume, realized ETH flows, fee revenue, inventory over time and rate history of the
+// events between the `from` and `to` timestamps (inclusive, unbounded when null).
+function buildReport(index, { from = null, to = null } = {}) {
+  const inRange = (timestamp) => (from === null || timestamp >= from) && (to === null || timestamp <= to);
+  const token = (address) => (address === ETH ? { decimals: 18, symbol: "ETH" } : index.tokens[address] || { decimals: 18, symbol: address });
+  const time = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+  const volumes = {};
+  const flows = { ethIn: Zero, ethOut: Zero, fees: Zero, claimed: Zero, withdrawn: Zero, released: Zero };
+  // Fees collected per token traded
+  const fees = {};
+  const balances = {};
+  const inventory = [];
+  const rates = [];
+  // Manual rates in effect, the change scheduled for each token and the feed rates last listed
+  const manualRates = {};
+  const scheduled = {};
+  const feedRates = {};
+  // Price feed removals scheduled for each token
+  const feedRemovals = {};
+  let shutdownAt = null;
+
+  const addRate = (timestamp, blockNumber, address, { buyRate, sellRate }, source) => {
+    if (inRange(timestamp)) {
+      rates.push({
+        time: time(timestamp),
+        blockNumber,
+        token: address,
+        symbol: token(address).symbol,
+        buyRate: formatRate(buyRate),
+        sellRate: formatRate(sellRate),
+        source
+      });
+    }
+  };
+  // Scheduled changes take effect without an event of their own, once their time has come
+  const applyScheduled = (timestamp) => {
+    const due = Object.entries(scheduled)
+        .filter(([, change]) => change.effectiveAt <= timestamp)
+        .sort(([, a], [, b]) => a.effectiveAt - b.effectiveAt);
+    for (const [address, change] of due) {
+      delete scheduled[address];
+      manualRates[address] = change;
+      addRate(change.effectiveAt, change.blockNumber, address, change, "scheduled");
+    }
+    for (const [address, removal] of Object.entries(feedRemovals)) {
+      if (removal.effectiveAt <= timestamp) {
+        delete feedRemovals[address];
+        delete feedRates[address];
+        if (manualRates[address]) {
+          addRate(removal.effectiveAt, removal.blockNumber, address, manualRates[address], "manual");
+        }
+      }
+    }
+  };
+
+  for (const event of index.events) {
+    const { args } = event;
+    applyScheduled(event.timestamp);
+    switch (event.event) {
+      case "RateSet":
+      case "RatesSet": {
+        const rate = event.event === "RateSet"
+          ? { buyRate: args.rate, sellRate: args.rate }
+          : { buyRate: args.buyRate, sellRate: args.sellRate };
+        // Setting rates outright drops a pending change
+        delete scheduled[args.token];
+        manualRates[args.token] = rate;
+        addRate(event.timestamp, event.blockNumber, args.token, rate, "manual");
+        break;
+      }
+      case "RateChangeScheduled":
+        scheduled[args.token] = {
+          buyRate: args.buyRate,
+          sellRate: args.sellRate,
+          effectiveAt: Number(args.effectiveAt),
+          blockNumber: event.blockNumber
+        };
+        break;
+      case "RateChangeCancelled":
+        delete scheduled[args.token];
+        break;
+      case "PriceFeedSet":
+        delete feedRemovals[args.token];
+        break;
+      case "PriceFeedChangeScheduled":
+        // A scheduled feed replaces a pending removal
+        delete feedRemovals[args.token];
+        if (args.feed === ETH) {
+          feedRemovals[args.token] = { effectiveAt: Number(args.effectiveAt), blockNumber: event.blockNumber };
+        }
+        break;
+      case "PriceFeedChangeCancelled":
+        delete feedRemovals[args.token];
+        break;
+      case "PriceFeedRemoved":
+        delete feedRemovals[args.token];
+        delete feedRates[args.token];
+        if (manualRates[args.token]) {
+          addRate(event.timestamp, event.blockNumber, args.token, manualRates[args.token], "manual");
+        }
+        break;
+      case "TokenDelisted":
+        delete manualRates[args.token];
+        delete scheduled[args.token];
+        delete feedRates[args.token];
+        delete feedRemovals[args.token];
+        break;
+    }
+    for (const [address, rate] of Object.entries(event.rates || {})) {
+      const last = feedRates[address];
+      if (!last || last.buyRate !== rate.buyRate || last.sellRate !== rate.sellRate) {
+        feedRates[address] = rate;
+        addRate(event.timestamp, event.blockNumber, address, rate, "feed");
+      }
+    }
+
+    for (const [address, change] of inventoryChanges(event, balances)) {
+      balances[address] = (balances[address] || Zero).add(change);
+      if (inRange(event.timestamp)) {
+        const { decimals, symbol } = token(address);
+        inventory.push({
+          time: time(event.timestamp),
+          blockNumber: event.blockNumber,
+          token: address,
+          symbol,
+          event: event.event,
+          change: formatTokenAmount(change, decimals),
+          balance: formatTokenAmount(balances[address], decimals)
+        });
+      }
+    }
+    if (!inRange(event.timestamp)) {
+      continue;
+    }
+
+    const volume = (address) => (volumes[address] = volumes[address] || emptyVolume());
+    switch (event.event) {
+      case "TokensBought":
+        volume(args.token).trades++;
+        volume(args.token).bought = volume(args.token).bought.add(args.amount);
+        volume(args.token).boughtEth = volume(args.token).boughtEth.add(args.ethAmount);
+        flows.ethIn = flows.ethIn.add(args.ethAmount);
+        break;
+      case "TokensSold":
+        volume(args.token).trades++;
+        volume(args.token).sold = volume(args.token).sold.add(args.amount);
+        volume(args.token).soldEth = volume(args.token).soldEth.add(args.ethAmount);
+        flows.ethOut = flows.ethOut.add(args.ethAmount);
+        break;
+      case "TokensSwapped":
+        volume(args.tokenIn).trades++;
+        volume(args.tokenIn).swappedIn = volume(args.tokenIn).swappedIn.add(args.amountIn);
+        volume(args.tokenOut).trades++;
+        volume(args.tokenOut).swappedOut = volume(args.tokenOut).swappedOut.add(args.amountOut);
+        break;
+      case "FeesCollected": {
+        const collected = (fees[args.token] = fees[args.token] || { trades: 0, amount: Zero });
+        collected.trades++;
+        collected.amount = collected.amount.add(args.amount);
+        flows.fees = flows.fees.add(args.amount);
+        break;
+      }
+      case "FeesClaimed":
+        flows.claimed = flows.claimed.add(args.amount);
+        break;
+      case "EmergencyEthWithdraw":
+        flows.withdrawn = flows.withdrawn.add(args.amount);
+        break;
+      case "LiquidityReleased":
+        if (args.token === ETH) {
+          flows.released = flows.released.add(args.amount);
+        }
+        break;
+      case "ShutdownInitiated":
+        shutdownAt = time(event.timestamp);
+        break;
+    }
+  }
+  // Changes that took effect after the last event, up to the last indexed block (the last event for
+  // indexes that do not record its timestamp)
+  let lastTimestamp = index.lastTimestamp;
+  if (lastTimestamp === undefined || lastTimestamp === null) {
+    lastTimestamp = index.events.length > 0 ? index.events[index.events.length - 1].timestamp : null;
+  }
+  if (lastTimestamp !== null) {
+    applyScheduled(to === null ? lastTimestamp : Math.min(to, lastTimestamp));
+  }
+
+  const volume = Object.entries(volumes).map(([address, v]) => {
+    const { decimals, symbol } = token(address);
+    return {
+      token: address,
+      symbol,
+      trades: v.trades,
+      bought: formatTokenAmount(v.bought, decimals),
+      sold: formatTokenAmount(v.sold, decimals),
+      swappedIn: formatTokenAmount(v.swappedIn, decimals),
+      swappedOut: formatTokenAmount(v.swappedOut, decimals),
+      ethIn: ethers.utils.formatEther(v.boughtEth),
+      ethOut: ethers.utils.formatEther(v.soldEth),
+      netEth: ethers.utils.formatEther(v.boughtEth.sub(v.soldEth))
+    };
+  });
+
+  return {
+    exchange: index.exchange,
+    chainId: index.chainId,
+    blocks: { from: index.startBlock, to: index.lastBlock },
+    period: {
+      from: from === null ? null : new Date(from * 1000).toISOString(),
+      to: to === null ? null : new Date(to * 1000).toISOString()
+    },
+    shutdownAt,
+    volume,
+    flows: [{
+      ethIn: ethers.utils.formatEther(flows.ethIn),
+      ethOut: ethers.utils.formatEther(flows.ethOut),
+      netEth: ethers.utils.formatEther(flows.ethIn.sub(flows.ethOut)),
+      fees: ethers.utils.formatEther(flows.fees),
+      claimed: ethers.utils.formatEther(flows.claimed),
+      withdrawn: ethers.utils.formatEther(flows.withdrawn),
+      released: ethers.utils.formatEther(flows.released)
+    }],
+    fees: Object.entries(fees).map(([address, { trades, amount }]) => ({
+      token: address,
+      symbol: token(address).symbol,
+      trades,
+      fees: ethers.utils.formatEther(amount)
+    })),
+    inventory,
+    rates
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Rows of objects as CSV, with a header line from the keys of the first row.
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  REPORT_TABLES,
+  buildReport,
+  toCsv
+};
@@ -0,0 +1,32 @@
+// Deployed bytecode sizes of the compiled contracts, checked against the EIP-170 limit.
+
+// Largest runtime bytecode a contract can be deployed with on mainnet (EIP-170).
+const SIZE_LIMIT = 24576;
+
+// Size in bytes of each contract of the project with runtime bytecode, largest first. Interfaces,
+// abstract contracts and dependencies (e.g. @openzeppelin) are left out.
+async function contractSizes(artifacts) {
+  const sizes = [];
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const { contractName, sourceName, deployedBytecode } = await artifacts.readArtifact(name);
+    const size = (deployedBytecode.length - 2) / 2;
+    if (size > 0 && !sourceName.startsWith("@")) {
+      sizes.push({ contractName, sourceName, size, margin: SIZE_LIMIT - size });
+    }
+  }
+  return sizes.sort((a, b) => b.size - a.size);
+}
+
+// Contracts that are over the limit, or closer to it than `warningMargin` bytes.
+function checkSizes(sizes, { warningMargin = 0 } = {}) {
+  return {
+    oversized: sizes.filter((entry) => entry.margin < 0),
+    nearLimit: sizes.filter((entry) => entry.margin >= 0 && entry.margin < warningMargin)
+  };
+}
+
+module.exports = {
+  SIZE_LIMIT,
+  contractSizes,
+  checkSizes
+};
@@ -0,0 +1,33 @@
+const { ethers } = require("ethers");
+
+// Rates on ExchangeOffice are wei per whole token; the contract scales them by the
+// token's decimals, so a human rate ("ETH per whole token") only needs converting to wei.
+
+function parseTokenAmount(value, decimals) {
+  return ethers.utils.parseUnits(String(value), decimals);
+}
+
+function formatTokenAmount(amount, decimals) {
+  return ethers.utils.formatUnits(amount, decimals);
+}
+
+// Converts "ETH per whole token" into the raw rate stored by the contract.
+function parseRate(value) {
+  const rate = ethers.utils.parseEther(String(value));
+  if (rate.isZero()) {
+    throw new Error("Rate must be greater than 0");
+  }
+  return rate;
+}
+
+// Converts a raw contract rate back into "ETH per whole token".
+function formatRate(rate) {
+  return ethers.utils.formatEther(rate);
+}
+
+module.exports = {
+  parseTokenAmount,
+  formatTokenAmount,
+  parseRate,
+  formatRate
+};
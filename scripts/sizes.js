@@ -0,0 +1,29 @@
+// Prints the deployed bytecode size of every contract and fails if one is over the 24KB limit.
+//
+// Usage:
+//   npx hardhat run scripts/sizes.js
+//
+// Environment:
+//   SIZE_WARNING_MARGIN  bytes under the limit below which a contract is flagged (default: 512)
+const hre = require("hardhat");
+const { SIZE_LIMIT, contractSizes, checkSizes } = require("./lib/sizes");
+
+async function main() {
+  const sizes = await contractSizes(hre.artifacts);
+  const { oversized, nearLimit } = checkSizes(sizes, {
+    warningMargin: Number(process.env.SIZE_WARNING_MARGIN || 512)
+  });
+
+  for (const entry of sizes) {
+    const flag = oversized.includes(entry) ? "  OVER LIMIT" : nearLimit.includes(entry) ? "  near limit" : "";
+    console.log(`${entry.contractName.padEnd(32)} ${String(entry.size).padStart(6)} bytes  ${String(entry.margin).padStart(6)} left${flag}`);
+  }
+  if (oversized.length > 0) {
+    throw new Error(`${oversized.map((entry) => entry.contractName).join(", ")} over the ${SIZE_LIMIT} byte contract size limit`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,426 @@
+const { ethers } = require("ethers");
+const { EXCHANGE_OFFICE_ABI, ERC20_ABI } = require("./abi");
+const { TokenNotSupportedError, toExchangeError } = require("./errors");
+const { signPermit } = require("./signing");
+
+// ExchangeOffice prices amounts as `amount * rate / 10**decimals` before fees;
+// RATE_PRECISION is that divisor for 18-decimal tokens.
+const RATE_PRECISION = ethers.constants.WeiPerEther;
+const BPS_DENOMINATOR = 10000;
+// Deadline used for protected trades when none is given.
+const DEFAULT_DEADLINE_SECONDS = 20 * 60;
+
+// Widens (direction 1) or narrows (direction -1) a quoted amount by a tolerance in basis points.
+function applySlippage(quoted, slippageBps = 0, direction) {
+  if (slippageBps < 0 || slippageBps > BPS_DENOMINATOR) {
+    throw new RangeError("slippageBps must be between 0 and 10000");
+  }
+  return quoted.mul(BPS_DENOMINATOR + direction * slippageBps).div(BPS_DENOMINATOR);
+}
+
+// Client for ExchangeOffice that quotes through the contract's fee-aware views, handles
+// the approve step before selling and decodes the trade events of each receipt.
+class ExchangeOfficeClient {
+  // Pass a signer to trade, or a provider for read-only use.
+  constructor(address, signerOrProvider) {
+    this.address = address;
+    this.signerOrProvider = signerOrProvider;
+    this.contract = new ethers.Contract(address, EXCHANGE_OFFICE_ABI, signerOrProvider);
+    this.interface = this.contract.interface;
+  }
+
+  token(address) {
+    return new ethers.Contract(address, ERC20_ABI, this.signerOrProvider);
+  }
+
+  _signer() {
+    if (!ethers.Signer.isSigner(this.signerOrProvider)) {
+      throw new Error("A signer is required to send transactions");
+    }
+    return this.signerOrProvider;
+  }
+
+  // Buy and sell rates of a token, or TokenNotSupportedError when it has none.
+  // Throws PriceUnavailableError while an oracle-priced token is halted.
+  async getRates(token) {
+    let buyRate;
+    let sellRate;
+    try {
+      [buyRate, sellRate] = await this.contract.getRates(token);
+    } catch (error) {
+      throw toExchangeError(error);
+    }
+    if (buyRate.isZero()) {
+      throw new TokenNotSupportedError("Token not supported", "Token not supported");
+    }
+    return { buyRate, sellRate };
+  }
+
+  // Rate change scheduled for a token, or null when none is pending.
+  async getPendingRateChange(token) {
+    const { buyRate, sellRate, effectiveAt } = await this.contract.getPendingRateChange(token);
+    return effectiveAt.isZero() ? null : { buyRate, sellRate, effectiveAt: effectiveAt.toNumber() };
+  }
+
+  // Price feed of a token with its latest rate, or null when the token is priced manually.
+  async getPriceFeed(token) {
+    const { feed, maxStaleness, maxDeviationBps, fallbackToManual } = await this.contract.getPriceFeed(token);
+    if (feed === ethers.constants.AddressZero) {
+      return null;
+    }
+    const { rate, valid } = await this.contract.getOracleRate(token);
+    return {
+      feed,
+      maxStaleness: maxStaleness.toNumber(),
+      maxDeviationBps: maxDeviationBps.toNumber(),
+      fallbackToManual,
+      rate,
+      valid
+    };
+  }
+
+  // Price feed change scheduled for a token, or null when none is pending. `feed` is null for a
+  // scheduled removal.
+  async getPendingPriceFeed(token) {
+    const pending = await this.contract.getPendingPriceFeed(token);
+    if (pending.effectiveAt.isZero()) {
+      return null;
+    }
+    if (pending.feed === ethers.constants.AddressZero) {
+      return { feed: null, effectiveAt: pending.effectiveAt.toNumber() };
+    }
+    return {
+      feed: pending.feed,
+      maxStaleness: pending.maxStaleness.toNumber(),
+      maxDeviationBps: pending.maxDeviationBps.toNumber(),
+      fallbackToManual: pending.fallbackToManual,
+      effectiveAt: pending.effectiveAt.toNumber()
+    };
+  }
+
+  // The token's listing, or null when it is not listed. Trade sizes are in token units; a zero
+  // maxTradeAmount means no maximum.
+  async getListing(token) {
+    const { listed, symbol, decimals, minTradeAmount, maxTradeAmount } = await this.contract.getListing(token);
+    if (!listed) {
+      return null;
+    }
+    return { symbol, decimals, minTradeAmount, maxTradeAmount };
+  }
+
+  // Trade size bounds scheduled for a token, or null when no change is pending.
+  async getPendingTradeSize(token) {
+    const { minTradeAmount, maxTradeAmount, effectiveAt } = await this.contract.getPendingTradeSize(token);
+    return effectiveAt.isZero() ? null : { minTradeAmount, maxTradeAmount, effectiveAt: effectiveAt.toNumber() };
+  }
+
+  // Volume limits in wei (zero meaning no limit), with what `account` has traded today when given
+  // and the outflow of `asset` (a token, ETH by default) counted against the rolling window. Outflow is
+  // tracked per asset, and trading pauses once any asset's outflow exceeds maxOutflow.
+  async getVolumeLimits(account, asset = ethers.constants.AddressZero) {
+    const { maxDailyVolume, maxOutflow, outflowWindow } = await this.contract.getVolumeLimits();
+    return {
+      maxDailyVolume,
+      dailyVolume: account === undefined ? null : await this.contract.dailyVolume(account),
+      maxOutflow,
+      outflowWindow: outflowWindow.toNumber(),
+      currentOutflow: await this.contract.currentOutflow(asset)
+    };
+  }
+
+  // Volume limits scheduled to replace the current ones, or null when no change is pending.
+  async getPendingVolumeLimits() {
+    const { maxDailyVolume, maxOutflow, outflowWindow, effectiveAt } = await this.contract.getPendingVolumeLimits();
+    if (effectiveAt.isZero()) {
+      return null;
+    }
+    return { maxDailyVolume, maxOutflow, outflowWindow: outflowWindow.toNumber(), effectiveAt: effectiveAt.toNumber() };
+  }
+
+  // Null while the exchange is running. Once it is shut down: when that happened and when the owner can
+  // sweep what is left (both as Unix timestamps), with the ETH still owed as pending withdrawals and
+  // fees and the LP shares outstanding.
+  async getShutdownState() {
+    const state = await this.contract.getShutdownState();
+    if (!state.shutdown) {
+      return null;
+    }
+    return {
+      startedAt: state.startedAt.toNumber(),
+      sweepableAt: state.sweepableAt.toNumber(),
+      pendingEth: state.pendingEth,
+      feesEth: state.feesEth,
+      liquidityShares: state.liquidityShares
+    };
+  }
+
+  // The reserves trades with `token` draw on: token units available to buyers and wei available to
+  // sellers, with the largest buy and sell the exchange accepts right now in token units (both zero
+  // while trading is paused). Daily volume and outflow limits can still cap a trade below them.
+  async getReserves(token) {
+    const { tokenReserve, ethReserve } = await this.contract.getReserves(token);
+    return {
+      tokenReserve,
+      ethReserve,
+      maxBuyable: await this.contract.maxBuyable(token),
+      maxSellable: await this.contract.maxSellable(token)
+    };
+  }
+
+  // Wei the exchange charges for `amount` token units, buy fee included.
+  async quoteBuy(token, amount) {
+    amount = ethers.BigNumber.from(amount);
+    const { buyRate: rate } = await this.getRates(token);
+    const [ethAmount, fee] = await this.contract.quoteBuy(token, amount);
+    return { token, amount, rate, ethAmount, fee };
+  }
+
+  // Wei the exchange pays for `amount` token units, sell fee already deducted.
+  async quoteSell(token, amount) {
+    amount = ethers.BigNumber.from(amount);
+    const { sellRate: rate } = await this.getRates(token);
+    const [ethAmount, fee] = await this.contract.quoteSell(token, amount);
+    return { token, amount, rate, ethAmount, fee };
+  }
+
+  // Token units bought by spending exactly `ethAmount`, buy fee included.
+  async quoteBuyWithExactEth(token, ethAmount) {
+    ethAmount = ethers.BigNumber.from(ethAmount);
+    const { buyRate: rate } = await this.getRates(token);
+    const [amount, fee] = await this.contract.quoteBuyWithExactEth(token, ethAmount);
+    return { token, amount, rate, ethAmount, fee };
+  }
+
+  // Token units that must be sold to receive exactly `ethAmount` after the sell fee.
+  async quoteSellForExactEth(token, ethAmount) {
+    ethAmount = ethers.BigNumber.from(ethAmount);
+    const { sellRate: rate } = await this.getRates(token);
+    const [amount, fee] = await this.contract.quoteSellForExactEth(token, ethAmount);
+    return { token, amount, rate, ethAmount, fee };
+  }
+
+  // Units of `tokenOut` bought by swapping `amountIn` units of `tokenIn`, both fees included.
+  // `ethAmount` is the value of the sale that pays for the purchase.
+  async quoteSwap(tokenIn, tokenOut, amountIn) {
+    amountIn = ethers.BigNumber.from(amountIn);
+    let amountOut;
+    let ethAmount;
+    try {
+      [amountOut, ethAmount] = await this.contract.quoteSwap(tokenIn, tokenOut, amountIn);
+    } catch (error) {
+      throw toExchangeError(error);
+    }
+    return { tokenIn, tokenOut, amountIn, amountOut, ethAmount };
+  }
+
+  // Buys `amount` token units. Sends the quoted price unless `options.value` is given;
+  // anything above the price is refunded by the contract and reported as `refund`.
+  // With `options.slippageBps` and/or `options.deadline` the trade goes through
+  // `buyExact` and reverts if the price rose past the tolerance or the deadline passed.
+  async buy(token, amount, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteBuy(token, amount);
+    const exchange = this.contract.connect(signer);
+
+    let value;
+    let sendTransaction;
+    if (this._isProtected(options)) {
+      const maxWei = applySlippage(quote.ethAmount, options.slippageBps, 1);
+      const deadline = await this._deadline(options);
+      value = options.value === undefined ? maxWei : ethers.BigNumber.from(options.value);
+      sendTransaction = () => exchange.buyExact(token, quote.amount, maxWei, deadline, { value });
+    } else {
+      value = options.value === undefined ? quote.ethAmount : ethers.BigNumber.from(options.value);
+      sendTransaction = () => exchange.buy(token, quote.amount, { value });
+    }
+
+    const receipt = await this._send(sendTransaction);
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "buy");
+    return { ...event, refund: value.sub(event.ethAmount), receipt };
+  }
+
+  // Sells `amount` token units, approving the exchange first when the allowance is too low.
+  // Accepts the same `slippageBps`/`deadline` options as `buy`, routed through `sellExact`.
+  async sell(token, amount, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteSell(token, amount);
+    const exchange = this.contract.connect(signer);
+    const approvalReceipt = await this.ensureAllowance(token, quote.amount);
+
+    let sendTransaction;
+    if (this._isProtected(options)) {
+      const minWei = applySlippage(quote.ethAmount, options.slippageBps, -1);
+      const deadline = await this._deadline(options);
+      sendTransaction = () => exchange.sellExact(token, quote.amount, minWei, deadline);
+    } else {
+      sendTransaction = () => exchange.sell(token, quote.amount);
+    }
+
+    const receipt = await this._send(sendTransaction);
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "sell");
+    return { ...event, approvalReceipt, receipt };
+  }
+
+  // Sells `amount` token units of an EIP-2612 token, signing a permit instead of sending an
+  // approve transaction. Accepts the same `slippageBps`/`deadline` options as `sell`; the permit
+  // expires with the trade.
+  async sellWithPermit(token, amount, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteSell(token, amount);
+    const minWei = applySlippage(quote.ethAmount, options.slippageBps, -1);
+    const deadline = await this._deadline(options);
+    const { v, r, s } = await signPermit(signer, token, this.address, quote.amount, deadline);
+
+    const receipt = await this._send(() => this.contract.connect(signer)
+        .sellWithPermit(token, quote.amount, minWei, deadline, v, r, s));
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "sell");
+    return { ...event, receipt };
+  }
+
+  // Spends exactly `ethAmount` on tokens. `options.slippageBps` lowers the minimum
+  // token amount accepted below the quote (default: the quoted amount).
+  async buyWithExactEth(token, ethAmount, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteBuyWithExactEth(token, ethAmount);
+    const minAmountOut = applySlippage(quote.amount, options.slippageBps, -1);
+    const deadline = await this._deadline(options);
+
+    const receipt = await this._send(() => this.contract.connect(signer)
+        .buyWithExactEth(token, minAmountOut, deadline, { value: quote.ethAmount }));
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "buy");
+    return { ...event, receipt };
+  }
+
+  // Sells just enough tokens to receive exactly `ethAmount`, approving the exchange first
+  // when needed. `options.slippageBps` raises the maximum token amount above the quote.
+  async sellForExactEth(token, ethAmount, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteSellForExactEth(token, ethAmount);
+    const maxAmountIn = applySlippage(quote.amount, options.slippageBps, 1);
+    const deadline = await this._deadline(options);
+    const approvalReceipt = await this.ensureAllowance(token, maxAmountIn);
+
+    const receipt = await this._send(() => this.contract.connect(signer)
+        .sellForExactEth(token, quote.ethAmount, maxAmountIn, deadline));
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "sell");
+    return { ...event, approvalReceipt, receipt };
+  }
+
+  // Swaps `amountIn` units of `tokenIn` for `tokenOut`, approving the exchange first when needed.
+  // `options.slippageBps` lowers the minimum amount out below the quote (default: the quoted amount).
+  async swap(tokenIn, tokenOut, amountIn, options = {}) {
+    const signer = this._signer();
+    const quote = await this.quoteSwap(tokenIn, tokenOut, amountIn);
+    const minAmountOut = applySlippage(quote.amountOut, options.slippageBps, -1);
+    const approvalReceipt = await this.ensureAllowance(tokenIn, quote.amountIn);
+
+    const receipt = await this._send(() => this.contract.connect(signer)
+        .swap(tokenIn, tokenOut, quote.amountIn, minAmountOut));
+    const event = this.decodeTradeEvents(receipt).find((trade) => trade.type === "swap");
+    return { ...event, approvalReceipt, receipt };
+  }
+
+  _isProtected(options) {
+    return options.slippageBps !== undefined || options.deadline !== undefined;
+  }
+
+  async _deadline(options) {
+    if (options.deadline !== undefined) {
+      return options.deadline;
+    }
+    const block = await this.contract.provider.getBlock("latest");
+    return block.timestamp + DEFAULT_DEADLINE_SECONDS;
+  }
+
+  // Approves the exchange for `amount` if the current allowance is lower.
+  // Returns the approval receipt, or null when no approval was needed.
+  async ensureAllowance(token, amount) {
+    const signer = this._signer();
+    const tokenContract = this.token(token).connect(signer);
+    const allowance = await tokenContract.allowance(await signer.getAddress(), this.address);
+    if (allowance.gte(amount)) {
+      return null;
+    }
+    // USDT-style tokens refuse to change a non-zero allowance to another non-zero value
+    if (!allowance.isZero()) {
+      await this._send(() => tokenContract.approve(this.address, 0));
+    }
+    return this._send(() => tokenContract.approve(this.address, amount));
+  }
+
+  // Listed tokens whose rates are in effect, read from the listing registry page by page.
+  async getSupportedTokens() {
+    const pageSize = (await this.contract.MAX_PAGE_SIZE()).toNumber();
+    const listed = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.contract.getListedTokens(offset, pageSize);
+      listed.push(...page);
+      if (page.length < pageSize) {
+        break;
+      }
+    }
+    const supported = await Promise.all(listed.map((token) => this.contract.isTokenSupported(token)));
+    return listed.filter((token, i) => supported[i]);
+  }
+
+  // Decodes the TokensBought/TokensSold/TokensSwapped events emitted by this exchange in a receipt.
+  // The FeesCollected events emitted just before a trade are reported as its `fee`; a swap
+  // collects one on each side.
+  decodeTradeEvents(receipt) {
+    const trades = [];
+    let pendingFee = ethers.constants.Zero;
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = this.interface.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+      if (parsed.name === "FeesCollected") {
+        pendingFee = pendingFee.add(parsed.args.amount);
+      } else if (parsed.name === "TokensSwapped") {
+        trades.push({
+          type: "swap",
+          trader: parsed.args.trader,
+          tokenIn: parsed.args.tokenIn,
+          tokenOut: parsed.args.tokenOut,
+          amountIn: parsed.args.amountIn,
+          amountOut: parsed.args.amountOut,
+          ethAmount: parsed.args.ethAmount,
+          fee: pendingFee
+        });
+        pendingFee = ethers.constants.Zero;
+      } else if (parsed.name === "TokensBought" || parsed.name === "TokensSold") {
+        const isBuy = parsed.name === "TokensBought";
+        trades.push({
+          type: isBuy ? "buy" : "sell",
+          trader: isBuy ? parsed.args.buyer : parsed.args.seller,
+          token: parsed.args.token,
+          amount: parsed.args.amount,
+          ethAmount: parsed.args.ethAmount,
+          fee: pendingFee
+        });
+        pendingFee = ethers.constants.Zero;
+      }
+    }
+    return trades;
+  }
+
+  async _send(sendTransaction) {
+    try {
+      const tx = await sendTransaction();
+      return await tx.wait();
+    } catch (error) {
+      throw toExchangeError(error);
+    }
+  }
+}
+
+module.exports = {
+  ExchangeOfficeClient,
+  RATE_PRECISION,
+  applySlippage
+};
@@ -0,0 +1,85 @@
+// Human readable ABI fragments used by the SDK, so it works without Hardhat artifacts.
+
+const EXCHANGE_OFFICE_ABI = [
+  "function buy(address _token, uint256 amount) payable",
+  "function sell(address _token, uint256 amount)",
+  "function buyExact(address _token, uint256 amount, uint256 maxWei, uint256 deadline) payable",
+  "function sellExact(address _token, uint256 amount, uint256 minWei, uint256 deadline)",
+  "function sellWithPermit(address _token, uint256 amount, uint256 minWei, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function buyWithExactEth(address _token, uint256 minAmountOut, uint256 deadline) payable",
+  "function sellForExactEth(address _token, uint256 weiOut, uint256 maxAmountIn, uint256 deadline)",
+  "function swap(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut) returns (uint256 amountOut)",
+  "function getRate(address token) view returns (uint256)",
+  "function getRates(address token) view returns (uint256 buyRate, uint256 sellRate)",
+  "function getFees(address token) view returns (uint256 buyFeeBps, uint256 sellFeeBps)",
+  "function getPendingRateChange(address token) view returns (uint256 buyRate, uint256 sellRate, uint256 effectiveAt)",
+  "function getPriceFeed(address token) view returns (address feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual)",
+  "function getOracleRate(address token) view returns (uint256 rate, bool valid)",
+  "function getPendingPriceFeed(address token) view returns (address feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual, uint256 effectiveAt)",
+  "function getPendingFeeChange(address token) view returns (uint256 buyFeeBps, uint256 sellFeeBps, uint256 effectiveAt)",
+  "function quoteBuy(address token, uint256 amount) view returns (uint256 weiRequired, uint256 fee)",
+  "function quoteSell(address token, uint256 amount) view returns (uint256 weiToReturn, uint256 fee)",
+  "function quoteBuyWithExactEth(address token, uint256 weiIn) view returns (uint256 amountOut, uint256 fee)",
+  "function quoteSellForExactEth(address token, uint256 weiOut) view returns (uint256 amountIn, uint256 fee)",
+  "function quoteSwap(address tokenIn, address tokenOut, uint256 amountIn) view returns (uint256 amountOut, uint256 ethAmount)",
+  "function isTokenSupported(address token) view returns (bool)",
+  "function getListing(address token) view returns (bool listed, string symbol, uint8 decimals, uint256 minTradeAmount, uint256 maxTradeAmount)",
+  "function getListedTokens(uint256 offset, uint256 limit) view returns (address[] tokens)",
+  "function MAX_PAGE_SIZE() view returns (uint256)",
+  "function getVolumeLimits() view returns (uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow)",
+  "function getPendingVolumeLimits() view returns (uint256 maxDailyVolume, uint256 maxOutflow, uint256 outflowWindow, uint256 effectiveAt)",
+  "function getPendingTradeSize(address token) view returns (uint256 minTradeAmount, uint256 maxTradeAmount, uint256 effectiveAt)",
+  "function dailyVolume(address account) view returns (uint256)",
+  "function currentOutflow(address asset) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function isShutdown() view returns (bool)",
+  "function getShutdownState() view returns (bool shutdown, uint256 startedAt, uint256 sweepableAt, uint256 pendingEth, uint256 feesEth, uint256 liquidityShares)",
+  "function getReserves(address token) view returns (uint256 tokenReserve, uint256 ethReserve)",
+  "function maxBuyable(address token) view returns (uint256)",
+  "function maxSellable(address token) view returns (uint256)",
+  "function pendingWithdrawals(address account) view returns (uint256)",
+  "function claim()",
+  "event RateSet(address indexed token, uint256 rate)",
+  "event RatesSet(address indexed token, uint256 buyRate, uint256 sellRate)",
+  "event RateChangeScheduled(address indexed token, uint256 buyRate, uint256 sellRate, uint256 effectiveAt)",
+  "event PriceFeedChangeScheduled(address indexed token, address indexed feed, uint256 maxStaleness, uint256 maxDeviationBps, bool fallbackToManual, uint256 effectiveAt)",
+  "event TokensBought(address indexed buyer, address indexed token, uint256 amount, uint256 ethAmount)",
+  "event TokensSold(address indexed seller, address indexed token, uint256 amount, uint256 ethAmount)",
+  "event TokensSwapped(address indexed trader, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, uint256 ethAmount)",
+  "event FeesCollected(address indexed token, uint256 amount)",
+  "event PaymentDeferred(address indexed account, uint256 amount)",
+  "event PaymentClaimed(address indexed account, uint256 amount)",
+  "event OutflowLimitExceeded(address indexed asset, uint256 outflow, uint256 maxOutflow)"
+];
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+const ERC20_PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)"
+];
+
+const SIGNED_ORDER_RELAY_ABI = [
+  "function deposit() payable",
+  "function withdraw(uint256 amount)",
+  "function balances(address account) view returns (uint256)",
+  "function nonceUsed(address trader, uint256 nonce) view returns (bool)",
+  "function executeOrder((address trader, address token, bool isBuy, uint256 amount, uint256 limit, uint256 relayerFee, uint256 nonce, uint256 deadline) order, bytes signature)",
+  "function cancelOrder(uint256 nonce)",
+  "event OrderExecuted(address indexed trader, uint256 indexed nonce, address indexed relayer, address token, bool isBuy, uint256 amount, uint256 ethAmount)",
+  "event OrderCancelled(address indexed trader, uint256 indexed nonce)"
+];
+
+module.exports = {
+  EXCHANGE_OFFICE_ABI,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+  SIGNED_ORDER_RELAY_ABI
+};
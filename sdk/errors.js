@@ -0,0 +1,238 @@
+const { ethers } = require("ethers");
+
+// Typed errors for ExchangeOffice reverts.
+//
+// Contract calls fail with ethers errors whose shape depends on the provider and on
+// whether the failure happened during gas estimation or execution, so the revert
+// string is dug out of the error and mapped to one of the classes below.
+
+class ExchangeError extends Error {
+  constructor(message, reason, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason || null;
+    this.cause = cause;
+  }
+}
+
+class TokenNotSupportedError extends ExchangeError {}
+class InvalidAmountError extends ExchangeError {}
+class InsufficientPaymentError extends ExchangeError {}
+class InsufficientTokenLiquidityError extends ExchangeError {}
+class InsufficientEthLiquidityError extends ExchangeError {}
+class InsufficientTokenBalanceError extends ExchangeError {}
+class InsufficientAllowanceError extends ExchangeError {}
+class ExchangePausedError extends ExchangeError {}
+class ExchangeShutdownError extends ExchangeError {}
+class UnauthorizedError extends ExchangeError {}
+class PriceMovedError extends ExchangeError {}
+class DeadlineExpiredError extends ExchangeError {}
+class PriceUnavailableError extends ExchangeError {}
+class TradeSizeError extends ExchangeError {}
+class VolumeLimitError extends ExchangeError {}
+class InvalidParameterError extends ExchangeError {}
+class NoPendingChangeError extends ExchangeError {}
+class NothingToClaimError extends ExchangeError {}
+class TransferFailedError extends ExchangeError {}
+class LiquidityPoolError extends ExchangeError {}
+class OrderError extends ExchangeError {}
+class ApprovalError extends ExchangeError {}
+
+// Revert strings emitted by ExchangeOffice, its libraries and the contracts built around it (and the
+// tokens they call) and their error classes. Every `require` message in those contracts is listed.
+const REVERT_REASONS = [
+  ["Token not supported", TokenNotSupportedError],
+  ["Amount must be greater than 0", InvalidAmountError],
+  ["Insufficient ETH sent for purchase", InsufficientPaymentError],
+  ["Insufficient exchange office token balance", InsufficientTokenLiquidityError],
+  ["Insufficient exchange office ETH balance", InsufficientEthLiquidityError],
+  ["Insufficient token balance", InsufficientTokenBalanceError],
+  ["ERC20: insufficient allowance", InsufficientAllowanceError],
+  ["Pausable: paused", ExchangePausedError],
+  ["Contract is shut down", ExchangeShutdownError],
+  ["Ownable: caller is not the owner", UnauthorizedError],
+  ["Price above maximum", PriceMovedError],
+  ["Price below minimum", PriceMovedError],
+  ["Token amount below minimum", PriceMovedError],
+  ["Token amount above maximum", PriceMovedError],
+  ["ETH amount too small", InvalidAmountError],
+  ["Swap amount too small", InvalidAmountError],
+  ["Transaction expired", DeadlineExpiredError],
+  ["Oracle price unavailable", PriceUnavailableError],
+  ["Trade below minimum size", TradeSizeError],
+  ["Trade above maximum size", TradeSizeError],
+  ["Daily volume limit exceeded", VolumeLimitError],
+  ["Cannot swap a token for itself", InvalidParameterError],
+  ["Token not listed", TokenNotSupportedError],
+  ["Fee-on-transfer token not supported", TokenNotSupportedError],
+  ["Insufficient ETH balance", InsufficientEthLiquidityError],
+  ["Cannot unpause: contract is shut down", ExchangeShutdownError],
+  ["Grace period not over", ExchangeShutdownError],
+  ["Caller is not the liquidity pool", UnauthorizedError],
+  ["Requires multisig approval", UnauthorizedError],
+  ["Only the exchange can send ETH", UnauthorizedError],
+  ["Caller is not the exchange", UnauthorizedError],
+  ["Caller is not the order owner", UnauthorizedError],
+  ["Caller is not an approver", UnauthorizedError],
+  ["Caller is not the proposer", UnauthorizedError],
+  // Configuration
+  ["Delay too long", InvalidParameterError],
+  ["Treasury cannot be zero address", InvalidParameterError],
+  ["Page too large", InvalidParameterError],
+  ["Ownable: new owner is the zero address", InvalidParameterError],
+  ["Exchange cannot be zero address", InvalidParameterError],
+  ["Rate must be greater than 0", InvalidParameterError],
+  ["Rate too high", InvalidParameterError],
+  ["Buy rate below sell rate", InvalidParameterError],
+  ["Fee too high", InvalidParameterError],
+  ["Length mismatch", InvalidParameterError],
+  ["Recipient cannot be zero address", InvalidParameterError],
+  ["Share must be greater than 0", InvalidParameterError],
+  ["Shares must sum to 10000", InvalidParameterError],
+  ["Too many recipients", InvalidParameterError],
+  ["Feed cannot be zero address", InvalidParameterError],
+  ["Feed decimals too high", InvalidParameterError],
+  ["Invalid deviation bound", InvalidParameterError],
+  ["Staleness must be greater than 0", InvalidParameterError],
+  ["No price feed", InvalidParameterError],
+  ["Maximum trade below minimum", InvalidParameterError],
+  ["Symbol cannot be empty", InvalidParameterError],
+  ["Token already listed", InvalidParameterError],
+  ["Token cannot be zero address", InvalidParameterError],
+  ["Token decimals mismatch", InvalidParameterError],
+  ["Token decimals too high", InvalidParameterError],
+  ["Outflow window must be greater than 0", InvalidParameterError],
+  ["Approver cannot be zero address", InvalidParameterError],
+  ["Duplicate approver", InvalidParameterError],
+  ["Threshold above approver count", InvalidParameterError],
+  ["Threshold must be greater than 0", InvalidParameterError],
+  ["Too many approvers", InvalidParameterError],
+  // Changes scheduled behind the parameter delay
+  ["No pending rate change", NoPendingChangeError],
+  ["No pending fee change", NoPendingChangeError],
+  ["No pending price feed change", NoPendingChangeError],
+  ["No pending trade size change", NoPendingChangeError],
+  ["No pending volume limits change", NoPendingChangeError],
+  ["No fees to claim", NothingToClaimError],
+  ["Nothing to claim", NothingToClaimError],
+  ["Nothing to skim", NothingToClaimError],
+  ["ETH transfer failed", TransferFailedError],
+  // LiquidityPool
+  ["Liquidity pool has shares", LiquidityPoolError],
+  ["Pool is for another exchange", LiquidityPoolError],
+  ["Token has pooled reserves", LiquidityPoolError],
+  ["Withdrawal exceeds owner's shares", LiquidityPoolError],
+  ["Pool has no value", LiquidityPoolError],
+  ["Pool not attached", LiquidityPoolError],
+  ["Shares exceed supply", LiquidityPoolError],
+  ["Deposit too small", InvalidAmountError],
+  ["Shares below minimum", PriceMovedError],
+  // LimitOrderBook and SignedOrderRelay
+  ["Escrow must be greater than 0", InvalidAmountError],
+  ["Unknown order", OrderError],
+  ["Order not open", OrderError],
+  ["Limit not reached", OrderError],
+  ["Invalid signature", OrderError],
+  ["Nonce already used", OrderError],
+  ["Proceeds below relayer fee", OrderError],
+  ["Insufficient balance", OrderError],
+  // MultiApproval proposals
+  ["Unknown proposal", ApprovalError],
+  ["Proposal not pending", ApprovalError],
+  ["Already approved", ApprovalError],
+  ["Not enough approvals", ApprovalError]
+];
+
+// OpenZeppelin AccessControl embeds the account and role in its revert string.
+const MISSING_ROLE_PATTERN = /^AccessControl: account 0x[0-9a-f]{40} is missing role 0x[0-9a-f]{64}$/;
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const REASON_PATTERNS = [
+  // Up to the last quote of the line, as reasons can hold quotes of their own
+  /reverted with reason string '(.*)'/,
+  /execution reverted: ([^"\n]*)/
+];
+
+// Finds the revert string of a failed call. Provider errors nest the original error
+// (and sometimes whole source listings) at various depths, so only well-formed
+// reason strings and ABI-encoded Error(string) payloads are accepted.
+function extractRevertReason(error, seen = new Set()) {
+  if (!error || typeof error !== "object" || seen.has(error)) {
+    return null;
+  }
+  seen.add(error);
+
+  for (const candidate of [error.reason, error.message]) {
+    if (typeof candidate !== "string") {
+      continue;
+    }
+    for (const pattern of REASON_PATTERNS) {
+      const match = candidate.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+
+  if (typeof error.data === "string" && error.data.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(["string"], `0x${error.data.slice(10)}`)[0];
+    } catch (decodeError) {
+      // Not an Error(string) payload after all.
+    }
+  }
+
+  for (const nested of [error.error, error.cause, error.data]) {
+    const reason = extractRevertReason(nested, seen);
+    if (reason !== null) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+// Returns the matching ExchangeError, or the original error when it is not a known revert.
+function toExchangeError(error) {
+  if (error instanceof ExchangeError) {
+    return error;
+  }
+  const reason = extractRevertReason(error);
+  for (const [knownReason, ErrorClass] of REVERT_REASONS) {
+    if (reason === knownReason) {
+      return new ErrorClass(reason, reason, error);
+    }
+  }
+  if (reason !== null && MISSING_ROLE_PATTERN.test(reason)) {
+    return new UnauthorizedError(reason, reason, error);
+  }
+  return error;
+}
+
+module.exports = {
+  ExchangeError,
+  TokenNotSupportedError,
+  InvalidAmountError,
+  InsufficientPaymentError,
+  InsufficientTokenLiquidityError,
+  InsufficientEthLiquidityError,
+  InsufficientTokenBalanceError,
+  InsufficientAllowanceError,
+  ExchangePausedError,
+  ExchangeShutdownError,
+  UnauthorizedError,
+  PriceMovedError,
+  DeadlineExpiredError,
+  PriceUnavailableError,
+  TradeSizeError,
+  VolumeLimitError,
+  InvalidParameterError,
+  NoPendingChangeError,
+  NothingToClaimError,
+  TransferFailedError,
+  LiquidityPoolError,
+  OrderError,
+  ApprovalError,
+  REVERT_REASONS,
+  extractRevertReason,
+  toExchangeError
+};
@@ -0,0 +1,13 @@
+const { ExchangeOfficeClient, RATE_PRECISION, applySlippage } = require("./ExchangeOfficeClient");
+const errors = require("./errors");
+const abi = require("./abi");
+const signing = require("./signing");
+
+module.exports = {
+  ExchangeOfficeClient,
+  RATE_PRECISION,
+  applySlippage,
+  ...errors,
+  ...abi,
+  ...signing
+};
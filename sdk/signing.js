@@ -0,0 +1,105 @@
+const { ethers } = require("ethers");
+const { ERC20_PERMIT_ABI } = require("./abi");
+
+// EIP-712 typed data for EIP-2612 permits and SignedOrderRelay orders. The signatures are
+// produced with ethers' `_signTypedData`, which adds the EIP712Domain type itself.
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const ORDER_TYPES = {
+  Order: [
+    { name: "trader", type: "address" },
+    { name: "token", type: "address" },
+    { name: "isBuy", type: "bool" },
+    { name: "amount", type: "uint256" },
+    { name: "limit", type: "uint256" },
+    { name: "relayerFee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Name and version SignedOrderRelay passes to its EIP712 constructor.
+const ORDER_DOMAIN_NAME = "ExchangeOffice SignedOrderRelay";
+const ORDER_DOMAIN_VERSION = "1";
+
+async function chainIdOf(signer) {
+  return (await signer.provider.getNetwork()).chainId;
+}
+
+// Typed data of a permit for `value` units of `token` to `spender`. The token's name() and
+// its current nonce for `owner` are read from the chain; OpenZeppelin's ERC20Permit uses version "1".
+async function buildPermitTypedData(provider, token, owner, spender, value, deadline) {
+  const tokenContract = new ethers.Contract(token, ERC20_PERMIT_ABI, provider);
+  const [name, nonce, network] = await Promise.all([
+    tokenContract.name(),
+    tokenContract.nonces(owner),
+    provider.getNetwork()
+  ]);
+  return {
+    domain: { name, version: "1", chainId: network.chainId, verifyingContract: token },
+    types: PERMIT_TYPES,
+    value: { owner, spender, value: ethers.BigNumber.from(value), nonce, deadline: ethers.BigNumber.from(deadline) }
+  };
+}
+
+// Signs a permit letting `spender` take `value` units of `token` from the signer until `deadline`.
+// Returns the permit with its split signature ({ v, r, s }) ready for `permit` or `sellWithPermit`.
+async function signPermit(signer, token, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const typedData = await buildPermitTypedData(signer.provider, token, owner, spender, value, deadline);
+  const signature = await signer._signTypedData(typedData.domain, typedData.types, typedData.value);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { ...typedData.value, signature, v, r, s };
+}
+
+// Typed data of a SignedOrderRelay order, with numeric fields normalized to BigNumbers.
+function buildOrderTypedData(relay, chainId, order) {
+  return {
+    domain: { name: ORDER_DOMAIN_NAME, version: ORDER_DOMAIN_VERSION, chainId, verifyingContract: relay },
+    types: ORDER_TYPES,
+    value: {
+      trader: order.trader,
+      token: order.token,
+      isBuy: Boolean(order.isBuy),
+      amount: ethers.BigNumber.from(order.amount),
+      limit: ethers.BigNumber.from(order.limit),
+      relayerFee: ethers.BigNumber.from(order.relayerFee || 0),
+      nonce: ethers.BigNumber.from(order.nonce),
+      deadline: ethers.BigNumber.from(order.deadline)
+    }
+  };
+}
+
+// Signs an order for the relay at `relay`; `order.trader` defaults to the signer.
+// Returns { order, signature }, the arguments of SignedOrderRelay.executeOrder.
+async function signOrder(signer, relay, order) {
+  const trader = order.trader || await signer.getAddress();
+  const typedData = buildOrderTypedData(relay, await chainIdOf(signer), { ...order, trader });
+  const signature = await signer._signTypedData(typedData.domain, typedData.types, typedData.value);
+  return { order: typedData.value, signature };
+}
+
+// Address that signed `signature` over `order`, for checking an order before relaying it.
+function recoverOrderSigner(relay, chainId, order, signature) {
+  const typedData = buildOrderTypedData(relay, chainId, order);
+  return ethers.utils.verifyTypedData(typedData.domain, typedData.types, typedData.value, signature);
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  ORDER_TYPES,
+  buildPermitTypedData,
+  signPermit,
+  buildOrderTypedData,
+  signOrder,
+  recoverOrderSigner
+};
@@ -0,0 +1,944 @@
+// Administration tasks for a deployed ExchangeOffice.
+//
+// The exchange and token addresses default to the deployment manifest written by
+// scripts/deploy.js; pass --exchange and a token address to use them without one.
+// Amounts and rates are human readable; amounts are converted with the token's decimals().
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { manifestPath, readManifest } = require("../scripts/lib/deployment");
+const {
+  parseTokenAmount,
+  formatTokenAmount,
+  parseRate,
+  formatRate
+} = require("../scripts/lib/units");
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)"
+];
+
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function description() view returns (string)",
+  "function latestRoundData() view returns (uint80, int256, uint256, uint256, uint80)"
+];
+
+function loadManifest(hre) {
+  const dir = process.env.DEPLOYMENTS_DIR || path.join(hre.config.paths.root, "deployments");
+  return readManifest(manifestPath(dir, hre.network.name));
+}
+
+async function getExchange(hre, address) {
+  if (!address) {
+    const manifest = loadManifest(hre);
+    if (!manifest || !manifest.contracts.ExchangeOffice) {
+      throw new Error(`No --exchange given and no deployment manifest for network "${hre.network.name}"`);
+    }
+    address = manifest.contracts.ExchangeOffice.address;
+  }
+  return hre.ethers.getContractAt("ExchangeOffice", address);
+}
+
+// Accepts either a token address or the token key from the deployment manifest.
+async function getToken(hre, tokenArg) {
+  let address = tokenArg;
+  if (!hre.ethers.utils.isAddress(tokenArg)) {
+    const manifest = loadManifest(hre);
+    const entry = manifest && manifest.contracts.tokens[tokenArg];
+    if (!entry) {
+      throw new Error(`Unknown token "${tokenArg}": pass an address or a key from the deployment manifest`);
+    }
+    address = entry.address;
+  }
+
+  const token = await hre.ethers.getContractAt(ERC20_ABI, address);
+  const decimals = await token.decimals();
+  let symbol;
+  try {
+    symbol = await token.symbol();
+  } catch (error) {
+    symbol = address;
+  }
+  return { token, address, decimals, symbol };
+}
+
+function printPreview(title, lines) {
+  console.log(title);
+  for (const [label, value] of lines) {
+    console.log(`  ${label.padEnd(16)} ${value}`);
+  }
+}
+
+// Prints the preview and reports whether the caller should go on and send transactions.
+function preview(args, title, lines) {
+  printPreview(args.dryRun ? `[dry run] ${title}` : title, lines);
+  return !args.dryRun;
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  console.log(`${label}: ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+  return receipt;
+}
+
+// Role names accepted by --role, mapped to the contract's role constants.
+const ROLES = {
+  "rate-manager": "RATE_MANAGER_ROLE",
+  "liquidity-manager": "LIQUIDITY_MANAGER_ROLE",
+  "guardian": "GUARDIAN_ROLE",
+  "treasurer": "TREASURER_ROLE",
+  "router": "ROUTER_ROLE"
+};
+
+async function getRole(exchange, name) {
+  if (!ROLES[name]) {
+    throw new Error(`Unknown role "${name}": use one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return exchange[ROLES[name]]();
+}
+
+// Sends a multisig-guarded call directly, or with --propose submits it as a proposal
+// for the other approvers. Returns the proposal id when one was created.
+async function sendOrPropose(args, exchange, method, params) {
+  if (!args.propose) {
+    return { receipt: await send(method, exchange[method](...params)) };
+  }
+  const data = exchange.interface.encodeFunctionData(method, params);
+  const receipt = await send(`propose ${method}`, exchange.propose(data));
+  const event = receipt.events.find((e) => e.event === "ProposalCreated");
+  const proposalId = event.args.proposalId;
+  console.log(`Proposal ${proposalId} needs ${await exchange.approvalThreshold()} approvals`);
+  return { receipt, proposalId };
+}
+
+// Rate and fee changes are scheduled rather than applied while a parameter delay is set.
+async function describeActivation(exchange) {
+  const delay = await exchange.parameterDelay();
+  return delay.isZero() ? "immediately" : `after the ${delay}s parameter delay`;
+}
+
+// A scheduled price feed change, which removes the feed when it has none.
+function describePendingFeed(hre, pending) {
+  if (pending.feed === hre.ethers.constants.AddressZero) {
+    return "remove the feed";
+  }
+  return `${pending.feed}, max staleness ${pending.maxStaleness}s, max deviation ${pending.maxDeviationBps} bps, ` +
+    (pending.fallbackToManual ? "manual rates when unusable" : "halt when unusable");
+}
+
+// Trade size bounds of a token, as getListing and getPendingTradeSize report them.
+function describeTradeSize(tradeSize, decimals, symbol) {
+  const max = tradeSize.maxTradeAmount.isZero() ? "no max" : `max ${formatTokenAmount(tradeSize.maxTradeAmount, decimals)}`;
+  return `min ${formatTokenAmount(tradeSize.minTradeAmount, decimals)}, ${max} ${symbol}`;
+}
+
+// Volume limits, as getVolumeLimits and getPendingVolumeLimits report them.
+function describeVolumeLimits(hre, limits) {
+  const daily = limits.maxDailyVolume.isZero()
+    ? "no daily limit"
+    : `${hre.ethers.utils.formatEther(limits.maxDailyVolume)} ETH per address per day`;
+  const outflow = limits.maxOutflow.isZero()
+    ? "no outflow limit"
+    : `${hre.ethers.utils.formatEther(limits.maxOutflow)} ETH outflow per asset per ${limits.outflowWindow}s`;
+  return `${daily}, ${outflow}`;
+}
+
+function describeProposal(exchange, proposal) {
+  const call = exchange.interface.parseTransaction({ data: proposal.data });
+  return `${call.name}(${call.args.map(String).join(", ")}) by ${proposal.proposer}`;
+}
+
+// Every listed token, read page by page.
+async function getListedTokens(exchange) {
+  const pageSize = (await exchange.MAX_PAGE_SIZE()).toNumber();
+  const tokens = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await exchange.getListedTokens(offset, pageSize);
+    tokens.push(...page);
+    if (page.length < pageSize) {
+      return tokens;
+    }
+  }
+}
+
+function adminTask(name, description) {
+  return task(name, description)
+      .addOptionalParam("exchange", "ExchangeOffice address (defaults to the deployment manifest)")
+      .addFlag("dryRun", "Print what would be sent without sending it");
+}
+
+adminTask("exchange:list-token", "Lists a token so it can be given rates and traded")
+    .addParam("token", "Token address or manifest key")
+    .addOptionalParam("symbol", "Display symbol (defaults to the token's symbol())")
+    .addOptionalParam("minTrade", "Smallest whole-token amount per trade", "0")
+    .addOptionalParam("maxTrade", "Largest whole-token amount per trade (0 for no maximum)", "0")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, decimals, symbol: tokenSymbol } = await getToken(hre, args.token);
+      const symbol = args.symbol || tokenSymbol;
+      const minTradeAmount = parseTokenAmount(args.minTrade, decimals);
+      const maxTradeAmount = parseTokenAmount(args.maxTrade, decimals);
+
+      const proceed = preview(args, "listToken", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["decimals", decimals],
+        ["min trade", `${formatTokenAmount(minTradeAmount, decimals)} ${symbol}`],
+        ["max trade", maxTradeAmount.isZero() ? "none" : `${formatTokenAmount(maxTradeAmount, decimals)} ${symbol}`]
+      ]);
+      if (!proceed) {
+        return { minTradeAmount, maxTradeAmount };
+      }
+      const receipt = await send("listToken",
+          exchange.listToken(address, symbol, decimals, minTradeAmount, maxTradeAmount));
+      return { minTradeAmount, maxTradeAmount, receipt };
+    });
+
+adminTask("exchange:delist-token", "Delists a token, stopping trading and clearing its rates, fees and price feed")
+    .addParam("token", "Token address or manifest key")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { token, address, decimals, symbol } = await getToken(hre, args.token);
+      const listing = await exchange.getListing(address);
+      if (!listing.listed) {
+        throw new Error(`${symbol} is not listed`);
+      }
+      const balance = await token.balanceOf(exchange.address);
+
+      const proceed = preview(args, "delistToken", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["balance", `${formatTokenAmount(balance, decimals)} ${symbol} (stays withdrawable)`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("delistToken", exchange.delistToken(address)) };
+    });
+
+adminTask("exchange:set-trade-size", "Sets the smallest and largest trade of a listed token")
+    .addParam("token", "Token address or manifest key")
+    .addOptionalParam("minTrade", "Smallest whole-token amount per trade", "0")
+    .addOptionalParam("maxTrade", "Largest whole-token amount per trade (0 for no maximum)", "0")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, decimals, symbol } = await getToken(hre, args.token);
+      const minTradeAmount = parseTokenAmount(args.minTrade, decimals);
+      const maxTradeAmount = parseTokenAmount(args.maxTrade, decimals);
+      const listing = await exchange.getListing(address);
+      if (!listing.listed) {
+        throw new Error(`${symbol} is not listed`);
+      }
+      const formatMax = (amount) => amount.isZero() ? "none" : `${formatTokenAmount(amount, decimals)} ${symbol}`;
+
+      const proceed = preview(args, "setTradeSize", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["min trade", `${formatTokenAmount(listing.minTradeAmount, decimals)} -> ${formatTokenAmount(minTradeAmount, decimals)} ${symbol}`],
+        ["max trade", `${formatMax(listing.maxTradeAmount)} -> ${formatMax(maxTradeAmount)}`],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return { minTradeAmount, maxTradeAmount };
+      }
+      const receipt = await send("setTradeSize", exchange.setTradeSize(address, minTradeAmount, maxTradeAmount));
+      return { minTradeAmount, maxTradeAmount, receipt };
+    });
+
+adminTask("exchange:set-volume-limits", "Sets the per-address daily volume and the outflow that pauses trading")
+    .addOptionalParam("maxDailyVolume", "Most ETH an address can trade per UTC day (0 for no limit)", "0")
+    .addOptionalParam("maxOutflow", "Most ETH that can leave the exchange per window before it pauses (0 for no limit)", "0")
+    .addOptionalParam("window", "Length of the rolling outflow window in seconds", 0, types.int)
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const maxDailyVolume = hre.ethers.utils.parseEther(args.maxDailyVolume);
+      const maxOutflow = hre.ethers.utils.parseEther(args.maxOutflow);
+      if (!maxOutflow.isZero() && args.window === 0) {
+        throw new Error("--max-outflow needs a --window");
+      }
+      const formatLimit = (amount) => amount.isZero() ? "none" : `${hre.ethers.utils.formatEther(amount)} ETH`;
+
+      const proceed = preview(args, "setVolumeLimits", [
+        ["exchange", exchange.address],
+        ["daily volume", `${formatLimit(maxDailyVolume)} per address`],
+        ["Outflow (per asset)", maxOutflow.isZero() ? "none" : `${formatLimit(maxOutflow)} per ${args.window}s, then pause`],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return { maxDailyVolume, maxOutflow };
+      }
+      const receipt = await send("setVolumeLimits", exchange.setVolumeLimits(maxDailyVolume, maxOutflow, args.window));
+      return { maxDailyVolume, maxOutflow, receipt };
+    });
+
+adminTask("exchange:cancel-trade-size-change", "Cancels the pending trade size change of a token")
+    .addParam("token", "Token address or manifest key")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, decimals, symbol } = await getToken(hre, args.token);
+      const pending = await exchange.getPendingTradeSize(address);
+      if (pending.effectiveAt.isZero()) {
+        throw new Error(`No pending trade size change for ${symbol}`);
+      }
+
+      const proceed = preview(args, "cancelTradeSizeChange", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["pending", `${describeTradeSize(pending, decimals, symbol)} at ${new Date(pending.effectiveAt.toNumber() * 1000).toISOString()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("cancelTradeSizeChange", exchange.cancelTradeSizeChange(address)) };
+    });
+
+adminTask("exchange:cancel-volume-limits-change", "Cancels the pending volume limits change")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const pending = await exchange.getPendingVolumeLimits();
+      if (pending.effectiveAt.isZero()) {
+        throw new Error("No pending volume limits change");
+      }
+
+      const proceed = preview(args, "cancelVolumeLimitsChange", [
+        ["exchange", exchange.address],
+        ["pending", `${describeVolumeLimits(hre, pending)} at ${new Date(pending.effectiveAt.toNumber() * 1000).toISOString()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("cancelVolumeLimitsChange", exchange.cancelVolumeLimitsChange()) };
+    });
+
+adminTask("exchange:set-rate", "Sets the same buy and sell rate of a token in ETH per whole token")
+    .addParam("token", "Token address or manifest key")
+    .addParam("rate", "ETH per whole token, e.g. 0.01")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const rate = parseRate(args.rate);
+      const currentRate = await exchange.getRate(address);
+
+      const proceed = preview(args, "setRate", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["current rate", `${formatRate(currentRate)} ETH`],
+        ["new rate", `${formatRate(rate)} ETH (raw ${rate})`],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return { rate };
+      }
+      const receipt = await send("setRate", exchange.setRate(address, rate));
+      return { rate, receipt };
+    });
+
+adminTask("exchange:set-rates", "Sets separate buy (ask) and sell (bid) rates of a token")
+    .addParam("token", "Token address or manifest key")
+    .addParam("buyRate", "ETH per whole token charged to buyers")
+    .addParam("sellRate", "ETH per whole token paid to sellers")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const buyRate = parseRate(args.buyRate);
+      const sellRate = parseRate(args.sellRate);
+      const [currentBuyRate, currentSellRate] = await exchange.getRates(address);
+
+      const proceed = preview(args, "setRates", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["current rates", `buy ${formatRate(currentBuyRate)} ETH, sell ${formatRate(currentSellRate)} ETH`],
+        ["new rates", `buy ${formatRate(buyRate)} ETH, sell ${formatRate(sellRate)} ETH`],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return { buyRate, sellRate };
+      }
+      const receipt = await send("setRates", exchange.setRates(address, buyRate, sellRate));
+      return { buyRate, sellRate, receipt };
+    });
+
+adminTask("exchange:set-fees", "Sets the buy and sell fees of a token in basis points")
+    .addParam("token", "Token address or manifest key")
+    .addParam("buyFeeBps", "Fee added when buying, in basis points", undefined, types.int)
+    .addParam("sellFeeBps", "Fee deducted when selling, in basis points", undefined, types.int)
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const [buyFeeBps, sellFeeBps] = await exchange.getFees(address);
+
+      const proceed = preview(args, "setFees", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["current fees", `buy ${buyFeeBps} bps, sell ${sellFeeBps} bps`],
+        ["new fees", `buy ${args.buyFeeBps} bps, sell ${args.sellFeeBps} bps`],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("setFees", exchange.setFees(address, args.buyFeeBps, args.sellFeeBps)) };
+    });
+
+adminTask("exchange:set-parameter-delay", "Sets how long rate, fee and price feed changes wait before taking effect")
+    .addParam("delay", "Delay in seconds (0 applies changes immediately)", undefined, types.int)
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const currentDelay = await exchange.parameterDelay();
+      // A shorter delay waits for the current one to pass
+      const proceed = preview(args, "setParameterDelay", [
+        ["exchange", exchange.address],
+        ["current delay", `${currentDelay}s`],
+        ["new delay", `${args.delay}s`],
+        ["takes effect", currentDelay.gt(args.delay) ? `after the current ${currentDelay}s delay` : "immediately"]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return sendOrPropose(args, exchange, "setParameterDelay", [args.delay]);
+    });
+
+adminTask("exchange:cancel-rate-change", "Cancels the pending rate change of a token, or its fee change with --fees")
+    .addParam("token", "Token address or manifest key")
+    .addFlag("fees", "Cancel the pending fee change instead of the rate change")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const method = args.fees ? "cancelFeeChange" : "cancelRateChange";
+      const [buyValue, sellValue, effectiveAt] = args.fees
+        ? await exchange.getPendingFeeChange(address)
+        : await exchange.getPendingRateChange(address);
+      if (effectiveAt.isZero()) {
+        throw new Error(`No pending ${args.fees ? "fee" : "rate"} change for ${symbol}`);
+      }
+
+      const pending = args.fees
+        ? `buy ${buyValue} bps, sell ${sellValue} bps`
+        : `buy ${formatRate(buyValue)} ETH, sell ${formatRate(sellValue)} ETH`;
+      const proceed = preview(args, method, [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["pending", `${pending} at ${new Date(effectiveAt.toNumber() * 1000).toISOString()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send(method, exchange[method](address)) };
+    });
+
+adminTask("exchange:set-price-feed", "Prices a token from a Chainlink-style feed reporting ETH per whole token")
+    .addParam("token", "Token address or manifest key")
+    .addParam("feed", "Price feed address")
+    .addParam("maxStaleness", "Seconds after its last update that an answer is still used", undefined, types.int)
+    .addParam("maxDeviationBps", "Largest accepted distance from the manual buy rate, in basis points (at most 2000)", undefined, types.int)
+    .addFlag("halt", "Halt trading in the token while the feed is unusable instead of using the manual rates")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const feed = await hre.ethers.getContractAt(AGGREGATOR_ABI, args.feed);
+      const [, answer, , updatedAt] = await feed.latestRoundData();
+      const answerText = hre.ethers.utils.formatUnits(answer, await feed.decimals());
+
+      const proceed = preview(args, "setPriceFeed", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["feed", `${await feed.description()} (${args.feed})`],
+        ["latest answer", `${answerText} ETH at ${new Date(updatedAt.toNumber() * 1000).toISOString()}`],
+        ["max staleness", `${args.maxStaleness}s`],
+        ["max deviation", `${args.maxDeviationBps} bps`],
+        ["when unusable", args.halt ? "halt trading" : "use the manual rates"],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      const receipt = await send("setPriceFeed", exchange.setPriceFeed(
+        address, args.feed, args.maxStaleness, args.maxDeviationBps, !args.halt));
+      return { receipt };
+    });
+
+adminTask("exchange:remove-price-feed", "Returns a token to its manual rates")
+    .addParam("token", "Token address or manifest key")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const { feed } = await exchange.getPriceFeed(address);
+      if (feed === hre.ethers.constants.AddressZero) {
+        throw new Error(`${symbol} has no price feed`);
+      }
+
+      const proceed = preview(args, "removePriceFeed", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["feed", feed],
+        ["takes effect", await describeActivation(exchange)]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("removePriceFeed", exchange.removePriceFeed(address)) };
+    });
+
+adminTask("exchange:cancel-price-feed-change", "Cancels the pending price feed change of a token")
+    .addParam("token", "Token address or manifest key")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, symbol } = await getToken(hre, args.token);
+      const pending = await exchange.getPendingPriceFeed(address);
+      if (pending.effectiveAt.isZero()) {
+        throw new Error(`No pending price feed change for ${symbol}`);
+      }
+
+      const proceed = preview(args, "cancelPriceFeedChange", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["pending", `${describePendingFeed(hre, pending)} at ${new Date(pending.effectiveAt.toNumber() * 1000).toISOString()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("cancelPriceFeedChange", exchange.cancelPriceFeedChange(address)) };
+    });
+
+adminTask("exchange:set-treasury", "Sets the address that receives claimed fees")
+    .addParam("treasury", "Treasury address")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const proceed = preview(args, "setTreasury", [
+        ["exchange", exchange.address],
+        ["current", await exchange.treasury()],
+        ["new", args.treasury]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("setTreasury", exchange.setTreasury(args.treasury)) };
+    });
+
+adminTask("exchange:claim-fees", "Sends accrued fees to the fee recipients or the treasury")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const [recipients, shares] = await exchange.getFeeRecipients();
+      const split = recipients.length === 0
+          ? [["recipient", `${await exchange.treasury()} (treasury)`]]
+          : recipients.map((recipient, i) => ["recipient", `${recipient} (${shares[i]} bps)`]);
+
+      const proceed = preview(args, "claimFees", [
+        ["exchange", exchange.address],
+        ["accrued fees", `${hre.ethers.utils.formatEther(await exchange.accruedFees())} ETH`],
+        ...split
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("claimFees", exchange.claimFees()) };
+    });
+
+adminTask("exchange:supply", "Approves (if needed) and supplies tokens to the exchange")
+    .addParam("token", "Token address or manifest key")
+    .addParam("amount", "Whole tokens to supply, e.g. 100")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { token, address, decimals, symbol } = await getToken(hre, args.token);
+      const [signer] = await hre.ethers.getSigners();
+      const amount = parseTokenAmount(args.amount, decimals);
+      const allowance = await token.allowance(signer.address, exchange.address);
+      const needsApproval = allowance.lt(amount);
+
+      const proceed = preview(args, "supplyToken", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["amount", `${formatTokenAmount(amount, decimals)} ${symbol} (raw ${amount})`],
+        ["balance", `${formatTokenAmount(await token.balanceOf(signer.address), decimals)} ${symbol}`],
+        ["approve first", needsApproval ? "yes" : "no (allowance is sufficient)"]
+      ]);
+      if (!proceed) {
+        return { amount, needsApproval };
+      }
+      if (needsApproval) {
+        // USDT-style tokens refuse to change a non-zero allowance to another non-zero value
+        if (!allowance.isZero()) {
+          await send("approve", token.connect(signer).approve(exchange.address, 0));
+        }
+        await send("approve", token.connect(signer).approve(exchange.address, amount));
+      }
+      const receipt = await send("supplyToken", exchange.supplyToken(address, amount));
+      return { amount, needsApproval, receipt };
+    });
+
+adminTask("exchange:withdraw", "Withdraws tokens, or ETH when no token is given, to the owner")
+    .addOptionalParam("token", "Token address or manifest key (omit to withdraw ETH)")
+    .addParam("amount", "Whole tokens or ETH to withdraw")
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+
+      if (!args.token) {
+        const amount = hre.ethers.utils.parseEther(args.amount);
+        const { ethReserve } = await exchange.getReserves(hre.ethers.constants.AddressZero);
+        const proceed = preview(args, "withdrawETH", [
+          ["exchange", exchange.address],
+          ["amount", `${hre.ethers.utils.formatEther(amount)} ETH`],
+          ["exchange reserve", `${hre.ethers.utils.formatEther(ethReserve)} ETH`],
+          ["recipient", await exchange.owner()]
+        ]);
+        if (!proceed) {
+          return { amount };
+        }
+        return { amount, ...await sendOrPropose(args, exchange, "withdrawETH", [amount]) };
+      }
+
+      const { token, address, decimals, symbol } = await getToken(hre, args.token);
+      const amount = parseTokenAmount(args.amount, decimals);
+      const { tokenReserve } = await exchange.getReserves(address);
+      const proceed = preview(args, "withdrawToken", [
+        ["exchange", exchange.address],
+        ["token", `${symbol} (${address})`],
+        ["amount", `${formatTokenAmount(amount, decimals)} ${symbol} (raw ${amount})`],
+        ["exchange reserve", `${formatTokenAmount(tokenReserve, decimals)} ${symbol}`],
+        ["recipient", await exchange.owner()]
+      ]);
+      if (!proceed) {
+        return { amount };
+      }
+      return { amount, ...await sendOrPropose(args, exchange, "withdrawToken", [address, amount]) };
+    });
+
+// ETH or tokens the exchange holds beyond its reserves, e.g. sent to it with a plain transfer.
+async function getExcess(hre, exchange, tokenArg) {
+  if (!tokenArg) {
+    const excess = await exchange.excessBalance(hre.ethers.constants.AddressZero);
+    return { address: hre.ethers.constants.AddressZero, excess, label: `${hre.ethers.utils.formatEther(excess)} ETH` };
+  }
+  const { address, decimals, symbol } = await getToken(hre, tokenArg);
+  const excess = await exchange.excessBalance(address);
+  return { address, excess, label: `${formatTokenAmount(excess, decimals)} ${symbol}` };
+}
+
+adminTask("exchange:skim", "Sends what the exchange holds beyond its reserve of a token, or of ETH when no token is given")
+    .addOptionalParam("token", "Token address or manifest key (omit to skim ETH)")
+    .addOptionalParam("to", "Recipient (defaults to the owner)")
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, excess, label } = await getExcess(hre, exchange, args.token);
+      const to = args.to || await exchange.owner();
+
+      const proceed = preview(args, "skim", [
+        ["exchange", exchange.address],
+        ["excess", label],
+        ["recipient", to]
+      ]);
+      if (!proceed) {
+        return { excess };
+      }
+      return { excess, ...await sendOrPropose(args, exchange, "skim", [address, to]) };
+    });
+
+adminTask("exchange:sync", "Adds what the exchange holds beyond its reserve of a token, or of ETH when no token is given, to the reserve")
+    .addOptionalParam("token", "Token address or manifest key (omit to sync ETH)")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const { address, excess, label } = await getExcess(hre, exchange, args.token);
+
+      const proceed = preview(args, "sync", [
+        ["exchange", exchange.address],
+        ["excess", label]
+      ]);
+      if (!proceed) {
+        return { excess };
+      }
+      return { excess, receipt: await send("sync", exchange.sync(address)) };
+    });
+
+adminTask("exchange:pause", "Pauses trading")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      if (!preview(args, "pause", [["exchange", exchange.address], ["paused", await exchange.paused()]])) {
+        return {};
+      }
+      return { receipt: await send("pause", exchange.pause()) };
+    });
+
+adminTask("exchange:unpause", "Resumes trading")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      if (!preview(args, "unpause", [["exchange", exchange.address], ["paused", await exchange.paused()]])) {
+        return {};
+      }
+      return { receipt: await send("unpause", exchange.unpause()) };
+    });
+
+adminTask("exchange:shutdown", "Permanently shuts the exchange down (irreversible)")
+    .addFlag("confirm", "Required: acknowledges that shutdown cannot be undone")
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const proceed = preview(args, "initiateShutdown", [
+        ["exchange", exchange.address],
+        ["is shut down", await exchange.isShutdown()],
+        ["warning", "trading stops and the exchange can never be unpaused again; owner withdrawals are " +
+          "locked for the grace period while users claim"]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      if (!args.confirm) {
+        throw new Error("initiateShutdown is irreversible: re-run with --confirm to send it");
+      }
+      return sendOrPropose(args, exchange, "initiateShutdown", []);
+    });
+
+adminTask("exchange:grant-role", "Grants an administrative role")
+    .addParam("role", `One of ${Object.keys(ROLES).join(", ")}`)
+    .addParam("account", "Address to grant the role to")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const role = await getRole(exchange, args.role);
+      const proceed = preview(args, "grantRole", [
+        ["exchange", exchange.address],
+        ["role", `${args.role} (${role})`],
+        ["account", args.account],
+        ["has role", await exchange.hasRole(role, args.account)]
+      ]);
+      if (!proceed) {
+        return { role };
+      }
+      return { role, receipt: await send("grantRole", exchange.grantRole(role, args.account)) };
+    });
+
+adminTask("exchange:revoke-role", "Revokes an administrative role")
+    .addParam("role", `One of ${Object.keys(ROLES).join(", ")}`)
+    .addParam("account", "Address to revoke the role from")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const role = await getRole(exchange, args.role);
+      const proceed = preview(args, "revokeRole", [
+        ["exchange", exchange.address],
+        ["role", `${args.role} (${role})`],
+        ["account", args.account],
+        ["has role", await exchange.hasRole(role, args.account)]
+      ]);
+      if (!proceed) {
+        return { role };
+      }
+      return { role, receipt: await send("revokeRole", exchange.revokeRole(role, args.account)) };
+    });
+
+adminTask("exchange:set-liquidity-pool", "Sets the LiquidityPool that can release inventory to its providers")
+    .addOptionalParam("pool", "LiquidityPool address (defaults to the deployment manifest)")
+    .addFlag("detach", "Detach the current pool instead")
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      let pool = args.detach ? hre.ethers.constants.AddressZero : args.pool;
+      if (!pool) {
+        const manifest = loadManifest(hre);
+        if (!manifest || !manifest.contracts.LiquidityPool) {
+          throw new Error(`No --pool given and no LiquidityPool in the deployment manifest for network "${hre.network.name}"`);
+        }
+        pool = manifest.contracts.LiquidityPool.address;
+      }
+      if (pool !== hre.ethers.constants.AddressZero) {
+        const poolContract = await hre.ethers.getContractAt("LiquidityPool", pool);
+        if (await poolContract.exchange() !== exchange.address) {
+          throw new Error(`LiquidityPool ${pool} belongs to another exchange`);
+        }
+      }
+
+      const proceed = preview(args, "setLiquidityPool", [
+        ["exchange", exchange.address],
+        ["current pool", await exchange.liquidityPool()],
+        ["new pool", pool]
+      ]);
+      if (!proceed) {
+        return { pool };
+      }
+      return { pool, ...await sendOrPropose(args, exchange, "setLiquidityPool", [pool]) };
+    });
+
+adminTask("exchange:set-approvers", "Sets the multisig approvers and how many must approve a proposal")
+    .addParam("approvers", "Comma-separated approver addresses (empty for owner-only control)")
+    .addParam("threshold", "Approvals needed to execute a proposal", undefined, types.int)
+    .addFlag("propose", "Submit as a multisig proposal instead of sending it")
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const approvers = args.approvers.split(",").map((a) => a.trim()).filter((a) => a.length > 0);
+      const proceed = preview(args, "setApprovers", [
+        ["exchange", exchange.address],
+        ["current", `${(await exchange.getApprovers()).join(", ") || "none"} (threshold ${await exchange.approvalThreshold()})`],
+        ["new", `${approvers.join(", ") || "none"} (threshold ${args.threshold})`]
+      ]);
+      if (!proceed) {
+        return { approvers };
+      }
+      return { approvers, ...await sendOrPropose(args, exchange, "setApprovers", [approvers, args.threshold]) };
+    });
+
+adminTask("exchange:approve", "Approves a multisig proposal")
+    .addParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const proposal = await exchange.getProposal(args.id);
+      const proceed = preview(args, "approve", [
+        ["exchange", exchange.address],
+        ["proposal", describeProposal(exchange, proposal)],
+        ["approvals", `${proposal.approvals} of ${await exchange.approvalThreshold()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("approve", exchange.approve(args.id)) };
+    });
+
+adminTask("exchange:execute", "Executes a multisig proposal that has enough approvals")
+    .addParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      const proposal = await exchange.getProposal(args.id);
+      const proceed = preview(args, "execute", [
+        ["exchange", exchange.address],
+        ["proposal", describeProposal(exchange, proposal)],
+        ["approvals", `${proposal.approvals} of ${await exchange.approvalThreshold()}`]
+      ]);
+      if (!proceed) {
+        return {};
+      }
+      return { receipt: await send("execute", exchange.execute(args.id)) };
+    });
+
+task("exchange:status", "Prints the state of the exchange and its tokens")
+    .addOptionalParam("exchange", "ExchangeOffice address (defaults to the deployment manifest)")
+    .addOptionalVariadicPositionalParam("tokens",
+        "Token addresses or manifest keys (defaults to the manifest tokens, or the listed tokens without a manifest)", [])
+    .setAction(async (args, hre) => {
+      const exchange = await getExchange(hre, args.exchange);
+      let tokenArgs = args.tokens;
+      if (tokenArgs.length === 0) {
+        const manifest = loadManifest(hre);
+        tokenArgs = manifest ? Object.keys(manifest.contracts.tokens) : await getListedTokens(exchange);
+      }
+
+      const status = {
+        exchange: exchange.address,
+        owner: await exchange.owner(),
+        paused: await exchange.paused(),
+        isShutdown: await exchange.isShutdown(),
+        shutdownState: await exchange.getShutdownState(),
+        ethBalance: await hre.ethers.provider.getBalance(exchange.address),
+        ethReserve: (await exchange.getReserves(hre.ethers.constants.AddressZero)).ethReserve,
+        accruedFees: await exchange.accruedFees(),
+        treasury: await exchange.treasury(),
+        approvers: await exchange.getApprovers(),
+        approvalThreshold: await exchange.approvalThreshold(),
+        parameterDelay: await exchange.parameterDelay(),
+        liquidityPool: await exchange.liquidityPool(),
+        volumeLimits: await exchange.getVolumeLimits(),
+        pendingVolumeLimits: await exchange.getPendingVolumeLimits(),
+        currentOutflow: await exchange.currentOutflow(hre.ethers.constants.AddressZero),
+        tokens: []
+      };
+      const { maxDailyVolume, maxOutflow, outflowWindow } = status.volumeLimits;
+
+      const exchangeLines = [
+        ["address", status.exchange],
+        ["owner", status.owner],
+        ["paused", status.paused],
+        ["shut down", status.isShutdown
+          ? `since ${new Date(status.shutdownState.startedAt.toNumber() * 1000).toISOString()}, sweepable from ` +
+            new Date(status.shutdownState.sweepableAt.toNumber() * 1000).toISOString()
+          : false],
+        ["ETH balance", `${hre.ethers.utils.formatEther(status.ethBalance)} ETH`],
+        ["ETH reserve", `${hre.ethers.utils.formatEther(status.ethReserve)} ETH`],
+        ["accrued fees", `${hre.ethers.utils.formatEther(status.accruedFees)} ETH`],
+        ["treasury", status.treasury],
+        ["approvers", `${status.approvers.join(", ") || "none"} (threshold ${status.approvalThreshold})`],
+        ["parameter delay", `${status.parameterDelay}s`],
+        ["liquidity pool", status.liquidityPool === hre.ethers.constants.AddressZero ? "none" : status.liquidityPool],
+        ["daily volume", maxDailyVolume.isZero()
+          ? "no limit"
+          : `${hre.ethers.utils.formatEther(maxDailyVolume)} ETH per address`],
+        ["Outflow (per asset)", maxOutflow.isZero()
+          ? "no limit"
+          : `${hre.ethers.utils.formatEther(maxOutflow)} ETH per ${outflowWindow}s each; ` +
+            `ETH ${hre.ethers.utils.formatEther(status.currentOutflow)} so far`]
+      ];
+      if (!status.pendingVolumeLimits.effectiveAt.isZero()) {
+        exchangeLines.push(["pending volume limits",
+          `${describeVolumeLimits(hre, status.pendingVolumeLimits)} at ${status.pendingVolumeLimits.effectiveAt}`]);
+      }
+      printPreview("ExchangeOffice", exchangeLines);
+
+      for (const tokenArg of tokenArgs) {
+        const { token, address, decimals, symbol } = await getToken(hre, tokenArg);
+        const priceFeed = await exchange.getPriceFeed(address);
+        const oracle = priceFeed.feed === hre.ethers.constants.AddressZero
+          ? null
+          : await exchange.getOracleRate(address);
+        // getRates reverts while a feed without fallback is unusable
+        const halted = oracle !== null && !oracle.valid && !priceFeed.fallbackToManual;
+        const [rate, sellRate] = halted
+          ? [hre.ethers.constants.Zero, hre.ethers.constants.Zero]
+          : await exchange.getRates(address);
+        const balance = await token.balanceOf(exchange.address);
+        const { tokenReserve: reserve } = await exchange.getReserves(address);
+        const [buyFeeBps, sellFeeBps] = await exchange.getFees(address);
+        const pendingRates = await exchange.getPendingRateChange(address);
+        const pendingFees = await exchange.getPendingFeeChange(address);
+        const pendingFeed = await exchange.getPendingPriceFeed(address);
+        const pendingTradeSize = await exchange.getPendingTradeSize(address);
+        const listing = await exchange.getListing(address);
+        const outflow = await exchange.currentOutflow(address);
+        status.tokens.push({
+          address, symbol, decimals, rate, sellRate, balance, reserve, buyFeeBps, sellFeeBps, pendingRates, pendingFees, pendingFeed,
+          pendingTradeSize, outflow,
+          listed: listing.listed,
+          priceFeed: oracle && { feed: priceFeed.feed, rate: oracle.rate, valid: oracle.valid, halted }
+        });
+
+        const lines = [
+          ["address", address],
+          ["listed", listing.listed],
+          ["supported", await exchange.isTokenSupported(address)],
+          ["buy rate", halted ? "halted (price feed unusable)" : `${formatRate(rate)} ETH`],
+          ["sell rate", halted ? "halted (price feed unusable)" : `${formatRate(sellRate)} ETH`],
+          ["fees", `buy ${buyFeeBps} bps, sell ${sellFeeBps} bps`],
+          ["balance", `${formatTokenAmount(balance, decimals)} ${symbol}`],
+          ["reserve", `${formatTokenAmount(reserve, decimals)} ${symbol}`]
+        ];
+        if (listing.listed) {
+          lines.push(["trade size", describeTradeSize(listing, decimals, symbol)]);
+        }
+        if (!status.volumeLimits.maxOutflow.isZero()) {
+          lines.push(["outflow", `${hre.ethers.utils.formatEther(outflow)} of ` +
+            `${hre.ethers.utils.formatEther(status.volumeLimits.maxOutflow)} ETH per ${status.volumeLimits.outflowWindow}s`]);
+        }
+        if (oracle) {
+          const use = oracle.valid ? "in use" : halted ? "unusable" : "unusable, manual rates in use";
+          lines.push(["price feed", `${priceFeed.feed} (${formatRate(oracle.rate)} ETH, ${use})`]);
+        }
+        if (!pendingRates.effectiveAt.isZero()) {
+          lines.push(["pending rates", `buy ${formatRate(pendingRates.buyRate)} ETH, ` +
+            `sell ${formatRate(pendingRates.sellRate)} ETH at ${pendingRates.effectiveAt}`]);
+        }
+        if (!pendingFees.effectiveAt.isZero()) {
+          lines.push(["pending fees", `buy ${pendingFees.buyFeeBps} bps, ` +
+            `sell ${pendingFees.sellFeeBps} bps at ${pendingFees.effectiveAt}`]);
+        }
+        if (!pendingFeed.effectiveAt.isZero()) {
+          lines.push(["pending price feed", `${describePendingFeed(hre, pendingFeed)} at ${pendingFeed.effectiveAt}`]);
+        }
+        if (!pendingTradeSize.effectiveAt.isZero()) {
+          lines.push(["pending trade size", `${describeTradeSize(pendingTradeSize, decimals, symbol)} at ${pendingTradeSize.effectiveAt}`]);
+        }
+        printPreview(symbol, lines);
+      }
+
+      return status;
+    });
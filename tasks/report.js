@@ -0,0 +1,62 @@
+// Trade history reports from the event index written by scripts/indexer.js.
+//
+// The index defaults to indexes/<network>.json (override the directory with INDEX_DIR);
+// no chain access is needed, so reports can be produced offline from a copied index.
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { indexPath, readIndex } = require("../scripts/lib/indexer");
+const { REPORT_TABLES, buildReport, toCsv } = require("../scripts/lib/report");
+
+const FORMATS = ["json", "csv"];
+
+// Accepts a Unix timestamp or anything Date.parse understands ("2024-05-01", ISO times).
+function parseTime(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (Number.isNaN(seconds)) {
+    throw new Error(`Invalid --${name} "${value}": pass a date or a Unix timestamp`);
+  }
+  return seconds;
+}
+
+task("exchange:report", "Reports volume, ETH flows, inventory and rate history from the event index")
+    .addOptionalParam("index", "Index file (defaults to indexes/<network>.json)")
+    .addOptionalParam("format", `One of ${FORMATS.join(", ")}`, "json")
+    .addOptionalParam("out", "Directory to write report.json or one CSV file per table to, instead of printing")
+    .addOptionalParam("table", `Table printed as CSV: one of ${REPORT_TABLES.join(", ")}`, "volume")
+    .addOptionalParam("from", "Only events at or after this date or Unix timestamp")
+    .addOptionalParam("to", "Only events at or before this date or Unix timestamp")
+    .setAction(async (args, hre) => {
+      if (!FORMATS.includes(args.format)) {
+        throw new Error(`Unknown format "${args.format}": use one of ${FORMATS.join(", ")}`);
+      }
+      if (!REPORT_TABLES.includes(args.table)) {
+        throw new Error(`Unknown table "${args.table}": use one of ${REPORT_TABLES.join(", ")}`);
+      }
+      const file = args.index ||
+        indexPath(process.env.INDEX_DIR || path.join(hre.config.paths.root, "indexes"), hre.network.name);
+      const index = readIndex(file);
+      if (!index) {
+        throw new Error(`No index at ${file}: run scripts/indexer.js first`);
+      }
+
+      const report = buildReport(index, { from: parseTime(args.from, "from"), to: parseTime(args.to, "to") });
+      if (!args.out) {
+        console.log(args.format === "json" ? JSON.stringify(report, null, 2) : toCsv(report[args.table]).trimEnd());
+        return report;
+      }
+
+      fs.mkdirSync(args.out, { recursive: true });
+      if (args.format === "json") {
+        fs.writeFileSync(path.join(args.out, "report.json"), `${JSON.stringify(report, null, 2)}\n`);
+      } else {
+        for (const table of REPORT_TABLES) {
+          fs.writeFileSync(path.join(args.out, `${table}.csv`), toCsv(report[table]));
+        }
+      }
+      console.log(`Wrote the ${args.format} report to ${args.out}`);
+      return report;
+    });
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const {
+  EXCHANGE_OFFICE_LIBRARIES,
+  PERIPHERY_CONTRACTS,
+  ROUTER_CONTRACTS,
+  deploy,
+  hashConfig,
+  loadConfig,
+  manifestPath,
+  normalizeConfig,
+  readManifest,
+  writeManifest
+} = require("../scripts/lib/deployment");
+const { SIZE_LIMIT, contractSizes, checkSizes } = require("../scripts/lib/sizes");
+
+describe("Deployment pipeline", function () {
+  let config;
+
+  beforeEach(async function () {
+    config = {
+      exchange: { ethFunding: "10" },
+      tokens: [
+        {
+          key: "SIMP",
+          contract: "SimpleToken",
+          initialSupply: "1000",
+          rate: "0.01",
+          supply: "100"
+        }
+      ]
+    };
+  });
+
+  describe("Config", function () {
+    it("Should load the bundled config", async function () {
+      const bundled = loadConfig(path.join(__dirname, "..", "config", "deploy.json"));
+      expect(normalizeConfig(bundled).tokens[0].key).to.equal("SIMP");
+    });
+
+    it("Should reject tokens without a key", async function () {
+      expect(() => normalizeConfig({ tokens: [{ contract: "SimpleToken" }] }))
+          .to.throw("Every token entry needs a unique \"key\"");
+    });
+
+    it("Should reject duplicate token keys", async function () {
+      const tokens = [config.tokens[0], config.tokens[0]];
+      expect(() => normalizeConfig({ tokens })).to.throw("Duplicate token key \"SIMP\"");
+    });
+
+    it("Should reject half-specified buy and sell rates", async function () {
+      const tokens = [{ key: "SIMP", contract: "SimpleToken", buyRate: "0.01" }];
+      expect(() => normalizeConfig({ tokens })).to.throw("needs both \"buyRate\" and \"sellRate\"");
+    });
+
+    it("Should reject a rate combined with buy and sell rates", async function () {
+      const tokens = [{ key: "SIMP", contract: "SimpleToken", rate: "0.01", buyRate: "0.01", sellRate: "0.01" }];
+      expect(() => normalizeConfig({ tokens })).to.throw("sets both");
+    });
+
+    it("Should reject incomplete price feeds", async function () {
+      config.tokens[0].priceFeed = { address: ethers.constants.AddressZero, maxStaleness: 3600 };
+      expect(() => normalizeConfig(config)).to.throw("price feed needs");
+    });
+
+    it("Should reject an outflow limit without a window", async function () {
+      config.exchange.maxOutflow = "50";
+      expect(() => normalizeConfig(config)).to.throw("needs an \"outflowWindow\"");
+    });
+
+    it("Should hash configs independently of key order", async function () {
+      const reordered = {
+        tokens: [{ supply: "100", rate: "0.01", initialSupply: "1000", contract: "SimpleToken", key: "SIMP" }],
+        exchange: { ethFunding: "10" }
+      };
+      expect(hashConfig(ethers, reordered)).to.equal(hashConfig(ethers, config));
+    });
+  });
+
+  describe("Fresh deployment", function () {
+    it("Should deploy and configure both contracts", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      const token = await ethers.getContractAt("SimpleToken", manifest.contracts.tokens.SIMP.address);
+
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.01"));
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("100"));
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ethers.utils.parseEther("10"));
+    });
+
+    it("Should deploy each periphery contract for the exchange", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      for (const name of PERIPHERY_CONTRACTS) {
+        const contract = await ethers.getContractAt(name, manifest.contracts[name].address);
+        expect(await contract.exchange()).to.equal(manifest.contracts.ExchangeOffice.address);
+      }
+    });
+
+    it("Should deploy a LiquidityPool and attach it to the exchange", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      const pool = await ethers.getContractAt("LiquidityPool", manifest.contracts.LiquidityPool.address);
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      expect(await pool.exchange()).to.equal(exchange.address);
+      expect(await exchange.liquidityPool()).to.equal(pool.address);
+    });
+
+    it("Should grant ROUTER_ROLE to the order routers", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      const routerRole = await exchange.ROUTER_ROLE();
+      for (const name of ROUTER_CONTRACTS) {
+        expect(await exchange.hasRole(routerRole, manifest.contracts[name].address)).to.equal(true);
+      }
+      expect(await exchange.hasRole(routerRole, manifest.contracts.LiquidityPool.address)).to.equal(false);
+    });
+
+    it("Should record addresses, tx hashes, block numbers and the config hash", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      expect(manifest.configHash).to.equal(hashConfig(ethers, config));
+      expect(manifest.contracts.ExchangeOffice.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(manifest.contracts.ExchangeOffice.blockNumber).to.be.a("number");
+      expect(manifest.transactions.map((tx) => tx.action)).to.deep.equal([
+        ...EXCHANGE_OFFICE_LIBRARIES.map(() => "deploy"), "deploy", ...PERIPHERY_CONTRACTS.map(() => "deploy"),
+        "setLiquidityPool", ...ROUTER_CONTRACTS.map(() => "grantRole"), "deploy",
+        "listToken", "setRate", "approve", "supplyToken", "fundEth"
+      ]);
+    });
+
+    it("Should deploy and link the ExchangeOffice libraries", async function () {
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      expect(Object.keys(manifest.contracts.libraries)).to.have.members(EXCHANGE_OFFICE_LIBRARIES);
+      for (const name of EXCHANGE_OFFICE_LIBRARIES) {
+        expect(await ethers.provider.getCode(manifest.contracts.libraries[name].address)).to.not.equal("0x");
+      }
+    });
+
+    it("Should list each token with its symbol and trade sizes", async function () {
+      config.tokens[0].minTradeAmount = "1";
+      config.tokens[0].maxTradeAmount = "50";
+      const manifest = await deploy({ ethers, networkName: "hardhat", config });
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      const listing = await exchange.getListing(manifest.contracts.tokens.SIMP.address);
+      expect(listing.listed).to.equal(true);
+      expect(listing.symbol).to.equal("SIMP");
+      expect(listing.minTradeAmount).to.equal(ethers.utils.parseEther("1"));
+      expect(listing.maxTradeAmount).to.equal(ethers.utils.parseEther("50"));
+    });
+  });
+
+  describe("Re-running against a manifest", function () {
+    let manifest;
+
+    beforeEach(async function () {
+      manifest = await deploy({ ethers, networkName: "hardhat", config });
+    });
+
+    it("Should not send any transactions when nothing changed", async function () {
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      expect(rerun.contracts).to.deep.equal(manifest.contracts);
+      expect(rerun.transactions).to.deep.equal(manifest.transactions);
+    });
+
+    it("Should only update a changed rate", async function () {
+      config.tokens[0].rate = "0.02";
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const newActions = rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setRate"]);
+      expect(rerun.configHash).to.not.equal(manifest.configHash);
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      expect(await exchange.getRate(rerun.contracts.tokens.SIMP.address))
+          .to.equal(ethers.utils.parseEther("0.02"));
+    });
+
+    it("Should only update changed trade sizes", async function () {
+      config.tokens[0].maxTradeAmount = "1000";
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const newActions = rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setTradeSize"]);
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      expect((await exchange.getListing(rerun.contracts.tokens.SIMP.address)).maxTradeAmount)
+          .to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("Should apply volume limits", async function () {
+      config.exchange.maxDailyVolume = "2";
+      config.exchange.maxOutflow = "50";
+      config.exchange.outflowWindow = 3600;
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const newActions = rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setVolumeLimits"]);
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([ethers.utils.parseEther("2"), ethers.utils.parseEther("50"), ethers.BigNumber.from(3600)]);
+
+      const again = await deploy({ ethers, networkName: "hardhat", config, manifest: rerun });
+      expect(again.transactions).to.deep.equal(rerun.transactions);
+    });
+
+    it("Should switch to separate buy and sell rates", async function () {
+      delete config.tokens[0].rate;
+      config.tokens[0].buyRate = "0.011";
+      config.tokens[0].sellRate = "0.009";
+
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const newActions = rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setRates"]);
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      const [buyRate, sellRate] = await exchange.getRates(rerun.contracts.tokens.SIMP.address);
+      expect(buyRate).to.equal(ethers.utils.parseEther("0.011"));
+      expect(sellRate).to.equal(ethers.utils.parseEther("0.009"));
+    });
+
+    it("Should apply changed fees and treasury", async function () {
+      const [, treasury] = await ethers.getSigners();
+      config.exchange.treasury = treasury.address;
+      config.tokens[0].buyFeeBps = 50;
+      config.tokens[0].sellFeeBps = 25;
+
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const newActions = rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setFees", "setTreasury"]);
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      const [buyFeeBps, sellFeeBps] = await exchange.getFees(rerun.contracts.tokens.SIMP.address);
+      expect(buyFeeBps).to.equal(50);
+      expect(sellFeeBps).to.equal(25);
+      expect(await exchange.treasury()).to.equal(treasury.address);
+    });
+
+    it("Should set and remove a price feed", async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.0101"));
+      config.tokens[0].priceFeed = { address: feed.address, maxStaleness: 3600, maxDeviationBps: 500 };
+
+      const withFeed = await deploy({ ethers, networkName: "hardhat", config, manifest });
+      const newActions = withFeed.transactions.slice(manifest.transactions.length).map((tx) => tx.action);
+      expect(newActions).to.deep.equal(["setPriceFeed"]);
+
+      // The feed moves getRates, but the manual rates still match the config
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest: withFeed });
+      expect(rerun.transactions).to.deep.equal(withFeed.transactions);
+
+      const exchange = await ethers.getContractAt("ExchangeOffice", rerun.contracts.ExchangeOffice.address);
+      const tokenAddress = rerun.contracts.tokens.SIMP.address;
+      expect(await exchange.getRate(tokenAddress)).to.equal(ethers.utils.parseEther("0.0101"));
+
+      delete config.tokens[0].priceFeed;
+      const removed = await deploy({ ethers, networkName: "hardhat", config, manifest: rerun });
+      expect(removed.transactions.slice(rerun.transactions.length).map((tx) => tx.action))
+          .to.deep.equal(["removePriceFeed"]);
+      expect(await exchange.getRate(tokenAddress)).to.equal(ethers.utils.parseEther("0.01"));
+    });
+
+    it("Should not reschedule a pending price feed, and cancel it once unconfigured", async function () {
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      const tokenAddress = manifest.contracts.tokens.SIMP.address;
+      await exchange.setParameterDelay(3600);
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.0101"));
+      config.tokens[0].priceFeed = { address: feed.address, maxStaleness: 3600, maxDeviationBps: 500 };
+
+      const scheduled = await deploy({ ethers, networkName: "hardhat", config, manifest });
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest: scheduled });
+      expect(rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action))
+          .to.deep.equal(["setPriceFeed"]);
+      expect((await exchange.getPendingPriceFeed(tokenAddress)).feed).to.equal(feed.address);
+
+      delete config.tokens[0].priceFeed;
+      const cancelled = await deploy({ ethers, networkName: "hardhat", config, manifest: rerun });
+      expect(cancelled.transactions.slice(rerun.transactions.length).map((tx) => tx.action))
+          .to.deep.equal(["cancelPriceFeedChange"]);
+      expect((await exchange.getPendingPriceFeed(tokenAddress)).effectiveAt).to.equal(0);
+    });
+
+    it("Should not reschedule pending trade size and volume limits changes", async function () {
+      const exchange = await ethers.getContractAt("ExchangeOffice", manifest.contracts.ExchangeOffice.address);
+      const tokenAddress = manifest.contracts.tokens.SIMP.address;
+      await exchange.setParameterDelay(3600);
+      config.tokens[0].maxTradeAmount = "50";
+      config.exchange.maxDailyVolume = "2";
+
+      const scheduled = await deploy({ ethers, networkName: "hardhat", config, manifest });
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest: scheduled });
+      expect(rerun.transactions.slice(manifest.transactions.length).map((tx) => tx.action))
+          .to.deep.equal(["setTradeSize", "setVolumeLimits"]);
+      expect((await exchange.getPendingTradeSize(tokenAddress)).maxTradeAmount).to.equal(ethers.utils.parseEther("50"));
+      expect((await exchange.getPendingVolumeLimits()).maxDailyVolume).to.equal(ethers.utils.parseEther("2"));
+    });
+
+    it("Should only top up the missing token supply", async function () {
+      config.tokens[0].supply = "150";
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest });
+
+      const supplied = rerun.transactions.filter((tx) => tx.action === "supplyToken");
+      expect(supplied[supplied.length - 1].amount).to.equal(ethers.utils.parseEther("50").toString());
+    });
+
+    it("Should redeploy when the manifest points at an address without code", async function () {
+      const stale = JSON.parse(JSON.stringify(manifest));
+      stale.contracts.ExchangeOffice.address = ethers.Wallet.createRandom().address;
+
+      const rerun = await deploy({ ethers, networkName: "hardhat", config, manifest: stale });
+      expect(rerun.contracts.ExchangeOffice.address).to.not.equal(stale.contracts.ExchangeOffice.address);
+    });
+
+    it("Should round-trip the manifest through disk", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      const file = manifestPath(dir, "localhost");
+
+      writeManifest(file, manifest);
+      expect(readManifest(file)).to.deep.equal(manifest);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe("Contract sizes", function () {
+    it("Should keep every contract under the contract size limit", async function () {
+      const sizes = await contractSizes(artifacts);
+      const exchange = sizes.find((entry) => entry.contractName === "ExchangeOffice");
+
+      expect(exchange.size).to.be.greaterThan(0);
+      expect(exchange.margin).to.equal(SIZE_LIMIT - exchange.size);
+      expect(checkSizes(sizes).oversized.map((entry) => entry.contractName)).to.deep.equal([]);
+    });
+
+    it("Should report contracts over or near the limit", async function () {
+      const sizes = [
+        { contractName: "Big", size: SIZE_LIMIT + 1, margin: -1 },
+        { contractName: "Close", size: SIZE_LIMIT - 100, margin: 100 },
+        { contractName: "Small", size: 1000, margin: SIZE_LIMIT - 1000 }
+      ];
+
+      const { oversized, nearLimit } = checkSizes(sizes, { warningMargin: 512 });
+      expect(oversized.map((entry) => entry.contractName)).to.deep.equal(["Big"]);
+      expect(nearLimit.map((entry) => entry.contractName)).to.deep.equal(["Close"]);
+    });
+  });
+});
@@ -0,0 +1,573 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+
+// Stateful fuzzing of ExchangeOffice: random sequences of admin actions, trades and direct ETH sends
+// from several signers, checked against a model of the office after every step.
+//
+// Sequences are generated up front from a seed, so a failure reproduces from its seed alone:
+//   FUZZ_SEED=<seed> FUZZ_RUNS=1 npx hardhat test test/ExchangeFuzzTests.js
+// FUZZ_RUNS and FUZZ_STEPS explore more and longer sequences. A failing sequence is shrunk to a
+// shorter one with smaller amounts that still fails before it is reported.
+
+const { BigNumber } = ethers;
+
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 5);
+const STEPS = Number(process.env.FUZZ_STEPS || 40);
+const MAX_SHRINK_ATTEMPTS = 100;
+
+const BPS = 10000;
+const TRADERS = 5;
+// Kept back from a signer's balance for gas when deciding whether it can afford a step
+const GAS_MARGIN = ethers.utils.parseEther("1");
+
+const TOKENS = [
+  { symbol: "SIMP", decimals: 18, rate: ethers.utils.parseEther("0.01"), supply: ethers.utils.parseEther("100") },
+  { symbol: "USDC", decimals: 6, rate: ethers.utils.parseEther("0.0005"), supply: ethers.utils.parseUnits("10000", 6) }
+];
+const ETH_SUPPLY = ethers.utils.parseEther("10");
+
+const ACTIONS = [
+  ["buy", 25], ["sell", 25], ["setRate", 8], ["setFees", 5], ["supplyToken", 8], ["sendEth", 8],
+  ["withdrawToken", 4], ["withdrawETH", 4], ["pause", 3], ["unpause", 6], ["shutdown", 1]
+];
+
+// mulberry32, a small seeded PRNG
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (max) => Math.floor(next() * max);
+  return {
+    int,
+    // Between 1 and `maxDigits` digits with every length equally likely, so dust is as common as size
+    amount(maxDigits) {
+      const digits = 1 + int(maxDigits);
+      let value = String(1 + int(9));
+      for (let i = 1; i < digits; i++) {
+        value += String(int(10));
+      }
+      return value;
+    },
+    weighted(choices) {
+      let roll = int(choices.reduce((sum, [, weight]) => sum + weight, 0));
+      for (const [choice, weight] of choices) {
+        if (roll < weight) {
+          return choice;
+        }
+        roll -= weight;
+      }
+    }
+  };
+}
+
+// Actions are plain data so that a sequence can be printed, replayed and shrunk
+function generateAction(random) {
+  const type = random.weighted(ACTIONS);
+  const token = random.int(TOKENS.length);
+  const decimals = TOKENS[token].decimals;
+  switch (type) {
+    case "buy":
+    case "sell":
+      return { type, trader: 1 + random.int(TRADERS), token, amount: random.amount(decimals + 3) };
+    case "setRate":
+      return { type, token, rate: random.amount(19) };
+    case "setFees":
+      return { type, token, buyFeeBps: random.int(1001), sellFeeBps: random.int(1001) };
+    case "supplyToken":
+    case "withdrawToken":
+      return { type, token, amount: random.amount(decimals + 3) };
+    case "withdrawETH":
+      return { type, amount: random.amount(20) };
+    case "sendEth":
+      return { type, from: random.int(TRADERS + 1), amount: random.amount(19) };
+    default:
+      return { type };
+  }
+}
+
+function generateSequence(seed, steps) {
+  const random = createRandom(seed);
+  return Array.from({ length: steps }, () => generateAction(random));
+}
+
+// Drops ever smaller chunks of steps, then lowers amounts and rates, keeping each change after which
+// the sequence still fails
+async function shrink(sequence, fails, maxAttempts = MAX_SHRINK_ATTEMPTS) {
+  let current = sequence;
+  let attempts = 0;
+  const tryCandidate = async (candidate) => {
+    if (attempts >= maxAttempts) {
+      return false;
+    }
+    attempts++;
+    if (await fails(candidate)) {
+      current = candidate;
+      return true;
+    }
+    return false;
+  };
+
+  let size = Math.max(1, Math.floor(current.length / 2));
+  while (size >= 1 && attempts < maxAttempts) {
+    let removed = false;
+    for (let start = 0; start < current.length;) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      if (candidate.length > 0 && await tryCandidate(candidate)) {
+        removed = true;
+      } else {
+        start += size;
+      }
+    }
+    if (!removed) {
+      size = Math.floor(size / 2);
+    }
+  }
+
+  for (let i = 0; i < current.length; i++) {
+    for (const key of ["amount", "rate"]) {
+      const withValue = (value) => current.map((action, j) => (j === i ? { ...action, [key]: value } : action));
+      if (current[i][key] === undefined || current[i][key] === "1" || await tryCandidate(withValue("1"))) {
+        continue;
+      }
+      let value = BigNumber.from(current[i][key]).div(2);
+      while (value.gt(1) && await tryCandidate(withValue(value.toString()))) {
+        value = value.div(2);
+      }
+    }
+  }
+  return current;
+}
+
+function ceilDiv(a, b) {
+  return a.add(b).sub(1).div(b);
+}
+
+describe("ExchangeOffice fuzzing", function () {
+  let tokens;
+  let exchange;
+  let owner;
+  let signers;
+  let snapshot;
+
+  async function totalEth() {
+    let total = await ethers.provider.getBalance(exchange.address);
+    for (const signer of signers) {
+      total = total.add(await signer.getBalance());
+    }
+    return total;
+  }
+
+  // Gas paid for the transactions mined since `fromBlock`, reverted ones included
+  async function gasCostSince(fromBlock) {
+    let cost = BigNumber.from(0);
+    const latest = await ethers.provider.getBlockNumber();
+    for (let number = fromBlock + 1; number <= latest; number++) {
+      for (const hash of (await ethers.provider.getBlock(number)).transactions) {
+        const receipt = await ethers.provider.getTransactionReceipt(hash);
+        cost = cost.add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+      }
+    }
+    return cost;
+  }
+
+  // Sends a transaction and returns the revert reason, if any, and the gas it cost
+  async function attempt(send) {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    let reason = null;
+    try {
+      await (await send()).wait();
+    } catch (error) {
+      const match = /reverted with reason string '(.*)'/.exec(error.message);
+      reason = match ? match[1] : error.message;
+    }
+    return { reason, gasCost: await gasCostSince(fromBlock) };
+  }
+
+  async function tradeBalances(trader, token) {
+    return {
+      eth: await trader.getBalance(),
+      tokens: await token.balanceOf(trader.address),
+      fees: await exchange.accruedFees()
+    };
+  }
+
+  // Each handler predicts the outcome of an action from the model, as the revert reason or null for
+  // success, sends it, and on success updates the model and checks the trade itself
+  const handlers = {
+    async buy(model, action) {
+      const trader = signers[action.trader];
+      const token = tokens[action.token];
+      const amount = BigNumber.from(action.amount);
+      const rate = model.rates[action.token];
+      const unit = BigNumber.from(10).pow(TOKENS[action.token].decimals);
+      const price = ceilDiv(amount.mul(rate), unit);
+      const fee = ceilDiv(price.mul(model.fees[action.token].buy), BPS);
+      const value = price.add(fee);
+      if (value.add(GAS_MARGIN).gt(await trader.getBalance())) {
+        return null;
+      }
+
+      let expected = null;
+      if (model.paused) {
+        expected = "Pausable: paused";
+      } else if (amount.gt(model.tokenReserves[action.token])) {
+        expected = "Insufficient exchange office token balance";
+      }
+      const before = await tradeBalances(trader, token);
+      return {
+        expected,
+        send: () => exchange.connect(trader).buy(token.address, amount, { value }),
+        async apply(gasCost) {
+          const after = await tradeBalances(trader, token);
+          const paid = before.eth.sub(after.eth).sub(gasCost);
+          const feeTaken = after.fees.sub(before.fees);
+          expect(after.tokens.sub(before.tokens), "tokens bought").to.equal(amount);
+          expect(paid, "ETH paid").to.equal(value);
+          expect(feeTaken, "buy fee").to.equal(fee);
+          expect(paid.sub(feeTaken).mul(unit).gte(amount.mul(rate)), "buyer paid less than the rate implies").to.equal(true);
+
+          model.tokenReserves[action.token] = model.tokenReserves[action.token].sub(amount);
+          model.ethReserve = model.ethReserve.add(price);
+          model.accruedFees = model.accruedFees.add(fee);
+        }
+      };
+    },
+
+    async sell(model, action) {
+      const trader = signers[action.trader];
+      const token = tokens[action.token];
+      const amount = BigNumber.from(action.amount);
+      const rate = model.rates[action.token];
+      const unit = BigNumber.from(10).pow(TOKENS[action.token].decimals);
+      const grossValue = amount.mul(rate).div(unit);
+      const fee = ceilDiv(grossValue.mul(model.fees[action.token].sell), BPS);
+      const payout = grossValue.sub(fee);
+
+      const before = await tradeBalances(trader, token);
+      let expected = null;
+      if (model.paused) {
+        expected = "Pausable: paused";
+      } else if (amount.gt(before.tokens)) {
+        expected = "Insufficient token balance";
+      } else if (grossValue.gt(model.ethReserve)) {
+        expected = "Insufficient exchange office ETH balance";
+      }
+      return {
+        expected,
+        send: () => exchange.connect(trader).sell(token.address, amount),
+        async apply(gasCost) {
+          const after = await tradeBalances(trader, token);
+          const received = after.eth.sub(before.eth).add(gasCost);
+          const feeTaken = after.fees.sub(before.fees);
+          expect(before.tokens.sub(after.tokens), "tokens sold").to.equal(amount);
+          expect(received, "ETH paid out").to.equal(payout);
+          expect(feeTaken, "sell fee").to.equal(fee);
+          expect(received.add(feeTaken).mul(unit).lte(amount.mul(rate)), "office paid out more than the rate implies").to.equal(true);
+
+          model.tokenReserves[action.token] = model.tokenReserves[action.token].add(amount);
+          model.ethReserve = model.ethReserve.sub(grossValue);
+          model.accruedFees = model.accruedFees.add(fee);
+        }
+      };
+    },
+
+    async setRate(model, action) {
+      return {
+        expected: null,
+        send: () => exchange.setRate(tokens[action.token].address, action.rate),
+        async apply() {
+          model.rates[action.token] = BigNumber.from(action.rate);
+        }
+      };
+    },
+
+    async setFees(model, action) {
+      return {
+        expected: null,
+        send: () => exchange.setFees(tokens[action.token].address, action.buyFeeBps, action.sellFeeBps),
+        async apply() {
+          model.fees[action.token] = { buy: action.buyFeeBps, sell: action.sellFeeBps };
+        }
+      };
+    },
+
+    async supplyToken(model, action) {
+      const token = tokens[action.token];
+      const amount = BigNumber.from(action.amount);
+      const balance = await token.balanceOf(owner.address);
+      return {
+        expected: amount.gt(balance) ? "Insufficient token balance" : null,
+        send: () => exchange.supplyToken(token.address, amount),
+        async apply() {
+          model.tokenReserves[action.token] = model.tokenReserves[action.token].add(amount);
+        }
+      };
+    },
+
+    async sendEth(model, action) {
+      const sender = signers[action.from];
+      const amount = BigNumber.from(action.amount);
+      if (amount.add(GAS_MARGIN).gt(await sender.getBalance())) {
+        return null;
+      }
+      return {
+        expected: null,
+        send: () => sender.sendTransaction({ to: exchange.address, value: amount }),
+        async apply() {
+          // Only the owner is a liquidity manager; ETH from anyone else is excess until synced
+          if (sender === owner) {
+            model.ethReserve = model.ethReserve.add(amount);
+          }
+        }
+      };
+    },
+
+    async withdrawToken(model, action) {
+      const amount = BigNumber.from(action.amount);
+      let expected = null;
+      if (model.shutdown) {
+        expected = "Grace period not over";
+      } else if (amount.gt(model.tokenReserves[action.token])) {
+        expected = "Insufficient token balance";
+      }
+      return {
+        expected,
+        send: () => exchange.withdrawToken(tokens[action.token].address, amount),
+        async apply() {
+          model.tokenReserves[action.token] = model.tokenReserves[action.token].sub(amount);
+        }
+      };
+    },
+
+    async withdrawETH(model, action) {
+      const amount = BigNumber.from(action.amount);
+      let expected = null;
+      if (model.shutdown) {
+        expected = "Grace period not over";
+      } else if (amount.gt(model.ethReserve)) {
+        expected = "Insufficient ETH balance";
+      }
+      return {
+        expected,
+        send: () => exchange.withdrawETH(amount),
+        async apply() {
+          model.ethReserve = model.ethReserve.sub(amount);
+        }
+      };
+    },
+
+    async pause(model) {
+      return {
+        expected: model.paused ? "Pausable: paused" : null,
+        send: () => exchange.pause(),
+        async apply() {
+          model.paused = true;
+        }
+      };
+    },
+
+    async unpause(model) {
+      let expected = null;
+      if (model.shutdown) {
+        expected = "Cannot unpause: contract is shut down";
+      } else if (!model.paused) {
+        expected = "Pausable: not paused";
+      }
+      return {
+        expected,
+        send: () => exchange.unpause(),
+        async apply() {
+          model.paused = false;
+        }
+      };
+    },
+
+    async shutdown(model) {
+      return {
+        expected: model.shutdown ? "Contract is shut down" : null,
+        send: () => exchange.initiateShutdown(),
+        async apply() {
+          model.shutdown = true;
+          model.paused = true;
+        }
+      };
+    }
+  };
+
+  async function checkInvariants(state) {
+    const { model } = state;
+    expect(await exchange.paused(), "paused").to.equal(model.paused);
+    expect(await exchange.isShutdown(), "shut down").to.equal(model.shutdown);
+
+    const holders = [exchange.address, ...signers.map((signer) => signer.address)];
+    let ethReserve;
+    for (let i = 0; i < tokens.length; i++) {
+      const reserves = await exchange.getReserves(tokens[i].address);
+      ethReserve = reserves.ethReserve;
+      expect(reserves.tokenReserve, `${TOKENS[i].symbol} reserve`).to.equal(model.tokenReserves[i]);
+      expect(reserves.tokenReserve.lte(await tokens[i].balanceOf(exchange.address)), `${TOKENS[i].symbol} reserve is backed`).to.equal(true);
+
+      let held = BigNumber.from(0);
+      for (const holder of holders) {
+        held = held.add(await tokens[i].balanceOf(holder));
+      }
+      expect(held, `${TOKENS[i].symbol} held across all holders`).to.equal(await tokens[i].totalSupply());
+    }
+
+    const accruedFees = await exchange.accruedFees();
+    expect(ethReserve, "ETH reserve").to.equal(model.ethReserve);
+    expect(accruedFees, "accrued fees").to.equal(model.accruedFees);
+    const owed = ethReserve.add(accruedFees).add(await exchange.totalPendingWithdrawals());
+    expect(owed.lte(await ethers.provider.getBalance(exchange.address)), "ETH reserve is backed").to.equal(true);
+    expect((await totalEth()).add(state.gasSpent), "ETH held across all holders").to.equal(state.initialEth);
+  }
+
+  async function runStep(state, action) {
+    const step = await handlers[action.type](state.model, action);
+    if (step === null) {
+      // The signer cannot afford it; skipped the same way on every replay
+      return;
+    }
+    const { reason, gasCost } = await attempt(step.send);
+    state.gasSpent = state.gasSpent.add(gasCost);
+    expect(reason, "outcome").to.equal(step.expected);
+    if (reason === null) {
+      await step.apply(gasCost);
+    }
+  }
+
+  // Replays a sequence from the deployed state. Returns where and how it failed, or null if it passed
+  async function replay(sequence) {
+    await network.provider.send("evm_revert", [snapshot]);
+    snapshot = await network.provider.send("evm_snapshot");
+
+    const state = {
+      model: {
+        paused: false,
+        shutdown: false,
+        rates: TOKENS.map((config) => config.rate),
+        fees: TOKENS.map(() => ({ buy: 0, sell: 0 })),
+        tokenReserves: TOKENS.map((config) => config.supply),
+        ethReserve: ETH_SUPPLY,
+        accruedFees: BigNumber.from(0)
+      },
+      gasSpent: BigNumber.from(0),
+      initialEth: await totalEth()
+    };
+    for (let i = 0; i < sequence.length; i++) {
+      try {
+        await runStep(state, sequence[i]);
+        await checkInvariants(state);
+      } catch (error) {
+        return { step: i, action: sequence[i], message: error.message };
+      }
+    }
+    return null;
+  }
+
+  before(async function () {
+    const ExchangeOffice = await getExchangeOfficeFactory(ethers);
+    signers = (await ethers.getSigners()).slice(0, TRADERS + 1);
+    owner = signers[0];
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+    const usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6);
+    await usdc.mint(owner.address, ethers.utils.parseUnits("1000000", 6));
+    tokens = [await SimpleToken.deploy(ethers.utils.parseEther("1000000")), usdc];
+
+    exchange = await ExchangeOffice.deploy();
+    for (let i = 0; i < tokens.length; i++) {
+      const { symbol, decimals, rate, supply } = TOKENS[i];
+      await exchange.listToken(tokens[i].address, symbol, decimals, 0, 0);
+      await exchange.setRate(tokens[i].address, rate);
+      await tokens[i].approve(exchange.address, ethers.constants.MaxUint256);
+      await exchange.supplyToken(tokens[i].address, supply);
+      for (const trader of signers.slice(1)) {
+        await tokens[i].transfer(trader.address, ethers.utils.parseUnits("1000", decimals));
+        await tokens[i].connect(trader).approve(exchange.address, ethers.constants.MaxUint256);
+      }
+    }
+    await owner.sendTransaction({ to: exchange.address, value: ETH_SUPPLY });
+
+    snapshot = await network.provider.send("evm_snapshot");
+  });
+
+  describe("Harness", function () {
+    it("Should generate the same sequence from the same seed", function () {
+      const sequence = generateSequence(42, 50);
+
+      expect(generateSequence(42, 50)).to.deep.equal(sequence);
+      expect(generateSequence(43, 50)).to.not.deep.equal(sequence);
+      expect(new Set(sequence.map((action) => action.type)).size).to.be.greaterThan(5);
+    });
+
+    it("Should shrink a failing sequence to the steps that cause it", async function () {
+      // Fails when a buy of at least 5 units follows a pause
+      const fails = async (sequence) => {
+        const paused = sequence.findIndex((action) => action.type === "pause");
+        return paused !== -1 && sequence.slice(paused).some(
+          (action) => action.type === "buy" && BigNumber.from(action.amount).gte(5)
+        );
+      };
+      const sequence = [
+        ...generateSequence(7, 20).filter((action) => action.type !== "pause"),
+        { type: "pause" },
+        ...generateSequence(8, 20).filter((action) => action.type !== "pause"),
+        { type: "buy", trader: 1, token: 0, amount: "123456789" }
+      ];
+
+      const shrunk = await shrink(sequence, fails);
+
+      expect(shrunk.map((action) => action.type)).to.deep.equal(["pause", "buy"]);
+      expect(BigNumber.from(shrunk[1].amount).lt(10)).to.equal(true);
+      expect(await fails(shrunk)).to.equal(true);
+    });
+
+    it("Should replay dust trades at a rate of a few wei per token", async function () {
+      const usdc = 1;
+      const failure = await replay([
+        { type: "setRate", token: usdc, rate: "3" },
+        { type: "setFees", token: usdc, buyFeeBps: 1000, sellFeeBps: 1000 },
+        { type: "buy", trader: 1, token: usdc, amount: "1" },
+        { type: "sell", trader: 2, token: usdc, amount: "1" },
+        { type: "sell", trader: 2, token: usdc, amount: "333334" },
+        { type: "buy", trader: 3, token: usdc, amount: "666667" },
+        { type: "pause" },
+        { type: "sell", trader: 1, token: usdc, amount: "1" }
+      ]);
+
+      expect(failure, failure && failure.message).to.equal(null);
+    });
+  });
+
+  describe("Invariants", function () {
+    it(`Should hold over ${RUNS} random sequences of ${STEPS} steps from seed ${SEED}`, async function () {
+      this.timeout(0);
+      for (let run = 0; run < RUNS; run++) {
+        const seed = SEED + run;
+        const sequence = generateSequence(seed, STEPS);
+        const failure = await replay(sequence);
+        if (failure === null) {
+          continue;
+        }
+
+        const shrunk = await shrink(sequence, async (candidate) => (await replay(candidate)) !== null);
+        const shrunkFailure = await replay(shrunk);
+        throw new Error([
+          `Seed ${seed} failed at step ${failure.step}: ${failure.message}`,
+          `Shrunk to ${shrunk.length} steps, failing at step ${shrunkFailure.step}: ${shrunkFailure.message}`,
+          JSON.stringify(shrunk, null, 2),
+          `Reproduce with: FUZZ_SEED=${seed} FUZZ_RUNS=1 npx hardhat test test/ExchangeFuzzTests.js`
+        ].join("\n"));
+      }
+    });
+  });
+});
@@ -0,0 +1,590 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  ExchangeOfficeClient,
+  ExchangeError,
+  TokenNotSupportedError,
+  InsufficientPaymentError,
+  InsufficientTokenLiquidityError,
+  InsufficientEthLiquidityError,
+  InsufficientTokenBalanceError,
+  ExchangePausedError,
+  PriceMovedError,
+  DeadlineExpiredError,
+  PriceUnavailableError,
+  TradeSizeError,
+  VolumeLimitError,
+  UnauthorizedError,
+  NoPendingChangeError,
+  LiquidityPoolError,
+  REVERT_REASONS,
+  applySlippage,
+  toExchangeError
+} = require("../sdk");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+
+describe("ExchangeOfficeClient", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let owner;
+  let addr1;
+  let client;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+  const tokenRate = ethers.utils.parseEther("0.01");
+
+  async function expectExchangeError(promise, ErrorClass) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(ErrorClass);
+    expect(error).to.be.instanceOf(ExchangeError);
+  }
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    const supplyAmount = ethers.utils.parseEther("100");
+    await token.approve(exchange.address, supplyAmount);
+    await exchange.supplyToken(token.address, supplyAmount);
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    client = new ExchangeOfficeClient(exchange.address, addr1);
+  });
+
+  describe("Quotes", function () {
+    it("Should quote buys with the contract price math", async function () {
+      const quote = await client.quoteBuy(token.address, ethers.utils.parseEther("3"));
+      expect(quote.ethAmount).to.equal(ethers.utils.parseEther("0.03"));
+      expect(quote.rate).to.equal(tokenRate);
+    });
+
+    it("Should include fees in quotes", async function () {
+      await exchange.setFees(token.address, 100, 200);
+      const amount = ethers.utils.parseEther("1");
+
+      const buyQuote = await client.quoteBuy(token.address, amount);
+      expect(buyQuote.fee).to.equal(ethers.utils.parseEther("0.0001"));
+      expect(buyQuote.ethAmount).to.equal(ethers.utils.parseEther("0.0101"));
+
+      const sellQuote = await client.quoteSell(token.address, amount);
+      expect(sellQuote.fee).to.equal(ethers.utils.parseEther("0.0002"));
+      expect(sellQuote.ethAmount).to.equal(ethers.utils.parseEther("0.0098"));
+    });
+
+    it("Should round quotes down like the contract", async function () {
+      // 1 token unit at 0.01 ETH per token is 0.01 wei
+      const quote = await client.quoteSell(token.address, 1);
+      expect(quote.ethAmount).to.equal(0);
+    });
+
+    it("Should quote each side at its own rate", async function () {
+      const buyRate = ethers.utils.parseEther("0.011");
+      const sellRate = ethers.utils.parseEther("0.009");
+      await exchange.setRates(token.address, buyRate, sellRate);
+      const amount = ethers.utils.parseEther("1");
+
+      const buyQuote = await client.quoteBuy(token.address, amount);
+      expect(buyQuote.rate).to.equal(buyRate);
+      expect(buyQuote.ethAmount).to.equal(buyRate);
+
+      const sellQuote = await client.quoteSell(token.address, amount);
+      expect(sellQuote.rate).to.equal(sellRate);
+      expect(sellQuote.ethAmount).to.equal(sellRate);
+    });
+
+    it("Should reject quotes for unsupported tokens", async function () {
+      await expectExchangeError(client.quoteBuy(addr1.address, 1), TokenNotSupportedError);
+    });
+
+    it("Should work read-only with a provider", async function () {
+      const readOnly = new ExchangeOfficeClient(exchange.address, ethers.provider);
+      const quote = await readOnly.quoteSell(token.address, ethers.utils.parseEther("1"));
+      expect(quote.ethAmount).to.equal(tokenRate);
+    });
+  });
+
+  describe("Buying", function () {
+    it("Should buy at the quoted price and decode the event", async function () {
+      const amount = ethers.utils.parseEther("2");
+      const result = await client.buy(token.address, amount);
+
+      expect(result.type).to.equal("buy");
+      expect(result.trader).to.equal(addr1.address);
+      expect(result.token).to.equal(token.address);
+      expect(result.amount).to.equal(amount);
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.02"));
+      expect(result.refund).to.equal(0);
+      expect(result.fee).to.equal(0);
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+    });
+
+    it("Should pay the buy fee and report it", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      const result = await client.buy(token.address, ethers.utils.parseEther("1"));
+
+      expect(result.fee).to.equal(ethers.utils.parseEther("0.0001"));
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.0101"));
+      expect(result.refund).to.equal(0);
+    });
+
+    it("Should report the refund when overpaying", async function () {
+      const result = await client.buy(token.address, ethers.utils.parseEther("1"), {
+        value: ethers.utils.parseEther("0.05")
+      });
+      expect(result.refund).to.equal(ethers.utils.parseEther("0.04"));
+    });
+
+    it("Should map underpayment to InsufficientPaymentError", async function () {
+      await expectExchangeError(
+          client.buy(token.address, ethers.utils.parseEther("1"), { value: 1 }),
+          InsufficientPaymentError
+      );
+    });
+
+    it("Should map missing inventory to InsufficientTokenLiquidityError", async function () {
+      await expectExchangeError(client.buy(token.address, ethers.utils.parseEther("200")), InsufficientTokenLiquidityError);
+    });
+
+    it("Should map a paused exchange to ExchangePausedError", async function () {
+      await exchange.pause();
+      await expectExchangeError(client.buy(token.address, ethers.utils.parseEther("1")), ExchangePausedError);
+    });
+
+    it("Should map a trade outside the listed size bounds to TradeSizeError", async function () {
+      await exchange.delistToken(token.address);
+      await exchange.listToken(token.address, "SIMP", 18, ethers.utils.parseEther("1"), ethers.utils.parseEther("5"));
+      await exchange.setRate(token.address, tokenRate);
+
+      await expectExchangeError(client.buy(token.address, ethers.utils.parseEther("0.5")), TradeSizeError);
+      await expectExchangeError(client.buy(token.address, ethers.utils.parseEther("6")), TradeSizeError);
+    });
+
+    it("Should map a trade past the daily volume to VolumeLimitError", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.05"), 0, 0);
+
+      await expectExchangeError(client.buy(token.address, ethers.utils.parseEther("6")), VolumeLimitError);
+    });
+  });
+
+  describe("Selling", function () {
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should approve and sell in one call", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const result = await client.sell(token.address, amount);
+
+      expect(result.approvalReceipt).to.not.equal(null);
+      expect(result.type).to.equal("sell");
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.05"));
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("5"));
+    });
+
+    it("Should report the sell fee", async function () {
+      await exchange.setFees(token.address, 0, 200);
+      const result = await client.sell(token.address, ethers.utils.parseEther("5"));
+
+      expect(result.fee).to.equal(ethers.utils.parseEther("0.001"));
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.049"));
+    });
+
+    it("Should skip the approval when the allowance is sufficient", async function () {
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+      const result = await client.sell(token.address, ethers.utils.parseEther("5"));
+      expect(result.approvalReceipt).to.equal(null);
+    });
+
+    it("Should sell with a signed permit instead of an approval", async function () {
+      const result = await client.sellWithPermit(token.address, ethers.utils.parseEther("5"));
+
+      expect(result.type).to.equal("sell");
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.05"));
+      expect(await token.allowance(addr1.address, exchange.address)).to.equal(0);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("5"));
+    });
+
+    it("Should reset a partial allowance first for USDT-style tokens", async function () {
+      const NoReturnToken = await ethers.getContractFactory("NoReturnToken");
+      const usdt = await NoReturnToken.deploy();
+      const amount = ethers.utils.parseUnits("100", 6);
+      await exchange.listToken(usdt.address, "USDT", 6, 0, 0);
+      await exchange.setRate(usdt.address, ethers.utils.parseEther("0.0005"));
+      await usdt.mint(addr1.address, amount);
+      await usdt.connect(addr1).approve(exchange.address, 1);
+
+      const result = await client.sell(usdt.address, amount);
+
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.05"));
+      expect(await usdt.balanceOf(exchange.address)).to.equal(amount);
+    });
+
+    it("Should map a short balance to InsufficientTokenBalanceError", async function () {
+      await expectExchangeError(client.sell(token.address, ethers.utils.parseEther("20")), InsufficientTokenBalanceError);
+    });
+
+    it("Should map a drained exchange to InsufficientEthLiquidityError", async function () {
+      await exchange.withdrawETH(await ethers.provider.getBalance(exchange.address));
+      await expectExchangeError(client.sell(token.address, ethers.utils.parseEther("5")), InsufficientEthLiquidityError);
+    });
+  });
+
+  describe("Slippage protection", function () {
+    const amount = ethers.utils.parseEther("1");
+
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should widen and narrow quotes by the tolerance", async function () {
+      expect(applySlippage(ethers.BigNumber.from(10000), 50, 1)).to.equal(10050);
+      expect(applySlippage(ethers.BigNumber.from(10000), 50, -1)).to.equal(9950);
+      expect(() => applySlippage(ethers.BigNumber.from(1), 10001, 1)).to.throw(RangeError);
+    });
+
+    it("Should buy through buyExact and refund the unused tolerance", async function () {
+      const result = await client.buy(token.address, amount, { slippageBps: 100 });
+
+      expect(result.ethAmount).to.equal(tokenRate);
+      expect(result.refund).to.equal(tokenRate.div(100));
+    });
+
+    it("Should sell through sellExact", async function () {
+      const result = await client.sell(token.address, amount, { slippageBps: 100 });
+      expect(result.ethAmount).to.equal(tokenRate);
+    });
+
+    it("Should map a rate change beyond the tolerance to PriceMovedError", async function () {
+      const originalQuote = client.quoteSell.bind(client);
+      // The owner reprices between the client's quote and its transaction
+      client.quoteSell = async (...args) => {
+        const quote = await originalQuote(...args);
+        await exchange.setRate(token.address, ethers.utils.parseEther("0.009"));
+        return quote;
+      };
+
+      await expectExchangeError(client.sell(token.address, amount, { slippageBps: 50 }), PriceMovedError);
+    });
+
+    it("Should tolerate a rate change within the tolerance", async function () {
+      const originalQuote = client.quoteBuy.bind(client);
+      client.quoteBuy = async (...args) => {
+        const quote = await originalQuote(...args);
+        await exchange.setRate(token.address, ethers.utils.parseEther("0.0105"));
+        return quote;
+      };
+
+      const result = await client.buy(token.address, amount, { slippageBps: 500 });
+      expect(result.ethAmount).to.equal(ethers.utils.parseEther("0.0105"));
+    });
+
+    it("Should map an expired deadline to DeadlineExpiredError", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await expectExchangeError(client.buy(token.address, amount, { deadline: timestamp - 1 }), DeadlineExpiredError);
+    });
+  });
+
+  describe("Exact ETH trades", function () {
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should buy with exactly the given ETH", async function () {
+      const value = ethers.utils.parseEther("0.025");
+      const result = await client.buyWithExactEth(token.address, value);
+
+      expect(result.amount).to.equal(ethers.utils.parseEther("2.5"));
+      expect(result.ethAmount).to.equal(value);
+    });
+
+    it("Should sell for exactly the given ETH", async function () {
+      await exchange.setFees(token.address, 0, 100);
+      const weiOut = ethers.utils.parseEther("0.0099");
+
+      const quote = await client.quoteSellForExactEth(token.address, weiOut);
+      const result = await client.sellForExactEth(token.address, weiOut);
+
+      expect(result.amount).to.equal(quote.amount);
+      expect(result.amount).to.equal(ethers.utils.parseEther("1"));
+      expect(result.ethAmount).to.equal(weiOut);
+      expect(result.approvalReceipt).to.not.equal(null);
+    });
+  });
+
+  describe("Swaps", function () {
+    let token2;
+
+    beforeEach(async function () {
+      const SimpleToken = await ethers.getContractFactory("SimpleToken");
+      token2 = await SimpleToken.deploy(initialSupply);
+      await exchange.listToken(token2.address, "SIMP2", 18, 0, 0);
+      await exchange.setRate(token2.address, ethers.utils.parseEther("0.005"));
+      await token2.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(token2.address, ethers.utils.parseEther("100"));
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should approve, swap and report both fees", async function () {
+      await exchange.setFees(token.address, 0, 100);
+      await exchange.setFees(token2.address, 100, 0);
+      const amountIn = ethers.utils.parseEther("5");
+
+      const quote = await client.quoteSwap(token.address, token2.address, amountIn);
+      const result = await client.swap(token.address, token2.address, amountIn);
+
+      expect(result.type).to.equal("swap");
+      expect(result.trader).to.equal(addr1.address);
+      expect(result.amountIn).to.equal(amountIn);
+      expect(result.amountOut).to.equal(quote.amountOut);
+      expect(result.ethAmount).to.equal(quote.ethAmount);
+      expect(result.fee).to.equal(await exchange.accruedFees());
+      expect(result.approvalReceipt).to.not.equal(null);
+    });
+
+    it("Should map a swap into an unsupported token to TokenNotSupportedError", async function () {
+      await expectExchangeError(client.quoteSwap(token.address, addr1.address, 1), TokenNotSupportedError);
+    });
+  });
+
+  describe("Price feeds", function () {
+    let feed;
+
+    beforeEach(async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      feed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.0101"));
+      await feed.deployed();
+    });
+
+    it("Should return null for manually priced tokens", async function () {
+      expect(await client.getPriceFeed(token.address)).to.equal(null);
+    });
+
+    it("Should report the feed and quote at its rate", async function () {
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 500, true);
+
+      const priceFeed = await client.getPriceFeed(token.address);
+      expect(priceFeed).to.include({ feed: feed.address, maxStaleness: 3600, maxDeviationBps: 500, valid: true });
+      expect(priceFeed.rate).to.equal(ethers.utils.parseEther("0.0101"));
+
+      const quote = await client.quoteBuy(token.address, ethers.utils.parseEther("1"));
+      expect(quote.ethAmount).to.equal(ethers.utils.parseEther("0.0101"));
+    });
+
+    it("Should report a pending feed change", async function () {
+      expect(await client.getPendingPriceFeed(token.address)).to.equal(null);
+      await exchange.setParameterDelay(3600);
+
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 500, false);
+      const pending = await client.getPendingPriceFeed(token.address);
+      expect(pending).to.include({ feed: feed.address, maxStaleness: 3600, maxDeviationBps: 500, fallbackToManual: false });
+      expect(await client.getPriceFeed(token.address)).to.equal(null);
+
+      await exchange.cancelPriceFeedChange(token.address);
+      expect(await client.getPendingPriceFeed(token.address)).to.equal(null);
+    });
+
+    it("Should map a halted token to PriceUnavailableError", async function () {
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 500, false);
+      await feed.setRevertReads(true);
+
+      await expectExchangeError(client.quoteBuy(token.address, ethers.utils.parseEther("1")), PriceUnavailableError);
+    });
+  });
+
+  describe("Volume limits", function () {
+    it("Should report the limits with an account's volume and an asset's current outflow", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("1"), ethers.utils.parseEther("5"), 3600);
+      await client.buy(token.address, ethers.utils.parseEther("3"));
+
+      const limits = await client.getVolumeLimits(addr1.address, token.address);
+      expect(limits.maxDailyVolume).to.equal(ethers.utils.parseEther("1"));
+      expect(limits.dailyVolume).to.equal(ethers.utils.parseEther("0.03"));
+      expect(limits.maxOutflow).to.equal(ethers.utils.parseEther("5"));
+      expect(limits.outflowWindow).to.equal(3600);
+      expect(limits.currentOutflow).to.equal(ethers.utils.parseEther("0.03"));
+      const ethLimits = await client.getVolumeLimits();
+      expect(ethLimits.dailyVolume).to.equal(null);
+      // A buy only takes tokens out of the office
+      expect(ethLimits.currentOutflow).to.equal(0);
+    });
+
+    it("Should report pending trade size and volume limits changes", async function () {
+      expect(await client.getPendingVolumeLimits()).to.equal(null);
+      expect(await client.getPendingTradeSize(token.address)).to.equal(null);
+      await exchange.setParameterDelay(3600);
+
+      await exchange.setVolumeLimits(ethers.utils.parseEther("1"), 0, 0);
+      await exchange.setTradeSize(token.address, 0, ethers.utils.parseEther("10"));
+      const limits = await client.getPendingVolumeLimits();
+      expect(limits.maxDailyVolume).to.equal(ethers.utils.parseEther("1"));
+      expect(limits.outflowWindow).to.equal(0);
+      expect((await client.getPendingTradeSize(token.address)).maxTradeAmount).to.equal(ethers.utils.parseEther("10"));
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await client.getPendingVolumeLimits()).to.equal(null);
+      expect(await client.getPendingTradeSize(token.address)).to.equal(null);
+    });
+  });
+
+  describe("Shutdown state", function () {
+    it("Should report the grace period and what is still owed after a shutdown", async function () {
+      expect(await client.getShutdownState()).to.equal(null);
+
+      await client.buy(token.address, ethers.utils.parseEther("1"));
+      await exchange.setFees(token.address, 100, 0);
+      await client.buy(token.address, ethers.utils.parseEther("1"));
+      await exchange.initiateShutdown();
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const state = await client.getShutdownState();
+      expect(state.startedAt).to.equal(timestamp);
+      expect(state.sweepableAt).to.equal(timestamp + 30 * 24 * 3600);
+      expect(state.pendingEth).to.equal(0);
+      expect(state.feesEth).to.equal(ethers.utils.parseEther("0.0001"));
+      expect(state.liquidityShares).to.equal(0);
+    });
+  });
+
+  describe("Reserves", function () {
+    it("Should report the reserves and the largest trades they allow", async function () {
+      await client.buy(token.address, ethers.utils.parseEther("10"));
+
+      const reserves = await client.getReserves(token.address);
+      expect(reserves.tokenReserve).to.equal(ethers.utils.parseEther("90"));
+      expect(reserves.ethReserve).to.equal(ethers.utils.parseEther("10.1"));
+      expect(reserves.maxBuyable).to.equal(ethers.utils.parseEther("90"));
+      expect(reserves.maxSellable).to.equal(ethers.utils.parseEther("1010"));
+    });
+  });
+
+  describe("Supported tokens", function () {
+    it("Should list every listed token with a rate", async function () {
+      const SimpleToken = await ethers.getContractFactory("SimpleToken");
+      const token2 = await SimpleToken.deploy(initialSupply);
+      await token2.deployed();
+      await exchange.listToken(token2.address, "SIMP2", 18, 0, 0);
+      await exchange.setRates(token2.address, ethers.utils.parseEther("0.005"), ethers.utils.parseEther("0.004"));
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.02"));
+
+      const tokens = await client.getSupportedTokens();
+      expect(tokens).to.have.members([token.address, token2.address]);
+      expect(tokens).to.have.length(2);
+    });
+
+    it("Should include scheduled listings once they take effect", async function () {
+      const SimpleToken = await ethers.getContractFactory("SimpleToken");
+      const token2 = await SimpleToken.deploy(initialSupply);
+      await exchange.listToken(token2.address, "SIMP2", 18, 0, 0);
+      await exchange.setParameterDelay(3600);
+      await exchange.setRate(token2.address, ethers.utils.parseEther("0.005"));
+
+      expect(await client.getSupportedTokens()).to.deep.equal([token.address]);
+      expect((await client.getPendingRateChange(token2.address)).buyRate).to.equal(ethers.utils.parseEther("0.005"));
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await client.getSupportedTokens()).to.have.members([token.address, token2.address]);
+      expect(await client.getPendingRateChange(token2.address)).to.equal(null);
+    });
+  
+    it("Should leave out delisted tokens and tokens without rates", async function () {
+      const SimpleToken = await ethers.getContractFactory("SimpleToken");
+      const token2 = await SimpleToken.deploy(initialSupply);
+      await exchange.listToken(token2.address, "SIMP2", 18, 0, 0);
+      expect(await client.getSupportedTokens()).to.deep.equal([token.address]);
+
+      await exchange.delistToken(token.address);
+      expect(await client.getSupportedTokens()).to.deep.equal([]);
+    });
+
+    it("Should return a token's listing", async function () {
+      expect(await client.getListing(token.address)).to.deep.equal({
+        symbol: "SIMP",
+        decimals: 18,
+        minTradeAmount: ethers.constants.Zero,
+        maxTradeAmount: ethers.constants.Zero
+      });
+      expect(await client.getListing(addr1.address)).to.equal(null);
+    });
+  });
+
+  describe("Error mapping", function () {
+    it("Should leave unknown errors untouched", async function () {
+      const error = new Error("something else");
+      expect(toExchangeError(error)).to.equal(error);
+    });
+
+    it("Should find revert reasons nested in provider errors", async function () {
+      const error = toExchangeError({ error: { error: { message: "execution reverted: Token not supported" } } });
+      expect(error).to.be.instanceOf(TokenNotSupportedError);
+      expect(error.reason).to.equal("Token not supported");
+    });
+
+    it("Should decode ABI-encoded Error(string) payloads", async function () {
+      const data = new ethers.utils.Interface(["function Error(string)"])
+          .encodeFunctionData("Error", ["Pausable: paused"]);
+      expect(toExchangeError({ data })).to.be.instanceOf(ExchangePausedError);
+    });
+
+    it("Should map every require message of the exchange's contracts", async function () {
+      // The example token and the test mocks have reverts of their own
+      const sources = [];
+      const collect = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const file = path.join(dir, entry.name);
+          if (entry.isDirectory() && entry.name !== "mocks") {
+            collect(file);
+          } else if (entry.name.endsWith(".sol") && entry.name !== "SimpleToken.sol") {
+            sources.push(fs.readFileSync(file, "utf8"));
+          }
+        }
+      };
+      collect(path.join(__dirname, "..", "contracts"));
+      const messages = new Set();
+      for (const source of sources) {
+        for (const [, message] of source.matchAll(/require\([^;]*?"([^"]*)"\s*\)\s*;/g)) {
+          messages.add(message);
+        }
+      }
+
+      const known = REVERT_REASONS.map(([reason]) => reason);
+      expect(messages.size).to.be.greaterThan(0);
+      expect([...messages].filter((message) => !known.includes(message))).to.deep.equal([]);
+      expect(new Set(known).size).to.equal(known.length);
+      expect(toExchangeError({ reason: "reverted with reason string 'No pending trade size change'" }))
+          .to.be.instanceOf(NoPendingChangeError);
+      const error = toExchangeError({
+        message: "VM Exception while processing transaction: reverted with reason string 'Withdrawal exceeds owner's shares'"
+      });
+      expect(error).to.be.instanceOf(LiquidityPoolError);
+      expect(error.reason).to.equal("Withdrawal exceeds owner's shares");
+    });
+
+    it("Should map missing roles to UnauthorizedError", async function () {
+      const role = ethers.utils.id("GUARDIAN_ROLE");
+      const reason = `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${role}`;
+      expect(toExchangeError({ reason: `reverted with reason string '${reason}'` })).to.be.instanceOf(UnauthorizedError);
+    });
+  });
+});
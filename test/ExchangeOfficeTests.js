@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+const { signPermit } = require("../sdk");
 
 describe("ExchangeOffice", function () {
   let SimpleToken;
@@ -16,10 +18,29 @@ describe("ExchangeOffice", function () {
   // Use a small, fixed rate (1 token = 0.01 ETH)
   const tokenRate = ethers.utils.parseEther("0.01");
 
+  const RATE_MANAGER_ROLE = ethers.utils.id("RATE_MANAGER_ROLE");
+  const LIQUIDITY_MANAGER_ROLE = ethers.utils.id("LIQUIDITY_MANAGER_ROLE");
+  const GUARDIAN_ROLE = ethers.utils.id("GUARDIAN_ROLE");
+  const TREASURER_ROLE = ethers.utils.id("TREASURER_ROLE");
+  const ROUTER_ROLE = ethers.utils.id("ROUTER_ROLE");
+
+  function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+  }
+
+  // Lists a token under its own symbol and decimals, without trade size bounds
+  async function listToken(tokenContract) {
+    await exchange.listToken(tokenContract.address, await tokenContract.symbol(), await tokenContract.decimals(), 0, 0);
+  }
+
+  before(async function () {
+    // The linked libraries are deployed once and shared by every exchange
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
   beforeEach(async function () {
     // Deploy contracts
     SimpleToken = await ethers.getContractFactory("SimpleToken");
-    ExchangeOffice = await ethers.getContractFactory("ExchangeOffice");
 
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
 
@@ -29,7 +50,8 @@ describe("ExchangeOffice", function () {
     exchange = await ExchangeOffice.deploy();
     await exchange.deployed();
 
-    // Set rate and supply tokens to exchange
+    // List the token, set its rate and supply tokens to exchange
+    await listToken(token);
     await exchange.setRate(token.address, tokenRate);
 
     // Supply only 100 tokens to the exchange
@@ -66,13 +88,15 @@ describe("ExchangeOffice", function () {
     });
 
     it("Should fail if rate is set to zero", async function () {
-      await expect(exchange.setRate(token.address, 0))
+      // Hardhat can't infer revert reasons from the IR-compiled exchange's mined transactions, so reverts raised
+      // by its own require checks are asserted on static calls, which return the reason
+      await expect(exchange.callStatic.setRate(token.address, 0))
           .to.be.revertedWith("Rate must be greater than 0");
     });
 
     it("Should fail if rate is set too high", async function () {
       const tooHighRate = ethers.constants.MaxUint256;
-      await expect(exchange.setRate(token.address, tooHighRate))
+      await expect(exchange.callStatic.setRate(token.address, tooHighRate))
           .to.be.revertedWith("Rate too high");
     });
   });
@@ -220,6 +244,460 @@ describe("ExchangeOffice", function () {
     });
   });
 
+  describe("Selling with a permit", function () {
+    const sellAmount = ethers.utils.parseEther("5");
+    const proceeds = ethers.utils.parseEther("0.05");
+    let deadline;
+
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+    });
+
+    function sellWithPermit(permit, minWei = 0) {
+      return exchange.connect(addr1).sellWithPermit(token.address, sellAmount, minWei, deadline, permit.v, permit.r, permit.s);
+    }
+
+    it("Should sell without a prior approval", async function () {
+      const permit = await signPermit(addr1, token.address, exchange.address, sellAmount, deadline);
+
+      await expect(sellWithPermit(permit, proceeds))
+          .to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, token.address, sellAmount, proceeds);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("5"));
+      expect(await token.allowance(addr1.address, exchange.address)).to.equal(0);
+    });
+
+    it("Should still sell when the permit was submitted first by someone else", async function () {
+      const permit = await signPermit(addr1, token.address, exchange.address, sellAmount, deadline);
+      await token.connect(addr2).permit(addr1.address, exchange.address, sellAmount, deadline, permit.v, permit.r, permit.s);
+
+      await expect(sellWithPermit(permit)).to.emit(exchange, "TokensSold");
+    });
+
+    it("Should fail with an invalid permit and no allowance", async function () {
+      const permit = await signPermit(addr2, token.address, exchange.address, sellAmount, deadline);
+
+      await expect(sellWithPermit(permit))
+          .to.be.revertedWith("ERC20: insufficient allowance");
+    });
+
+    it("Should apply the minimum and the deadline", async function () {
+      const permit = await signPermit(addr1, token.address, exchange.address, sellAmount, deadline);
+      await expect(sellWithPermit(permit, proceeds.add(1)))
+          .to.be.revertedWith("Price below minimum");
+
+      await expect(exchange.connect(addr1).sellWithPermit(token.address, sellAmount, 0, 1, permit.v, permit.r, permit.s))
+          .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should not sell while paused", async function () {
+      const permit = await signPermit(addr1, token.address, exchange.address, sellAmount, deadline);
+      await exchange.pause();
+
+      await expect(sellWithPermit(permit))
+          .to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Slippage protection", function () {
+    const amount = ethers.utils.parseEther("1");
+    let deadline;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+      deadline = (await latestTimestamp()) + 600;
+    });
+
+    it("Should buy within the price bound", async function () {
+      const [weiRequired] = await exchange.quoteBuy(token.address, amount);
+
+      await expect(exchange.connect(addr1).buyExact(token.address, amount, weiRequired, deadline, { value: weiRequired }))
+          .to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, amount, weiRequired);
+    });
+
+    it("Should sell within the price bound", async function () {
+      const [weiToReturn] = await exchange.quoteSell(token.address, amount);
+
+      await expect(exchange.connect(addr1).sellExact(token.address, amount, weiToReturn, deadline))
+          .to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, token.address, amount, weiToReturn);
+    });
+
+    it("Should fail buying if the rate rose after the quote", async function () {
+      const [weiRequired] = await exchange.quoteBuy(token.address, amount);
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.02"));
+
+      // Sending extra ETH does not help, the bound is what counts
+      await expect(exchange.connect(addr1).buyExact(token.address, amount, weiRequired, deadline, {
+        value: ethers.utils.parseEther("1")
+      })).to.be.revertedWith("Price above maximum");
+    });
+
+    it("Should fail selling if the rate dropped after the quote", async function () {
+      const [weiToReturn] = await exchange.quoteSell(token.address, amount);
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.005"));
+
+      await expect(exchange.connect(addr1).sellExact(token.address, amount, weiToReturn, deadline))
+          .to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should protect against a rate change landing in the same block", async function () {
+      const [weiToReturn] = await exchange.quoteSell(token.address, amount);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        // The owner's rate change is mined before the user's sale
+        const rateTx = await exchange.setRate(token.address, ethers.utils.parseEther("0.005"));
+        const sellTx = await exchange.connect(addr1).sellExact(token.address, amount, weiToReturn, deadline, {
+          gasLimit: 300000
+        });
+        await ethers.provider.send("evm_mine", []);
+
+        expect((await rateTx.wait()).status).to.equal(1);
+        let failed = false;
+        try {
+          await sellTx.wait();
+        } catch (error) {
+          failed = true;
+        }
+        expect(failed).to.equal(true);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("10"));
+    });
+
+    it("Should still execute when the rate moved in the user's favour", async function () {
+      const [weiRequired] = await exchange.quoteBuy(token.address, amount);
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.005"));
+
+      await expect(exchange.connect(addr1).buyExact(token.address, amount, weiRequired, deadline, { value: weiRequired }))
+          .to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, amount, ethers.utils.parseEther("0.005"));
+    });
+
+    it("Should account for fees in the bounds", async function () {
+      await exchange.setFees(token.address, 100, 100);
+      const price = ethers.utils.parseEther("0.01");
+
+      await expect(exchange.connect(addr1).buyExact(token.address, amount, price, deadline, { value: price.mul(2) }))
+          .to.be.revertedWith("Price above maximum");
+      await expect(exchange.connect(addr1).sellExact(token.address, amount, price, deadline))
+          .to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should fail after the deadline", async function () {
+      const [weiRequired] = await exchange.quoteBuy(token.address, amount);
+      const [weiToReturn] = await exchange.quoteSell(token.address, amount);
+
+      await ethers.provider.send("evm_increaseTime", [601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(exchange.connect(addr1).buyExact(token.address, amount, weiRequired, deadline, { value: weiRequired }))
+          .to.be.revertedWith("Transaction expired");
+      await expect(exchange.connect(addr1).sellExact(token.address, amount, weiToReturn, deadline))
+          .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should respect pause", async function () {
+      await exchange.pause();
+      await expect(exchange.connect(addr1).sellExact(token.address, amount, 0, deadline))
+          .to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Exact ETH trades", function () {
+    let deadline;
+
+    // Amounts and fees chosen so that nothing divides evenly
+    const oddRate = ethers.utils.parseEther("0.0123456789");
+    const oddValues = ["1", "7", "999", "123456789", "10000000000000001"].map((v) => ethers.BigNumber.from(v));
+
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("100"));
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("100"));
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+    });
+
+    it("Should buy with exactly the ETH sent", async function () {
+      const value = ethers.utils.parseEther("0.01");
+
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value }))
+          .to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, ethers.utils.parseEther("1"), value);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("101"));
+    });
+
+    it("Should not refund anything when buying with exact ETH", async function () {
+      const value = ethers.utils.parseEther("0.0123");
+      await expect(() => exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value }))
+          .to.changeEtherBalances([addr1, exchange], [value.mul(-1), value]);
+    });
+
+    it("Should sell for exactly the ETH requested", async function () {
+      const weiOut = ethers.utils.parseEther("0.05");
+
+      await expect(exchange.connect(addr1).sellForExactEth(token.address, weiOut, ethers.utils.parseEther("5"), deadline))
+          .to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, token.address, ethers.utils.parseEther("5"), weiOut);
+    });
+
+    it("Should pay out exactly the ETH requested", async function () {
+      await exchange.setRates(token.address, oddRate, oddRate);
+      await exchange.setFees(token.address, 0, 37);
+      const weiOut = ethers.BigNumber.from("123456789");
+
+      await expect(() => exchange.connect(addr1).sellForExactEth(token.address, weiOut, ethers.constants.MaxUint256, deadline))
+          .to.changeEtherBalance(addr1, weiOut);
+    });
+
+    it("Should round tokens bought down, keeping the remainder", async function () {
+      // 1 wei buys 33.3 units at 0.03 ETH per token
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.03"));
+
+      const [amountOut] = await exchange.quoteBuyWithExactEth(token.address, 1);
+      expect(amountOut).to.equal(33);
+
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value: 1 }))
+          .to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, 33, 1);
+    });
+
+    it("Should round tokens sold up", async function () {
+      // 1 wei needs 33.3 units at 0.03 ETH per token
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.03"));
+
+      const [amountIn] = await exchange.quoteSellForExactEth(token.address, 1);
+      expect(amountIn).to.equal(34);
+    });
+
+    it("Should buy the most tokens the ETH covers", async function () {
+      await exchange.setRates(token.address, oddRate, oddRate);
+      await exchange.setFees(token.address, 37, 0);
+
+      for (const value of oddValues) {
+        const [amountOut] = await exchange.quoteBuyWithExactEth(token.address, value);
+        const [cost] = await exchange.quoteBuy(token.address, amountOut);
+        const [costOfOneMore] = await exchange.quoteBuy(token.address, amountOut.add(1));
+
+        expect(cost).to.be.lte(value);
+        expect(costOfOneMore).to.be.gt(value);
+      }
+    });
+
+    it("Should sell the fewest tokens that cover the ETH", async function () {
+      await exchange.setRates(token.address, oddRate, oddRate);
+      await exchange.setFees(token.address, 0, 37);
+
+      for (const weiOut of oddValues) {
+        const [amountIn] = await exchange.quoteSellForExactEth(token.address, weiOut);
+        const [proceeds] = await exchange.quoteSell(token.address, amountIn);
+        const [proceedsOfOneLess] = await exchange.quoteSell(token.address, amountIn.sub(1));
+
+        expect(proceeds).to.be.gte(weiOut);
+        expect(proceedsOfOneLess).to.be.lt(weiOut);
+      }
+    });
+
+    it("Should round buys by amount up so tiny purchases are not free", async function () {
+      // 1 unit at 0.01 ETH per token is worth 0.01 wei
+      const [weiRequired] = await exchange.quoteBuy(token.address, 1);
+      expect(weiRequired).to.equal(1);
+
+      await expect(exchange.connect(addr1).buy(token.address, 1, { value: 0 }))
+          .to.be.revertedWith("Insufficient ETH sent for purchase");
+    });
+
+    it("Should never lose ETH on a round trip", async function () {
+      await exchange.setRates(token.address, oddRate, oddRate);
+      const ethBefore = await ethers.provider.getBalance(exchange.address);
+      const tokensBefore = await token.balanceOf(exchange.address);
+
+      for (const value of oddValues) {
+        const [amountOut] = await exchange.quoteBuyWithExactEth(token.address, value);
+        if (amountOut.isZero()) {
+          continue;
+        }
+        await exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value });
+        await exchange.connect(addr1).sell(token.address, amountOut);
+      }
+
+      expect(await ethers.provider.getBalance(exchange.address)).to.be.gte(ethBefore);
+      expect(await token.balanceOf(exchange.address)).to.equal(tokensBefore);
+    });
+
+    it("Should fail if the ETH buys less than the minimum", async function () {
+      const value = ethers.utils.parseEther("0.01");
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, ethers.utils.parseEther("1.01"), deadline, { value }))
+          .to.be.revertedWith("Token amount below minimum");
+    });
+
+    it("Should fail if the ETH is too little to buy anything", async function () {
+      await exchange.setRate(token.address, ethers.utils.parseEther("2"));
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value: 1 }))
+          .to.be.revertedWith("ETH amount too small");
+    });
+
+    it("Should fail if selling would take more than the maximum", async function () {
+      const weiOut = ethers.utils.parseEther("0.05");
+      await expect(exchange.connect(addr1).sellForExactEth(token.address, weiOut, ethers.utils.parseEther("4.99"), deadline))
+          .to.be.revertedWith("Token amount above maximum");
+    });
+
+    it("Should fail for zero amounts", async function () {
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, 0, deadline, { value: 0 }))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(exchange.connect(addr1).sellForExactEth(token.address, 0, 0, deadline))
+          .to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("Should fail for unsupported tokens", async function () {
+      await expect(exchange.connect(addr1).buyWithExactEth(addr2.address, 0, deadline, { value: 1 }))
+          .to.be.revertedWith("Token not supported");
+      await expect(exchange.quoteSellForExactEth(addr2.address, 1))
+          .to.be.revertedWith("Token not supported");
+    });
+
+    it("Should fail after the deadline", async function () {
+      await expect(exchange.connect(addr1).buyWithExactEth(token.address, 0, 1, { value: 1 }))
+          .to.be.revertedWith("Transaction expired");
+      await expect(exchange.connect(addr1).sellForExactEth(token.address, 1, 1000, 1))
+          .to.be.revertedWith("Transaction expired");
+    });
+  });
+
+  describe("Swaps", function () {
+    let token2;
+
+    const token2Rate = ethers.utils.parseEther("0.005"); // 0.005 ETH per token
+
+    beforeEach(async function () {
+      token2 = await SimpleToken.deploy(initialSupply);
+      await token2.deployed();
+      await listToken(token2);
+      await exchange.setRate(token2.address, token2Rate);
+      await token2.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(token2.address, ethers.utils.parseEther("100"));
+
+      await token.mint(addr1.address, ethers.utils.parseEther("100"));
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("100"));
+    });
+
+    it("Should swap at the sell rate of one token and the buy rate of the other", async function () {
+      // 10 tokens sell for 0.08 ETH, which buys 16 of token2
+      await exchange.setRates(token.address, tokenRate, ethers.utils.parseEther("0.008"));
+      const amountIn = ethers.utils.parseEther("10");
+      const amountOut = ethers.utils.parseEther("16");
+      const ethBefore = await ethers.provider.getBalance(exchange.address);
+
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, amountIn, amountOut))
+          .to.emit(exchange, "TokensSwapped")
+          .withArgs(addr1.address, token.address, token2.address, amountIn, amountOut, ethers.utils.parseEther("0.08"));
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("90"));
+      expect(await token2.balanceOf(addr1.address)).to.equal(amountOut);
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("110"));
+      expect(await token2.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("84"));
+      // No ETH moves
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ethBefore);
+    });
+
+    it("Should quote what the swap delivers", async function () {
+      const amountIn = ethers.utils.parseEther("3");
+      const [amountOut, ethAmount] = await exchange.quoteSwap(token.address, token2.address, amountIn);
+      expect(amountOut).to.equal(ethers.utils.parseEther("6"));
+      expect(ethAmount).to.equal(ethers.utils.parseEther("0.03"));
+
+      await exchange.connect(addr1).swap(token.address, token2.address, amountIn, amountOut);
+      expect(await token2.balanceOf(addr1.address)).to.equal(amountOut);
+    });
+
+    it("Should charge the sell fee of one token and the buy fee of the other", async function () {
+      await exchange.setFees(token.address, 0, 100);
+      await exchange.setFees(token2.address, 200, 0);
+      const amountIn = ethers.utils.parseEther("10");
+      const [ethAmount, sellFee] = await exchange.quoteSell(token.address, amountIn);
+      const [amountOut, buyFee] = await exchange.quoteBuyWithExactEth(token2.address, ethAmount);
+
+      const tx = exchange.connect(addr1).swap(token.address, token2.address, amountIn, 0);
+      await expect(tx).to.emit(exchange, "FeesCollected").withArgs(token.address, sellFee);
+      await expect(tx).to.emit(exchange, "FeesCollected").withArgs(token2.address, buyFee);
+
+      expect(await token2.balanceOf(addr1.address)).to.equal(amountOut);
+      expect(await exchange.accruedFees()).to.equal(sellFee.add(buyFee));
+    });
+
+    it("Should swap the other way round", async function () {
+      await token2.transfer(addr1.address, ethers.utils.parseEther("10"));
+      await token2.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+
+      await exchange.connect(addr1).swap(token2.address, token.address, ethers.utils.parseEther("10"), 0);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("105"));
+    });
+
+    it("Should fail below the minimum amount out", async function () {
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("1"), ethers.utils.parseEther("2").add(1)))
+          .to.be.revertedWith("Token amount below minimum");
+    });
+
+    it("Should validate the swap", async function () {
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, 0, 0))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(exchange.connect(addr1).swap(token.address, token.address, 1, 0))
+          .to.be.revertedWith("Cannot swap a token for itself");
+      await expect(exchange.connect(addr1).swap(token.address, addr2.address, 1, 0))
+          .to.be.revertedWith("Token not supported");
+      await expect(exchange.connect(addr1).swap(addr2.address, token2.address, 1, 0))
+          .to.be.revertedWith("Token not supported");
+      // 1 wei of value buys no token2 at a rate below 1 wei per unit
+      await exchange.setRate(token2.address, ethers.utils.parseEther("2"));
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, 1, 0))
+          .to.be.revertedWith("Swap amount too small");
+    });
+
+    it("Should fail when the office lacks the token bought", async function () {
+      // 60 tokens are worth 120 of token2, more than the 100 supplied
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("60"), 0))
+          .to.be.revertedWith("Insufficient exchange office token balance");
+    });
+
+    it("Should apply the trade size bounds of both tokens", async function () {
+      await exchange.setTradeSize(token2.address, 0, ethers.utils.parseEther("10"));
+
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("6"), 0))
+          .to.be.revertedWith("Trade above maximum size");
+    });
+
+    it("Should count the value of the swap once against the daily volume", async function () {
+      // Each swap of 10 tokens is worth 0.1 ETH
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.15"), 0, 0);
+
+      await exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("10"), 0);
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("10"), 0))
+          .to.be.revertedWith("Daily volume limit exceeded");
+    });
+
+    it("Should not swap while paused or shut down", async function () {
+      await exchange.pause();
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("1"), 0))
+          .to.be.revertedWith("Pausable: paused");
+
+      await exchange.unpause();
+      await exchange.initiateShutdown();
+      await expect(exchange.connect(addr1).swap(token.address, token2.address, ethers.utils.parseEther("1"), 0))
+          .to.be.revertedWith("Pausable: paused");
+    });
+  });
+
   describe("Administrative functions", function () {
     it("Should allow owner to pause exchange", async function () {
       await exchange.pause();
@@ -286,36 +764,2117 @@ describe("ExchangeOffice", function () {
     });
   });
 
-  describe("Access control", function () {
-    it("Should fail if non-owner tries to set rates", async function () {
-      await expect(exchange.connect(addr1).setRate(token.address, tokenRate))
-          .to.be.revertedWith("Ownable: caller is not the owner");
+  describe("Shutdown", function () {
+    const gracePeriod = 30 * 24 * 3600;
+
+    it("Should record when the shutdown started", async function () {
+      await exchange.initiateShutdown();
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      expect(await exchange.shutdownAt()).to.equal(timestamp);
+      const state = await exchange.getShutdownState();
+      expect(state.shutdown).to.equal(true);
+      expect(state.startedAt).to.equal(timestamp);
+      expect(state.sweepableAt).to.equal(timestamp + gracePeriod);
     });
 
-    it("Should fail if non-owner tries to supply tokens", async function () {
-      await expect(exchange.connect(addr1).supplyToken(token.address, 1))
-          .to.be.revertedWith("Ownable: caller is not the owner");
+    it("Should report no shutdown while running", async function () {
+      const state = await exchange.getShutdownState();
+      expect(state.shutdown).to.equal(false);
+      expect(state.startedAt).to.equal(0);
+      expect(state.sweepableAt).to.equal(0);
     });
 
-    it("Should fail if non-owner tries to pause", async function () {
-      await expect(exchange.connect(addr1).pause())
-          .to.be.revertedWith("Ownable: caller is not the owner");
+    it("Should shut down while paused, but only once", async function () {
+      await exchange.pause();
+      await exchange.initiateShutdown();
+      expect(await exchange.isShutdown()).to.equal(true);
+
+      await expect(exchange.initiateShutdown()).to.be.revertedWith("Contract is shut down");
     });
 
-    it("Should fail if non-owner tries to withdraw tokens", async function () {
-      await expect(exchange.connect(addr1).withdrawToken(token.address, 1))
-          .to.be.revertedWith("Ownable: caller is not the owner");
+    it("Should lock owner withdrawals until the grace period is over", async function () {
+      await exchange.initiateShutdown();
+
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("1")))
+          .to.be.revertedWith("Grace period not over");
+      await expect(exchange.withdrawToken(token.address, ethers.utils.parseEther("1")))
+          .to.be.revertedWith("Grace period not over");
+
+      await ethers.provider.send("evm_increaseTime", [gracePeriod]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("1")))
+          .to.emit(exchange, "EmergencyEthWithdraw");
+      await expect(exchange.withdrawToken(token.address, ethers.utils.parseEther("1")))
+          .to.emit(exchange, "EmergencyWithdraw");
     });
 
-    it("Should fail if non-owner tries to withdraw ETH", async function () {
-      await expect(exchange.connect(addr1).withdrawETH(1))
-          .to.be.revertedWith("Ownable: caller is not the owner");
+    it("Should report the fees still owed", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.0101") });
+      await exchange.initiateShutdown();
+
+      const state = await exchange.getShutdownState();
+      expect(state.feesEth).to.equal(ethers.utils.parseEther("0.0001"));
+      expect(state.pendingEth).to.equal(0);
+      expect(state.liquidityShares).to.equal(0);
+      // Fees can still be claimed during the grace period
+      await exchange.claimFees();
+      expect((await exchange.getShutdownState()).feesEth).to.equal(0);
     });
+  });
 
-    it("Should fail if non-owner tries to initiate shutdown", async function () {
-      await expect(exchange.connect(addr1).initiateShutdown())
+  describe("Reserves", function () {
+    const ETH = ethers.constants.AddressZero;
+
+    async function expectReserves(tokenReserve, ethReserve) {
+      const reserves = await exchange.getReserves(token.address);
+      expect(reserves.tokenReserve).to.equal(ethers.utils.parseEther(tokenReserve));
+      expect(reserves.ethReserve).to.equal(ethers.utils.parseEther(ethReserve));
+    }
+
+    it("Should track the reserves through supplies, trades and withdrawals", async function () {
+      await expectReserves("100", "10");
+
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.1") });
+      await expectReserves("90", "10.1");
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("5"));
+      await exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("5"));
+      await expectReserves("95", "10.05");
+
+      await exchange.withdrawToken(token.address, ethers.utils.parseEther("1"));
+      await exchange.withdrawETH(ethers.utils.parseEther("1"));
+      await expectReserves("94", "9.05");
+      await expect(exchange.withdrawToken(token.address, ethers.utils.parseEther("95")))
+          .to.be.revertedWith("Insufficient token balance");
+    });
+
+    it("Should keep fees out of the ETH reserve", async function () {
+      await exchange.setFees(token.address, 100, 100);
+
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.0101") });
+      await expectReserves("99", "10.01");
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("1"));
+      await exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("1"));
+      // The sale's fee is set aside from the reserve along with its payout
+      await expectReserves("100", "10");
+      expect(await exchange.accruedFees()).to.equal(ethers.utils.parseEther("0.0002"));
+    });
+
+    it("Should not trade with ETH and tokens sent to it directly", async function () {
+      await expect(addr1.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("5") }))
+          .to.not.emit(exchange, "EthSupplied");
+      await token.transfer(exchange.address, ethers.utils.parseEther("50"));
+
+      await expectReserves("100", "10");
+      expect(await exchange.excessBalance(ETH)).to.equal(ethers.utils.parseEther("5"));
+      expect(await exchange.excessBalance(token.address)).to.equal(ethers.utils.parseEther("50"));
+      await expect(exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("101"), { value: ethers.utils.parseEther("1.01") }))
+          .to.be.revertedWith("Insufficient exchange office token balance");
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("11")))
+          .to.be.revertedWith("Insufficient ETH balance");
+    });
+
+    it("Should count ETH sent by liquidity managers", async function () {
+      await exchange.grantRole(LIQUIDITY_MANAGER_ROLE, addr1.address);
+      await expect(addr1.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("5") }))
+          .to.emit(exchange, "EthSupplied")
+          .withArgs(ethers.utils.parseEther("5"));
+
+      await expectReserves("100", "15");
+      expect(await exchange.excessBalance(ETH)).to.equal(0);
+    });
+
+    it("Should skim the excess to a recipient without touching reserves or fees", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.0101") });
+      await addr1.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("5") });
+      await token.transfer(exchange.address, ethers.utils.parseEther("50"));
+
+      const tx = await exchange.skim(ETH, addr2.address);
+      await expect(tx)
+          .to.emit(exchange, "ReserveSkimmed")
+          .withArgs(ETH, addr2.address, ethers.utils.parseEther("5"));
+      await expect(() => tx).to.changeEtherBalance(addr2, ethers.utils.parseEther("5"));
+      await expect(() => exchange.skim(token.address, addr2.address))
+          .to.changeTokenBalance(token, addr2, ethers.utils.parseEther("50"));
+
+      await expectReserves("99", "10.01");
+      expect(await exchange.accruedFees()).to.equal(ethers.utils.parseEther("0.0001"));
+      await expect(exchange.skim(ETH, addr2.address)).to.be.revertedWith("Nothing to skim");
+      await expect(exchange.skim(token.address, ethers.constants.AddressZero))
+          .to.be.revertedWith("Recipient cannot be zero address");
+      await expect(exchange.connect(addr1).skim(token.address, addr1.address))
           .to.be.revertedWith("Ownable: caller is not the owner");
     });
+
+    it("Should sync the excess into the reserves", async function () {
+      await addr1.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("5") });
+      await token.transfer(exchange.address, ethers.utils.parseEther("50"));
+
+      await expect(exchange.sync(token.address))
+          .to.emit(exchange, "ReserveSynced")
+          .withArgs(token.address, ethers.utils.parseEther("150"));
+      await exchange.sync(ETH);
+
+      await expectReserves("150", "15");
+      expect(await exchange.excessBalance(token.address)).to.equal(0);
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("101"), { value: ethers.utils.parseEther("1.01") });
+      await expect(exchange.connect(addr1).sync(token.address))
+          .to.be.revertedWith(missingRole(addr1, LIQUIDITY_MANAGER_ROLE));
+    });
+
+    it("Should size trades with maxBuyable and maxSellable", async function () {
+      expect(await exchange.maxBuyable(token.address)).to.equal(ethers.utils.parseEther("100"));
+      // 10 ETH buys back 1000 tokens at 0.01 ETH each
+      expect(await exchange.maxSellable(token.address)).to.equal(ethers.utils.parseEther("1000"));
+
+      await exchange.withdrawETH(ethers.utils.parseEther("9.5"));
+      await exchange.setFees(token.address, 0, 100);
+      const sellable = await exchange.maxSellable(token.address);
+      expect(sellable).to.equal(ethers.utils.parseEther("50"));
+      await token.approve(exchange.address, sellable);
+      await exchange.sell(token.address, sellable);
+      expect(await exchange.maxSellable(token.address)).to.equal(0);
+
+      await exchange.setTradeSize(token.address, ethers.utils.parseEther("1"), ethers.utils.parseEther("40"));
+      expect(await exchange.maxBuyable(token.address)).to.equal(ethers.utils.parseEther("40"));
+      await exchange.setTradeSize(token.address, ethers.utils.parseEther("151"), 0);
+      expect(await exchange.maxBuyable(token.address)).to.equal(0);
+
+      await exchange.setTradeSize(token.address, 0, 0);
+      await exchange.pause();
+      expect(await exchange.maxBuyable(token.address)).to.equal(0);
+      expect(await exchange.maxSellable(token.address)).to.equal(0);
+    });
+  });
+
+  describe("Buy and sell rates", function () {
+    const buyRate = ethers.utils.parseEther("0.011");
+    const sellRate = ethers.utils.parseEther("0.009");
+
+    beforeEach(async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should set both rates to the same value with setRate", async function () {
+      const [currentBuyRate, currentSellRate] = await exchange.getRates(token.address);
+      expect(currentBuyRate).to.equal(tokenRate);
+      expect(currentSellRate).to.equal(tokenRate);
+    });
+
+    it("Should emit RatesSet when setting separate rates", async function () {
+      await expect(exchange.setRates(token.address, buyRate, sellRate))
+          .to.emit(exchange, "RatesSet")
+          .withArgs(token.address, buyRate, sellRate);
+
+      const [currentBuyRate, currentSellRate] = await exchange.getRates(token.address);
+      expect(currentBuyRate).to.equal(buyRate);
+      expect(currentSellRate).to.equal(sellRate);
+    });
+
+    it("Should keep getRate returning the buy rate", async function () {
+      await exchange.setRates(token.address, buyRate, sellRate);
+      expect(await exchange.getRate(token.address)).to.equal(buyRate);
+    });
+
+    it("Should fail if the buy rate is below the sell rate", async function () {
+      await expect(exchange.callStatic.setRates(token.address, sellRate, buyRate))
+          .to.be.revertedWith("Buy rate below sell rate");
+    });
+
+    it("Should fail if either rate is zero", async function () {
+      await expect(exchange.callStatic.setRates(token.address, buyRate, 0))
+          .to.be.revertedWith("Rate must be greater than 0");
+      await expect(exchange.callStatic.setRates(token.address, 0, 0))
+          .to.be.revertedWith("Rate must be greater than 0");
+    });
+
+    it("Should fail if the buy rate is too high", async function () {
+      await expect(exchange.callStatic.setRates(token.address, ethers.constants.MaxUint256, sellRate))
+          .to.be.revertedWith("Rate too high");
+    });
+
+    it("Should buy at the buy rate", async function () {
+      await exchange.setRates(token.address, buyRate, sellRate);
+      const amount = ethers.utils.parseEther("1");
+
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: sellRate }))
+          .to.be.revertedWith("Insufficient ETH sent for purchase");
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: buyRate }))
+          .to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, amount, buyRate);
+    });
+
+    it("Should sell at the sell rate", async function () {
+      await exchange.setRates(token.address, buyRate, sellRate);
+      const amount = ethers.utils.parseEther("1");
+      await token.connect(addr1).approve(exchange.address, amount);
+
+      await expect(exchange.connect(addr1).sell(token.address, amount))
+          .to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, token.address, amount, sellRate);
+    });
+
+    it("Should earn the spread on a round trip", async function () {
+      await exchange.setRates(token.address, buyRate, sellRate);
+      const amount = ethers.utils.parseEther("1");
+      const balanceBefore = await ethers.provider.getBalance(exchange.address);
+
+      await exchange.connect(addr1).buy(token.address, amount, { value: buyRate });
+      await token.connect(addr1).approve(exchange.address, amount);
+      await exchange.connect(addr1).sell(token.address, amount);
+
+      expect(await ethers.provider.getBalance(exchange.address))
+          .to.equal(balanceBefore.add(buyRate.sub(sellRate)));
+    });
+
+    it("Should quote each side at its own rate", async function () {
+      await exchange.setRates(token.address, buyRate, sellRate);
+      const amount = ethers.utils.parseEther("2");
+
+      const [weiRequired] = await exchange.quoteBuy(token.address, amount);
+      const [weiToReturn] = await exchange.quoteSell(token.address, amount);
+      expect(weiRequired).to.equal(buyRate.mul(2));
+      expect(weiToReturn).to.equal(sellRate.mul(2));
+    });
+  });
+
+  describe("Fees", function () {
+    // 1% buy fee, 2% sell fee
+    const buyFeeBps = 100;
+    const sellFeeBps = 200;
+
+    beforeEach(async function () {
+      await exchange.setFees(token.address, buyFeeBps, sellFeeBps);
+      await token.mint(addr1.address, ethers.utils.parseEther("10"));
+    });
+
+    it("Should emit FeesSet and return the configured fees", async function () {
+      await expect(exchange.setFees(token.address, 50, 75))
+          .to.emit(exchange, "FeesSet")
+          .withArgs(token.address, 50, 75);
+
+      const [buyFee, sellFee] = await exchange.getFees(token.address);
+      expect(buyFee).to.equal(50);
+      expect(sellFee).to.equal(75);
+    });
+
+    it("Should reject fees above the maximum", async function () {
+      await expect(exchange.setFees(token.address, 1001, 0)).to.be.revertedWith("Fee too high");
+      await expect(exchange.setFees(token.address, 0, 1001)).to.be.revertedWith("Fee too high");
+    });
+
+    it("Should quote fee-adjusted amounts", async function () {
+      const amount = ethers.utils.parseEther("1");
+
+      const [weiRequired, buyFee] = await exchange.quoteBuy(token.address, amount);
+      expect(buyFee).to.equal(ethers.utils.parseEther("0.0001"));
+      expect(weiRequired).to.equal(ethers.utils.parseEther("0.0101"));
+
+      const [weiToReturn, sellFee] = await exchange.quoteSell(token.address, amount);
+      expect(sellFee).to.equal(ethers.utils.parseEther("0.0002"));
+      expect(weiToReturn).to.equal(ethers.utils.parseEther("0.0098"));
+    });
+
+    it("Should round fees up", async function () {
+      // 1 wei of value at 1% is 0.01 wei of fee
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, 100);
+      expect(fee).to.equal(1);
+      expect(weiRequired).to.equal(2);
+    });
+
+    it("Should fail quoting an unsupported token", async function () {
+      await expect(exchange.quoteBuy(addr2.address, 1)).to.be.revertedWith("Token not supported");
+      await expect(exchange.quoteSell(addr2.address, 1)).to.be.revertedWith("Token not supported");
+    });
+
+    it("Should charge the buy fee on top of the price", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const price = ethers.utils.parseEther("0.01");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: price }))
+          .to.be.revertedWith("Insufficient ETH sent for purchase");
+
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: weiRequired }))
+          .to.emit(exchange, "FeesCollected")
+          .withArgs(token.address, fee)
+          .and.to.emit(exchange, "TokensBought")
+          .withArgs(addr1.address, token.address, amount, weiRequired);
+
+      expect(await exchange.accruedFees()).to.equal(fee);
+    });
+
+    it("Should deduct the sell fee from the proceeds", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const [weiToReturn, fee] = await exchange.quoteSell(token.address, amount);
+      await token.connect(addr1).approve(exchange.address, amount);
+
+      await expect(() => exchange.connect(addr1).sell(token.address, amount))
+          .to.changeEtherBalance(addr1, weiToReturn);
+
+      expect(await exchange.accruedFees()).to.equal(fee);
+    });
+
+    it("Should emit FeesCollected when selling", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const [weiToReturn, fee] = await exchange.quoteSell(token.address, amount);
+      await token.connect(addr1).approve(exchange.address, amount);
+
+      await expect(exchange.connect(addr1).sell(token.address, amount))
+          .to.emit(exchange, "FeesCollected")
+          .withArgs(token.address, fee)
+          .and.to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, token.address, amount, weiToReturn);
+    });
+
+    it("Should not emit FeesCollected for fee-free tokens", async function () {
+      await exchange.setFees(token.address, 0, 0);
+      const amount = ethers.utils.parseEther("1");
+
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: tokenRate }))
+          .to.not.emit(exchange, "FeesCollected");
+    });
+
+    it("Should keep accrued fees out of trading liquidity", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+      await exchange.connect(addr1).buy(token.address, amount, { value: weiRequired });
+
+      const balance = await ethers.provider.getBalance(exchange.address);
+      await expect(exchange.withdrawETH(balance))
+          .to.be.revertedWith("Insufficient ETH balance");
+      await exchange.withdrawETH(balance.sub(fee));
+
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(fee);
+
+      // Sells cannot be paid out of the fees either
+      await token.connect(addr1).approve(exchange.address, amount);
+      await expect(exchange.connect(addr1).sell(token.address, amount))
+          .to.be.revertedWith("Insufficient exchange office ETH balance");
+    });
+
+    it("Should send claimed fees to the treasury", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+      await exchange.connect(addr1).buy(token.address, amount, { value: weiRequired });
+
+      await expect(exchange.setTreasury(addr2.address))
+          .to.emit(exchange, "TreasurySet")
+          .withArgs(addr2.address);
+
+      await expect(() => exchange.claimFees()).to.changeEtherBalance(addr2, fee);
+      expect(await exchange.accruedFees()).to.equal(0);
+    });
+
+    it("Should emit FeesClaimed", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+      await exchange.connect(addr1).buy(token.address, amount, { value: weiRequired });
+
+      await expect(exchange.claimFees())
+          .to.emit(exchange, "FeesClaimed")
+          .withArgs(owner.address, fee);
+    });
+
+    it("Should fail claiming when no fees accrued", async function () {
+      await expect(exchange.claimFees()).to.be.revertedWith("No fees to claim");
+    });
+
+    it("Should fail setting a zero treasury", async function () {
+      await expect(exchange.setTreasury(ethers.constants.AddressZero))
+          .to.be.revertedWith("Treasury cannot be zero address");
+    });
+
+    it("Should split claimed fees across recipients", async function () {
+      const recipient3 = addrs[0];
+      await expect(exchange.setFeeRecipients([addr2.address, recipient3.address], [7000, 3000]))
+          .to.emit(exchange, "FeeRecipientsSet");
+
+      const amount = ethers.utils.parseEther("10");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+      await exchange.connect(addr1).buy(token.address, amount, { value: weiRequired });
+
+      const first = fee.mul(7000).div(10000);
+      await expect(() => exchange.claimFees())
+          .to.changeEtherBalances([addr2, recipient3], [first, fee.sub(first)]);
+    });
+
+    it("Should send fees to the treasury again after clearing recipients", async function () {
+      await exchange.setFeeRecipients([addr2.address], [10000]);
+      await exchange.setFeeRecipients([], []);
+
+      const [recipients] = await exchange.getFeeRecipients();
+      expect(recipients).to.deep.equal([]);
+
+      const amount = ethers.utils.parseEther("1");
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, amount);
+      await exchange.connect(addr1).buy(token.address, amount, { value: weiRequired });
+
+      await expect(exchange.claimFees())
+          .to.emit(exchange, "FeesClaimed")
+          .withArgs(owner.address, fee);
+    });
+
+    it("Should validate fee recipients", async function () {
+      await expect(exchange.setFeeRecipients([addr1.address], [5000, 5000]))
+          .to.be.revertedWith("Length mismatch");
+      await expect(exchange.setFeeRecipients([addr1.address, addr2.address], [5000, 4000]))
+          .to.be.revertedWith("Shares must sum to 10000");
+      await expect(exchange.setFeeRecipients([ethers.constants.AddressZero], [10000]))
+          .to.be.revertedWith("Recipient cannot be zero address");
+      await expect(exchange.setFeeRecipients([addr1.address, addr2.address], [10000, 0]))
+          .to.be.revertedWith("Share must be greater than 0");
+
+      const many = addrs.slice(0, 11).map((signer) => signer.address);
+      await expect(exchange.setFeeRecipients(many, many.map(() => 1)))
+          .to.be.revertedWith("Too many recipients");
+    });
+  });
+
+  describe("Token listings", function () {
+    let token2;
+
+    beforeEach(async function () {
+      token2 = await SimpleToken.deploy(initialSupply);
+      await token2.deployed();
+    });
+
+    it("Should list a token with its metadata and emit TokenListed", async function () {
+      const minTrade = ethers.utils.parseEther("1");
+      const maxTrade = ethers.utils.parseEther("50");
+
+      await expect(exchange.listToken(token2.address, "SIMP2", 18, minTrade, maxTrade))
+          .to.emit(exchange, "TokenListed")
+          .withArgs(token2.address, "SIMP2", 18, minTrade, maxTrade);
+
+      const listing = await exchange.getListing(token2.address);
+      expect(listing.listed).to.equal(true);
+      expect(listing.symbol).to.equal("SIMP2");
+      expect(listing.decimals).to.equal(18);
+      expect(listing.minTradeAmount).to.equal(minTrade);
+      expect(listing.maxTradeAmount).to.equal(maxTrade);
+      expect(await exchange.listedTokenCount()).to.equal(2);
+      // Listed, but not tradable until it has rates
+      expect(await exchange.isTokenSupported(token2.address)).to.equal(false);
+    });
+
+    it("Should validate listings", async function () {
+      await expect(exchange.listToken(ethers.constants.AddressZero, "ZERO", 18, 0, 0))
+          .to.be.revertedWith("Token cannot be zero address");
+      await expect(exchange.listToken(token.address, "SIMP", 18, 0, 0))
+          .to.be.revertedWith("Token already listed");
+      await expect(exchange.listToken(token2.address, "", 18, 0, 0))
+          .to.be.revertedWith("Symbol cannot be empty");
+      await expect(exchange.listToken(token2.address, "SIMP2", 6, 0, 0))
+          .to.be.revertedWith("Token decimals mismatch");
+      await expect(exchange.listToken(token2.address, "SIMP2", 18, 10, 5))
+          .to.be.revertedWith("Maximum trade below minimum");
+    });
+
+    it("Should only set rates for listed tokens", async function () {
+      await expect(exchange.setRate(token2.address, tokenRate))
+          .to.be.revertedWith("Token not listed");
+      await expect(exchange.setRates(token2.address, tokenRate, tokenRate))
+          .to.be.revertedWith("Token not listed");
+    });
+
+    it("Should page through the listed tokens", async function () {
+      const token3 = await SimpleToken.deploy(initialSupply);
+      await listToken(token2);
+      await listToken(token3);
+
+      expect(await exchange.getListedTokens(0, 2)).to.deep.equal([token.address, token2.address]);
+      expect(await exchange.getListedTokens(2, 2)).to.deep.equal([token3.address]);
+      expect(await exchange.getListedTokens(3, 2)).to.deep.equal([]);
+      await expect(exchange.getListedTokens(0, 101)).to.be.revertedWith("Page too large");
+    });
+
+    it("Should enforce the minimum and maximum trade size", async function () {
+      await exchange.listToken(token2.address, "SIMP2", 18, ethers.utils.parseEther("1"), ethers.utils.parseEther("10"));
+      await exchange.setRate(token2.address, tokenRate);
+      await token2.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(token2.address, ethers.utils.parseEther("100"));
+
+      const small = ethers.utils.parseEther("0.5");
+      const large = ethers.utils.parseEther("11");
+      await expect(exchange.connect(addr1).buy(token2.address, small, { value: tokenRate }))
+          .to.be.revertedWith("Trade below minimum size");
+      await expect(exchange.connect(addr1).buy(token2.address, large, { value: tokenRate.mul(11) }))
+          .to.be.revertedWith("Trade above maximum size");
+
+      await exchange.connect(addr1).buy(token2.address, ethers.utils.parseEther("10"), { value: tokenRate.mul(10) });
+      await token2.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+      await expect(exchange.connect(addr1).sell(token2.address, small))
+          .to.be.revertedWith("Trade below minimum size");
+      await exchange.connect(addr1).sell(token2.address, ethers.utils.parseEther("1"));
+    });
+
+    it("Should stop trading a delisted token and clear its configuration", async function () {
+      await exchange.setFees(token.address, 100, 100);
+
+      await expect(exchange.delistToken(token.address))
+          .to.emit(exchange, "TokenDelisted")
+          .withArgs(token.address);
+
+      expect(await exchange.isTokenSupported(token.address)).to.equal(false);
+      expect((await exchange.getListing(token.address)).listed).to.equal(false);
+      expect(await exchange.listedTokenCount()).to.equal(0);
+      await expect(exchange.connect(addr1).buy(token.address, 1, { value: tokenRate }))
+          .to.be.revertedWith("Token not supported");
+      await expect(exchange.setRate(token.address, tokenRate))
+          .to.be.revertedWith("Token not listed");
+      await expect(exchange.delistToken(token.address))
+          .to.be.revertedWith("Token not listed");
+
+      // Relisting starts from scratch
+      await listToken(token);
+      expect(await exchange.getFees(token.address)).to.deep.equal([ethers.constants.Zero, ethers.constants.Zero]);
+      expect(await exchange.isTokenSupported(token.address)).to.equal(false);
+    });
+
+    it("Should keep a delisted token's balance withdrawable", async function () {
+      await exchange.delistToken(token.address);
+
+      const balance = await token.balanceOf(exchange.address);
+      await expect(exchange.withdrawToken(token.address, balance))
+          .to.emit(exchange, "EmergencyWithdraw")
+          .withArgs(token.address, balance);
+      expect(await token.balanceOf(exchange.address)).to.equal(0);
+    });
+
+    it("Should move the last listed token into a delisted token's place", async function () {
+      const token3 = await SimpleToken.deploy(initialSupply);
+      await listToken(token2);
+      await listToken(token3);
+
+      await exchange.delistToken(token.address);
+
+      expect(await exchange.getListedTokens(0, 10)).to.deep.equal([token3.address, token2.address]);
+    });
+
+    it("Should only let rate managers list and delist tokens", async function () {
+      await expect(exchange.connect(addr1).listToken(token2.address, "SIMP2", 18, 0, 0))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+      await expect(exchange.connect(addr1).delistToken(token.address))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+  });
+
+  describe("Trade limits", function () {
+    const day = 24 * 60 * 60;
+    const window = 60 * 60;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    // Moves to the start of the next UTC day, so daily volumes don't roll over mid-test
+    async function increaseTimeToNextDay() {
+      await increaseTime(day - (await latestTimestamp()) % day);
+    }
+
+    function buyTokens(account, tokens) {
+      const amount = ethers.utils.parseEther(tokens.toString());
+      return exchange.connect(account).buy(token.address, amount, { value: tokenRate.mul(tokens) });
+    }
+
+    it("Should update a listed token's trade size and emit TradeSizeSet", async function () {
+      const minTrade = ethers.utils.parseEther("2");
+      const maxTrade = ethers.utils.parseEther("5");
+
+      await expect(exchange.setTradeSize(token.address, minTrade, maxTrade))
+          .to.emit(exchange, "TradeSizeSet")
+          .withArgs(token.address, minTrade, maxTrade);
+
+      const listing = await exchange.getListing(token.address);
+      expect(listing.minTradeAmount).to.equal(minTrade);
+      expect(listing.maxTradeAmount).to.equal(maxTrade);
+      await expect(buyTokens(addr1, 1)).to.be.revertedWith("Trade below minimum size");
+      await expect(buyTokens(addr1, 6)).to.be.revertedWith("Trade above maximum size");
+      await buyTokens(addr1, 5);
+    });
+
+    it("Should validate trade sizes", async function () {
+      await expect(exchange.setTradeSize(addr1.address, 0, 0))
+          .to.be.revertedWith("Token not listed");
+      await expect(exchange.setTradeSize(token.address, 10, 5))
+          .to.be.revertedWith("Maximum trade below minimum");
+      await expect(exchange.connect(addr1).setTradeSize(token.address, 0, 0))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should set the volume limits and emit VolumeLimitsSet", async function () {
+      const maxDailyVolume = ethers.utils.parseEther("1");
+      const maxOutflow = ethers.utils.parseEther("5");
+
+      await expect(exchange.setVolumeLimits(maxDailyVolume, maxOutflow, window))
+          .to.emit(exchange, "VolumeLimitsSet")
+          .withArgs(maxDailyVolume, maxOutflow, window);
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([maxDailyVolume, maxOutflow, ethers.BigNumber.from(window)]);
+
+      await expect(exchange.callStatic.setVolumeLimits(0, maxOutflow, 0))
+          .to.be.revertedWith("Outflow window must be greater than 0");
+      await expect(exchange.connect(addr1).setVolumeLimits(0, 0, 0))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should cap the volume each address trades per day", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.1"), 0, 0);
+      await increaseTimeToNextDay();
+
+      await buyTokens(addr1, 6);
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("4"));
+      await exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("4"));
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(ethers.utils.parseEther("0.1"));
+
+      await expect(buyTokens(addr1, 1)).to.be.revertedWith("Daily volume limit exceeded");
+      // Other addresses have their own allowance
+      await buyTokens(addr2, 10);
+    });
+
+    it("Should reset each address's volume when the day rolls over", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.1"), 0, 0);
+      await increaseTimeToNextDay();
+      await buyTokens(addr1, 10);
+      await expect(buyTokens(addr1, 1)).to.be.revertedWith("Daily volume limit exceeded");
+
+      await increaseTimeToNextDay();
+
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(0);
+      await buyTokens(addr1, 10);
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(ethers.utils.parseEther("0.1"));
+    });
+
+    it("Should settle the trade that exceeds the outflow limit and pause trading", async function () {
+      const maxOutflow = ethers.utils.parseEther("0.1");
+      await exchange.setVolumeLimits(0, maxOutflow, window);
+
+      await buyTokens(addr1, 6);
+      expect(await exchange.currentOutflow(token.address)).to.equal(ethers.utils.parseEther("0.06"));
+
+      const tx = await buyTokens(addr2, 6);
+      const receipt = await tx.wait();
+      const exceeded = receipt.events.find((event) => event.event === "OutflowLimitExceeded");
+      // The first buy has been partly released in the second between the two blocks
+      expect(exceeded.args.outflow).to.be.closeTo(ethers.utils.parseEther("0.12"), maxOutflow.div(window));
+      expect(exceeded.args.asset).to.equal(token.address);
+      expect(exceeded.args.maxOutflow).to.equal(maxOutflow);
+      await expect(tx).to.emit(exchange, "Paused").withArgs(addr2.address);
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("6"));
+
+      expect(await exchange.paused()).to.equal(true);
+      await expect(buyTokens(addr1, 1)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should overshoot the outflow limit by at most one maximum-size trade", async function () {
+      const maxOutflow = ethers.utils.parseEther("0.1");
+      const maxTrade = ethers.utils.parseEther("10");
+      await exchange.setVolumeLimits(0, maxOutflow, window);
+      await exchange.setTradeSize(token.address, 0, maxTrade);
+
+      await buyTokens(addr1, 9);
+      await expect(buyTokens(addr2, 11)).to.be.revertedWith("Trade above maximum size");
+      const tx = await buyTokens(addr2, 10);
+
+      // The breaching trade settles in full, so the pause only comes after the fact
+      const { events } = await tx.wait();
+      const exceeded = events.find((event) => event.event === "OutflowLimitExceeded");
+      expect(exceeded.args.outflow).to.be.gt(maxOutflow);
+      expect(exceeded.args.outflow).to.be.lte(maxOutflow.add(tokenRate.mul(10)));
+      expect(await token.balanceOf(addr2.address)).to.equal(maxTrade);
+      await expect(buyTokens(addr1, 1)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should count sale proceeds as outflow", async function () {
+      await exchange.setVolumeLimits(0, ethers.utils.parseEther("0.1"), window);
+      await token.transfer(addr1.address, ethers.utils.parseEther("20"));
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("20"));
+
+      await exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("10"));
+      expect(await exchange.paused()).to.equal(false);
+      await expect(exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("1")))
+          .to.emit(exchange, "OutflowLimitExceeded");
+      expect(await exchange.paused()).to.equal(true);
+    });
+
+    it("Should track outflow per asset, counting only what leaves the office", async function () {
+      await exchange.setVolumeLimits(0, ethers.utils.parseEther("0.1"), window);
+      await token.transfer(addr1.address, ethers.utils.parseEther("9"));
+      await token.connect(addr1).approve(exchange.address, ethers.utils.parseEther("9"));
+
+      // A buy takes tokens out and brings ETH in, a sale the other way round
+      await buyTokens(addr2, 9);
+      await exchange.connect(addr1).sell(token.address, ethers.utils.parseEther("9"));
+      expect(await exchange.currentOutflow(token.address)).to.be.closeTo(ethers.utils.parseEther("0.09"), ethers.utils.parseEther("0.001"));
+      expect(await exchange.currentOutflow(ethers.constants.AddressZero)).to.equal(ethers.utils.parseEther("0.09"));
+      // Together they are past maxOutflow, but neither asset is
+      expect(await exchange.paused()).to.equal(false);
+    });
+
+    it("Should count a router's trades against the account it appends", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.1"), 0, 0);
+      await exchange.grantRole(ROUTER_ROLE, addr2.address);
+      const data = exchange.interface.encodeFunctionData("buy", [token.address, ethers.utils.parseEther("6")]);
+      const routed = ethers.utils.hexConcat([data, addr1.address]);
+
+      await addr2.sendTransaction({ to: exchange.address, data: routed, value: ethers.utils.parseEther("0.06") });
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(ethers.utils.parseEther("0.06"));
+      expect(await exchange.dailyVolume(addr2.address)).to.equal(0);
+      // The router still receives the tokens
+      expect(await token.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("6"));
+      await expect(addr2.sendTransaction({ to: exchange.address, data: routed, value: ethers.utils.parseEther("0.06") }))
+          .to.be.revertedWith("Daily volume limit exceeded");
+    });
+
+    it("Should ignore an appended account from callers without ROUTER_ROLE", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.1"), 0, 0);
+      const data = exchange.interface.encodeFunctionData("buy", [token.address, ethers.utils.parseEther("6")]);
+
+      await addr2.sendTransaction({
+        to: exchange.address,
+        data: ethers.utils.hexConcat([data, addr1.address]),
+        value: ethers.utils.parseEther("0.06")
+      });
+      expect(await exchange.dailyVolume(addr2.address)).to.equal(ethers.utils.parseEther("0.06"));
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(0);
+    });
+
+    it("Should release outflow as the window rolls", async function () {
+      const maxOutflow = ethers.utils.parseEther("0.1");
+      await exchange.setVolumeLimits(0, maxOutflow, window);
+
+      await buyTokens(addr1, 8);
+      const start = await latestTimestamp();
+      await increaseTime(window / 2);
+
+      // Half a window releases half of maxOutflow
+      const elapsed = (await latestTimestamp()) - start;
+      expect(await exchange.currentOutflow(token.address))
+          .to.equal(ethers.utils.parseEther("0.08").sub(maxOutflow.mul(elapsed).div(window)));
+      await buyTokens(addr1, 6);
+      expect(await exchange.paused()).to.equal(false);
+
+      await increaseTime(window);
+      expect(await exchange.currentOutflow(token.address)).to.equal(0);
+      await buyTokens(addr1, 10);
+      expect(await exchange.paused()).to.equal(false);
+    });
+
+    it("Should pause again after an unpause until the window has rolled", async function () {
+      await exchange.setVolumeLimits(0, ethers.utils.parseEther("0.1"), window);
+      await buyTokens(addr1, 11);
+      expect(await exchange.paused()).to.equal(true);
+
+      await exchange.unpause();
+      await buyTokens(addr1, 1);
+      expect(await exchange.paused()).to.equal(true);
+
+      await exchange.unpause();
+      await increaseTime(window);
+      await buyTokens(addr1, 5);
+      expect(await exchange.paused()).to.equal(false);
+    });
+
+    it("Should not track volume while the limits are off", async function () {
+      await buyTokens(addr1, 50);
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(0);
+      expect(await exchange.currentOutflow(token.address)).to.equal(0);
+    });
+  });
+
+  describe("Token decimals", function () {
+    let MockDecimalsToken;
+    let usdc;
+    let wbtc;
+
+    beforeEach(async function () {
+      MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6);
+      wbtc = await MockDecimalsToken.deploy("Wrapped BTC", "WBTC", 8);
+
+      // 1 USDC = 0.0005 ETH, 1 WBTC = 15 ETH
+      await listToken(usdc);
+      await exchange.setRate(usdc.address, ethers.utils.parseEther("0.0005"));
+      await listToken(wbtc);
+      await exchange.setRate(wbtc.address, ethers.utils.parseEther("15"));
+
+      // Minted straight to the exchange, so synced into its reserves
+      await usdc.mint(exchange.address, ethers.utils.parseUnits("10000", 6));
+      await wbtc.mint(exchange.address, ethers.utils.parseUnits("1", 8));
+      await exchange.sync(usdc.address);
+      await exchange.sync(wbtc.address);
+    });
+
+    it("Should record token decimals when the token is listed", async function () {
+      expect(await exchange.tokenDecimals(usdc.address)).to.equal(6);
+      expect(await exchange.tokenDecimals(wbtc.address)).to.equal(8);
+      expect(await exchange.tokenDecimals(token.address)).to.equal(18);
+    });
+
+    it("Should price a 6-decimal token per whole token", async function () {
+      const amount = ethers.utils.parseUnits("100", 6);
+      const [weiRequired] = await exchange.quoteBuy(usdc.address, amount);
+      expect(weiRequired).to.equal(ethers.utils.parseEther("0.05"));
+
+      await exchange.connect(addr1).buy(usdc.address, amount, { value: weiRequired });
+      expect(await usdc.balanceOf(addr1.address)).to.equal(amount);
+    });
+
+    it("Should price an 8-decimal token per whole token", async function () {
+      const amount = ethers.utils.parseUnits("0.01", 8);
+      const [weiRequired] = await exchange.quoteBuy(wbtc.address, amount);
+      expect(weiRequired).to.equal(ethers.utils.parseEther("0.15"));
+
+      await exchange.connect(addr1).buy(wbtc.address, amount, { value: weiRequired });
+      await wbtc.connect(addr1).approve(exchange.address, amount);
+
+      await expect(() => exchange.connect(addr1).sell(wbtc.address, amount))
+          .to.changeEtherBalance(addr1, ethers.utils.parseEther("0.15"));
+    });
+
+    it("Should buy with exact ETH using the token decimals", async function () {
+      const [amountOut] = await exchange.quoteBuyWithExactEth(usdc.address, ethers.utils.parseEther("1"));
+      expect(amountOut).to.equal(ethers.utils.parseUnits("2000", 6));
+    });
+
+    it("Should keep the decimals recorded when rates change", async function () {
+      await exchange.setRates(usdc.address, ethers.utils.parseEther("0.0006"), ethers.utils.parseEther("0.0004"));
+      expect(await exchange.tokenDecimals(usdc.address)).to.equal(6);
+    });
+
+    it("Should reject tokens with too many decimals", async function () {
+      const weird = await MockDecimalsToken.deploy("Weird", "WRD", 40);
+      await expect(exchange.listToken(weird.address, "WRD", 40, 0, 0))
+          .to.be.revertedWith("Token decimals too high");
+    });
+  });
+
+  describe("Fee-on-transfer tokens", function () {
+    let fot;
+
+    // 1% of every transfer is burned
+    const transferFeeBps = 100;
+
+    beforeEach(async function () {
+      const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+      fot = await FeeOnTransferToken.deploy(transferFeeBps);
+      await listToken(fot);
+      await exchange.setRate(fot.address, tokenRate);
+      await fot.mint(owner.address, ethers.utils.parseEther("1000"));
+      await fot.mint(addr1.address, ethers.utils.parseEther("100"));
+    });
+
+    it("Should emit the amount actually received when supplying", async function () {
+      const amount = ethers.utils.parseEther("100");
+      await fot.approve(exchange.address, amount);
+
+      await expect(exchange.supplyToken(fot.address, amount))
+          .to.emit(exchange, "TokensSupplied")
+          .withArgs(fot.address, ethers.utils.parseEther("99"));
+      expect(await fot.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("99"));
+    });
+
+    it("Should pay sellers for the amount actually received", async function () {
+      const amount = ethers.utils.parseEther("10");
+      const received = ethers.utils.parseEther("9.9");
+      await fot.connect(addr1).approve(exchange.address, amount);
+
+      await expect(exchange.connect(addr1).sell(fot.address, amount))
+          .to.emit(exchange, "TokensSold")
+          .withArgs(addr1.address, fot.address, received, ethers.utils.parseEther("0.099"));
+      expect(await fot.balanceOf(exchange.address)).to.equal(received);
+    });
+
+    it("Should apply the minimum to the proceeds of the received amount", async function () {
+      const amount = ethers.utils.parseEther("10");
+      await fot.connect(addr1).approve(exchange.address, amount);
+      const [quoted] = await exchange.quoteSell(fot.address, amount);
+
+      await expect(exchange.connect(addr1).sellExact(fot.address, amount, quoted, ethers.constants.MaxUint256))
+          .to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should reject exact-ETH sells of fee-on-transfer tokens", async function () {
+      await fot.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+
+      await expect(exchange.connect(addr1).sellForExactEth(
+          fot.address, ethers.utils.parseEther("0.01"), ethers.utils.parseEther("10"), ethers.constants.MaxUint256
+      )).to.be.revertedWith("Fee-on-transfer token not supported");
+    });
+
+    it("Should never leave the office short after a round trip", async function () {
+      const amount = ethers.utils.parseEther("10");
+      await fot.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(fot.address, ethers.utils.parseEther("100"));
+
+      const [weiRequired] = await exchange.quoteBuy(fot.address, amount);
+      await exchange.connect(addr2).buy(fot.address, amount, { value: weiRequired });
+      const bought = await fot.balanceOf(addr2.address);
+      expect(bought).to.equal(ethers.utils.parseEther("9.9"));
+
+      await fot.connect(addr2).approve(exchange.address, bought);
+      const [weiToReturn] = await exchange.quoteSell(fot.address, bought.mul(99).div(100));
+      await expect(() => exchange.connect(addr2).sell(fot.address, bought))
+          .to.changeEtherBalance(addr2, weiToReturn);
+      expect(weiToReturn).to.be.lt(weiRequired);
+    });
+  });
+
+  describe("Timelocked parameter changes", function () {
+    const delay = 24 * 60 * 60;
+    const newRate = ethers.utils.parseEther("0.02");
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await exchange.setParameterDelay(delay);
+    });
+
+    it("Should apply changes immediately while no delay is set", async function () {
+      await exchange.setParameterDelay(0);
+      await increaseTime(delay);
+
+      await expect(exchange.setRate(token.address, newRate))
+          .to.emit(exchange, "RateSet")
+          .withArgs(token.address, newRate);
+      expect(await exchange.getRate(token.address)).to.equal(newRate);
+    });
+
+    it("Should set the delay within bounds", async function () {
+      await expect(exchange.setParameterDelay(2 * delay))
+          .to.emit(exchange, "ParameterDelaySet")
+          .withArgs(2 * delay);
+      expect(await exchange.parameterDelay()).to.equal(2 * delay);
+      await expect(exchange.setParameterDelay(31 * 24 * 60 * 60))
+          .to.be.revertedWith("Delay too long");
+      await expect(exchange.connect(addr1).setParameterDelay(0))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should only lower the delay once the current delay has passed", async function () {
+      const tx = await exchange.setParameterDelay(0);
+      const effectiveAt = (await latestTimestamp()) + delay;
+
+      await expect(tx)
+          .to.emit(exchange, "ParameterDelayChangeScheduled")
+          .withArgs(0, effectiveAt);
+      await expect(tx).to.not.emit(exchange, "ParameterDelaySet");
+      expect(await exchange.parameterDelay()).to.equal(delay);
+      expect(await exchange.getPendingParameterDelay()).to.deep.equal([ethers.constants.Zero, ethers.BigNumber.from(effectiveAt)]);
+
+      await increaseTime(delay);
+      expect(await exchange.parameterDelay()).to.equal(0);
+      expect(await exchange.getPendingParameterDelay()).to.deep.equal([ethers.constants.Zero, ethers.constants.Zero]);
+    });
+
+    it("Should not let a lowered delay rush a rate change through", async function () {
+      await exchange.setParameterDelay(0);
+
+      await expect(exchange.setRate(token.address, newRate))
+          .to.emit(exchange, "RateChangeScheduled");
+      await increaseTime(delay - 10);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await increaseTime(10);
+      expect(await exchange.getRate(token.address)).to.equal(newRate);
+    });
+
+    it("Should drop a pending lower delay when the delay is raised again", async function () {
+      await exchange.setParameterDelay(0);
+      await expect(exchange.setParameterDelay(delay))
+          .to.emit(exchange, "ParameterDelaySet")
+          .withArgs(delay);
+      await increaseTime(delay);
+
+      expect(await exchange.parameterDelay()).to.equal(delay);
+    });
+
+    it("Should schedule a rate change and announce it", async function () {
+      const tx = await exchange.setRates(token.address, newRate, tokenRate);
+      const effectiveAt = (await latestTimestamp()) + delay;
+
+      await expect(tx)
+          .to.emit(exchange, "RateChangeScheduled")
+          .withArgs(token.address, newRate, tokenRate, effectiveAt);
+      await expect(tx).to.not.emit(exchange, "RatesSet");
+
+      expect(await exchange.getRates(token.address)).to.deep.equal([tokenRate, tokenRate]);
+      expect(await exchange.getPendingRateChange(token.address))
+          .to.deep.equal([newRate, tokenRate, ethers.BigNumber.from(effectiveAt)]);
+    });
+
+    it("Should keep trading at the current rate until the change takes effect", async function () {
+      await exchange.setRate(token.address, newRate);
+      await increaseTime(delay - 10);
+
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate });
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1"));
+    });
+
+    it("Should apply the change automatically once the delay has passed", async function () {
+      await exchange.setRate(token.address, newRate);
+      await increaseTime(delay);
+
+      expect(await exchange.getRate(token.address)).to.equal(newRate);
+      expect(await exchange.getPendingRateChange(token.address)).to.deep.equal([
+        ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero
+      ]);
+      await expect(exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate }))
+          .to.be.revertedWith("Insufficient ETH sent for purchase");
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: newRate });
+    });
+
+    it("Should cancel a pending rate change", async function () {
+      await exchange.setRate(token.address, newRate);
+
+      await expect(exchange.cancelRateChange(token.address))
+          .to.emit(exchange, "RateChangeCancelled")
+          .withArgs(token.address);
+      await increaseTime(delay);
+
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+    });
+
+    it("Should not cancel a change that is not pending", async function () {
+      await expect(exchange.cancelRateChange(token.address))
+          .to.be.revertedWith("No pending rate change");
+
+      await exchange.setRate(token.address, newRate);
+      await increaseTime(delay);
+      await expect(exchange.cancelRateChange(token.address))
+          .to.be.revertedWith("No pending rate change");
+    });
+
+    it("Should only let rate managers cancel", async function () {
+      await exchange.setRate(token.address, newRate);
+      await expect(exchange.connect(addr1).cancelRateChange(token.address))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should replace a pending change when a new one is scheduled", async function () {
+      await exchange.setRate(token.address, newRate);
+      await increaseTime(delay / 2);
+      await exchange.setRate(token.address, tokenRate.mul(3));
+
+      await increaseTime(delay / 2);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await increaseTime(delay / 2);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate.mul(3));
+    });
+
+    it("Should keep an applied change when the next one is scheduled", async function () {
+      await exchange.setRate(token.address, newRate);
+      await increaseTime(delay);
+      await exchange.setRate(token.address, tokenRate.mul(3));
+
+      expect(await exchange.getRate(token.address)).to.equal(newRate);
+    });
+
+    it("Should validate rates when they are scheduled", async function () {
+      await expect(exchange.callStatic.setRate(token.address, 0))
+          .to.be.revertedWith("Rate must be greater than 0");
+      await expect(exchange.callStatic.setRates(token.address, tokenRate, newRate))
+          .to.be.revertedWith("Buy rate below sell rate");
+    });
+
+    it("Should list new tokens only once the delay has passed", async function () {
+      const token2 = await SimpleToken.deploy(initialSupply);
+      await listToken(token2);
+      await exchange.setRate(token2.address, tokenRate);
+
+      expect(await exchange.isTokenSupported(token2.address)).to.equal(false);
+      await increaseTime(delay);
+      expect(await exchange.isTokenSupported(token2.address)).to.equal(true);
+    });
+
+    it("Should schedule, cancel and apply fee changes", async function () {
+      const tx = await exchange.setFees(token.address, 100, 200);
+      const effectiveAt = (await latestTimestamp()) + delay;
+      await expect(tx)
+          .to.emit(exchange, "FeeChangeScheduled")
+          .withArgs(token.address, 100, 200, effectiveAt);
+      expect(await exchange.getFees(token.address)).to.deep.equal([ethers.constants.Zero, ethers.constants.Zero]);
+      expect(await exchange.getPendingFeeChange(token.address))
+          .to.deep.equal([ethers.BigNumber.from(100), ethers.BigNumber.from(200), ethers.BigNumber.from(effectiveAt)]);
+
+      await expect(exchange.cancelFeeChange(token.address))
+          .to.emit(exchange, "FeeChangeCancelled")
+          .withArgs(token.address);
+      await expect(exchange.cancelFeeChange(token.address))
+          .to.be.revertedWith("No pending fee change");
+
+      await exchange.setFees(token.address, 100, 200);
+      await increaseTime(delay);
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, ethers.utils.parseEther("1"));
+      expect(fee).to.equal(tokenRate.div(100));
+      expect(weiRequired).to.equal(tokenRate.add(fee));
+    });
+
+    it("Should schedule a trade size change and apply it once the delay has passed", async function () {
+      const minTrade = ethers.utils.parseEther("2");
+      const maxTrade = ethers.utils.parseEther("5");
+      const tx = await exchange.setTradeSize(token.address, minTrade, maxTrade);
+      const effectiveAt = (await latestTimestamp()) + delay;
+
+      await expect(tx)
+          .to.emit(exchange, "TradeSizeChangeScheduled")
+          .withArgs(token.address, minTrade, maxTrade, effectiveAt);
+      await expect(tx).to.not.emit(exchange, "TradeSizeSet");
+      expect(await exchange.getPendingTradeSize(token.address))
+          .to.deep.equal([minTrade, maxTrade, ethers.BigNumber.from(effectiveAt)]);
+
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate });
+      await increaseTime(delay);
+
+      const listing = await exchange.getListing(token.address);
+      expect(listing.minTradeAmount).to.equal(minTrade);
+      expect(listing.maxTradeAmount).to.equal(maxTrade);
+      expect(await exchange.getPendingTradeSize(token.address)).to.deep.equal([
+        ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero
+      ]);
+      await expect(exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate }))
+          .to.be.revertedWith("Trade below minimum size");
+    });
+
+    it("Should cancel a pending trade size change", async function () {
+      await expect(exchange.cancelTradeSizeChange(token.address))
+          .to.be.revertedWith("No pending trade size change");
+      await exchange.setTradeSize(token.address, ethers.utils.parseEther("2"), 0);
+      await expect(exchange.connect(addr1).cancelTradeSizeChange(token.address))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+
+      await expect(exchange.cancelTradeSizeChange(token.address))
+          .to.emit(exchange, "TradeSizeChangeCancelled")
+          .withArgs(token.address);
+      await increaseTime(delay);
+
+      expect((await exchange.getListing(token.address)).minTradeAmount).to.equal(0);
+      await expect(exchange.cancelTradeSizeChange(token.address))
+          .to.be.revertedWith("No pending trade size change");
+    });
+
+    it("Should keep an applied trade size when the next one is scheduled", async function () {
+      const maxTrade = ethers.utils.parseEther("5");
+      await exchange.setTradeSize(token.address, 0, maxTrade);
+      await increaseTime(delay);
+      await exchange.setTradeSize(token.address, 0, maxTrade.mul(2));
+
+      expect((await exchange.getListing(token.address)).maxTradeAmount).to.equal(maxTrade);
+      await expect(exchange.callStatic.setTradeSize(token.address, 10, 5))
+          .to.be.revertedWith("Maximum trade below minimum");
+    });
+
+    it("Should schedule a volume limits change and apply it once the delay has passed", async function () {
+      const maxDailyVolume = ethers.utils.parseEther("0.1");
+      const maxOutflow = ethers.utils.parseEther("5");
+      const window = 60 * 60;
+      const tx = await exchange.setVolumeLimits(maxDailyVolume, maxOutflow, window);
+      const effectiveAt = (await latestTimestamp()) + delay;
+
+      await expect(tx)
+          .to.emit(exchange, "VolumeLimitsChangeScheduled")
+          .withArgs(maxDailyVolume, maxOutflow, window, effectiveAt);
+      await expect(tx).to.not.emit(exchange, "VolumeLimitsSet");
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero]);
+      expect(await exchange.getPendingVolumeLimits()).to.deep.equal([
+        maxDailyVolume, maxOutflow, ethers.BigNumber.from(window), ethers.BigNumber.from(effectiveAt)
+      ]);
+
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("20"), { value: tokenRate.mul(20) });
+      await increaseTime(delay);
+
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([maxDailyVolume, maxOutflow, ethers.BigNumber.from(window)]);
+      expect(await exchange.getPendingVolumeLimits()).to.deep.equal([
+        ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero
+      ]);
+      await expect(exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("20"), { value: tokenRate.mul(20) }))
+          .to.be.revertedWith("Daily volume limit exceeded");
+    });
+
+    it("Should cancel a pending volume limits change", async function () {
+      await expect(exchange.callStatic.cancelVolumeLimitsChange())
+          .to.be.revertedWith("No pending volume limits change");
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.1"), 0, 0);
+      await expect(exchange.connect(addr1).cancelVolumeLimitsChange())
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+
+      await expect(exchange.cancelVolumeLimitsChange())
+          .to.emit(exchange, "VolumeLimitsChangeCancelled");
+      await increaseTime(delay);
+
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([ethers.constants.Zero, ethers.constants.Zero, ethers.constants.Zero]);
+      await expect(exchange.callStatic.cancelVolumeLimitsChange())
+          .to.be.revertedWith("No pending volume limits change");
+    });
+
+    it("Should keep applied volume limits when the next ones are scheduled", async function () {
+      const maxDailyVolume = ethers.utils.parseEther("0.1");
+      await exchange.setVolumeLimits(maxDailyVolume, 0, 0);
+      await increaseTime(delay);
+      await exchange.setVolumeLimits(0, 0, 0);
+
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([maxDailyVolume, ethers.constants.Zero, ethers.constants.Zero]);
+      await expect(exchange.callStatic.setVolumeLimits(0, 1, 0))
+          .to.be.revertedWith("Outflow window must be greater than 0");
+    });
+  });
+
+  describe("Price feeds", function () {
+    const staleness = 60 * 60;
+    const deviationBps = 1000;
+    const oracleRate = ethers.utils.parseEther("0.0105");
+    const amount = ethers.utils.parseEther("1");
+    let MockAggregator;
+    let feed;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      MockAggregator = await ethers.getContractFactory("MockAggregator");
+      feed = await MockAggregator.deploy(18, oracleRate);
+      await feed.deployed();
+      await exchange.setRates(token.address, tokenRate, tokenRate.mul(9).div(10));
+      await exchange.setPriceFeed(token.address, feed.address, staleness, deviationBps, true);
+    });
+
+    it("Should store the feed configuration and emit PriceFeedSet", async function () {
+      await expect(exchange.setPriceFeed(token.address, feed.address, staleness, deviationBps, false))
+          .to.emit(exchange, "PriceFeedSet")
+          .withArgs(token.address, feed.address, staleness, deviationBps, false);
+
+      const config = await exchange.getPriceFeed(token.address);
+      expect(config.feed).to.equal(feed.address);
+      expect(config.maxStaleness).to.equal(staleness);
+      expect(config.maxDeviationBps).to.equal(deviationBps);
+      expect(config.fallbackToManual).to.equal(false);
+    });
+
+    it("Should price trades from the feed and keep the manual spread", async function () {
+      expect(await exchange.getRates(token.address)).to.deep.equal([oracleRate, oracleRate.mul(9).div(10)]);
+      expect(await exchange.getOracleRate(token.address)).to.deep.equal([oracleRate, true]);
+      expect(await exchange.getManualRates(token.address)).to.deep.equal([tokenRate, tokenRate.mul(9).div(10)]);
+
+      await exchange.connect(addr1).buy(token.address, amount, { value: oracleRate });
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+    });
+
+    it("Should convert answers with other decimals to wei per whole token", async function () {
+      const feed8 = await MockAggregator.deploy(8, 1_050_000); // 0.0105 ETH
+      await exchange.setPriceFeed(token.address, feed8.address, staleness, deviationBps, true);
+
+      expect(await exchange.getRate(token.address)).to.equal(oracleRate);
+    });
+
+    it("Should follow new answers", async function () {
+      const newRate = ethers.utils.parseEther("0.0095");
+      await feed.setAnswer(newRate);
+
+      expect(await exchange.getRate(token.address)).to.equal(newRate);
+    });
+
+    it("Should fall back to the manual rates when the answer is stale", async function () {
+      await increaseTime(staleness + 1);
+
+      expect(await exchange.getOracleRate(token.address)).to.deep.equal([oracleRate, false]);
+      expect(await exchange.getRates(token.address)).to.deep.equal([tokenRate, tokenRate.mul(9).div(10)]);
+      await exchange.connect(addr1).buy(token.address, amount, { value: tokenRate });
+    });
+
+    it("Should fall back when the answer deviates too far from the manual rate", async function () {
+      await feed.setAnswer(ethers.utils.parseEther("0.0111"));
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await feed.setAnswer(ethers.utils.parseEther("0.0089"));
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await feed.setAnswer(ethers.utils.parseEther("0.011"));
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.011"));
+    });
+
+    it("Should fall back when the answer is not positive or the feed reverts", async function () {
+      await feed.setAnswer(0);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await feed.setAnswer(-1);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+
+      await feed.setAnswer(oracleRate);
+      await feed.setRevertReads(true);
+      expect(await exchange.getOracleRate(token.address)).to.deep.equal([ethers.constants.Zero, false]);
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+    });
+
+    it("Should halt trading in the token while the feed is unusable without a fallback", async function () {
+      await exchange.setPriceFeed(token.address, feed.address, staleness, deviationBps, false);
+      await token.connect(addr1).approve(exchange.address, amount);
+      await increaseTime(staleness + 1);
+
+      await expect(exchange.connect(addr1).buy(token.address, amount, { value: oracleRate }))
+          .to.be.revertedWith("Oracle price unavailable");
+      await expect(exchange.connect(addr1).sell(token.address, amount))
+          .to.be.revertedWith("Oracle price unavailable");
+      await expect(exchange.quoteBuy(token.address, amount))
+          .to.be.revertedWith("Oracle price unavailable");
+      expect(await exchange.isTokenSupported(token.address)).to.equal(true);
+
+      // Trading resumes by itself once the feed reports again
+      await feed.setAnswer(oracleRate);
+      await exchange.connect(addr1).buy(token.address, amount, { value: oracleRate });
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+    });
+
+    it("Should measure deviation against manual rate changes", async function () {
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.02"));
+
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.02"));
+    });
+
+    it("Should return the token to manual pricing when the feed is removed", async function () {
+      await expect(exchange.removePriceFeed(token.address))
+          .to.emit(exchange, "PriceFeedRemoved")
+          .withArgs(token.address);
+
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+      expect((await exchange.getPriceFeed(token.address)).feed).to.equal(ethers.constants.AddressZero);
+      await expect(exchange.removePriceFeed(token.address)).to.be.revertedWith("No price feed");
+      await expect(exchange.getOracleRate(token.address)).to.be.revertedWith("No price feed");
+    });
+
+    it("Should validate the feed configuration", async function () {
+      await expect(exchange.callStatic.setPriceFeed(token.address, ethers.constants.AddressZero, staleness, deviationBps, true))
+          .to.be.revertedWith("Feed cannot be zero address");
+      await expect(exchange.callStatic.setPriceFeed(token.address, feed.address, 0, deviationBps, true))
+          .to.be.revertedWith("Staleness must be greater than 0");
+      await expect(exchange.callStatic.setPriceFeed(token.address, feed.address, staleness, 0, true))
+          .to.be.revertedWith("Invalid deviation bound");
+      await expect(exchange.callStatic.setPriceFeed(token.address, feed.address, staleness, 2001, true))
+          .to.be.revertedWith("Invalid deviation bound");
+      await exchange.callStatic.setPriceFeed(token.address, feed.address, staleness, 2000, true);
+
+      const feed40 = await MockAggregator.deploy(40, 1);
+      await expect(exchange.callStatic.setPriceFeed(token.address, feed40.address, staleness, deviationBps, true))
+          .to.be.revertedWith("Feed decimals too high");
+
+      const token2 = await SimpleToken.deploy(initialSupply);
+      await expect(exchange.callStatic.setPriceFeed(token2.address, feed.address, staleness, deviationBps, true))
+          .to.be.revertedWith("Token not supported");
+    });
+
+    it("Should only let rate managers configure feeds", async function () {
+      await expect(exchange.connect(addr1).setPriceFeed(token.address, feed.address, staleness, deviationBps, true))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+      await expect(exchange.connect(addr1).removePriceFeed(token.address))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+      await expect(exchange.connect(addr1).cancelPriceFeedChange(token.address))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    describe("With a parameter delay", function () {
+      const delay = 24 * 60 * 60;
+      let newFeed;
+
+      async function latestTimestamp() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+      }
+
+      beforeEach(async function () {
+        newFeed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.0095"));
+        await newFeed.deployed();
+        await exchange.setParameterDelay(delay);
+      });
+
+      it("Should schedule a new feed and announce it", async function () {
+        const tx = await exchange.setPriceFeed(token.address, newFeed.address, staleness, 500, false);
+        const effectiveAt = (await latestTimestamp()) + delay;
+
+        await expect(tx)
+            .to.emit(exchange, "PriceFeedChangeScheduled")
+            .withArgs(token.address, newFeed.address, staleness, 500, false, effectiveAt);
+        await expect(tx).to.not.emit(exchange, "PriceFeedSet");
+
+        expect((await exchange.getPriceFeed(token.address)).feed).to.equal(feed.address);
+        expect(await exchange.getPendingPriceFeed(token.address)).to.deep.equal([
+          newFeed.address,
+          ethers.BigNumber.from(staleness),
+          ethers.BigNumber.from(500),
+          false,
+          ethers.BigNumber.from(effectiveAt)
+        ]);
+      });
+
+      it("Should keep pricing from the current feed until the change takes effect", async function () {
+        await exchange.setPriceFeed(token.address, newFeed.address, staleness, deviationBps, true);
+
+        await increaseTime(delay - 10);
+        await feed.setAnswer(oracleRate);
+        expect(await exchange.getRate(token.address)).to.equal(oracleRate);
+
+        await newFeed.setAnswer(ethers.utils.parseEther("0.0095"));
+        await increaseTime(10);
+        expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.0095"));
+        expect((await exchange.getPriceFeed(token.address)).feed).to.equal(newFeed.address);
+        expect((await exchange.getPendingPriceFeed(token.address)).effectiveAt).to.equal(0);
+      });
+
+      it("Should schedule a feed removal", async function () {
+        const tx = await exchange.removePriceFeed(token.address);
+        const effectiveAt = (await latestTimestamp()) + delay;
+
+        await expect(tx)
+            .to.emit(exchange, "PriceFeedChangeScheduled")
+            .withArgs(token.address, ethers.constants.AddressZero, 0, 0, false, effectiveAt);
+        await expect(tx).to.not.emit(exchange, "PriceFeedRemoved");
+        expect(await exchange.getRate(token.address)).to.equal(oracleRate);
+
+        await increaseTime(delay);
+        expect(await exchange.getRate(token.address)).to.equal(tokenRate);
+        await expect(exchange.getOracleRate(token.address)).to.be.revertedWith("No price feed");
+      });
+
+      it("Should settle a change that took effect before scheduling the next", async function () {
+        await exchange.setPriceFeed(token.address, newFeed.address, staleness, deviationBps, true);
+        await increaseTime(delay);
+
+        await exchange.removePriceFeed(token.address);
+        expect((await exchange.getPriceFeed(token.address)).feed).to.equal(newFeed.address);
+        await exchange.cancelPriceFeedChange(token.address);
+        expect((await exchange.getPriceFeed(token.address)).feed).to.equal(newFeed.address);
+      });
+
+      it("Should cancel a pending feed change", async function () {
+        await exchange.setPriceFeed(token.address, newFeed.address, staleness, deviationBps, true);
+
+        await expect(exchange.cancelPriceFeedChange(token.address))
+            .to.emit(exchange, "PriceFeedChangeCancelled")
+            .withArgs(token.address);
+        await increaseTime(delay);
+
+        expect((await exchange.getPriceFeed(token.address)).feed).to.equal(feed.address);
+        await expect(exchange.callStatic.cancelPriceFeedChange(token.address))
+            .to.be.revertedWith("No pending price feed change");
+      });
+    });
+  });
+
+  describe("Non-standard tokens", function () {
+    const amount = ethers.utils.parseUnits("100", 6);
+    const deadline = ethers.constants.MaxUint256;
+
+    describe("Tokens that return no value", function () {
+      let usdt;
+
+      beforeEach(async function () {
+        const NoReturnToken = await ethers.getContractFactory("NoReturnToken");
+        usdt = await NoReturnToken.deploy();
+        await listToken(usdt);
+        await exchange.setRate(usdt.address, ethers.utils.parseEther("0.0005"));
+        await usdt.mint(owner.address, amount.mul(10));
+        await usdt.mint(addr1.address, amount);
+      });
+
+      it("Should supply and withdraw", async function () {
+        await usdt.approve(exchange.address, amount);
+        await expect(exchange.supplyToken(usdt.address, amount))
+            .to.emit(exchange, "TokensSupplied")
+            .withArgs(usdt.address, amount);
+
+        await expect(exchange.withdrawToken(usdt.address, amount))
+            .to.emit(exchange, "EmergencyWithdraw")
+            .withArgs(usdt.address, amount);
+        expect(await usdt.balanceOf(exchange.address)).to.equal(0);
+      });
+
+      it("Should buy and sell", async function () {
+        await usdt.approve(exchange.address, amount);
+        await exchange.supplyToken(usdt.address, amount);
+
+        await exchange.connect(addr2).buy(usdt.address, amount, { value: ethers.utils.parseEther("0.05") });
+        expect(await usdt.balanceOf(addr2.address)).to.equal(amount);
+
+        await usdt.connect(addr1).approve(exchange.address, amount);
+        await expect(() => exchange.connect(addr1).sellExact(usdt.address, amount, ethers.utils.parseEther("0.05"), deadline))
+            .to.changeEtherBalance(addr1, ethers.utils.parseEther("0.05"));
+      });
+    });
+
+    describe("Tokens that return false", function () {
+      let rft;
+
+      beforeEach(async function () {
+        const ReturnFalseToken = await ethers.getContractFactory("ReturnFalseToken");
+        rft = await ReturnFalseToken.deploy();
+        await listToken(rft);
+        await exchange.setRate(rft.address, tokenRate);
+        await rft.mint(owner.address, ethers.utils.parseEther("100"));
+        await rft.mint(addr1.address, ethers.utils.parseEther("10"));
+        await rft.approve(exchange.address, ethers.utils.parseEther("100"));
+        await exchange.supplyToken(rft.address, ethers.utils.parseEther("50"));
+        await rft.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+        await rft.setFailTransfers(true);
+      });
+
+      it("Should revert supplyToken", async function () {
+        await expect(exchange.supplyToken(rft.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("SafeERC20: ERC20 operation did not succeed");
+      });
+
+      it("Should revert buy", async function () {
+        await expect(exchange.connect(addr1).buy(rft.address, ethers.utils.parseEther("1"), { value: tokenRate }))
+            .to.be.revertedWith("SafeERC20: ERC20 operation did not succeed");
+      });
+
+      it("Should revert sell without paying out", async function () {
+        const balanceBefore = await ethers.provider.getBalance(exchange.address);
+        await expect(exchange.connect(addr1).sell(rft.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("SafeERC20: ERC20 operation did not succeed");
+        expect(await ethers.provider.getBalance(exchange.address)).to.equal(balanceBefore);
+      });
+
+      it("Should revert withdrawToken", async function () {
+        await expect(exchange.withdrawToken(rft.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("SafeERC20: ERC20 operation did not succeed");
+      });
+    });
+
+    describe("Tokens that revert", function () {
+      let rev;
+
+      beforeEach(async function () {
+        const RevertingToken = await ethers.getContractFactory("RevertingToken");
+        rev = await RevertingToken.deploy();
+        await listToken(rev);
+        await exchange.setRate(rev.address, tokenRate);
+        await rev.mint(owner.address, ethers.utils.parseEther("100"));
+        await rev.mint(addr1.address, ethers.utils.parseEther("10"));
+        await rev.approve(exchange.address, ethers.utils.parseEther("100"));
+        await exchange.supplyToken(rev.address, ethers.utils.parseEther("50"));
+        await rev.connect(addr1).approve(exchange.address, ethers.utils.parseEther("10"));
+        await rev.setRevertTransfers(true);
+      });
+
+      it("Should bubble up the revert from supplyToken", async function () {
+        await expect(exchange.supplyToken(rev.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("RevertingToken: transfers disabled");
+      });
+
+      it("Should bubble up the revert from buy", async function () {
+        await expect(exchange.connect(addr1).buy(rev.address, ethers.utils.parseEther("1"), { value: tokenRate }))
+            .to.be.revertedWith("RevertingToken: transfers disabled");
+      });
+
+      it("Should bubble up the revert from sell", async function () {
+        await expect(exchange.connect(addr1).sell(rev.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("RevertingToken: transfers disabled");
+      });
+
+      it("Should bubble up the revert from withdrawToken", async function () {
+        await expect(exchange.withdrawToken(rev.address, ethers.utils.parseEther("1")))
+            .to.be.revertedWith("RevertingToken: transfers disabled");
+      });
+    });
+  });
+
+  describe("ETH payouts", function () {
+    let wallet;
+
+    const deadline = ethers.constants.MaxUint256;
+
+    function execute(target, data, value = 0) {
+      return wallet.execute(target.address, value, data, { value });
+    }
+
+    async function sellFromWallet(amount) {
+      await token.transfer(wallet.address, amount);
+      await execute(token, token.interface.encodeFunctionData("approve", [exchange.address, amount]));
+      return execute(exchange, exchange.interface.encodeFunctionData("sell", [token.address, amount]));
+    }
+
+    beforeEach(async function () {
+      const ContractWallet = await ethers.getContractFactory("ContractWallet");
+      wallet = await ContractWallet.deploy();
+      await wallet.deployed();
+    });
+
+    it("Should refund excess to a contract wallet whose receive needs more than 2300 gas", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const data = exchange.interface.encodeFunctionData("buyExact", [token.address, amount, tokenRate, deadline]);
+
+      await execute(exchange, data, tokenRate.mul(2));
+
+      expect(await token.balanceOf(wallet.address)).to.equal(amount);
+      expect(await wallet.totalReceived()).to.equal(tokenRate);
+    });
+
+    it("Should pay a contract wallet for sold tokens", async function () {
+      await expect(() => sellFromWallet(ethers.utils.parseEther("1")))
+          .to.changeEtherBalance(wallet, tokenRate);
+      expect(await wallet.paymentsReceived()).to.equal(1);
+    });
+
+    it("Should send withdrawn ETH and claimed fees to a contract wallet", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      await exchange.connect(addr1).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate.mul(2) });
+      await exchange.setTreasury(wallet.address);
+      await exchange.claimFees();
+      expect(await wallet.totalReceived()).to.equal(tokenRate.div(100));
+
+      await exchange.transferOwnership(wallet.address);
+      await execute(exchange, exchange.interface.encodeFunctionData("withdrawETH", [ethers.utils.parseEther("1")]));
+      expect(await wallet.totalReceived()).to.equal(tokenRate.div(100).add(ethers.utils.parseEther("1")));
+    });
+
+    describe("Deferred payouts", function () {
+      const amount = ethers.utils.parseEther("1");
+
+      beforeEach(async function () {
+        await wallet.setRejectPayments(true);
+      });
+
+      it("Should record a rejected payout as a pending withdrawal", async function () {
+        await expect(sellFromWallet(amount))
+            .to.emit(exchange, "PaymentDeferred")
+            .withArgs(wallet.address, tokenRate);
+
+        expect(await exchange.pendingWithdrawals(wallet.address)).to.equal(tokenRate);
+        expect(await exchange.totalPendingWithdrawals()).to.equal(tokenRate);
+        expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("101"));
+      });
+
+      it("Should record a rejected refund as a pending withdrawal", async function () {
+        const data = exchange.interface.encodeFunctionData("buy", [token.address, amount]);
+        await execute(exchange, data, tokenRate.mul(3));
+
+        expect(await exchange.pendingWithdrawals(wallet.address)).to.equal(tokenRate.mul(2));
+      });
+
+      it("Should let the account claim its pending withdrawal", async function () {
+        await sellFromWallet(amount);
+        await wallet.setRejectPayments(false);
+
+        await expect(execute(exchange, exchange.interface.encodeFunctionData("claim")))
+            .to.emit(exchange, "PaymentClaimed")
+            .withArgs(wallet.address, tokenRate);
+
+        expect(await wallet.totalReceived()).to.equal(tokenRate);
+        expect(await exchange.pendingWithdrawals(wallet.address)).to.equal(0);
+        expect(await exchange.totalPendingWithdrawals()).to.equal(0);
+      });
+
+      it("Should revert a claim the account still rejects", async function () {
+        await sellFromWallet(amount);
+
+        await expect(execute(exchange, exchange.interface.encodeFunctionData("claim")))
+            .to.be.revertedWith("ETH transfer failed");
+        expect(await exchange.pendingWithdrawals(wallet.address)).to.equal(tokenRate);
+      });
+
+      it("Should allow claims while paused or shut down", async function () {
+        await sellFromWallet(amount);
+        await wallet.setRejectPayments(false);
+        await exchange.initiateShutdown();
+
+        await execute(exchange, exchange.interface.encodeFunctionData("claim"));
+        expect(await wallet.totalReceived()).to.equal(tokenRate);
+      });
+
+      it("Should keep pending withdrawals out of the ETH available for trading and withdrawal", async function () {
+        await sellFromWallet(amount);
+        const balance = await ethers.provider.getBalance(exchange.address);
+
+        await expect(exchange.withdrawETH(balance))
+            .to.be.revertedWith("Insufficient ETH balance");
+        await exchange.withdrawETH(balance.sub(tokenRate));
+        expect(await ethers.provider.getBalance(exchange.address)).to.equal(tokenRate);
+      });
+    });
+
+    it("Should fail to claim when nothing is owed", async function () {
+      await expect(exchange.connect(addr1).claim())
+          .to.be.revertedWith("Nothing to claim");
+    });
+  });
+
+  describe("Access control", function () {
+    it("Should fail if a non-rate-manager tries to set rates", async function () {
+      await expect(exchange.connect(addr1).setRate(token.address, tokenRate))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should fail if a non-rate-manager tries to set buy and sell rates", async function () {
+      await expect(exchange.connect(addr1).setRates(token.address, tokenRate, tokenRate))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should fail if a non-liquidity-manager tries to supply tokens", async function () {
+      await expect(exchange.connect(addr1).supplyToken(token.address, 1))
+          .to.be.revertedWith(missingRole(addr1, LIQUIDITY_MANAGER_ROLE));
+    });
+
+    it("Should fail if a non-guardian tries to pause", async function () {
+      await expect(exchange.connect(addr1).pause())
+          .to.be.revertedWith(missingRole(addr1, GUARDIAN_ROLE));
+    });
+
+    it("Should fail if non-owner tries to unpause", async function () {
+      await exchange.pause();
+      await expect(exchange.connect(addr1).unpause())
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should fail if non-owner tries to withdraw tokens", async function () {
+      await expect(exchange.connect(addr1).withdrawToken(token.address, 1))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should fail if non-owner tries to withdraw ETH", async function () {
+      await expect(exchange.connect(addr1).withdrawETH(1))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should fail if non-owner tries to initiate shutdown", async function () {
+      await expect(exchange.connect(addr1).initiateShutdown())
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should fail if non-owner tries to transfer ownership", async function () {
+      await expect(exchange.connect(addr1).transferOwnership(addr1.address))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should fail if a non-rate-manager tries to configure fees", async function () {
+      await expect(exchange.connect(addr1).setFees(token.address, 10, 10))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should fail if a non-treasurer tries to configure fee payouts", async function () {
+      await expect(exchange.connect(addr1).setTreasury(addr1.address))
+          .to.be.revertedWith(missingRole(addr1, TREASURER_ROLE));
+      await expect(exchange.connect(addr1).setFeeRecipients([addr1.address], [10000]))
+          .to.be.revertedWith(missingRole(addr1, TREASURER_ROLE));
+    });
+
+    it("Should fail if a non-treasurer tries to claim fees", async function () {
+      await expect(exchange.connect(addr1).claimFees())
+          .to.be.revertedWith(missingRole(addr1, TREASURER_ROLE));
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should give the deployer every role and the role admin", async function () {
+      for (const role of [RATE_MANAGER_ROLE, LIQUIDITY_MANAGER_ROLE, GUARDIAN_ROLE, TREASURER_ROLE]) {
+        expect(await exchange.hasRole(role, owner.address)).to.equal(true);
+      }
+      expect(await exchange.hasRole(await exchange.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should let a guardian pause but not unpause, withdraw or shut down", async function () {
+      await exchange.grantRole(GUARDIAN_ROLE, addr1.address);
+
+      await exchange.connect(addr1).pause();
+      expect(await exchange.paused()).to.equal(true);
+
+      await expect(exchange.connect(addr1).unpause())
+          .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(exchange.connect(addr1).withdrawETH(1))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(exchange.connect(addr1).initiateShutdown())
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should let a rate manager set rates and fees only", async function () {
+      await exchange.grantRole(RATE_MANAGER_ROLE, addr1.address);
+
+      await exchange.connect(addr1).setRates(token.address, tokenRate.mul(2), tokenRate);
+      await exchange.connect(addr1).setFees(token.address, 10, 20);
+      expect(await exchange.getRates(token.address)).to.deep.equal([tokenRate.mul(2), tokenRate]);
+
+      await expect(exchange.connect(addr1).pause())
+          .to.be.revertedWith(missingRole(addr1, GUARDIAN_ROLE));
+      await expect(exchange.connect(addr1).claimFees())
+          .to.be.revertedWith(missingRole(addr1, TREASURER_ROLE));
+    });
+
+    it("Should let a liquidity manager supply tokens only", async function () {
+      const amount = ethers.utils.parseEther("10");
+      await exchange.grantRole(LIQUIDITY_MANAGER_ROLE, addr1.address);
+      await token.transfer(addr1.address, amount);
+      await token.connect(addr1).approve(exchange.address, amount);
+
+      await exchange.connect(addr1).supplyToken(token.address, amount);
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("110"));
+
+      await expect(exchange.connect(addr1).withdrawToken(token.address, amount))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(exchange.connect(addr1).setRate(token.address, tokenRate))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+    });
+
+    it("Should let a treasurer manage and claim fees only", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      await exchange.connect(addr2).buy(token.address, ethers.utils.parseEther("1"), { value: tokenRate.mul(2) });
+      await exchange.grantRole(TREASURER_ROLE, addr1.address);
+
+      await exchange.connect(addr1).setTreasury(addr1.address);
+      await expect(() => exchange.connect(addr1).claimFees())
+          .to.changeEtherBalance(addr1, tokenRate.div(100));
+
+      await expect(exchange.connect(addr1).setFees(token.address, 0, 0))
+          .to.be.revertedWith(missingRole(addr1, RATE_MANAGER_ROLE));
+      await expect(exchange.connect(addr1).withdrawETH(1))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should stop an account from acting once its role is revoked", async function () {
+      await exchange.grantRole(GUARDIAN_ROLE, addr1.address);
+      await exchange.revokeRole(GUARDIAN_ROLE, addr1.address);
+
+      await expect(exchange.connect(addr1).pause())
+          .to.be.revertedWith(missingRole(addr1, GUARDIAN_ROLE));
+    });
+
+    it("Should only let the owner grant roles", async function () {
+      const adminRole = await exchange.DEFAULT_ADMIN_ROLE();
+      await expect(exchange.connect(addr1).grantRole(GUARDIAN_ROLE, addr1.address))
+          .to.be.revertedWith(missingRole(addr1, adminRole));
+    });
+
+    it("Should move the role admin along with ownership", async function () {
+      const adminRole = await exchange.DEFAULT_ADMIN_ROLE();
+      await exchange.transferOwnership(addr1.address);
+
+      expect(await exchange.hasRole(adminRole, addr1.address)).to.equal(true);
+      expect(await exchange.hasRole(adminRole, owner.address)).to.equal(false);
+      await exchange.connect(addr1).grantRole(GUARDIAN_ROLE, addr2.address);
+      expect(await exchange.hasRole(GUARDIAN_ROLE, addr2.address)).to.equal(true);
+    });
+
+    it("Should hand the operational roles to the new owner", async function () {
+      await exchange.transferOwnership(addr1.address);
+
+      for (const role of [RATE_MANAGER_ROLE, LIQUIDITY_MANAGER_ROLE, GUARDIAN_ROLE, TREASURER_ROLE]) {
+        expect(await exchange.hasRole(role, owner.address)).to.equal(false);
+        expect(await exchange.hasRole(role, addr1.address)).to.equal(true);
+      }
+      await expect(exchange.pause())
+          .to.be.revertedWith(missingRole(owner, GUARDIAN_ROLE));
+      await expect(exchange.setTreasury(owner.address))
+          .to.be.revertedWith(missingRole(owner, TREASURER_ROLE));
+    });
+
+    it("Should not hand over roles the previous owner gave up", async function () {
+      await exchange.grantRole(GUARDIAN_ROLE, addr2.address);
+      await exchange.renounceRole(GUARDIAN_ROLE, owner.address);
+      await exchange.transferOwnership(addr1.address);
+
+      expect(await exchange.hasRole(GUARDIAN_ROLE, addr1.address)).to.equal(false);
+      expect(await exchange.hasRole(GUARDIAN_ROLE, addr2.address)).to.equal(true);
+      expect(await exchange.hasRole(RATE_MANAGER_ROLE, addr1.address)).to.equal(true);
+    });
+
+    it("Should revoke the operational roles when ownership is renounced", async function () {
+      await exchange.renounceOwnership();
+
+      for (const role of [RATE_MANAGER_ROLE, LIQUIDITY_MANAGER_ROLE, GUARDIAN_ROLE, TREASURER_ROLE]) {
+        expect(await exchange.hasRole(role, owner.address)).to.equal(false);
+      }
+    });
+  });
+
+  describe("Multisig approval", function () {
+    let approvers;
+
+    // Proposals are calls to the exchange itself, encoded like any other transaction
+    function encode(name, args = []) {
+      return exchange.interface.encodeFunctionData(name, args);
+    }
+
+    async function propose(signer, name, args) {
+      await exchange.connect(signer).propose(encode(name, args));
+      return (await exchange.proposalCount()).sub(1);
+    }
+
+    beforeEach(async function () {
+      approvers = [addr1, addr2, addrs[0]];
+      await exchange.setApprovers(approvers.map((approver) => approver.address), 2);
+    });
+
+    it("Should store the approvers and the threshold", async function () {
+      expect(await exchange.getApprovers()).to.deep.equal(approvers.map((approver) => approver.address));
+      expect(await exchange.approvalThreshold()).to.equal(2);
+      expect(await exchange.isApprover(addr1.address)).to.equal(true);
+      expect(await exchange.isApprover(owner.address)).to.equal(false);
+    });
+
+    it("Should block direct high-impact calls, even from the owner", async function () {
+      await expect(exchange.withdrawETH(1)).to.be.revertedWith("Requires multisig approval");
+      await expect(exchange.withdrawToken(token.address, 1)).to.be.revertedWith("Requires multisig approval");
+      await expect(exchange.initiateShutdown()).to.be.revertedWith("Requires multisig approval");
+      await expect(exchange.transferOwnership(addr1.address)).to.be.revertedWith("Requires multisig approval");
+      await expect(exchange.setApprovers([], 0)).to.be.revertedWith("Requires multisig approval");
+    });
+
+    it("Should leave role-gated actions to their roles", async function () {
+      await exchange.setRate(token.address, tokenRate.mul(2));
+      await exchange.pause();
+      await exchange.unpause();
+      expect(await exchange.getRate(token.address)).to.equal(tokenRate.mul(2));
+    });
+
+    it("Should execute a withdrawal once the threshold is reached", async function () {
+      const amount = ethers.utils.parseEther("1");
+      const id = await propose(addr1, "withdrawETH", [amount]);
+
+      await expect(exchange.connect(addr1).execute(id)).to.be.revertedWith("Not enough approvals");
+
+      await expect(exchange.connect(addr2).approve(id))
+          .to.emit(exchange, "ProposalApproved")
+          .withArgs(id, addr2.address);
+      await expect(() => exchange.connect(addr1).execute(id))
+          .to.changeEtherBalance(owner, amount);
+
+      const proposal = await exchange.getProposal(id);
+      expect(proposal.approvals).to.equal(2);
+      expect(proposal.executed).to.equal(true);
+    });
+
+    it("Should execute a token withdrawal", async function () {
+      const amount = ethers.utils.parseEther("5");
+      const id = await propose(addr1, "withdrawToken", [token.address, amount]);
+      await exchange.connect(addr2).approve(id);
+
+      await expect(exchange.connect(addrs[0]).execute(id))
+          .to.emit(exchange, "EmergencyWithdraw")
+          .withArgs(token.address, amount);
+    });
+
+    it("Should execute a shutdown", async function () {
+      const id = await propose(addr2, "initiateShutdown");
+      await exchange.connect(addrs[0]).approve(id);
+
+      await expect(exchange.connect(addr2).execute(id))
+          .to.emit(exchange, "ShutdownInitiated")
+          .withArgs(exchange.address);
+      expect(await exchange.isShutdown()).to.equal(true);
+    });
+
+    it("Should execute an ownership transfer", async function () {
+      const id = await propose(addr1, "transferOwnership", [addr2.address]);
+      await exchange.connect(addr2).approve(id);
+      await exchange.connect(addr2).execute(id);
+
+      expect(await exchange.owner()).to.equal(addr2.address);
+      expect(await exchange.hasRole(await exchange.DEFAULT_ADMIN_ROLE(), addr2.address)).to.equal(true);
+    });
+
+    it("Should change the approvers only through a proposal", async function () {
+      const id = await propose(addr1, "setApprovers", [[addr1.address], 1]);
+      await exchange.connect(addr2).approve(id);
+
+      await expect(exchange.connect(addr1).execute(id))
+          .to.emit(exchange, "ApproversSet")
+          .withArgs([addr1.address], 1);
+      expect(await exchange.isApprover(addr2.address)).to.equal(false);
+    });
+
+    it("Should emit events over the proposal lifecycle", async function () {
+      const data = encode("withdrawETH", [1]);
+      await expect(exchange.connect(addr1).propose(data))
+          .to.emit(exchange, "ProposalCreated")
+          .withArgs(0, addr1.address, data);
+      await exchange.connect(addr2).approve(0);
+
+      await expect(exchange.connect(addr1).execute(0))
+          .to.emit(exchange, "ProposalExecuted")
+          .withArgs(0);
+    });
+
+    it("Should not execute a proposal twice", async function () {
+      const id = await propose(addr1, "withdrawETH", [1]);
+      await exchange.connect(addr2).approve(id);
+      await exchange.connect(addr1).execute(id);
+
+      await expect(exchange.connect(addr1).execute(id)).to.be.revertedWith("Proposal not pending");
+      await expect(exchange.connect(addrs[0]).approve(id)).to.be.revertedWith("Proposal not pending");
+    });
+
+    it("Should revert with the error of a failing call and keep the proposal pending", async function () {
+      const id = await propose(addr1, "withdrawETH", [ethers.utils.parseEther("1000")]);
+      await exchange.connect(addr2).approve(id);
+
+      await expect(exchange.connect(addr1).execute(id)).to.be.revertedWith("Insufficient ETH balance");
+      expect((await exchange.getProposal(id)).executed).to.equal(false);
+    });
+
+    it("Should reject approvals from non-approvers and double approvals", async function () {
+      const id = await propose(addr1, "withdrawETH", [1]);
+
+      await expect(exchange.approve(id)).to.be.revertedWith("Caller is not an approver");
+      await expect(exchange.connect(addr1).approve(id)).to.be.revertedWith("Already approved");
+      await expect(exchange.connect(addr1).approve(99)).to.be.revertedWith("Unknown proposal");
+      await expect(exchange.propose(encode("withdrawETH", [1]))).to.be.revertedWith("Caller is not an approver");
+    });
+
+    it("Should only count approvals from current approvers", async function () {
+      const id = await propose(addr1, "withdrawETH", [1]);
+      await exchange.connect(addr2).approve(id);
+
+      const change = await propose(addr2, "setApprovers", [[addr2.address, addrs[0].address], 2]);
+      await exchange.connect(addrs[0]).approve(change);
+      await exchange.connect(addr2).execute(change);
+
+      expect(await exchange.approvalCount(id)).to.equal(1);
+      await expect(exchange.connect(addr2).execute(id)).to.be.revertedWith("Not enough approvals");
+    });
+
+    it("Should let the proposer cancel a pending proposal", async function () {
+      const id = await propose(addr1, "initiateShutdown");
+
+      await expect(exchange.connect(addr2).cancelProposal(id)).to.be.revertedWith("Caller is not the proposer");
+      await expect(exchange.connect(addr1).cancelProposal(id))
+          .to.emit(exchange, "ProposalCancelled")
+          .withArgs(id);
+
+      await expect(exchange.connect(addr2).approve(id)).to.be.revertedWith("Proposal not pending");
+      await expect(exchange.connect(addr2).execute(id)).to.be.revertedWith("Proposal not pending");
+    });
+
+    it("Should validate the approver set", async function () {
+      const change = (list, threshold) => exchange.setApprovers(list, threshold);
+
+      // Return to owner-only control so the owner can call setApprovers directly
+      const id = await propose(addr1, "setApprovers", [[], 0]);
+      await exchange.connect(addr2).approve(id);
+      await exchange.connect(addr1).execute(id);
+      expect(await exchange.approvalThreshold()).to.equal(0);
+
+      await expect(change([addr1.address], 2)).to.be.revertedWith("Threshold above approver count");
+      await expect(change([addr1.address], 0)).to.be.revertedWith("Threshold must be greater than 0");
+      await expect(change([addr1.address, addr1.address], 1)).to.be.revertedWith("Duplicate approver");
+      await expect(change([ethers.constants.AddressZero], 1)).to.be.revertedWith("Approver cannot be zero address");
+    });
   });
 
   describe("Edge cases", function () {
@@ -375,6 +2934,7 @@ describe("ExchangeOffice", function () {
 
       // Set a different rate for token2
       const token2Rate = ethers.utils.parseEther("0.005"); // 0.005 ETH per token
+      await listToken(token2);
       await exchange.setRate(token2.address, token2Rate);
 
       // Supply token2 to exchange
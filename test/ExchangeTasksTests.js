@@ -0,0 +1,505 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+const { parseRate, formatRate } = require("../scripts/lib/units");
+
+describe("Exchange admin tasks", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let owner;
+  let addr1;
+  let log;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+
+  // Tasks print their previews; keep the mocha output readable.
+  async function run(name, args) {
+    const originalLog = console.log;
+    log = [];
+    console.log = (...parts) => log.push(parts.join(" "));
+    try {
+      return await hre.run(name, { exchange: exchange.address, ...args });
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  async function expectRejection(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "expected the task to fail").to.be.an("error");
+    expect(error.message).to.include(message);
+  }
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+  });
+
+  describe("Unit conversion", function () {
+    it("Should convert rates to wei per whole token", async function () {
+      const rate = parseRate("0.01");
+
+      expect(rate).to.equal(ethers.utils.parseEther("0.01"));
+      expect(formatRate(rate)).to.equal("0.01");
+    });
+
+    it("Should reject zero rates", async function () {
+      expect(() => parseRate("0")).to.throw("Rate must be greater than 0");
+    });
+  });
+
+  describe("Listing tasks", function () {
+    let token2;
+
+    beforeEach(async function () {
+      const SimpleToken = await ethers.getContractFactory("SimpleToken");
+      token2 = await SimpleToken.deploy(initialSupply);
+    });
+
+    it("Should list a token with whole-token trade sizes", async function () {
+      await run("exchange:list-token", { token: token2.address, minTrade: "1", maxTrade: "500" });
+
+      const listing = await exchange.getListing(token2.address);
+      expect(listing.symbol).to.equal("SIMP");
+      expect(listing.minTradeAmount).to.equal(ethers.utils.parseEther("1"));
+      expect(listing.maxTradeAmount).to.equal(ethers.utils.parseEther("500"));
+    });
+
+    it("Should not list anything on a dry run", async function () {
+      await run("exchange:list-token", { token: token2.address, symbol: "SIMP2", dryRun: true });
+
+      expect((await exchange.getListing(token2.address)).listed).to.equal(false);
+      expect(log[0]).to.equal("[dry run] listToken");
+    });
+
+    it("Should delist a token", async function () {
+      await run("exchange:delist-token", { token: token.address });
+      expect((await exchange.getListing(token.address)).listed).to.equal(false);
+
+      await expectRejection(run("exchange:delist-token", { token: token.address }), "SIMP is not listed");
+    });
+
+    it("Should report the listed tokens in the status without a manifest", async function () {
+      await run("exchange:list-token", { token: token2.address, symbol: "SIMP2" });
+
+      const status = await run("exchange:status", {});
+      expect(status.tokens.map((entry) => entry.address)).to.deep.equal([token.address, token2.address]);
+      expect(status.tokens[1].listed).to.equal(true);
+    });
+  });
+
+  describe("Trade limit tasks", function () {
+    it("Should set a token's trade size in whole tokens", async function () {
+      await run("exchange:set-trade-size", { token: token.address, minTrade: "2", maxTrade: "100" });
+
+      const listing = await exchange.getListing(token.address);
+      expect(listing.minTradeAmount).to.equal(ethers.utils.parseEther("2"));
+      expect(listing.maxTradeAmount).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should set the volume limits in ETH", async function () {
+      await run("exchange:set-volume-limits", { maxDailyVolume: "5", maxOutflow: "20", window: 3600 });
+
+      expect(await exchange.getVolumeLimits())
+          .to.deep.equal([ethers.utils.parseEther("5"), ethers.utils.parseEther("20"), ethers.BigNumber.from(3600)]);
+      const status = await run("exchange:status", {});
+      expect(status.volumeLimits.maxOutflow).to.equal(ethers.utils.parseEther("20"));
+      expect(status.currentOutflow).to.equal(0);
+      expect(status.tokens[0].outflow).to.equal(0);
+      expect(log).to.include("  Outflow (per asset) 20.0 ETH per 3600s each; ETH 0.0 so far");
+    });
+
+    it("Should refuse an outflow limit without a window", async function () {
+      await expectRejection(run("exchange:set-volume-limits", { maxOutflow: "20" }), "--max-outflow needs a --window");
+    });
+  });
+
+  describe("exchange:set-liquidity-pool", function () {
+    it("Should attach and detach a pool", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const pool = await LiquidityPool.deploy(exchange.address);
+
+      await run("exchange:set-liquidity-pool", { pool: pool.address });
+      expect(await exchange.liquidityPool()).to.equal(pool.address);
+      expect((await run("exchange:status", {})).liquidityPool).to.equal(pool.address);
+
+      await run("exchange:set-liquidity-pool", { detach: true });
+      expect(await exchange.liquidityPool()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should refuse a pool of another exchange", async function () {
+      const other = await ExchangeOffice.deploy();
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const pool = await LiquidityPool.deploy(other.address);
+
+      await expectRejection(run("exchange:set-liquidity-pool", { pool: pool.address }), "belongs to another exchange");
+    });
+  });
+
+  describe("exchange:set-rate", function () {
+    it("Should convert a human readable rate", async function () {
+      await run("exchange:set-rate", { token: token.address, rate: "0.01" });
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.01"));
+    });
+
+    it("Should not send anything on a dry run", async function () {
+      await run("exchange:set-rate", { token: token.address, rate: "0.01", dryRun: true });
+
+      expect(await exchange.getRate(token.address)).to.equal(0);
+      expect(log[0]).to.equal("[dry run] setRate");
+    });
+
+    it("Should reject unknown token keys", async function () {
+      await expectRejection(run("exchange:set-rate", { token: "NOPE", rate: "0.01" }), "Unknown token \"NOPE\"");
+    });
+  });
+
+  describe("exchange:set-rates", function () {
+    it("Should set separate buy and sell rates", async function () {
+      await run("exchange:set-rates", { token: token.address, buyRate: "0.011", sellRate: "0.009" });
+
+      const [buyRate, sellRate] = await exchange.getRates(token.address);
+      expect(buyRate).to.equal(ethers.utils.parseEther("0.011"));
+      expect(sellRate).to.equal(ethers.utils.parseEther("0.009"));
+    });
+  });
+
+  describe("Fee tasks", function () {
+    it("Should set fees", async function () {
+      await run("exchange:set-fees", { token: token.address, buyFeeBps: 100, sellFeeBps: 50 });
+
+      const [buyFeeBps, sellFeeBps] = await exchange.getFees(token.address);
+      expect(buyFeeBps).to.equal(100);
+      expect(sellFeeBps).to.equal(50);
+    });
+
+    it("Should set the treasury and claim fees to it", async function () {
+      const [, , treasury] = await ethers.getSigners();
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+      await exchange.setFees(token.address, 100, 0);
+      await token.approve(exchange.address, ethers.utils.parseEther("10"));
+      await exchange.supplyToken(token.address, ethers.utils.parseEther("10"));
+      const [weiRequired, fee] = await exchange.quoteBuy(token.address, ethers.utils.parseEther("1"));
+      await exchange.buy(token.address, ethers.utils.parseEther("1"), { value: weiRequired });
+
+      await run("exchange:set-treasury", { treasury: treasury.address });
+      const before = await treasury.getBalance();
+      await run("exchange:claim-fees", {});
+      expect(await treasury.getBalance()).to.equal(before.add(fee));
+    });
+  });
+
+  describe("exchange:supply", function () {
+    it("Should approve and supply in one go", async function () {
+      const result = await run("exchange:supply", { token: token.address, amount: "100" });
+
+      expect(result.needsApproval).to.equal(true);
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should skip approval when the allowance already covers the amount", async function () {
+      await token.approve(exchange.address, ethers.utils.parseEther("500"));
+
+      const result = await run("exchange:supply", { token: token.address, amount: "100" });
+
+      expect(result.needsApproval).to.equal(false);
+      expect(await token.allowance(owner.address, exchange.address)).to.equal(ethers.utils.parseEther("400"));
+    });
+
+    it("Should reset a partial allowance first for USDT-style tokens", async function () {
+      const NoReturnToken = await ethers.getContractFactory("NoReturnToken");
+      const usdt = await NoReturnToken.deploy();
+      await usdt.mint(owner.address, ethers.utils.parseUnits("1000", 6));
+      await usdt.approve(exchange.address, ethers.utils.parseUnits("1", 6));
+
+      await run("exchange:supply", { token: usdt.address, amount: "100" });
+
+      expect(await usdt.balanceOf(exchange.address)).to.equal(ethers.utils.parseUnits("100", 6));
+    });
+  });
+
+  describe("exchange:withdraw", function () {
+    beforeEach(async function () {
+      await token.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+      await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should withdraw tokens", async function () {
+      await run("exchange:withdraw", { token: token.address, amount: "40" });
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("60"));
+    });
+
+    it("Should withdraw ETH when no token is given", async function () {
+      await run("exchange:withdraw", { amount: "0.25" });
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ethers.utils.parseEther("0.75"));
+    });
+  });
+
+  describe("exchange:skim / exchange:sync", function () {
+    beforeEach(async function () {
+      await token.approve(exchange.address, ethers.utils.parseEther("100"));
+      await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+      // Sent without going through the exchange, so outside its reserves
+      await token.transfer(exchange.address, ethers.utils.parseEther("30"));
+      await addr1.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should skim the excess to the owner or a given recipient", async function () {
+      await run("exchange:skim", { token: token.address });
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("100"));
+
+      const balanceBefore = await ethers.provider.getBalance(addr1.address);
+      await run("exchange:skim", { to: addr1.address });
+      expect(await ethers.provider.getBalance(addr1.address)).to.equal(balanceBefore.add(ethers.utils.parseEther("1")));
+    });
+
+    it("Should sync the excess into the reserves", async function () {
+      await run("exchange:sync", { token: token.address, dryRun: true });
+      expect(log.join("\n")).to.include("30.0 SIMP");
+      expect((await exchange.getReserves(token.address)).tokenReserve).to.equal(ethers.utils.parseEther("100"));
+
+      await run("exchange:sync", { token: token.address });
+      await run("exchange:sync", {});
+      const reserves = await exchange.getReserves(token.address);
+      expect(reserves.tokenReserve).to.equal(ethers.utils.parseEther("130"));
+      expect(reserves.ethReserve).to.equal(ethers.utils.parseEther("1"));
+    });
+  });
+
+  describe("exchange:pause / exchange:unpause", function () {
+    it("Should pause and unpause", async function () {
+      await run("exchange:pause", {});
+      expect(await exchange.paused()).to.equal(true);
+
+      await run("exchange:unpause", {});
+      expect(await exchange.paused()).to.equal(false);
+    });
+  });
+
+  describe("exchange:shutdown", function () {
+    it("Should refuse to shut down without --confirm", async function () {
+      await expectRejection(run("exchange:shutdown", {}), "re-run with --confirm");
+      expect(await exchange.isShutdown()).to.equal(false);
+    });
+
+    it("Should shut down with --confirm", async function () {
+      await run("exchange:shutdown", { confirm: true });
+      expect(await exchange.isShutdown()).to.equal(true);
+
+      const { shutdownState } = await run("exchange:status", { tokens: [] });
+      expect(shutdownState.sweepableAt).to.equal(shutdownState.startedAt.add(30 * 24 * 3600));
+    });
+  });
+
+  describe("Timelocked changes", function () {
+    beforeEach(async function () {
+      await run("exchange:set-parameter-delay", { delay: 3600 });
+    });
+
+    it("Should set the parameter delay", async function () {
+      expect(await exchange.parameterDelay()).to.equal(3600);
+    });
+
+    it("Should schedule rate changes and report them in the status", async function () {
+      await run("exchange:set-rate", { token: token.address, rate: "0.01" });
+      expect(log).to.include("  takes effect     after the 3600s parameter delay");
+
+      const status = await run("exchange:status", { tokens: [token.address] });
+      expect(status.tokens[0].rate).to.equal(0);
+      expect(status.tokens[0].pendingRates.buyRate).to.equal(ethers.utils.parseEther("0.01"));
+    });
+
+    it("Should schedule a trade size change, report it in the status and cancel it", async function () {
+      await run("exchange:set-trade-size", { token: token.address, minTrade: "2", maxTrade: "100" });
+      expect(log).to.include("  takes effect     after the 3600s parameter delay");
+
+      const status = await run("exchange:status", { tokens: [token.address] });
+      const pending = status.tokens[0].pendingTradeSize;
+      expect(pending.minTradeAmount).to.equal(ethers.utils.parseEther("2"));
+      expect(log).to.include(`  pending trade size min 2.0, max 100.0 SIMP at ${pending.effectiveAt}`);
+
+      await run("exchange:cancel-trade-size-change", { token: token.address });
+      expect((await exchange.getPendingTradeSize(token.address)).effectiveAt).to.equal(0);
+      await expectRejection(run("exchange:cancel-trade-size-change", { token: token.address }),
+          "No pending trade size change for SIMP");
+    });
+
+    it("Should schedule a volume limits change, report it in the status and cancel it", async function () {
+      await run("exchange:set-volume-limits", { maxDailyVolume: "5", maxOutflow: "20", window: 3600 });
+      expect(log).to.include("  takes effect     after the 3600s parameter delay");
+
+      const status = await run("exchange:status", { tokens: [] });
+      const pending = status.pendingVolumeLimits;
+      expect(pending.maxDailyVolume).to.equal(ethers.utils.parseEther("5"));
+      expect(log).to.include("  pending volume limits 5.0 ETH per address per day, 20.0 ETH outflow per asset per 3600s " +
+        `at ${pending.effectiveAt}`);
+
+      await run("exchange:cancel-volume-limits-change", {});
+      expect((await exchange.getPendingVolumeLimits()).effectiveAt).to.equal(0);
+      await expectRejection(run("exchange:cancel-volume-limits-change", {}), "No pending volume limits change");
+    });
+
+    it("Should cancel a pending rate change", async function () {
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+
+      await run("exchange:cancel-rate-change", { token: token.address });
+
+      const [, , effectiveAt] = await exchange.getPendingRateChange(token.address);
+      expect(effectiveAt).to.equal(0);
+    });
+
+    it("Should refuse to cancel when nothing is pending", async function () {
+      await expectRejection(run("exchange:cancel-rate-change", { token: token.address, fees: true }),
+          "No pending fee change for SIMP");
+    });
+  });
+
+  describe("Price feed tasks", function () {
+    let feed;
+
+    beforeEach(async function () {
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      feed = await MockAggregator.deploy(8, 1_020_000);
+      await feed.deployed();
+    });
+
+    it("Should set a price feed that falls back to the manual rates by default", async function () {
+      await run("exchange:set-price-feed", {
+        token: token.address, feed: feed.address, maxStaleness: 3600, maxDeviationBps: 500
+      });
+
+      const config = await exchange.getPriceFeed(token.address);
+      expect(config.feed).to.equal(feed.address);
+      expect(config.fallbackToManual).to.equal(true);
+      expect(log).to.include("  latest answer    0.0102 ETH at " +
+        new Date((await feed.updatedAt()).toNumber() * 1000).toISOString());
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.0102"));
+    });
+
+    it("Should report a halted token in the status", async function () {
+      await run("exchange:set-price-feed", {
+        token: token.address, feed: feed.address, maxStaleness: 3600, maxDeviationBps: 500, halt: true
+      });
+      await feed.setRevertReads(true);
+
+      const status = await run("exchange:status", { tokens: [token.address] });
+      expect(status.tokens[0].priceFeed.halted).to.equal(true);
+      expect(log).to.include("  buy rate         halted (price feed unusable)");
+    });
+
+    it("Should remove a price feed", async function () {
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 500, true);
+
+      await run("exchange:remove-price-feed", { token: token.address });
+      expect(await exchange.getRate(token.address)).to.equal(ethers.utils.parseEther("0.01"));
+
+      await expectRejection(run("exchange:remove-price-feed", { token: token.address }), "SIMP has no price feed");
+    });
+
+    it("Should schedule a price feed behind the parameter delay and cancel it", async function () {
+      await exchange.setParameterDelay(3600);
+      await run("exchange:set-price-feed", {
+        token: token.address, feed: feed.address, maxStaleness: 3600, maxDeviationBps: 500
+      });
+      expect(log).to.include("  takes effect     after the 3600s parameter delay");
+      expect((await exchange.getPriceFeed(token.address)).feed).to.equal(ethers.constants.AddressZero);
+
+      const status = await run("exchange:status", { tokens: [token.address] });
+      expect(status.tokens[0].pendingFeed.feed).to.equal(feed.address);
+      expect(log).to.include(`  pending price feed ${feed.address}, max staleness 3600s, max deviation 500 bps, ` +
+        `manual rates when unusable at ${status.tokens[0].pendingFeed.effectiveAt}`);
+
+      await run("exchange:cancel-price-feed-change", { token: token.address });
+      expect((await exchange.getPendingPriceFeed(token.address)).effectiveAt).to.equal(0);
+      await expectRejection(run("exchange:cancel-price-feed-change", { token: token.address }),
+          "No pending price feed change for SIMP");
+    });
+  });
+
+  describe("exchange:grant-role / exchange:revoke-role", function () {
+    it("Should grant and revoke a role by name", async function () {
+      const guardianRole = await exchange.GUARDIAN_ROLE();
+
+      await run("exchange:grant-role", { role: "guardian", account: addr1.address });
+      expect(await exchange.hasRole(guardianRole, addr1.address)).to.equal(true);
+
+      await run("exchange:revoke-role", { role: "guardian", account: addr1.address });
+      expect(await exchange.hasRole(guardianRole, addr1.address)).to.equal(false);
+    });
+
+    it("Should grant the router role", async function () {
+      await run("exchange:grant-role", { role: "router", account: addr1.address });
+      expect(await exchange.hasRole(await exchange.ROUTER_ROLE(), addr1.address)).to.equal(true);
+    });
+
+    it("Should reject unknown role names", async function () {
+      await expectRejection(run("exchange:grant-role", { role: "admin", account: addr1.address }), "Unknown role \"admin\"");
+    });
+  });
+
+  describe("Multisig proposals", function () {
+    beforeEach(async function () {
+      await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("1") });
+      await run("exchange:set-approvers", { approvers: `${owner.address},${addr1.address}`, threshold: 2 });
+    });
+
+    it("Should set the approvers", async function () {
+      expect(await exchange.getApprovers()).to.deep.equal([owner.address, addr1.address]);
+      expect(await exchange.approvalThreshold()).to.equal(2);
+    });
+
+    it("Should propose, approve and execute a withdrawal", async function () {
+      const { proposalId } = await run("exchange:withdraw", { amount: "0.25", propose: true });
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ethers.utils.parseEther("1"));
+
+      await exchange.connect(addr1).approve(proposalId);
+      await run("exchange:execute", { id: proposalId.toNumber() });
+
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ethers.utils.parseEther("0.75"));
+      expect(log[2]).to.include("withdrawETH(250000000000000000)");
+    });
+
+    it("Should approve a proposal", async function () {
+      const data = exchange.interface.encodeFunctionData("initiateShutdown");
+      await exchange.connect(addr1).propose(data);
+
+      await run("exchange:approve", { id: 0 });
+      expect(await exchange.approvalCount(0)).to.equal(2);
+    });
+  });
+
+  describe("exchange:status", function () {
+    it("Should report exchange and token state", async function () {
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+
+      const status = await run("exchange:status", { tokens: [token.address] });
+
+      expect(status.owner).to.equal(owner.address);
+      expect(status.paused).to.equal(false);
+      expect(status.tokens[0].symbol).to.equal("SIMP");
+      expect(status.tokens[0].rate).to.equal(ethers.utils.parseEther("0.01"));
+      expect(status.tokens[0].reserve).to.equal(0);
+      expect(status.ethReserve).to.equal(0);
+    });
+  });
+});
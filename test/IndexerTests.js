@@ -0,0 +1,411 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+const { readIndex, writeIndex, createIndex, syncIndex, startIndexer } = require("../scripts/lib/indexer");
+const { buildReport, toCsv } = require("../scripts/lib/report");
+
+describe("Event indexer", function () {
+  let ExchangeOffice;
+  let token;
+  let usdc;
+  let exchange;
+  let owner;
+  let trader;
+  let startBlock;
+  let dir;
+
+  async function waitFor(condition, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!await condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for the indexer");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  // Tasks print their output; keep the mocha output readable.
+  async function run(name, args) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  // A trading history touching every indexed event but the fee events, LiquidityReleased and ShutdownInitiated
+  async function populate() {
+    await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+    await exchange.setRates(usdc.address, ethers.utils.parseEther("0.0005"), ethers.utils.parseEther("0.0004"));
+    await token.approve(exchange.address, ethers.utils.parseEther("100"));
+    await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+    await usdc.approve(exchange.address, ethers.utils.parseUnits("1000", 6));
+    await exchange.supplyToken(usdc.address, ethers.utils.parseUnits("1000", 6));
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.1") });
+    await token.connect(trader).approve(exchange.address, ethers.constants.MaxUint256);
+    await exchange.connect(trader).sell(token.address, ethers.utils.parseEther("5"));
+    await exchange.connect(trader).swap(token.address, usdc.address, ethers.utils.parseEther("2"), 0);
+
+    await exchange.setRate(token.address, ethers.utils.parseEther("0.02"));
+    await exchange.withdrawToken(token.address, ethers.utils.parseEther("1"));
+    await exchange.withdrawETH(ethers.utils.parseEther("1"));
+  }
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, trader] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(ethers.utils.parseEther("1000"));
+    const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+    usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6);
+    await usdc.mint(owner.address, ethers.utils.parseUnits("1000", 6));
+
+    exchange = await ExchangeOffice.deploy();
+    startBlock = (await exchange.deployTransaction.wait()).blockNumber;
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.listToken(usdc.address, "USDC", 6, 0, 0);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexes-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Indexing", function () {
+    it("Should backfill every indexed event with its timestamp and arguments", async function () {
+      await populate();
+      const index = await createIndex(exchange, startBlock);
+
+      const added = await syncIndex(exchange, index);
+
+      expect(added.map((event) => event.event)).to.deep.equal([
+        "RateSet", "RatesSet", "TokensSupplied", "TokensSupplied", "EthSupplied", "TokensBought", "TokensSold",
+        "TokensSwapped", "RateSet", "EmergencyWithdraw", "EmergencyEthWithdraw"
+      ]);
+      const bought = added[5];
+      expect(bought.args).to.deep.equal({
+        buyer: trader.address,
+        token: token.address,
+        amount: ethers.utils.parseEther("10").toString(),
+        ethAmount: ethers.utils.parseEther("0.1").toString()
+      });
+      expect(bought.timestamp).to.equal((await ethers.provider.getBlock(bought.blockNumber)).timestamp);
+      expect(index.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(index.tokens[usdc.address]).to.deep.equal({ decimals: 6, symbol: "USDC" });
+    });
+
+    it("Should resume after the last indexed block without duplicates", async function () {
+      await populate();
+      const index = await createIndex(exchange, startBlock);
+      await syncIndex(exchange, index, { batchSize: 3 });
+      const file = path.join(dir, "hardhat.json");
+      writeIndex(file, index);
+
+      await exchange.initiateShutdown();
+      const resumed = readIndex(file);
+      const added = await syncIndex(exchange, resumed, { batchSize: 3 });
+
+      expect(added.map((event) => event.event)).to.deep.equal(["ShutdownInitiated"]);
+      expect(resumed.events).to.have.length(12);
+      expect(await syncIndex(exchange, resumed)).to.deep.equal([]);
+    });
+
+    it("Should read decimals from the token itself", async function () {
+      // Never listed, so the exchange has no decimals for it
+      const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      const wbtc = await MockDecimalsToken.deploy("Wrapped BTC", "WBTC", 8);
+      await wbtc.mint(exchange.address, ethers.utils.parseUnits("1", 8));
+      await exchange.sync(wbtc.address);
+      const index = await createIndex(exchange, startBlock);
+
+      await syncIndex(exchange, index);
+
+      expect(index.tokens[wbtc.address]).to.deep.equal({ decimals: 8, symbol: wbtc.address });
+    });
+
+    it("Should stay the given number of confirmations behind the chain head", async function () {
+      await populate();
+      const index = await createIndex(exchange, startBlock);
+
+      await syncIndex(exchange, index, { confirmations: 3 });
+
+      expect(index.lastBlock).to.equal(await ethers.provider.getBlockNumber() - 3);
+      // The last three blocks hold the rate change and both withdrawals
+      expect(index.events.map((event) => event.event)).to.not.include("EmergencyWithdraw");
+    });
+
+    it("Should follow new blocks and write the index", async function () {
+      // A provider of our own, so block polling can be sped up for the test
+      const provider = new ethers.providers.Web3Provider(network.provider);
+      provider.pollingInterval = 50;
+      const file = path.join(dir, "hardhat.json");
+      const index = await createIndex(exchange.connect(provider), startBlock);
+      const indexer = startIndexer({ exchange: exchange.connect(provider), index, file });
+      try {
+        await exchange.setRate(token.address, ethers.utils.parseEther("0.01"));
+        await waitFor(async () => {
+          const written = readIndex(file);
+          return written !== null && written.events.some((event) => event.event === "RateSet");
+        });
+      } finally {
+        await indexer.stop();
+      }
+    });
+  });
+
+  describe("Reporting", function () {
+    let index;
+
+    beforeEach(async function () {
+      await populate();
+      index = await createIndex(exchange, startBlock);
+      await syncIndex(exchange, index);
+    });
+
+    it("Should report per-token volume and realized ETH flows", async function () {
+      const report = buildReport(index);
+
+      expect(report.volume).to.deep.equal([
+        {
+          token: token.address, symbol: "SIMP", trades: 3, bought: "10.0", sold: "5.0", swappedIn: "2.0",
+          swappedOut: "0.0", ethIn: "0.1", ethOut: "0.05", netEth: "0.05"
+        },
+        {
+          token: usdc.address, symbol: "USDC", trades: 1, bought: "0.0", sold: "0.0", swappedIn: "0.0",
+          swappedOut: "40.0", ethIn: "0.0", ethOut: "0.0", netEth: "0.0"
+        }
+      ]);
+      expect(report.flows).to.deep.equal([{
+        ethIn: "0.1", ethOut: "0.05", netEth: "0.05", fees: "0.0", claimed: "0.0", withdrawn: "1.0", released: "0.0"
+      }]);
+      expect(report.shutdownAt).to.equal(null);
+    });
+
+    it("Should rebuild the inventory over time", async function () {
+      const report = buildReport(index);
+
+      const simp = report.inventory.filter((row) => row.symbol === "SIMP");
+      expect(simp.map((row) => [row.event, row.change, row.balance])).to.deep.equal([
+        ["TokensSupplied", "100.0", "100.0"],
+        ["TokensBought", "-10.0", "90.0"],
+        ["TokensSold", "5.0", "95.0"],
+        ["TokensSwapped", "2.0", "97.0"],
+        ["EmergencyWithdraw", "-1.0", "96.0"]
+      ]);
+      expect(ethers.utils.parseEther(simp[simp.length - 1].balance)).to.equal(await token.balanceOf(exchange.address));
+      const usdcRows = report.inventory.filter((row) => row.symbol === "USDC");
+      expect(usdcRows.map((row) => row.balance)).to.deep.equal(["1000.0", "960.0"]);
+      const eth = report.inventory.filter((row) => row.token === ethers.constants.AddressZero);
+      expect(eth.map((row) => [row.symbol, row.event, row.change, row.balance])).to.deep.equal([
+        ["ETH", "EthSupplied", "10.0", "10.0"],
+        ["ETH", "TokensBought", "0.1", "10.1"],
+        ["ETH", "TokensSold", "-0.05", "10.05"],
+        ["ETH", "EmergencyEthWithdraw", "-1.0", "9.05"]
+      ]);
+      expect(ethers.utils.parseEther(eth[eth.length - 1].balance)).to.equal((await exchange.getReserves(token.address)).ethReserve);
+    });
+
+    it("Should report fee revenue and set fees aside from the ETH inventory", async function () {
+      await exchange.setFees(token.address, 100, 100);
+      await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.202") });
+      await exchange.connect(trader).sell(token.address, ethers.utils.parseEther("5"));
+      await exchange.claimFees();
+      await syncIndex(exchange, index);
+
+      const report = buildReport(index);
+
+      expect(report.fees).to.deep.equal([{ token: token.address, symbol: "SIMP", trades: 2, fees: "0.003" }]);
+      expect(report.flows[0]).to.include({ fees: "0.003", claimed: "0.003" });
+      const eth = report.inventory.filter((row) => row.symbol === "ETH").slice(4);
+      expect(eth.map((row) => [row.event, row.change, row.balance])).to.deep.equal([
+        ["FeesCollected", "-0.002", "9.048"],
+        ["TokensBought", "0.202", "9.25"],
+        ["FeesCollected", "-0.001", "9.249"],
+        ["TokensSold", "-0.099", "9.15"]
+      ]);
+      expect((await exchange.getReserves(token.address)).ethReserve).to.equal(ethers.utils.parseEther("9.15"));
+    });
+
+    it("Should follow synced reserves in the inventory", async function () {
+      await token.transfer(exchange.address, ethers.utils.parseEther("4"));
+      await exchange.sync(token.address);
+      await trader.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("0.95") });
+      await exchange.sync(ethers.constants.AddressZero);
+      await syncIndex(exchange, index);
+
+      const { inventory } = buildReport(index);
+      const simp = inventory.filter((row) => row.symbol === "SIMP");
+      expect(simp[simp.length - 1]).to.include({ event: "ReserveSynced", change: "4.0", balance: "100.0" });
+      expect(inventory[inventory.length - 1]).to.include({ symbol: "ETH", event: "ReserveSynced", change: "0.95", balance: "10.0" });
+      expect((await exchange.getReserves(token.address)).tokenReserve).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should report the rate history", async function () {
+      const report = buildReport(index);
+
+      expect(report.rates.map((row) => [row.symbol, row.buyRate, row.sellRate])).to.deep.equal([
+        ["SIMP", "0.01", "0.01"],
+        ["USDC", "0.0005", "0.0004"],
+        ["SIMP", "0.02", "0.02"]
+      ]);
+    });
+
+    it("Should apply a scheduled rate change when it takes effect", async function () {
+      await exchange.setParameterDelay(3600);
+      const scheduled = await (await exchange.setRate(token.address, ethers.utils.parseEther("0.03"))).wait();
+      const { effectiveAt } = scheduled.events.find((event) => event.event === "RateChangeScheduled").args;
+      await exchange.setRates(usdc.address, ethers.utils.parseEther("0.0006"), ethers.utils.parseEther("0.0005"));
+      await exchange.cancelRateChange(usdc.address);
+      await syncIndex(exchange, index);
+
+      // Not in effect yet
+      expect(buildReport(index).rates).to.have.length(3);
+
+      await network.provider.send("evm_increaseTime", [3600]);
+      await network.provider.send("evm_mine", []);
+      await syncIndex(exchange, index);
+
+      const report = buildReport(index);
+      expect(report.rates.slice(3)).to.deep.equal([{
+        time: new Date(effectiveAt.toNumber() * 1000).toISOString(),
+        blockNumber: scheduled.blockNumber,
+        token: token.address,
+        symbol: "SIMP",
+        buyRate: "0.03",
+        sellRate: "0.03",
+        source: "scheduled"
+      }]);
+      expect(buildReport(index, { to: effectiveAt.toNumber() - 1 }).rates).to.have.length(3);
+    });
+
+    it("Should report a feed-priced token's rates as the indexer reads them", async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.021"));
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 1000, true);
+      const buy = () => exchange.connect(trader).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.03") });
+      await buy();
+      await feed.setAnswer(ethers.utils.parseEther("0.022"));
+      await buy();
+      await buy();
+      await exchange.removePriceFeed(token.address);
+      await syncIndex(exchange, index);
+
+      const bought = index.events.filter((event) => event.event === "TokensBought");
+      expect(bought[bought.length - 1].rates).to.deep.equal({
+        [token.address]: { buyRate: ethers.utils.parseEther("0.022").toString(), sellRate: ethers.utils.parseEther("0.022").toString() }
+      });
+      expect(buildReport(index).rates.slice(3).map((row) => [row.symbol, row.buyRate, row.sellRate, row.source])).to.deep.equal([
+        ["SIMP", "0.021", "0.021", "feed"],
+        ["SIMP", "0.022", "0.022", "feed"],
+        ["SIMP", "0.02", "0.02", "manual"]
+      ]);
+    });
+
+    it("Should follow price feed changes scheduled behind the parameter delay", async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed = await MockAggregator.deploy(18, ethers.utils.parseEther("0.021"));
+      const buy = () => exchange.connect(trader).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.03") });
+      await exchange.setParameterDelay(3600);
+      await exchange.setPriceFeed(token.address, feed.address, 7200, 1000, true);
+      await buy();
+      await syncIndex(exchange, index);
+      expect(index.scheduledFeeds[token.address].feed).to.equal(feed.address);
+
+      await network.provider.send("evm_increaseTime", [3600]);
+      await buy();
+      const removal = await (await exchange.removePriceFeed(token.address)).wait();
+      const { effectiveAt } = removal.events.find((event) => event.event === "PriceFeedChangeScheduled").args;
+      await syncIndex(exchange, index);
+      expect(index.priceFeeds[token.address]).to.equal(feed.address);
+
+      await network.provider.send("evm_increaseTime", [3600]);
+      await buy();
+      await syncIndex(exchange, index);
+
+      expect(index.priceFeeds[token.address]).to.equal(undefined);
+      const bought = index.events.filter((event) => event.event === "TokensBought");
+      expect(bought.slice(-3).map((event) => event.rates && event.rates[token.address].buyRate)).to.deep.equal([
+        undefined, ethers.utils.parseEther("0.021").toString(), undefined
+      ]);
+      expect(buildReport(index).rates.slice(3).map((row) => [row.symbol, row.buyRate, row.source, row.time])).to.deep.equal([
+        ["SIMP", "0.021", "feed", new Date(bought[bought.length - 2].timestamp * 1000).toISOString()],
+        ["SIMP", "0.02", "manual", new Date(effectiveAt.toNumber() * 1000).toISOString()]
+      ]);
+    });
+
+    it("Should only count events in the reporting period", async function () {
+      const sold = index.events.find((event) => event.event === "TokensSold");
+      await network.provider.send("evm_increaseTime", [3600]);
+      await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("0.02") });
+      await syncIndex(exchange, index);
+
+      const report = buildReport(index, { from: sold.timestamp, to: sold.timestamp + 60 });
+
+      expect(report.volume[0].bought).to.equal("0.0");
+      expect(report.volume[0].sold).to.equal("5.0");
+      // Balances still count everything before the period
+      expect(report.inventory[0]).to.include({ event: "TokensSold", balance: "95.0" });
+      expect(report.inventory.map((row) => row.event)).to.not.include("TokensBought");
+    });
+
+    it("Should write CSV with a header row", async function () {
+      const csv = toCsv(buildReport(index).rates);
+
+      const lines = csv.trimEnd().split("\n");
+      expect(lines[0]).to.equal("time,blockNumber,token,symbol,buyRate,sellRate,source");
+      expect(lines).to.have.length(4);
+      expect(toCsv([{ note: "a, \"quoted\" value" }])).to.equal("note\n\"a, \"\"quoted\"\" value\"\n");
+    });
+
+    it("Should write the report files with exchange:report", async function () {
+      const file = path.join(dir, "hardhat.json");
+      writeIndex(file, index);
+      const out = path.join(dir, "report");
+
+      await run("exchange:report", { index: file, format: "csv", out });
+      const volume = fs.readFileSync(path.join(out, "volume.csv"), "utf8").split("\n");
+      expect(volume[0]).to.equal("token,symbol,trades,bought,sold,swappedIn,swappedOut,ethIn,ethOut,netEth");
+      expect(volume[1]).to.equal(`${token.address},SIMP,3,10.0,5.0,2.0,0.0,0.1,0.05,0.05`);
+      for (const table of ["flows", "fees", "inventory", "rates"]) {
+        expect(fs.existsSync(path.join(out, `${table}.csv`))).to.equal(true);
+      }
+
+      await run("exchange:report", { index: file, out });
+      const report = JSON.parse(fs.readFileSync(path.join(out, "report.json"), "utf8"));
+      expect(report.exchange).to.equal(exchange.address);
+    });
+
+    it("Should validate the report options", async function () {
+      const file = path.join(dir, "hardhat.json");
+      writeIndex(file, index);
+      const expectRejection = async (args, message) => {
+        let error;
+        try {
+          await run("exchange:report", args);
+        } catch (e) {
+          error = e;
+        }
+        expect(error, "expected the task to fail").to.be.an("error");
+        expect(error.message).to.include(message);
+      };
+
+      await expectRejection({ index: file, format: "xml" }, "Unknown format");
+      await expectRejection({ index: file, format: "csv", table: "trades" }, "Unknown table");
+      await expectRejection({ index: file, from: "yesterday" }, "Invalid --from");
+      await expectRejection({ index: path.join(dir, "missing.json") }, "run scripts/indexer.js first");
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+const { findExecutableOrders, fillOrders, startKeeper } = require("../scripts/lib/keeper");
+
+describe("Limit order keeper", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let orderBook;
+  let owner;
+  let addr1;
+
+  const tokenRate = ethers.utils.parseEther("0.01");
+  const lowRate = ethers.utils.parseEther("0.008");
+  const highRate = ethers.utils.parseEther("0.012");
+  const amount = ethers.utils.parseEther("10");
+
+  async function waitFor(condition, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!await condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for the keeper");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(ethers.utils.parseEther("1000"));
+    exchange = await ExchangeOffice.deploy();
+    const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+    orderBook = await LimitOrderBook.deploy(exchange.address);
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    await token.approve(exchange.address, ethers.utils.parseEther("100"));
+    await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    await token.transfer(addr1.address, ethers.utils.parseEther("100"));
+    await token.connect(addr1).approve(orderBook.address, ethers.constants.MaxUint256);
+    await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: lowRate.mul(10) });
+    await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+  });
+
+  it("Should find only orders whose limit is reached", async function () {
+    expect(await findExecutableOrders(orderBook)).to.deep.equal([]);
+
+    await exchange.setRate(token.address, lowRate);
+    expect(await findExecutableOrders(orderBook)).to.deep.equal([0]);
+    expect(await findExecutableOrders(orderBook, { token: owner.address })).to.deep.equal([]);
+
+    await exchange.setRates(token.address, highRate, highRate);
+    expect(await findExecutableOrders(orderBook, { pageSize: 1 })).to.deep.equal([1]);
+  });
+
+  it("Should fill executable orders", async function () {
+    await exchange.setRate(token.address, lowRate);
+
+    const filled = await fillOrders(orderBook);
+
+    expect(filled.map((fill) => fill.orderId)).to.deep.equal([0]);
+    expect((await orderBook.getOrder(0)).status).to.equal(1);
+    expect(await findExecutableOrders(orderBook)).to.deep.equal([]);
+  });
+
+  it("Should skip orders that would revert", async function () {
+    await exchange.setFees(token.address, 100, 0);
+    await exchange.setRate(token.address, lowRate);
+    const log = [];
+
+    expect(await fillOrders(orderBook, { log: (message) => log.push(message) })).to.deep.equal([]);
+    expect(log).to.deep.equal(["Skipping order 0: Price above maximum"]);
+  });
+
+  it("Should fill orders when the exchange emits RateSet", async function () {
+    // A provider of our own, so event polling can be sped up for the test
+    const provider = new ethers.providers.Web3Provider(network.provider);
+    provider.pollingInterval = 50;
+    const keeper = startKeeper({
+      exchange: exchange.connect(provider),
+      orderBook: orderBook.connect(provider.getSigner(owner.address))
+    });
+    try {
+      await exchange.setRate(token.address, highRate);
+      await waitFor(async () => (await orderBook.getOrder(1)).status === 1);
+    } finally {
+      await keeper.stop();
+    }
+    expect((await orderBook.getOrder(0)).status).to.equal(0);
+  });
+});
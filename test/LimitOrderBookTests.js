@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+
+describe("LimitOrderBook", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let orderBook;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+  const tokenRate = ethers.utils.parseEther("0.01");
+  const lowRate = ethers.utils.parseEther("0.008");
+  const highRate = ethers.utils.parseEther("0.012");
+  const amount = ethers.utils.parseEther("10");
+
+  const OPEN = 0;
+  const FILLED = 1;
+  const CANCELLED = 2;
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+
+    const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+    orderBook = await LimitOrderBook.deploy(exchange.address);
+    await orderBook.deployed();
+    await exchange.grantRole(await exchange.ROUTER_ROLE(), orderBook.address);
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    const supplyAmount = ethers.utils.parseEther("100");
+    await token.approve(exchange.address, supplyAmount);
+    await exchange.supplyToken(token.address, supplyAmount);
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    await token.transfer(addr1.address, ethers.utils.parseEther("100"));
+    await token.connect(addr1).approve(orderBook.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Placing orders", function () {
+    it("Should escrow ETH for a buy order and emit OrderPlaced", async function () {
+      const escrow = ethers.utils.parseEther("0.08");
+
+      await expect(orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: escrow }))
+          .to.emit(orderBook, "OrderPlaced")
+          .withArgs(0, addr1.address, token.address, true, amount, lowRate, escrow);
+
+      expect(await ethers.provider.getBalance(orderBook.address)).to.equal(escrow);
+      const order = await orderBook.getOrder(0);
+      expect(order.owner).to.equal(addr1.address);
+      expect(order.isBuy).to.equal(true);
+      expect(order.status).to.equal(OPEN);
+      expect(order.escrow).to.equal(escrow);
+    });
+
+    it("Should escrow tokens for a sell order", async function () {
+      await expect(orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate))
+          .to.emit(orderBook, "OrderPlaced")
+          .withArgs(0, addr1.address, token.address, false, amount, highRate, amount);
+
+      expect(await token.balanceOf(orderBook.address)).to.equal(amount);
+    });
+
+    it("Should escrow what arrives for fee-on-transfer tokens", async function () {
+      const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+      const feeToken = await FeeOnTransferToken.deploy(100); // 1%
+      await feeToken.mint(addr1.address, amount);
+      await exchange.listToken(feeToken.address, "FOT", 18, 0, 0);
+      await exchange.setRate(feeToken.address, tokenRate);
+      await feeToken.connect(addr1).approve(orderBook.address, amount);
+
+      await orderBook.connect(addr1).placeSellOrder(feeToken.address, amount, highRate);
+
+      const order = await orderBook.getOrder(0);
+      expect(order.amount).to.equal(amount.mul(99).div(100));
+      expect(order.escrow).to.equal(amount.mul(99).div(100));
+    });
+
+    it("Should validate new orders", async function () {
+      await expect(orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate))
+          .to.be.revertedWith("Escrow must be greater than 0");
+      await expect(orderBook.connect(addr1).placeBuyOrder(token.address, 0, lowRate, { value: 1 }))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(orderBook.connect(addr1).placeSellOrder(token.address, 0, highRate))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(orderBook.connect(addr1).placeSellOrder(token.address, amount, 0))
+          .to.be.revertedWith("Rate must be greater than 0");
+      await expect(orderBook.connect(addr1).placeBuyOrder(addr2.address, amount, lowRate, { value: 1 }))
+          .to.be.revertedWith("Token not supported");
+    });
+
+    it("Should refuse ETH from anyone but the exchange", async function () {
+      // A plain call returns the revert data rather than rejecting, so decode the reason from it
+      const data = await owner.call({ to: orderBook.address, value: 1 });
+      expect(ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0])
+          .to.equal("Only the exchange can send ETH");
+    });
+  });
+
+  describe("Cancelling orders", function () {
+    it("Should return the ETH escrow of a buy order", async function () {
+      const escrow = ethers.utils.parseEther("0.08");
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: escrow });
+
+      await expect(() => orderBook.connect(addr1).cancelOrder(0))
+          .to.changeEtherBalances([addr1, orderBook], [escrow, escrow.mul(-1)]);
+      expect((await orderBook.getOrder(0)).status).to.equal(CANCELLED);
+    });
+
+    it("Should return the token escrow of a sell order", async function () {
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+
+      await expect(orderBook.connect(addr1).cancelOrder(0))
+          .to.emit(orderBook, "OrderCancelled")
+          .withArgs(0);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should only let the owner cancel an open order", async function () {
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+
+      await expect(orderBook.connect(addr2).cancelOrder(0))
+          .to.be.revertedWith("Caller is not the order owner");
+      await orderBook.connect(addr1).cancelOrder(0);
+      await expect(orderBook.connect(addr1).cancelOrder(0))
+          .to.be.revertedWith("Order not open");
+      await expect(orderBook.connect(addr1).cancelOrder(1))
+          .to.be.revertedWith("Unknown order");
+    });
+
+    it("Should let anyone return escrows to their owners once the exchange is shut down", async function () {
+      const escrow = ethers.utils.parseEther("0.08");
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: escrow });
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+      await exchange.initiateShutdown();
+
+      await expect(() => orderBook.connect(addr2).cancelOrder(0))
+          .to.changeEtherBalance(addr1, escrow);
+      await orderBook.connect(addr2).cancelOrder(1);
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("Should not take new orders once the exchange is shut down", async function () {
+      await exchange.initiateShutdown();
+
+      await expect(orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate))
+          .to.be.revertedWith("Contract is shut down");
+    });
+  });
+
+  describe("Executing orders", function () {
+    it("Should not execute before the limit is reached", async function () {
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: lowRate.mul(10) });
+
+      expect(await orderBook.isExecutable(0)).to.equal(false);
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.be.revertedWith("Limit not reached");
+    });
+
+    it("Should fill a buy order once the rate drops and refund the unspent escrow", async function () {
+      const escrow = ethers.utils.parseEther("0.1");
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: escrow });
+      await exchange.setRate(token.address, ethers.utils.parseEther("0.007"));
+      expect(await orderBook.isExecutable(0)).to.equal(true);
+
+      const cost = ethers.utils.parseEther("0.07");
+      await expect(() => orderBook.connect(addr2).executeOrder(0))
+          .to.changeEtherBalances([addr1, orderBook], [escrow.sub(cost), escrow.mul(-1)]);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("110"));
+      expect((await orderBook.getOrder(0)).status).to.equal(FILLED);
+    });
+
+    it("Should emit OrderExecuted with the executor, amount and cost", async function () {
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: lowRate.mul(10) });
+      await exchange.setRate(token.address, lowRate);
+
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.emit(orderBook, "OrderExecuted")
+          .withArgs(0, addr2.address, amount, lowRate.mul(10));
+    });
+
+    it("Should count fills against the order owner's daily volume, not the order book's", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("1"), 0, 0);
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+      await exchange.setRate(token.address, highRate);
+
+      await orderBook.connect(addr2).executeOrder(0);
+      expect(await exchange.dailyVolume(addr1.address)).to.equal(highRate.mul(10));
+      expect(await exchange.dailyVolume(orderBook.address)).to.equal(0);
+      expect(await exchange.dailyVolume(addr2.address)).to.equal(0);
+    });
+
+    it("Should fill a sell order once the rate rises", async function () {
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+      await exchange.setRate(token.address, highRate);
+
+      await expect(() => orderBook.connect(addr2).executeOrder(0))
+          .to.changeEtherBalance(addr1, highRate.mul(10));
+      expect(await token.balanceOf(exchange.address)).to.equal(ethers.utils.parseEther("110"));
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.be.revertedWith("Order not open");
+    });
+
+    it("Should pay sell orders after the exchange's sell fee", async function () {
+      await exchange.setFees(token.address, 0, 100);
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate);
+      await exchange.setRate(token.address, highRate);
+
+      await expect(() => orderBook.connect(addr2).executeOrder(0))
+          .to.changeEtherBalance(addr1, highRate.mul(10).mul(99).div(100));
+    });
+
+    it("Should fail a buy order whose escrow does not cover the price and fee", async function () {
+      await exchange.setFees(token.address, 100, 0);
+      await orderBook.connect(addr1).placeBuyOrder(token.address, amount, lowRate, { value: lowRate.mul(10) });
+      await exchange.setRate(token.address, lowRate);
+
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.be.revertedWith("Price above maximum");
+      expect((await orderBook.getOrder(0)).status).to.equal(OPEN);
+    });
+
+    it("Should not execute while the exchange is paused", async function () {
+      await orderBook.connect(addr1).placeSellOrder(token.address, amount, tokenRate);
+      await exchange.pause();
+
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should defer the payout when the owner rejects ETH", async function () {
+      const ContractWallet = await ethers.getContractFactory("ContractWallet");
+      const wallet = await ContractWallet.deploy();
+      await wallet.setRejectPayments(true);
+      await token.transfer(wallet.address, amount);
+      await wallet.execute(token.address, 0,
+          token.interface.encodeFunctionData("approve", [orderBook.address, amount]));
+      await wallet.execute(orderBook.address, 0,
+          orderBook.interface.encodeFunctionData("placeSellOrder", [token.address, amount, tokenRate]));
+
+      await expect(orderBook.connect(addr2).executeOrder(0))
+          .to.emit(orderBook, "PaymentDeferred")
+          .withArgs(wallet.address, tokenRate.mul(10));
+      expect(await orderBook.pendingWithdrawals(wallet.address)).to.equal(tokenRate.mul(10));
+
+      await wallet.setRejectPayments(false);
+      await wallet.execute(orderBook.address, 0, orderBook.interface.encodeFunctionData("claim"));
+      expect(await ethers.provider.getBalance(wallet.address)).to.equal(tokenRate.mul(10));
+    });
+  });
+
+  describe("Order book view", function () {
+    beforeEach(async function () {
+      for (let i = 0; i < 5; i++) {
+        await orderBook.connect(addr1).placeSellOrder(token.address, amount, highRate.add(i));
+      }
+    });
+
+    it("Should page through the orders", async function () {
+      expect(await orderBook.orderCount()).to.equal(5);
+
+      const first = await orderBook.getOrders(0, 2);
+      const last = await orderBook.getOrders(4, 2);
+      expect(first.map((order) => order.limitRate)).to.deep.equal([highRate, highRate.add(1)]);
+      expect(last.map((order) => order.limitRate)).to.deep.equal([highRate.add(4)]);
+      expect(await orderBook.getOrders(5, 2)).to.deep.equal([]);
+    });
+
+    it("Should cap the page size", async function () {
+      await expect(orderBook.getOrders(0, 101)).to.be.revertedWith("Page too large");
+    });
+  });
+});
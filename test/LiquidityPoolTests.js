@@ -0,0 +1,506 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+
+describe("LiquidityPool", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let pool;
+  let owner;
+  let addr1;
+  let addr2;
+  let trader;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+  const tokenRate = ethers.utils.parseEther("0.01");
+  const ownerTokens = ethers.utils.parseEther("100");
+  const ownerEth = ethers.utils.parseEther("10");
+  // 10 ETH plus 100 tokens at 0.01 ETH
+  const ownerValue = ethers.utils.parseEther("11");
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, trader] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+
+    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    pool = await LiquidityPool.deploy(exchange.address);
+    await pool.deployed();
+    await exchange.setLiquidityPool(pool.address);
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    await token.approve(exchange.address, ownerTokens);
+    await exchange.supplyToken(token.address, ownerTokens);
+    await owner.sendTransaction({ to: exchange.address, value: ownerEth });
+
+    for (const account of [addr1, addr2, trader]) {
+      await token.transfer(account.address, ethers.utils.parseEther("100"));
+      await token.connect(account).approve(pool.address, ethers.constants.MaxUint256);
+      await token.connect(account).approve(exchange.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  // Value of a withdrawal's ETH and tokens at the sell rate
+  async function withdrawalValue(shares) {
+    const [tokens, amounts, ethAmount] = await pool.previewWithdraw(shares);
+    let value = ethAmount;
+    for (let i = 0; i < tokens.length; i++) {
+      const [, sellRate] = await exchange.getRates(tokens[i]);
+      value = value.add(amounts[i].mul(sellRate).div(ethers.constants.WeiPerEther));
+    }
+    return value;
+  }
+
+  // Value of a withdrawal's ETH and tokens at what buying the tokens from the exchange would cost
+  async function withdrawalAskValue(shares) {
+    const [tokens, amounts, ethAmount] = await pool.previewWithdraw(shares);
+    let value = ethAmount;
+    for (let i = 0; i < tokens.length; i++) {
+      const [cost] = await exchange.quoteBuy(tokens[i], amounts[i]);
+      value = value.add(cost);
+    }
+    return value;
+  }
+
+  describe("Setup", function () {
+    it("Should be an ERC20 tied to its exchange", async function () {
+      expect(await pool.exchange()).to.equal(exchange.address);
+      expect(await pool.name()).to.equal("Exchange Office LP Share");
+      expect(await pool.symbol()).to.equal("EOLP");
+      expect(await pool.totalSupply()).to.equal(0);
+    });
+
+    it("Should value the exchange's inventory at the sell rates", async function () {
+      expect(await pool.totalValue()).to.equal(ownerValue);
+
+      await exchange.setRates(token.address, tokenRate, ethers.utils.parseEther("0.008"));
+      expect(await pool.totalValue()).to.equal(ethers.utils.parseEther("10.8"));
+    });
+
+    it("Should only be set by the owner and emit LiquidityPoolSet", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const newPool = await LiquidityPool.deploy(exchange.address);
+      await expect(exchange.setLiquidityPool(newPool.address))
+          .to.emit(exchange, "LiquidityPoolSet")
+          .withArgs(newPool.address);
+      expect(await exchange.liquidityPool()).to.equal(newPool.address);
+
+      await expect(exchange.connect(addr1).setLiquidityPool(pool.address))
+          .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should only accept a pool built for the exchange", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const otherExchange = await ExchangeOffice.deploy();
+      const otherPool = await LiquidityPool.deploy(otherExchange.address);
+
+      await expect(exchange.callStatic.setLiquidityPool(otherPool.address))
+          .to.be.revertedWith("Pool is for another exchange");
+    });
+
+    it("Should not replace or detach a pool with shares outstanding", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const newPool = await LiquidityPool.deploy(exchange.address);
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+
+      await expect(exchange.callStatic.setLiquidityPool(newPool.address))
+          .to.be.revertedWith("Liquidity pool has shares");
+      await expect(exchange.callStatic.setLiquidityPool(ethers.constants.AddressZero))
+          .to.be.revertedWith("Liquidity pool has shares");
+
+      // Once every share is redeemed the pool can go
+      await pool.connect(addr1).withdraw(await pool.balanceOf(addr1.address));
+      await pool.withdraw(await pool.balanceOf(owner.address));
+      await expect(exchange.setLiquidityPool(newPool.address))
+          .to.emit(exchange, "LiquidityPoolSet");
+    });
+
+    it("Should not change the pool after a shutdown", async function () {
+      await exchange.initiateShutdown();
+
+      await expect(exchange.callStatic.setLiquidityPool(ethers.constants.AddressZero))
+          .to.be.revertedWith("Contract is shut down");
+    });
+
+    it("Should not delist a token with pooled reserves", async function () {
+      await expect(exchange.delistToken(token.address))
+          .to.be.revertedWith("Token has pooled reserves");
+
+      await exchange.withdrawToken(token.address, ownerTokens);
+      await expect(exchange.delistToken(token.address))
+          .to.emit(exchange, "TokenDelisted");
+    });
+
+    it("Should only let the pool release inventory", async function () {
+      await expect(exchange.connect(addr1).releaseLiquidity(ethers.constants.AddressZero, addr1.address, 1))
+          .to.be.revertedWith("Caller is not the liquidity pool");
+      await expect(exchange.releaseLiquidity(token.address, owner.address, 1))
+          .to.be.revertedWith("Caller is not the liquidity pool");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should credit existing inventory to the owner on the first deposit", async function () {
+      const deposit = ethers.utils.parseEther("1");
+
+      const tx = await pool.connect(addr1).depositEth(0, { value: deposit });
+      await expect(tx).to.emit(pool, "OwnerSharesMinted").withArgs(owner.address, ownerValue);
+      await expect(tx)
+          .to.emit(pool, "Deposited")
+          .withArgs(addr1.address, ethers.constants.AddressZero, deposit, deposit, deposit);
+
+      expect(await pool.balanceOf(owner.address)).to.equal(ownerValue);
+      expect(await pool.balanceOf(addr1.address)).to.equal(deposit);
+      expect(await ethers.provider.getBalance(exchange.address)).to.equal(ownerEth.add(deposit));
+      expect(await ethers.provider.getBalance(pool.address)).to.equal(0);
+      expect(await pool.totalValue()).to.equal(ownerValue.add(deposit));
+    });
+
+    it("Should send deposited tokens to the exchange, valued at the sell rate", async function () {
+      await exchange.setRates(token.address, ethers.utils.parseEther("0.012"), tokenRate);
+      const amount = ethers.utils.parseEther("10");
+      const value = ethers.utils.parseEther("0.1");
+
+      await expect(pool.connect(addr1).depositToken(token.address, amount, 0))
+          .to.emit(pool, "Deposited")
+          .withArgs(addr1.address, token.address, amount, value, value);
+
+      expect(await token.balanceOf(exchange.address)).to.equal(ownerTokens.add(amount));
+      expect(await pool.balanceOf(addr1.address)).to.equal(value);
+    });
+
+    it("Should add deposits to the exchange's reserves and leave stray balances out", async function () {
+      await addr2.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("1") });
+      await token.connect(addr2).transfer(exchange.address, ethers.utils.parseEther("50"));
+      expect(await pool.totalValue()).to.equal(ownerValue);
+
+      const amount = ethers.utils.parseEther("10");
+      await expect(pool.connect(addr1).depositToken(token.address, amount, 0))
+          .to.emit(exchange, "TokensSupplied")
+          .withArgs(token.address, amount);
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+
+      const reserves = await exchange.getReserves(token.address);
+      expect(reserves.tokenReserve).to.equal(ownerTokens.add(amount));
+      expect(reserves.ethReserve).to.equal(ownerEth.add(ethers.utils.parseEther("1")));
+      expect(await token.balanceOf(pool.address)).to.equal(0);
+    });
+
+    it("Should mint fewer shares once the pool has gained value", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      // ETH sent to the pool is shared like fees, doubling the value of every share
+      await addr2.sendTransaction({ to: pool.address, value: ethers.utils.parseEther("12") });
+
+      await pool.connect(addr2).depositEth(0, { value: ethers.utils.parseEther("1") });
+      expect(await pool.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("Should value the pool at its ask and deposits at what the exchange pays for them", async function () {
+      await exchange.setRates(token.address, ethers.utils.parseEther("0.012"), tokenRate);
+      await exchange.setFees(token.address, 100, 100);
+      // 10 ETH plus 100 tokens at 0.012 ETH and a 1% buy fee
+      const askValue = ethers.utils.parseEther("11.212");
+      expect(await pool.totalAskValue()).to.equal(askValue);
+
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      expect(await pool.balanceOf(owner.address)).to.equal(askValue);
+      expect(await pool.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1"));
+
+      // 10 tokens sell for 0.1 ETH less the 1% sell fee
+      const amount = ethers.utils.parseEther("10");
+      const value = ethers.utils.parseEther("0.099");
+      await expect(pool.connect(addr2).depositToken(token.address, amount, 0))
+          .to.emit(pool, "Deposited")
+          .withArgs(addr2.address, token.address, amount, value, value);
+    });
+
+    it("Should keep the same value when a feed halts the token", async function () {
+      const MockAggregator = await ethers.getContractFactory("MockAggregator");
+      const feed = await MockAggregator.deploy(18, tokenRate);
+      await exchange.setPriceFeed(token.address, feed.address, 3600, 500, false);
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+
+      await feed.setRevertReads(true);
+      await expect(exchange.getRates(token.address)).to.be.revertedWith("Oracle price unavailable");
+      // The halted token is valued at its manual rate
+      expect(await pool.totalValue()).to.equal(ownerValue.add(ethers.utils.parseEther("1")));
+
+      await pool.connect(addr2).depositEth(0, { value: ethers.utils.parseEther("1") });
+      expect(await pool.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("1"));
+      await expect(pool.connect(addr1).withdraw(await pool.balanceOf(addr1.address)))
+          .to.emit(pool, "Withdrawn");
+    });
+
+    it("Should validate deposits", async function () {
+      await expect(pool.connect(addr1).depositEth(0, { value: 0 }))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(pool.connect(addr1).depositToken(token.address, 0, 0))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await expect(pool.connect(addr1).depositToken(addr2.address, 1, 0))
+          .to.be.revertedWith("Token not supported");
+      await expect(pool.connect(addr1).depositEth(ethers.utils.parseEther("2"), { value: ethers.utils.parseEther("1") }))
+          .to.be.revertedWith("Shares below minimum");
+    });
+
+    it("Should not accept deposits while the exchange is paused", async function () {
+      await exchange.pause();
+
+      await expect(pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") }))
+          .to.be.revertedWith("Pausable: paused");
+      await expect(pool.connect(addr1).depositToken(token.address, ethers.utils.parseEther("1"), 0))
+          .to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should only accept deposits while attached to the exchange", async function () {
+      await exchange.setLiquidityPool(ethers.constants.AddressZero);
+
+      await expect(pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") }))
+          .to.be.revertedWith("Pool not attached");
+      await expect(pool.connect(addr1).depositToken(token.address, ethers.utils.parseEther("1"), 0))
+          .to.be.revertedWith("Pool not attached");
+    });
+  });
+
+  describe("Owner additions", function () {
+    it("Should mint the owner shares for tokens supplied after the first deposit", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      const shares = await pool.balanceOf(addr1.address);
+      const amount = ethers.utils.parseEther("50");
+      await token.approve(exchange.address, amount);
+
+      // 50 tokens at 0.01 ETH in a pool of 12 shares worth 1 ETH each
+      await expect(exchange.supplyToken(token.address, amount))
+          .to.emit(pool, "OwnerSharesMinted")
+          .withArgs(owner.address, ethers.utils.parseEther("0.5"));
+
+      // The provider's claim is unchanged and the owner can take the addition back out
+      expect(await withdrawalValue(shares)).to.be.closeTo(ethers.utils.parseEther("1"), 2);
+      await exchange.withdrawToken(token.address, amount);
+      expect(await pool.balanceOf(owner.address)).to.equal(ownerValue);
+
+      const tokensBefore = await token.balanceOf(addr1.address);
+      await pool.connect(addr1).withdraw(shares);
+      const tokensOut = (await token.balanceOf(addr1.address)).sub(tokensBefore);
+      // 1/12 of the owner's 100 tokens, none of the 50 supplied and withdrawn
+      expect(tokensOut).to.equal(ownerTokens.div(12));
+    });
+
+    it("Should mint the owner shares for ETH sent and reserves synced", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      const shares = await pool.balanceOf(addr1.address);
+
+      await expect(owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("6") }))
+          .to.emit(pool, "OwnerSharesMinted")
+          .withArgs(owner.address, ethers.utils.parseEther("6"));
+
+      await token.transfer(exchange.address, ethers.utils.parseEther("20"));
+      await expect(exchange.sync(token.address))
+          .to.emit(pool, "OwnerSharesMinted")
+          .withArgs(owner.address, ethers.utils.parseEther("0.2"));
+
+      expect(await pool.balanceOf(owner.address)).to.equal(ethers.utils.parseEther("17.2"));
+      expect(await withdrawalValue(shares)).to.be.closeTo(ethers.utils.parseEther("1"), 2);
+    });
+
+    it("Should only mint shares for the exchange", async function () {
+      await expect(pool.mintOwnerShares(ethers.constants.AddressZero, 1))
+          .to.be.revertedWith("Caller is not the exchange");
+    });
+  });
+
+  describe("Owner withdrawals", function () {
+    it("Should burn the owner's shares for what the owner withdraws", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      const shares = await pool.balanceOf(addr1.address);
+      // 12 ETH of value over 12 shares, so each share is worth 1 wei
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("5")))
+          .to.emit(pool, "OwnerSharesBurned")
+          .withArgs(owner.address, ethers.utils.parseEther("5"));
+      await expect(exchange.withdrawToken(token.address, ethers.utils.parseEther("50")))
+          .to.emit(pool, "OwnerSharesBurned")
+          .withArgs(owner.address, ethers.utils.parseEther("0.5"));
+
+      expect(await pool.balanceOf(owner.address)).to.equal(ethers.utils.parseEther("5.5"));
+      expect(await withdrawalValue(shares)).to.be.closeTo(ethers.utils.parseEther("1"), 2);
+    });
+
+    it("Should not let the owner withdraw the providers' part", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("5") });
+
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("12")))
+          .to.be.revertedWith("Withdrawal exceeds owner's shares");
+
+      // Shares the owner gave away no longer cover withdrawals
+      await pool.transfer(addr2.address, ethers.utils.parseEther("10.5"));
+      await expect(exchange.withdrawToken(token.address, ethers.utils.parseEther("100")))
+          .to.be.revertedWith("Withdrawal exceeds owner's shares");
+    });
+
+    it("Should leave the owner's withdrawals alone before the first deposit and after the grace period", async function () {
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("1")))
+          .not.to.emit(pool, "OwnerSharesBurned");
+
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      await exchange.initiateShutdown();
+      await ethers.provider.send("evm_increaseTime", [(await exchange.SHUTDOWN_GRACE_PERIOD()).toNumber()]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(exchange.withdrawETH(ethers.utils.parseEther("10")))
+          .not.to.emit(pool, "OwnerSharesBurned");
+    });
+
+    it("Should only burn shares for the exchange", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+
+      await expect(pool.burnOwnerShares(ethers.constants.AddressZero, 1))
+          .to.be.revertedWith("Caller is not the exchange");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should pay out the same fraction of ETH and of each token", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      const shares = await pool.balanceOf(addr1.address);
+      const supply = await pool.totalSupply();
+      const ethHeld = await ethers.provider.getBalance(exchange.address);
+      const expectedEth = ethHeld.mul(shares).div(supply);
+      const expectedTokens = ownerTokens.mul(shares).div(supply);
+      const tokensBefore = await token.balanceOf(addr1.address);
+
+      const tx = await pool.connect(addr1).withdraw(shares);
+      await expect(tx).to.emit(pool, "Withdrawn").withArgs(addr1.address, shares, expectedEth);
+      await expect(tx).to.emit(exchange, "LiquidityReleased").withArgs(token.address, addr1.address, expectedTokens);
+      await expect(tx).to.changeEtherBalance(addr1, expectedEth);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(tokensBefore.add(expectedTokens));
+      expect(await pool.balanceOf(addr1.address)).to.equal(0);
+      // 1 ETH in, paid back as ETH and tokens worth 1 ETH less rounding
+      expect(expectedEth.add(expectedTokens.mul(tokenRate).div(ethers.constants.WeiPerEther)))
+          .to.be.closeTo(ethers.utils.parseEther("1"), 2);
+    });
+
+    it("Should keep every provider's claim correct across deposits and trades", async function () {
+      // Buying at 0.012 and selling at 0.01 leaves the spread with the pool
+      await exchange.setRates(token.address, ethers.utils.parseEther("0.012"), tokenRate);
+      const ethDeposit = ethers.utils.parseEther("2");
+      const tokenDeposit = ethers.utils.parseEther("50");
+      await pool.connect(addr1).depositEth(0, { value: ethDeposit });
+      await pool.connect(addr2).depositToken(token.address, tokenDeposit, 0);
+      const addr1Shares = await pool.balanceOf(addr1.address);
+      const addr2Shares = await pool.balanceOf(addr2.address);
+
+      const valueBefore = await pool.totalValue();
+      const addr1ValueBefore = await withdrawalValue(addr1Shares);
+      const addr2ValueBefore = await withdrawalValue(addr2Shares);
+      const traded = ethers.utils.parseEther("40");
+      await exchange.connect(trader).buy(token.address, traded, { value: ethers.utils.parseEther("0.48") });
+      await exchange.connect(trader).sell(token.address, traded);
+      // The round trip left 40 * (0.012 - 0.01) = 0.08 ETH with the pool
+      expect(await pool.totalValue()).to.equal(valueBefore.add(ethers.utils.parseEther("0.08")));
+
+      const addr1Value = await withdrawalValue(addr1Shares);
+      const addr2Value = await withdrawalValue(addr2Shares);
+      expect(addr1Value).to.be.gt(addr1ValueBefore);
+      expect(addr2Value).to.be.gt(addr2ValueBefore);
+      await pool.connect(addr1).withdraw(addr1Shares);
+      await pool.connect(addr2).withdraw(addr2Shares);
+      await pool.withdraw(await pool.balanceOf(owner.address));
+
+      // Only rounding dust is left behind
+      expect(await pool.totalSupply()).to.equal(0);
+      expect(await ethers.provider.getBalance(exchange.address)).to.be.lte(3);
+      expect(await token.balanceOf(exchange.address)).to.be.lte(3);
+    });
+
+    it("Should not let a deposit and withdrawal trade below the exchange's rates", async function () {
+      await exchange.setRates(token.address, ethers.utils.parseEther("0.012"), tokenRate);
+      await exchange.setFees(token.address, 100, 100);
+      const deposit = ethers.utils.parseEther("1");
+
+      // ETH in, tokens out: the tokens cost at least as much as buying them from the exchange
+      await pool.connect(addr1).depositEth(0, { value: deposit });
+      const ethShares = await pool.balanceOf(addr1.address);
+      // quoteBuy rounds the cost up, so allow for 1 wei
+      expect(await withdrawalAskValue(ethShares)).to.be.lte(deposit.add(1));
+      await pool.connect(addr1).withdraw(ethShares);
+
+      // Tokens in, ETH out: no more ETH than selling the tokens to the exchange pays
+      const amount = ethers.utils.parseEther("50");
+      await pool.connect(addr2).depositToken(token.address, amount, 0);
+      const tokenShares = await pool.balanceOf(addr2.address);
+      const [tokens, amounts, ethAmount] = await pool.previewWithdraw(tokenShares);
+      expect(tokens).to.deep.equal([token.address]);
+      const [proceeds] = await exchange.quoteSell(token.address, amount.sub(amounts[0]));
+      expect(ethAmount).to.be.lte(proceeds);
+    });
+
+    it("Should not pay out ETH owed as fees", async function () {
+      await exchange.setFees(token.address, 100, 100);
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.101") });
+      const fees = await exchange.accruedFees();
+
+      await pool.connect(addr1).withdraw(await pool.balanceOf(addr1.address));
+      await pool.withdraw(await pool.balanceOf(owner.address));
+
+      expect(await ethers.provider.getBalance(exchange.address)).to.be.closeTo(fees, 2);
+      await exchange.claimFees();
+    });
+
+    it("Should share fees claimed to the pool with every provider", async function () {
+      await exchange.setFees(token.address, 100, 100);
+      await exchange.setFeeRecipients([pool.address, owner.address], [5000, 5000]);
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.101") });
+      const valueBefore = await pool.totalValue();
+
+      await expect(exchange.claimFees())
+          .to.emit(pool, "FeesReceived")
+          .withArgs(ethers.utils.parseEther("0.0005"));
+      expect(await pool.totalValue()).to.equal(valueBefore.add(ethers.utils.parseEther("0.0005")));
+      expect(await ethers.provider.getBalance(pool.address)).to.equal(0);
+    });
+
+    it("Should let providers withdraw while the exchange is paused or shut down", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      await pool.connect(addr2).depositEth(0, { value: ethers.utils.parseEther("1") });
+
+      await exchange.pause();
+      await pool.connect(addr1).withdraw(await pool.balanceOf(addr1.address));
+
+      await exchange.unpause();
+      await exchange.initiateShutdown();
+      await pool.connect(addr2).withdraw(await pool.balanceOf(addr2.address));
+      expect(await pool.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    it("Should let shares change hands", async function () {
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      const shares = await pool.balanceOf(addr1.address);
+      await pool.connect(addr1).transfer(addr2.address, shares);
+
+      await expect(pool.connect(addr1).withdraw(shares))
+          .to.be.revertedWith("ERC20: burn amount exceeds balance");
+      await expect(pool.connect(addr2).withdraw(shares))
+          .to.emit(pool, "Withdrawn");
+    });
+
+    it("Should validate withdrawals", async function () {
+      await expect(pool.connect(addr1).withdraw(0))
+          .to.be.revertedWith("Amount must be greater than 0");
+      await pool.connect(addr1).depositEth(0, { value: ethers.utils.parseEther("1") });
+      await expect(pool.connect(addr1).withdraw(ethers.utils.parseEther("100")))
+          .to.be.revertedWith("Shares exceed supply");
+    });
+  });
+});
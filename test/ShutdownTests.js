@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+
+describe("Shutdown lifecycle", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let pool;
+  let orderBook;
+  let relay;
+  let wallet;
+  let owner;
+  let trader;
+  let provider;
+  let keeper;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+  const tokenRate = ethers.utils.parseEther("0.01");
+  const gracePeriod = 30 * 24 * 3600;
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, trader, provider, keeper] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+
+    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    pool = await LiquidityPool.deploy(exchange.address);
+    const LimitOrderBook = await ethers.getContractFactory("LimitOrderBook");
+    orderBook = await LimitOrderBook.deploy(exchange.address);
+    const SignedOrderRelay = await ethers.getContractFactory("SignedOrderRelay");
+    relay = await SignedOrderRelay.deploy(exchange.address);
+    const ContractWallet = await ethers.getContractFactory("ContractWallet");
+    wallet = await ContractWallet.deploy();
+    await exchange.setLiquidityPool(pool.address);
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    await exchange.setFees(token.address, 100, 0);
+    await token.approve(exchange.address, ethers.utils.parseEther("100"));
+    await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    await token.transfer(trader.address, ethers.utils.parseEther("100"));
+    await token.connect(trader).approve(exchange.address, ethers.constants.MaxUint256);
+    await token.connect(trader).approve(orderBook.address, ethers.constants.MaxUint256);
+  });
+
+  // Trading before the shutdown: a provider in the pool, open orders, a relay deposit, a deferred payout
+  async function trade() {
+    await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.101") });
+    await exchange.connect(trader).sell(token.address, ethers.utils.parseEther("5"));
+    await pool.connect(provider).depositEth(0, { value: ethers.utils.parseEther("1") });
+    await orderBook.connect(trader).placeBuyOrder(token.address, ethers.utils.parseEther("10"), ethers.utils.parseEther("0.008"),
+        { value: ethers.utils.parseEther("0.09") });
+    await orderBook.connect(trader).placeSellOrder(token.address, ethers.utils.parseEther("10"), ethers.utils.parseEther("0.012"));
+    await relay.connect(trader).deposit({ value: ethers.utils.parseEther("0.5") });
+
+    await token.transfer(wallet.address, ethers.utils.parseEther("1"));
+    await wallet.execute(token.address, 0, token.interface.encodeFunctionData("approve", [exchange.address, ethers.constants.MaxUint256]));
+    await wallet.setRejectPayments(true);
+    await wallet.execute(exchange.address, 0, exchange.interface.encodeFunctionData("sell", [token.address, ethers.utils.parseEther("1")]));
+    await wallet.setRejectPayments(false);
+  }
+
+  async function endGracePeriod() {
+    await ethers.provider.send("evm_increaseTime", [gracePeriod]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  it("Should wind down from trading to the final sweep", async function () {
+    await trade();
+    await exchange.initiateShutdown();
+
+    // Trading and new positions stop
+    await expect(exchange.connect(trader).buy(token.address, 1, { value: tokenRate }))
+        .to.be.revertedWith("Pausable: paused");
+    await expect(pool.connect(provider).depositEth(0, { value: 1 }))
+        .to.be.revertedWith("Pausable: paused");
+
+    const state = await exchange.getShutdownState();
+    expect(state.pendingEth).to.equal(tokenRate);
+    expect(state.feesEth).to.equal(ethers.utils.parseEther("0.001"));
+    expect(state.liquidityShares).to.equal(await pool.totalSupply());
+
+    // Everyone takes back what they are owed during the grace period
+    await expect(() => orderBook.connect(keeper).cancelOrder(0))
+        .to.changeEtherBalance(trader, ethers.utils.parseEther("0.09"));
+    await orderBook.connect(keeper).cancelOrder(1);
+    await relay.connect(trader).withdraw(ethers.utils.parseEther("0.5"));
+    await wallet.execute(exchange.address, 0, exchange.interface.encodeFunctionData("claim"));
+    expect(await wallet.totalReceived()).to.equal(tokenRate);
+
+    const shares = await pool.balanceOf(provider.address);
+    const [, , providerEth] = await pool.previewWithdraw(shares);
+    await expect(() => pool.connect(provider).withdraw(shares))
+        .to.changeEtherBalance(provider, providerEth);
+    expect(await token.balanceOf(provider.address)).to.be.gt(0);
+    await exchange.claimFees();
+
+    const obligations = await exchange.getShutdownState();
+    expect(obligations.pendingEth).to.equal(0);
+    expect(obligations.feesEth).to.equal(0);
+    expect(obligations.liquidityShares).to.equal(await pool.balanceOf(owner.address));
+
+    // The owner sweeps what is left once the grace period is over
+    const ethLeft = await ethers.provider.getBalance(exchange.address);
+    const tokensLeft = await token.balanceOf(exchange.address);
+    await expect(exchange.withdrawETH(ethLeft)).to.be.revertedWith("Grace period not over");
+    await endGracePeriod();
+
+    await expect(() => exchange.withdrawETH(ethLeft)).to.changeEtherBalance(owner, ethLeft);
+    await exchange.withdrawToken(token.address, tokensLeft);
+    expect(await ethers.provider.getBalance(exchange.address)).to.equal(0);
+    expect(await token.balanceOf(exchange.address)).to.equal(0);
+  });
+
+  it("Should keep late claims payable after the sweep", async function () {
+    await trade();
+    await exchange.initiateShutdown();
+    await endGracePeriod();
+
+    const available = (await ethers.provider.getBalance(exchange.address))
+        .sub(await exchange.accruedFees())
+        .sub(await exchange.totalPendingWithdrawals());
+    await exchange.withdrawETH(available);
+    await expect(exchange.withdrawETH(1)).to.be.revertedWith("Insufficient ETH balance");
+
+    await wallet.execute(exchange.address, 0, exchange.interface.encodeFunctionData("claim"));
+    expect(await wallet.totalReceived()).to.equal(tokenRate);
+    await exchange.claimFees();
+    expect(await ethers.provider.getBalance(exchange.address)).to.equal(0);
+  });
+
+  it("Should count the grace period from a shutdown executed by the multisig", async function () {
+    const [, , , , approver] = await ethers.getSigners();
+    await exchange.setApprovers([owner.address, approver.address], 2);
+
+    const data = exchange.interface.encodeFunctionData("initiateShutdown");
+    const id = await exchange.callStatic.propose(data);
+    await exchange.propose(data);
+    await exchange.connect(approver).approve(id);
+    await exchange.execute(id);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+
+    expect((await exchange.getShutdownState()).sweepableAt).to.equal(timestamp + gracePeriod);
+    const withdrawal = exchange.interface.encodeFunctionData("withdrawETH", [1]);
+    const withdrawalId = await exchange.callStatic.propose(withdrawal);
+    await exchange.propose(withdrawal);
+    await exchange.connect(approver).approve(withdrawalId);
+    await expect(exchange.execute(withdrawalId)).to.be.revertedWith("Grace period not over");
+  });
+});
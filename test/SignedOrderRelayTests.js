@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getExchangeOfficeFactory } = require("../scripts/lib/deployment");
+const { signOrder, signPermit, recoverOrderSigner, buildOrderTypedData } = require("../sdk");
+
+describe("SignedOrderRelay", function () {
+  let ExchangeOffice;
+  let token;
+  let exchange;
+  let relay;
+  let owner;
+  let trader;
+  let relayer;
+  let deadline;
+
+  const initialSupply = ethers.utils.parseEther("1000");
+  const tokenRate = ethers.utils.parseEther("0.01");
+  const relayerFee = ethers.utils.parseEther("0.001");
+
+  before(async function () {
+    ExchangeOffice = await getExchangeOfficeFactory(ethers);
+  });
+
+  beforeEach(async function () {
+    [owner, trader, relayer] = await ethers.getSigners();
+
+    const SimpleToken = await ethers.getContractFactory("SimpleToken");
+    token = await SimpleToken.deploy(initialSupply);
+    await token.deployed();
+
+    exchange = await ExchangeOffice.deploy();
+    await exchange.deployed();
+
+    const SignedOrderRelay = await ethers.getContractFactory("SignedOrderRelay");
+    relay = await SignedOrderRelay.deploy(exchange.address);
+    await relay.deployed();
+    await exchange.grantRole(await exchange.ROUTER_ROLE(), relay.address);
+
+    await exchange.listToken(token.address, "SIMP", 18, 0, 0);
+    await exchange.setRate(token.address, tokenRate);
+    await token.approve(exchange.address, ethers.utils.parseEther("100"));
+    await exchange.supplyToken(token.address, ethers.utils.parseEther("100"));
+    await owner.sendTransaction({ to: exchange.address, value: ethers.utils.parseEther("10") });
+
+    await token.transfer(trader.address, ethers.utils.parseEther("100"));
+    deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+  });
+
+  function buyOrder(overrides = {}) {
+    return {
+      token: token.address,
+      isBuy: true,
+      amount: ethers.utils.parseEther("10"),
+      limit: ethers.utils.parseEther("0.12"),
+      relayerFee,
+      nonce: 0,
+      deadline,
+      ...overrides
+    };
+  }
+
+  function sellOrder(overrides = {}) {
+    return buyOrder({ isBuy: false, limit: ethers.utils.parseEther("0.1"), ...overrides });
+  }
+
+  describe("Signing", function () {
+    it("Should hash orders the way the contract does", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+      const { chainId } = await ethers.provider.getNetwork();
+      const typedData = buildOrderTypedData(relay.address, chainId, order);
+
+      expect(await relay.hashOrder(order))
+          .to.equal(ethers.utils._TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.value));
+      expect(recoverOrderSigner(relay.address, chainId, order, signature)).to.equal(trader.address);
+      expect(order.trader).to.equal(trader.address);
+    });
+  });
+
+  describe("Buy orders", function () {
+    beforeEach(async function () {
+      await relay.connect(trader).deposit({ value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should buy from the trader's deposit and pay the relayer", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+      const price = ethers.utils.parseEther("0.1");
+
+      const tx = relay.connect(relayer).executeOrder(order, signature);
+      await expect(tx)
+          .to.emit(relay, "OrderExecuted")
+          .withArgs(trader.address, 0, relayer.address, token.address, true, order.amount, price);
+      await expect(tx).to.emit(exchange, "TokensBought").withArgs(relay.address, token.address, order.amount, price);
+
+      expect(await token.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("110"));
+      // The unspent part of the limit stays deposited
+      expect(await relay.balances(trader.address)).to.equal(ethers.utils.parseEther("0.9").sub(relayerFee));
+      expect(await relay.nonceUsed(trader.address, 0)).to.equal(true);
+    });
+
+    it("Should send the relayer fee to the submitter", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+
+      await expect(() => relay.connect(relayer).executeOrder(order, signature))
+          .to.changeEtherBalance(relay, ethers.utils.parseEther("-0.1").sub(relayerFee));
+    });
+
+    it("Should fail when the deposit does not cover the limit and fee", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder({ limit: ethers.utils.parseEther("1") }));
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should fail when the price is above the limit", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder({ limit: ethers.utils.parseEther("0.09") }));
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Price above maximum");
+    });
+  });
+
+  describe("Sell orders", function () {
+    it("Should sell with a permit submitted by the relayer", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, sellOrder());
+      const permit = await signPermit(trader, token.address, relay.address, order.amount, deadline);
+
+      // The trader sends no transaction at all
+      await token.connect(relayer).permit(trader.address, relay.address, order.amount, deadline, permit.v, permit.r, permit.s);
+      const tx = await relay.connect(relayer).executeOrder(order, signature);
+      await expect(tx)
+          .to.emit(relay, "OrderExecuted")
+          .withArgs(trader.address, 0, relayer.address, token.address, false, order.amount, ethers.utils.parseEther("0.1"));
+      await expect(() => tx).to.changeEtherBalances([trader, relayer], [ethers.utils.parseEther("0.1").sub(relayerFee), relayerFee]);
+
+      expect(await token.balanceOf(trader.address)).to.equal(ethers.utils.parseEther("90"));
+    });
+
+    it("Should fail when the proceeds are below the limit", async function () {
+      await token.connect(trader).approve(relay.address, ethers.constants.MaxUint256);
+      const { order, signature } = await signOrder(trader, relay.address, sellOrder({ limit: ethers.utils.parseEther("0.11") }));
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should fail when the proceeds do not cover the relayer fee", async function () {
+      await token.connect(trader).approve(relay.address, ethers.constants.MaxUint256);
+      const { order, signature } = await signOrder(trader, relay.address, sellOrder({
+        amount: ethers.utils.parseEther("0.05"),
+        limit: 0
+      }));
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Proceeds below relayer fee");
+    });
+  });
+
+  describe("Validation", function () {
+    beforeEach(async function () {
+      await relay.connect(trader).deposit({ value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should reject orders not signed by their trader", async function () {
+      const { order } = await signOrder(trader, relay.address, buyOrder());
+      const { signature } = await signOrder(relayer, relay.address, { ...order, trader: trader.address });
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Invalid signature");
+      // Changing any field invalidates the trader's signature
+      const signed = await signOrder(trader, relay.address, buyOrder());
+      await expect(relay.connect(relayer).executeOrder({ ...signed.order, relayerFee: relayerFee.mul(2) }, signed.signature))
+          .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should not execute an order twice", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+      await relay.connect(relayer).executeOrder(order, signature);
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Nonce already used");
+    });
+
+    it("Should let the trader cancel an order by its nonce", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder({ nonce: 7 }));
+
+      await expect(relay.connect(trader).cancelOrder(7))
+          .to.emit(relay, "OrderCancelled")
+          .withArgs(trader.address, 7);
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Nonce already used");
+      await expect(relay.connect(trader).cancelOrder(7))
+          .to.be.revertedWith("Nonce already used");
+    });
+
+    it("Should not execute expired orders", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder({ deadline: 1 }));
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Transaction expired");
+    });
+  });
+
+  describe("Volume limits", function () {
+    beforeEach(async function () {
+      await relay.connect(trader).deposit({ value: ethers.utils.parseEther("1") });
+    });
+
+    it("Should count orders against the trader's daily volume, not the relay's", async function () {
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+      await exchange.setVolumeLimits(ethers.utils.parseEther("1"), 0, 0);
+
+      await relay.connect(relayer).executeOrder(order, signature);
+      expect(await exchange.dailyVolume(trader.address)).to.equal(ethers.utils.parseEther("0.1"));
+      expect(await exchange.dailyVolume(relay.address)).to.equal(0);
+    });
+
+    it("Should hold a trader to their daily volume across direct and relayed trades", async function () {
+      await exchange.setVolumeLimits(ethers.utils.parseEther("0.15"), 0, 0);
+      await exchange.connect(trader).buy(token.address, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("0.1") });
+      const { order, signature } = await signOrder(trader, relay.address, buyOrder());
+
+      await expect(relay.connect(relayer).executeOrder(order, signature))
+          .to.be.revertedWith("Daily volume limit exceeded");
+      // Another trader's order through the same relay is not held back
+      const [, , , other] = await ethers.getSigners();
+      await relay.connect(other).deposit({ value: ethers.utils.parseEther("1") });
+      const signed = await signOrder(other, relay.address, buyOrder());
+      await relay.connect(relayer).executeOrder(signed.order, signed.signature);
+      expect(await exchange.dailyVolume(other.address)).to.equal(ethers.utils.parseEther("0.1"));
+    });
+
+    it("Should count orders against the relay's volume without ROUTER_ROLE", async function () {
+      await exchange.revokeRole(await exchange.ROUTER_ROLE(), relay.address);
+      await exchange.setVolumeLimits(ethers.utils.parseEther("1"), 0, 0);
+      const { order, signature } = await signOrder(trader, relay.address, sellOrder());
+      await token.connect(trader).approve(relay.address, order.amount);
+
+      await relay.connect(relayer).executeOrder(order, signature);
+      expect(await exchange.dailyVolume(relay.address)).to.equal(ethers.utils.parseEther("0.1"));
+      expect(await exchange.dailyVolume(trader.address)).to.equal(0);
+    });
+  });
+
+  describe("Balances", function () {
+    it("Should deposit and withdraw", async function () {
+      const amount = ethers.utils.parseEther("1");
+      await expect(relay.connect(trader).deposit({ value: amount }))
+          .to.emit(relay, "Deposited")
+          .withArgs(trader.address, amount);
+
+      await expect(() => relay.connect(trader).withdraw(amount))
+          .to.changeEtherBalance(trader, amount);
+      await expect(relay.connect(trader).withdraw(1))
+          .to.be.revertedWith("Insufficient balance");
+      await expect(relay.connect(trader).deposit({ value: 0 }))
+          .to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("Should refuse deposits but allow withdrawals once the exchange is shut down", async function () {
+      const amount = ethers.utils.parseEther("1");
+      await relay.connect(trader).deposit({ value: amount });
+      await exchange.initiateShutdown();
+
+      await expect(relay.connect(trader).deposit({ value: amount }))
+          .to.be.revertedWith("Contract is shut down");
+      await expect(() => relay.connect(trader).withdraw(amount))
+          .to.changeEtherBalance(trader, amount);
+    });
+
+    it("Should only accept plain ETH from the exchange", async function () {
+      // A plain call returns the revert data rather than rejecting, so decode the reason from it
+      const data = await trader.call({ to: relay.address, value: 1 });
+      expect(ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4))[0])
+          .to.equal("Only the exchange can send ETH");
+    });
+  });
+});
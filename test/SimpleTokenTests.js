@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { signPermit } = require("../sdk");
 
 describe("SimpleToken", function () {
   let SimpleToken;
@@ -12,6 +13,13 @@ describe("SimpleToken", function () {
   // Using smaller values to avoid any potential overflow issues
   const initialSupply = ethers.utils.parseEther("1000"); // 1000 tokens
   const MAX_SUPPLY = ethers.utils.parseEther("1000000000"); // 1 billion tokens
+  const MINTER_ROLE = ethers.utils.id("MINTER_ROLE");
+  const PAUSER_ROLE = ethers.utils.id("PAUSER_ROLE");
+  const SNAPSHOT_ROLE = ethers.utils.id("SNAPSHOT_ROLE");
+
+  function missingRole(account, role) {
+    return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+  }
 
   beforeEach(async function () {
     SimpleToken = await ethers.getContractFactory("SimpleToken");
@@ -88,12 +96,12 @@ describe("SimpleToken", function () {
           .withArgs(addr1.address, mintAmount);
     });
 
-    it("Should fail if non-owner tries to mint", async function () {
+    it("Should fail if an account without the minter role tries to mint", async function () {
       const mintAmount = ethers.utils.parseEther("100");
 
       await expect(
           token.connect(addr1).mint(addr2.address, mintAmount)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(addr1, MINTER_ROLE));
     });
 
     it("Should fail if minting to zero address", async function () {
@@ -131,6 +139,137 @@ describe("SimpleToken", function () {
     });
   });
 
+  describe("Minter allowances", function () {
+    const allowance = ethers.utils.parseEther("500");
+
+    beforeEach(async function () {
+      await token.grantRole(MINTER_ROLE, addr1.address);
+    });
+
+    it("Should give the deployer an unlimited allowance that does not decrease", async function () {
+      await token.mint(addr1.address, ethers.utils.parseEther("100"));
+
+      expect(await token.minterAllowance(owner.address)).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("Should let the owner set a minter's allowance", async function () {
+      await expect(token.setMinterAllowance(addr1.address, allowance))
+          .to.emit(token, "MinterAllowanceSet")
+          .withArgs(addr1.address, allowance);
+
+      expect(await token.minterAllowance(addr1.address)).to.equal(allowance);
+    });
+
+    it("Should spend the allowance as the minter mints", async function () {
+      await token.setMinterAllowance(addr1.address, allowance);
+
+      await token.connect(addr1).mint(addr2.address, ethers.utils.parseEther("300"));
+
+      expect(await token.minterAllowance(addr1.address)).to.equal(ethers.utils.parseEther("200"));
+      await expect(token.connect(addr1).mint(addr2.address, ethers.utils.parseEther("201")))
+          .to.be.revertedWith("Exceeds minter allowance");
+      await token.connect(addr1).mint(addr2.address, ethers.utils.parseEther("200"));
+      expect(await token.minterAllowance(addr1.address)).to.equal(0);
+      expect(await token.balanceOf(addr2.address)).to.equal(allowance);
+    });
+
+    it("Should not let a new minter mint before it has an allowance", async function () {
+      await expect(token.connect(addr1).mint(addr2.address, 1))
+          .to.be.revertedWith("Exceeds minter allowance");
+    });
+
+    it("Should still enforce the max supply within the allowance", async function () {
+      await token.setMinterAllowance(addr1.address, ethers.constants.MaxUint256);
+      const excessiveAmount = (await token.remainingMintableSupply()).add(1);
+
+      await expect(token.connect(addr1).mint(addr2.address, excessiveAmount))
+          .to.be.revertedWith("Would exceed maximum supply");
+    });
+
+    it("Should fail if an account other than the owner sets an allowance", async function () {
+      await expect(token.connect(addr1).setMinterAllowance(addr1.address, allowance))
+          .to.be.revertedWith(missingRole(addr1, await token.DEFAULT_ADMIN_ROLE()));
+    });
+  });
+
+  describe("Burning", function () {
+    const burnAmount = ethers.utils.parseEther("100");
+
+    it("Should let a holder burn their tokens", async function () {
+      await expect(token.burn(burnAmount))
+          .to.emit(token, "Transfer")
+          .withArgs(owner.address, ethers.constants.AddressZero, burnAmount);
+
+      expect(await token.balanceOf(owner.address)).to.equal(initialSupply.sub(burnAmount));
+      expect(await token.totalSupply()).to.equal(initialSupply.sub(burnAmount));
+    });
+
+    it("Should burn from an account up to the allowance given", async function () {
+      await token.approve(addr1.address, burnAmount);
+
+      await token.connect(addr1).burnFrom(owner.address, burnAmount);
+
+      expect(await token.balanceOf(owner.address)).to.equal(initialSupply.sub(burnAmount));
+      expect(await token.allowance(owner.address, addr1.address)).to.equal(0);
+      await expect(token.connect(addr1).burnFrom(owner.address, 1))
+          .to.be.revertedWith("ERC20: insufficient allowance");
+    });
+
+    it("Should fail to burn more than the balance", async function () {
+      await expect(token.connect(addr1).burn(1))
+          .to.be.revertedWith("ERC20: burn amount exceeds balance");
+    });
+
+    it("Should not allow burning when paused", async function () {
+      await token.pause();
+
+      await expect(token.burn(burnAmount)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should return burned tokens to the remaining mintable supply", async function () {
+      const remaining = await token.remainingMintableSupply();
+
+      await token.burn(burnAmount);
+
+      expect(await token.remainingMintableSupply()).to.equal(remaining.add(burnAmount));
+      await token.mint(addr1.address, await token.remainingMintableSupply());
+      expect(await token.totalSupply()).to.equal(MAX_SUPPLY);
+      expect(await token.remainingMintableSupply()).to.equal(0);
+    });
+  });
+
+  describe("Snapshots", function () {
+    it("Should record balances and total supply at each snapshot", async function () {
+      await expect(token.snapshot()).to.emit(token, "Snapshot").withArgs(1);
+      await token.transfer(addr1.address, ethers.utils.parseEther("50"));
+      await token.mint(addr2.address, ethers.utils.parseEther("10"));
+      await token.snapshot();
+      await token.connect(addr1).burn(ethers.utils.parseEther("20"));
+
+      expect(await token.currentSnapshotId()).to.equal(2);
+      expect(await token.balanceOfAt(owner.address, 1)).to.equal(initialSupply);
+      expect(await token.balanceOfAt(addr1.address, 1)).to.equal(0);
+      expect(await token.totalSupplyAt(1)).to.equal(initialSupply);
+      expect(await token.balanceOfAt(addr1.address, 2)).to.equal(ethers.utils.parseEther("50"));
+      expect(await token.totalSupplyAt(2)).to.equal(initialSupply.add(ethers.utils.parseEther("10")));
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("30"));
+    });
+
+    it("Should reject queries for snapshots not yet taken", async function () {
+      await expect(token.balanceOfAt(owner.address, 0)).to.be.revertedWith("ERC20Snapshot: id is 0");
+      await expect(token.totalSupplyAt(1)).to.be.revertedWith("ERC20Snapshot: nonexistent id");
+    });
+
+    it("Should fail if an account without the snapshot role takes a snapshot", async function () {
+      await expect(token.connect(addr1).snapshot())
+          .to.be.revertedWith(missingRole(addr1, SNAPSHOT_ROLE));
+
+      await token.grantRole(SNAPSHOT_ROLE, addr1.address);
+      await token.connect(addr1).snapshot();
+      expect(await token.currentSnapshotId()).to.equal(1);
+    });
+  });
+
   describe("Pausable functionality", function () {
     it("Should allow owner to pause transfers", async function () {
       await token.pause();
@@ -152,17 +291,17 @@ describe("SimpleToken", function () {
       expect(await token.balanceOf(addr1.address)).to.equal(transferAmount);
     });
 
-    it("Should fail if non-owner tries to pause", async function () {
+    it("Should fail if an account without the pauser role tries to pause", async function () {
       await expect(
           token.connect(addr1).pause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(addr1, PAUSER_ROLE));
     });
 
-    it("Should fail if non-owner tries to unpause", async function () {
+    it("Should fail if an account without the pauser role tries to unpause", async function () {
       await token.pause();
       await expect(
           token.connect(addr1).unpause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(addr1, PAUSER_ROLE));
     });
 
     it("Should not allow minting when paused", async function () {
@@ -175,6 +314,128 @@ describe("SimpleToken", function () {
     });
   });
 
+  describe("Roles", function () {
+    it("Should give the deployer every role and the role admin", async function () {
+      expect(await token.hasRole(MINTER_ROLE, owner.address)).to.equal(true);
+      expect(await token.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+      expect(await token.hasRole(SNAPSHOT_ROLE, owner.address)).to.equal(true);
+      expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should let a granted minter mint without being able to pause", async function () {
+      await token.grantRole(MINTER_ROLE, addr1.address);
+      await token.setMinterAllowance(addr1.address, 100);
+
+      await token.connect(addr1).mint(addr2.address, 100);
+      expect(await token.balanceOf(addr2.address)).to.equal(100);
+      await expect(token.connect(addr1).pause())
+          .to.be.revertedWith(missingRole(addr1, PAUSER_ROLE));
+    });
+
+    it("Should let a granted pauser pause without being able to mint", async function () {
+      await token.grantRole(PAUSER_ROLE, addr1.address);
+
+      await token.connect(addr1).pause();
+      expect(await token.paused()).to.equal(true);
+      await expect(token.connect(addr1).mint(addr2.address, 100))
+          .to.be.revertedWith(missingRole(addr1, MINTER_ROLE));
+    });
+
+    it("Should stop a revoked minter from minting", async function () {
+      await token.grantRole(MINTER_ROLE, addr1.address);
+      await token.revokeRole(MINTER_ROLE, addr1.address);
+
+      await expect(token.connect(addr1).mint(addr2.address, 100))
+          .to.be.revertedWith(missingRole(addr1, MINTER_ROLE));
+    });
+
+    it("Should move the role admin along with ownership", async function () {
+      const adminRole = await token.DEFAULT_ADMIN_ROLE();
+      await token.transferOwnership(addr1.address);
+
+      expect(await token.hasRole(adminRole, addr1.address)).to.equal(true);
+      expect(await token.hasRole(adminRole, owner.address)).to.equal(false);
+      await expect(token.grantRole(MINTER_ROLE, addr2.address))
+          .to.be.revertedWith(missingRole(owner, adminRole));
+    });
+
+    it("Should hand the minter, pauser and snapshot roles to the new owner", async function () {
+      await token.transferOwnership(addr1.address);
+
+      for (const role of [MINTER_ROLE, PAUSER_ROLE, SNAPSHOT_ROLE]) {
+        expect(await token.hasRole(role, owner.address)).to.equal(false);
+        expect(await token.hasRole(role, addr1.address)).to.equal(true);
+      }
+      await expect(token.mint(addr2.address, 100))
+          .to.be.revertedWith(missingRole(owner, MINTER_ROLE));
+      await expect(token.pause())
+          .to.be.revertedWith(missingRole(owner, PAUSER_ROLE));
+      await token.connect(addr1).mint(addr2.address, 100);
+      expect(await token.balanceOf(addr2.address)).to.equal(100);
+    });
+
+    it("Should move the minter allowance along with the minter role", async function () {
+      await token.setMinterAllowance(owner.address, 500);
+
+      await expect(token.transferOwnership(addr1.address))
+          .to.emit(token, "MinterAllowanceSet").withArgs(addr1.address, 500)
+          .and.to.emit(token, "MinterAllowanceSet").withArgs(owner.address, 0);
+      expect(await token.minterAllowance(addr1.address)).to.equal(500);
+      expect(await token.minterAllowance(owner.address)).to.equal(0);
+    });
+
+    it("Should not hand over roles the previous owner gave up", async function () {
+      await token.grantRole(MINTER_ROLE, addr2.address);
+      await token.renounceRole(MINTER_ROLE, owner.address);
+      await token.transferOwnership(addr1.address);
+
+      expect(await token.hasRole(MINTER_ROLE, addr1.address)).to.equal(false);
+      expect(await token.minterAllowance(addr1.address)).to.equal(0);
+      expect(await token.hasRole(PAUSER_ROLE, addr1.address)).to.equal(true);
+    });
+  });
+
+  describe("Permit", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 600;
+    });
+
+    it("Should approve with a signature submitted by anyone", async function () {
+      const value = ethers.utils.parseEther("5");
+      const permit = await signPermit(owner, token.address, addr1.address, value, deadline);
+
+      await expect(token.connect(addr2).permit(owner.address, addr1.address, value, deadline, permit.v, permit.r, permit.s))
+          .to.emit(token, "Approval")
+          .withArgs(owner.address, addr1.address, value);
+      expect(await token.allowance(owner.address, addr1.address)).to.equal(value);
+      expect(await token.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should not accept a signature twice", async function () {
+      const permit = await signPermit(owner, token.address, addr1.address, 1, deadline);
+      await token.permit(owner.address, addr1.address, 1, deadline, permit.v, permit.r, permit.s);
+
+      await expect(token.permit(owner.address, addr1.address, 1, deadline, permit.v, permit.r, permit.s))
+          .to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+
+    it("Should reject a signature by someone other than the owner", async function () {
+      const permit = await signPermit(addr2, token.address, addr1.address, 1, deadline);
+
+      await expect(token.permit(owner.address, addr1.address, 1, deadline, permit.v, permit.r, permit.s))
+          .to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+
+    it("Should reject an expired permit", async function () {
+      const permit = await signPermit(owner, token.address, addr1.address, 1, 1);
+
+      await expect(token.permit(owner.address, addr1.address, 1, 1, permit.v, permit.r, permit.s))
+          .to.be.revertedWith("ERC20Permit: expired deadline");
+    });
+  });
+
   describe("Token metadata", function () {
     it("Should have correct name and symbol", async function () {
       expect(await token.name()).to.equal("Simple");